@@ -0,0 +1,339 @@
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const {
+    MIN_PASSWORD_LENGTH,
+    hasRole,
+    lowerRole,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    generateApiKey,
+    hashApiKey,
+    isApiKey
+} = require('../services/auth');
+const { canAccessWorkspace } = require('../services/workspaces');
+
+// lastUsedAt of an API key is written at most this often
+const API_KEY_TOUCH_MS = 60 * 1000;
+
+class AuthController {
+    // Credentials of a request: "Authorization: Bearer <token or API key>" or
+    // "X-API-Key: <key>". They are never read from the query string, where
+    // they would end up in server and proxy logs.
+    static getCredential(req) {
+        const [scheme, value] = (req.get('Authorization') || '').split(' ');
+        if (/^bearer$/i.test(scheme) && value) return value.trim();
+        if (req.get('X-API-Key')) return req.get('X-API-Key').trim();
+        return null;
+    }
+
+    // The signed-in user as { _id, email, name, role, authMethod, apiKeyId,
+    // workspaces, apiKeyWorkspaceId }, or null when the credential is missing,
+    // invalid, expired or revoked. workspaces is null for admins (all of them).
+    static async resolveUser(credential) {
+        if (!credential) return null;
+
+        if (isApiKey(credential)) {
+            const keyHash = hashApiKey(credential);
+            const user = await User.findOne({ active: true, 'apiKeys.keyHash': keyHash });
+            const apiKey = user?.apiKeys.find(key => key.keyHash === keyHash);
+            if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) return null;
+
+            if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_MS) {
+                User.updateOne({ _id: user._id, 'apiKeys._id': apiKey._id }, { $set: { 'apiKeys.$.lastUsedAt': new Date() } })
+                    .catch(error => console.error('Failed to record API key use:', error.message));
+            }
+
+            return {
+                _id: user._id,
+                email: user.email,
+                name: user.name,
+                role: lowerRole(apiKey.role || user.role, user.role),
+                authMethod: 'api_key',
+                apiKeyId: apiKey._id,
+                workspaces: user.role === 'admin' ? null : user.workspaces,
+                apiKeyWorkspaceId: apiKey.workspaceId || null
+            };
+        }
+
+        const claims = verifyToken(credential);
+        if (!claims) return null;
+        const user = await User.findById(claims.sub).select('email name role active tokenVersion workspaces');
+        if (!user || !user.active || (user.tokenVersion || 0) !== claims.ver) return null;
+
+        return {
+            _id: user._id,
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            authMethod: 'token',
+            apiKeyId: null,
+            workspaces: user.role === 'admin' ? null : user.workspaces,
+            apiKeyWorkspaceId: null
+        };
+    }
+
+    // Middleware: sets req.user or answers 401
+    static async authenticate(req, res, next) {
+        try {
+            const user = await AuthController.resolveUser(AuthController.getCredential(req));
+            if (!user) {
+                res.setHeader('WWW-Authenticate', 'Bearer');
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+            req.user = user;
+            next();
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Middleware factory: answers 403 unless the user has at least `role`
+    static requireRole(role) {
+        return (req, res, next) => {
+            if (!req.user || !hasRole(req.user.role, role)) {
+                return res.status(403).json({ error: `Requires the ${role} role` });
+            }
+            next();
+        };
+    }
+
+    // Fields safe to return from the API
+    static publicUser(user) {
+        return {
+            _id: user._id,
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            active: user.active,
+            workspaces: user.workspaces || [],
+            lastLoginAt: user.lastLoginAt,
+            apiKeys: (user.apiKeys || []).map(apiKey => ({
+                _id: apiKey._id,
+                name: apiKey.name,
+                prefix: apiKey.prefix,
+                role: apiKey.role || user.role,
+                workspaceId: apiKey.workspaceId,
+                createdAt: apiKey.createdAt,
+                lastUsedAt: apiKey.lastUsedAt,
+                expiresAt: apiKey.expiresAt,
+                revokedAt: apiKey.revokedAt
+            })),
+            createdAt: user.createdAt
+        };
+    }
+
+    // Creates the first admin from AUTH_ADMIN_EMAIL / AUTH_ADMIN_PASSWORD when
+    // there is no active admin yet
+    static async ensureBootstrapAdmin() {
+        const email = process.env.AUTH_ADMIN_EMAIL;
+        const password = process.env.AUTH_ADMIN_PASSWORD;
+
+        if (await User.exists({ role: 'admin', active: true })) return;
+        if (!email || !password) {
+            console.warn('No admin user exists; set AUTH_ADMIN_EMAIL and AUTH_ADMIN_PASSWORD to create one');
+            return;
+        }
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            console.warn(`AUTH_ADMIN_PASSWORD must be at least ${MIN_PASSWORD_LENGTH} characters; no admin created`);
+            return;
+        }
+
+        await User.findOneAndUpdate(
+            { email: email.toLowerCase() },
+            {
+                $set: { role: 'admin', active: true, passwordHash: hashPassword(password) },
+                $inc: { tokenVersion: 1 },
+                $setOnInsert: { name: 'Administrator', createdBy: 'bootstrap' }
+            },
+            { upsert: true }
+        );
+        console.log(`Admin user ${email} created`);
+    }
+
+    static async login(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { email, password } = req.body;
+            const user = await User.findOne({ email: email.toLowerCase() });
+
+            if (!user || !user.active || !verifyPassword(password, user.passwordHash)) {
+                return res.status(401).json({ error: 'Invalid email or password' });
+            }
+
+            user.lastLoginAt = new Date();
+            await user.save();
+
+            const { token, expiresAt } = signToken(user);
+            res.json({ token, expiresAt, user: AuthController.publicUser(user) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async getMe(req, res) {
+        try {
+            const user = await User.findById(req.user._id);
+            res.json({ user: AuthController.publicUser(user), authMethod: req.user.authMethod, role: req.user.role });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Changing the password signs out every other session
+    static async changePassword(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const user = await User.findById(req.user._id);
+            if (!verifyPassword(req.body.currentPassword, user.passwordHash)) {
+                return res.status(401).json({ error: 'Current password is wrong' });
+            }
+
+            user.passwordHash = hashPassword(req.body.newPassword);
+            user.tokenVersion = (user.tokenVersion || 0) + 1;
+            await user.save();
+
+            const { token, expiresAt } = signToken(user);
+            res.json({ message: 'Password changed', token, expiresAt });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // The key is in the response only; it cannot be shown again
+    static async createApiKey(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { name, role, expiresAt, workspaceId } = req.body;
+            const user = await User.findById(req.user._id);
+
+            if (role && !hasRole(user.role, role)) {
+                return res.status(403).json({ error: `Cannot create a ${role} key with the ${user.role} role` });
+            }
+
+            if (workspaceId && (!canAccessWorkspace(req.user, workspaceId) || !(await Workspace.exists({ _id: workspaceId })))) {
+                return res.status(404).json({ error: 'Workspace not found' });
+            }
+
+            const { key, prefix, keyHash } = generateApiKey();
+            user.apiKeys.push({ name, prefix, keyHash, role, expiresAt, workspaceId });
+            await user.save();
+
+            const apiKey = AuthController.publicUser(user).apiKeys.at(-1);
+            res.status(201).json({ message: 'API key created; store it now, it is not shown again', key, apiKey });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async revokeApiKey(req, res) {
+        try {
+            const user = await User.findById(req.user._id);
+            const apiKey = user.apiKeys.id(req.params.keyId);
+
+            if (!apiKey) {
+                return res.status(404).json({ error: 'API key not found' });
+            }
+
+            apiKey.revokedAt = apiKey.revokedAt || new Date();
+            await user.save();
+
+            res.json({ message: 'API key revoked', apiKey: AuthController.publicUser(user).apiKeys.find(key => String(key._id) === String(apiKey._id)) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async getUsers(req, res) {
+        try {
+            const users = await User.find().sort({ email: 1 });
+            res.json({ users: users.map(AuthController.publicUser) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async createUser(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { email, name, password, role = 'viewer', workspaces = [] } = req.body;
+
+            if (await User.exists({ email: email.toLowerCase() })) {
+                return res.status(409).json({ error: `A user with email ${email} already exists` });
+            }
+
+            if (await Workspace.countDocuments({ _id: { $in: workspaces } }) !== new Set(workspaces).size) {
+                return res.status(404).json({ error: 'Workspace not found' });
+            }
+
+            const user = await User.create({
+                email,
+                name,
+                role,
+                workspaces: [...new Set(workspaces)],
+                passwordHash: hashPassword(password),
+                createdBy: req.user.email
+            });
+
+            res.status(201).json({ message: 'User created', user: AuthController.publicUser(user) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Role, name, active flag or password. Deactivating or setting a password
+    // revokes the user's tokens; API keys stop working while inactive.
+    static async updateUser(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { name, role, active, password } = req.body;
+            const user = await User.findById(req.params.id);
+
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            // Someone must be left to manage users
+            const demoted = (role && role !== 'admin') || active === false;
+            if (user.role === 'admin' && demoted
+                && !(await User.exists({ _id: { $ne: user._id }, role: 'admin', active: true }))) {
+                return res.status(409).json({ error: 'Cannot demote or deactivate the last admin' });
+            }
+
+            if (name !== undefined) user.name = name;
+            if (role) user.role = role;
+            if (active !== undefined) user.active = active;
+            if (password) user.passwordHash = hashPassword(password);
+            if (password || active === false) user.tokenVersion = (user.tokenVersion || 0) + 1;
+            await user.save();
+
+            res.json({ message: 'User updated', user: AuthController.publicUser(user) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = AuthController;
@@ -0,0 +1,290 @@
+const multer = require('multer');
+const path = require('path');
+const { validationResult } = require('express-validator');
+const BankTransaction = require('../models/BankTransaction');
+const Invoice = require('../models/Invoice');
+const InvoiceController = require('./invoiceController');
+const { parseStatement, narrationPlatforms, transactionHash } = require('../services/bankStatements');
+const { matchBankTransactions, buildBankReview } = require('../services/bankMatching');
+
+// Statements are small; they are parsed from memory and never written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 20 * 1024 * 1024, // 20MB
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        const allowedMimeTypes = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+        const fileExtension = path.extname(file.originalname).toLowerCase();
+
+        if (allowedMimeTypes.includes(file.mimetype) || fileExtension === '.csv') {
+            cb(null, true);
+        } else {
+            cb(new Error(`Only CSV files are allowed. Received: ${file.mimetype} (${fileExtension})`));
+        }
+    }
+});
+
+class BankStatementController {
+    static uploadMiddleware = upload.single('statement');
+
+    static async importStatement(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            if (!req.file) {
+                return res.status(400).json({ error: 'No statement uploaded (field "statement")' });
+            }
+
+            let mapping = {};
+            if (req.body.mapping) {
+                try {
+                    mapping = JSON.parse(req.body.mapping);
+                } catch (error) {
+                    return res.status(400).json({ error: 'mapping must be a JSON object of field names to column headers' });
+                }
+                if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+                    return res.status(400).json({ error: 'mapping must be a JSON object of field names to column headers' });
+                }
+            }
+
+            let parsed;
+            try {
+                parsed = parseStatement(req.file.buffer.toString('utf8'), {
+                    mapping,
+                    dateFormat: req.body.dateFormat || undefined
+                });
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            const importId = `import_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+            // Identical lines in one file are told apart by their occurrence
+            const occurrences = new Map();
+            const rows = parsed.transactions.map(tx => {
+                const base = transactionHash(tx);
+                const occurrence = occurrences.get(base) || 0;
+                occurrences.set(base, occurrence + 1);
+                return {
+                    ...tx,
+                    workspaceId: req.workspace._id,
+                    importId,
+                    sourceFileName: req.file.originalname,
+                    platforms: tx.direction === 'debit' ? narrationPlatforms(tx.narration) : [],
+                    hash: transactionHash(tx, occurrence)
+                };
+            });
+
+            const existing = new Set(await BankTransaction.distinct('hash', {
+                workspaceId: req.workspace._id,
+                hash: { $in: rows.map(row => row.hash) }
+            }));
+            const newRows = rows.filter(row => !existing.has(row.hash));
+            if (newRows.length > 0) {
+                await BankTransaction.insertMany(newRows, { ordered: false });
+            }
+
+            const matching = await matchBankTransactions({ workspaceId: req.workspace._id, importId });
+
+            res.status(201).json({
+                importId,
+                fileName: req.file.originalname,
+                rows: rows.length,
+                imported: newRows.length,
+                duplicates: rows.length - newRows.length,
+                debits: newRows.filter(row => row.direction === 'debit').length,
+                platformDebits: newRows.filter(row => row.platforms.length > 0).length,
+                matched: matching.matched,
+                matching,
+                errors: parsed.errors
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async getTransactions(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { importId, status, direction, platform, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+            const filter = { workspaceId: req.workspace._id };
+            if (importId) filter.importId = importId;
+            if (status && status !== 'all') filter.status = status;
+            if (direction) filter.direction = direction;
+            if (platform && platform !== 'all') filter.platforms = platform;
+            if (startDate || endDate) {
+                filter.date = {};
+                if (startDate) filter.date.$gte = new Date(startDate);
+                if (endDate) filter.date.$lte = new Date(endDate);
+            }
+
+            const skip = (page - 1) * limit;
+
+            const [transactions, total] = await Promise.all([
+                BankTransaction.find(filter)
+                    .sort({ date: -1, rowNumber: 1 })
+                    .skip(skip)
+                    .limit(parseInt(limit)),
+                BankTransaction.countDocuments(filter)
+            ]);
+
+            res.json({
+                transactions,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / limit),
+                    totalTransactions: total
+                }
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Re-run auto-matching, e.g. after new invoices or receipts were processed
+    static async runMatching(req, res) {
+        try {
+            const result = await matchBankTransactions({ workspaceId: req.workspace._id, importId: req.body?.importId });
+            res.json(result);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async getReview(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { scope, platform, startDate, endDate } = req.query;
+            const review = await buildBankReview({
+                workspaceId: req.workspace._id,
+                scope,
+                platform: platform && platform !== 'all' ? platform : undefined,
+                startDate,
+                endDate
+            });
+
+            res.json(review);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Manually match a transaction to an invoice or a receipt
+    static async matchTransaction(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { id } = req.params;
+            const { invoiceId, note } = req.body;
+
+            const [transaction, document] = await Promise.all([
+                BankTransaction.findOne({ _id: id, workspaceId: req.workspace._id }),
+                Invoice.findOne({ _id: invoiceId, workspaceId: req.workspace._id }).select('documentType')
+            ]);
+
+            if (!transaction) {
+                return res.status(404).json({ error: 'Transaction not found' });
+            }
+            if (!document) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+            if (!['invoice', 'receipt'].includes(document.documentType)) {
+                return res.status(409).json({ error: `Cannot match a payment to a ${document.documentType}` });
+            }
+
+            const isReceipt = document.documentType === 'receipt';
+            transaction.status = 'matched';
+            transaction.match = {
+                invoiceId: isReceipt ? null : document._id,
+                receiptId: isReceipt ? document._id : null,
+                method: 'manual',
+                matchedBy: InvoiceController.getActor(req),
+                matchedAt: new Date(),
+                note
+            };
+            transaction.ignoredBy = undefined;
+            transaction.ignoredAt = undefined;
+            transaction.ignoreNote = undefined;
+            await transaction.save();
+
+            res.json({ message: 'Transaction matched', transaction: transaction.toObject() });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async unmatchTransaction(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const transaction = await BankTransaction.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+
+            if (!transaction) {
+                return res.status(404).json({ error: 'Transaction not found' });
+            }
+
+            transaction.status = 'unmatched';
+            transaction.match = undefined;
+            transaction.ignoredBy = undefined;
+            transaction.ignoredAt = undefined;
+            transaction.ignoreNote = undefined;
+            await transaction.save();
+
+            res.json({ message: 'Match removed', transaction: transaction.toObject() });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Debits that are not ad payments (salaries, rent, ...) leave the review list
+    static async ignoreTransaction(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const transaction = await BankTransaction.findOne({ _id: req.params.id, workspaceId: req.workspace._id });
+
+            if (!transaction) {
+                return res.status(404).json({ error: 'Transaction not found' });
+            }
+            if (transaction.status === 'matched') {
+                return res.status(409).json({ error: 'Remove the match before ignoring the transaction' });
+            }
+
+            transaction.status = 'ignored';
+            transaction.match = undefined;
+            transaction.ignoredBy = InvoiceController.getActor(req);
+            transaction.ignoredAt = new Date();
+            transaction.ignoreNote = req.body?.note;
+            await transaction.save();
+
+            res.json({ message: 'Transaction ignored', transaction: transaction.toObject() });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = BankStatementController;
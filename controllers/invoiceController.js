@@ -1,40 +1,37 @@
 const Invoice = require('../models/Invoice');
 const { validationResult } = require('express-validator');
 const path = require('path');
-const fs = require('fs'); // Added for file deletion
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { validateCorrections, applyCorrections } = require('../services/invoiceCorrections');
+const { getReviewReasons, CONFIDENCE_THRESHOLD } = require('../services/reviewPolicy');
+const { runValidation } = require('../services/validationEngine');
+const { isPlatform } = require('../services/platforms');
+const { reprocessInvoice, TEXT_SOURCES } = require('../services/invoiceReprocessor');
+const { recordRevision, ensureBaselineRevision } = require('../services/invoiceRevisions');
+const { linkCreditNotes, unlinkCreditNotes } = require('../services/creditNotes');
+const { DOCUMENT_TYPES } = require('../services/documentTypes');
+const { reconcilePayments, buildReconciliationReport } = require('../services/reconciliation');
+const { ITC_STATUSES, periodRange, buildItcRows, summarizeItcRows, itcRowsToCsv } = require('../services/itcReport');
+const { INVOICE_COLUMNS, CAMPAIGN_COLUMNS, invoiceRow, campaignRows } = require('../services/invoiceExport');
+const { toCsv, toCsvRow } = require('../services/csv');
+const { createXlsxStream } = require('../services/xlsxWriter');
+const InvoiceRevision = require('../models/InvoiceRevision');
+const PdfController = require('./pdfController');
 
 class InvoiceController {
     static async getAllInvoices(req, res) {
         try {
             const {
-                platform,
-                startDate,
-                endDate,
-                campaignName,
                 page = 1,
                 limit = 20,
                 sortBy = 'processedAt',
                 sortOrder = 'desc'
             } = req.query;
 
-            // Build filter object
-            const filter = {};
-
-            if (platform && platform !== 'all') {
-                filter.platform = platform;
-            }
-
-            if (startDate || endDate) {
-                filter['extractedData.invoiceDate'] = {};
-                if (startDate) filter['extractedData.invoiceDate'].$gte = new Date(startDate);
-                if (endDate) filter['extractedData.invoiceDate'].$lte = new Date(endDate);
-            }
-
-            if (campaignName) {
-                filter['extractedData.campaignName'] = {
-                    $regex: campaignName,
-                    $options: 'i'
-                };
+            const { filter, error } = InvoiceController.buildInvoiceFilter(req.query, req.workspace._id);
+            if (error) {
+                return res.status(400).json({ error });
             }
 
             // Calculate pagination
@@ -75,9 +72,7 @@ class InvoiceController {
                 first = false;
 
                 const inv = doc.toObject();
-                inv.pdfUrl = inv.filePath
-                    ? `${req.protocol}://${req.get('host')}/uploads/${path.basename(inv.filePath)}`
-                    : null;
+                inv.pdfUrl = PdfController.getPdfUrl(`${req.protocol}://${req.get('host')}`, inv);
 
                 res.write(JSON.stringify(inv));
             });
@@ -95,19 +90,344 @@ class InvoiceController {
         }
     }
 
+    // Filter shared by the invoice list and the export, within one workspace;
+    // returns { filter } or { error }
+    static buildInvoiceFilter({ platform, documentType, startDate, endDate, campaignName }, workspaceId) {
+        const filter = { workspaceId };
+
+        if (platform && platform !== 'all') {
+            filter.platform = platform;
+        }
+
+        if (documentType) {
+            if (!DOCUMENT_TYPES.includes(documentType)) {
+                return { error: 'Invalid document type' };
+            }
+            filter.documentType = documentType;
+        }
+
+        if (startDate || endDate) {
+            filter['extractedData.invoiceDate'] = {};
+            if (startDate) filter['extractedData.invoiceDate'].$gte = new Date(startDate);
+            if (endDate) filter['extractedData.invoiceDate'].$lte = new Date(endDate);
+        }
+
+        if (campaignName) {
+            try {
+                new RegExp(campaignName);
+            } catch {
+                return { error: 'Invalid campaign name pattern' };
+            }
+            filter['extractedData.campaigns.campaignName'] = {
+                $regex: campaignName,
+                $options: 'i'
+            };
+        }
+
+        return { filter };
+    }
+
+    // Invoices and their campaign lines as CSV (one sheet per file) or XLSX
+    // (both sheets). Rows are streamed from a cursor, one pass per sheet.
+    static async exportInvoices(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { format = 'csv', sheet = 'invoices', campaignName, sortBy = 'processedAt', sortOrder = 'desc' } = req.query;
+
+            const { filter, error } = InvoiceController.buildInvoiceFilter(req.query, req.workspace._id);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+
+            const sortObj = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            const campaignPattern = campaignName ? new RegExp(campaignName, 'i') : null;
+
+            const openCursor = () => Invoice.find(filter)
+                .sort(sortObj)
+                .select('-rawText -fieldProvenance -corrections -extraction -platformDetection -review')
+                .lean()
+                .cursor();
+
+            async function* invoiceRows() {
+                for await (const invoice of openCursor()) {
+                    yield invoiceRow(invoice, PdfController.getPdfUrl(baseUrl, invoice));
+                }
+            }
+
+            async function* campaignLines() {
+                for await (const invoice of openCursor()) {
+                    yield* campaignRows(invoice, campaignPattern);
+                }
+            }
+
+            const stamp = new Date().toISOString().slice(0, 10);
+
+            if (format === 'xlsx') {
+                res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+                res.attachment(`invoices-${stamp}.xlsx`);
+
+                const archive = createXlsxStream([
+                    { name: 'Invoices', columns: INVOICE_COLUMNS, rows: invoiceRows() },
+                    { name: 'Campaigns', columns: CAMPAIGN_COLUMNS, rows: campaignLines() }
+                ]);
+                try {
+                    await pipeline(archive, res);
+                } catch (streamError) {
+                    archive.abort();
+                    throw streamError;
+                }
+                return;
+            }
+
+            const [columns, rows] = sheet === 'campaigns'
+                ? [CAMPAIGN_COLUMNS, campaignLines()]
+                : [INVOICE_COLUMNS, invoiceRows()];
+
+            async function* csvChunks() {
+                // BOM so spreadsheet apps open the file as UTF-8
+                yield `\uFEFF${toCsv(columns, [])}`;
+                for await (const row of rows) {
+                    yield toCsvRow(columns, row);
+                }
+            }
+
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.attachment(`${sheet}-${stamp}.csv`);
+            await pipeline(Readable.from(csvChunks()), res);
+        } catch (error) {
+            if (!res.headersSent) {
+                res.status(500).json({ error: error.message });
+            } else {
+                console.error('Export failed:', error.message);
+                res.destroy(error);
+            }
+        }
+    }
+
     static async getInvoiceById(req, res) {
         try {
             const { id } = req.params;
-            const invoice = await Invoice.findById(id);
+            const invoice = await Invoice.findOne({ _id: id, workspaceId: req.workspace._id });
 
             if (!invoice) {
                 return res.status(404).json({ error: 'Invoice not found' });
             }
 
+            // Fields reviewers should double-check
+            const minConfidence = req.query.minConfidence ? parseFloat(req.query.minConfidence) : CONFIDENCE_THRESHOLD;
+            const lowConfidenceFields = (invoice.fieldProvenance || [])
+                .filter(entry => entry.confidence < minConfidence)
+                .map(entry => entry.field);
+
+            // Credit notes issued against this invoice
+            const creditNotes = await Invoice.find({ workspaceId: req.workspace._id, linkedInvoiceId: invoice._id })
+                .select('fileName extractedData.invoiceNumber extractedData.invoiceDate extractedData.totalAmount status')
+                .sort({ 'extractedData.invoiceDate': 1 });
+
+            // Payment status from the receipts of the same platform and account
+            let payment = null;
+            if (invoice.documentType === 'invoice') {
+                const { invoices } = await reconcilePayments({
+                    workspaceId: invoice.workspaceId,
+                    platform: invoice.platform,
+                    accountId: invoice.extractedData?.accountId
+                });
+                const row = invoices.find(entry => String(entry.invoiceId) === String(invoice._id));
+                payment = row && {
+                    paymentStatus: row.paymentStatus,
+                    amountDue: row.amountDue,
+                    amountPaid: row.amountPaid,
+                    balance: row.balance,
+                    payments: row.payments
+                };
+            }
+
             res.json({
                 invoice: {
                     ...invoice.toObject(),
-                    pdfUrl: invoice.filePath ? `${req.protocol}://${req.get('host')}/uploads/${path.basename(invoice.filePath)}` : null
+                    pdfUrl: PdfController.getPdfUrl(`${req.protocol}://${req.get('host')}`, invoice)
+                },
+                creditNotes,
+                payment,
+                lowConfidenceFields
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Who is making a change: the signed-in user's email
+    static getActor(req) {
+        return req.user.email;
+    }
+
+    static async updateInvoice(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { id } = req.params;
+            const { changes, note } = req.body;
+            const invoice = await Invoice.findOne({ _id: id, workspaceId: req.workspace._id });
+
+            if (!invoice) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+
+            if (invoice.status === 'processing' || invoice.status === 'failed') {
+                return res.status(409).json({ error: `Cannot edit an invoice with status ${invoice.status}` });
+            }
+
+            const { errors: fieldErrors, validated } = validateCorrections(invoice, changes);
+            if (fieldErrors.length > 0) {
+                return res.status(400).json({ error: 'Validation error', details: fieldErrors });
+            }
+
+            // Keep the pre-edit data in history for invoices that have no revisions yet
+            await ensureBaselineRevision(invoice);
+
+            const actor = InvoiceController.getActor(req);
+            const applied = applyCorrections(invoice, validated, {
+                changedBy: actor,
+                note
+            });
+
+            // Re-check the corrected data; edits that break it send the invoice to review
+            invoice.validation = runValidation(invoice.extractedData, invoice.platform);
+            const reviewReasons = getReviewReasons(invoice.extractedData, invoice.fieldProvenance, invoice.validation, invoice.platformDetection, invoice.documentType);
+            invoice.set('review.reasons', reviewReasons);
+            if (invoice.status === 'completed' && reviewReasons.length > 0) {
+                invoice.status = 'needs_review';
+            }
+
+            await invoice.save();
+            const revision = await recordRevision(invoice, 'manual_edit', { createdBy: actor, note });
+            await linkCreditNotes(invoice);
+
+            res.json({
+                message: `Updated ${applied.length} field(s)`,
+                version: revision.version,
+                changes: applied,
+                invoice: invoice.toObject()
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async getReconciliation(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { platform, accountId, startDate, endDate, paymentStatus } = req.query;
+            const report = await buildReconciliationReport({
+                workspaceId: req.workspace._id,
+                platform: platform && platform !== 'all' ? platform : undefined,
+                accountId,
+                startDate,
+                endDate,
+                paymentStatus
+            });
+
+            res.json(report);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Input tax credit register for one month (GSTR-2B layout), CSV or JSON
+    static async getItcReport(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { period, format = 'json', platform, excludeInconsistent } = req.query;
+            const { startDate, endDate } = periodRange(period);
+
+            // Same documents as the spend totals, limited to the period
+            const matchStage = InvoiceController.buildAnalyticsMatch({ platform, startDate, endDate, excludeInconsistent }, req.workspace._id);
+            matchStage.status = { $in: ITC_STATUSES };
+
+            const documents = await Invoice.aggregate([
+                { $match: matchStage },
+                {
+                    $project: {
+                        platform: 1,
+                        documentType: 1,
+                        status: 1,
+                        'platformDetection.signals': 1,
+                        'validation.passed': 1,
+                        'extractedData.invoiceNumber': 1,
+                        'extractedData.originalInvoiceNumber': 1,
+                        'extractedData.invoiceDate': 1,
+                        'extractedData.subtotal': 1,
+                        'extractedData.taxAmount': 1,
+                        'extractedData.totalAmount': 1,
+                        'extractedData.gst': 1
+                    }
+                }
+            ]);
+
+            const rows = buildItcRows(documents);
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.attachment(`itc-register-${period}.csv`);
+                // BOM so spreadsheet apps read the rupee signs in the headers as UTF-8
+                return res.send(`\uFEFF${itcRowsToCsv(rows)}`);
+            }
+
+            res.json({
+                period,
+                startDate,
+                endDate,
+                summary: summarizeItcRows(rows),
+                rows
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async getReviewQueue(req, res) {
+        try {
+            const { platform, page = 1, limit = 20 } = req.query;
+
+            const filter = { workspaceId: req.workspace._id, status: 'needs_review' };
+            if (platform && platform !== 'all') filter.platform = platform;
+
+            const skip = (page - 1) * limit;
+
+            const [invoices, total] = await Promise.all([
+                Invoice.find(filter)
+                    .sort({ processedAt: 1 })
+                    .skip(skip)
+                    .limit(parseInt(limit))
+                    .select('-rawText'),
+                Invoice.countDocuments(filter)
+            ]);
+
+            res.json({
+                invoices: invoices.map(inv => ({
+                    ...inv.toObject(),
+                    pdfUrl: PdfController.getPdfUrl(`${req.protocol}://${req.get('host')}`, inv)
+                })),
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / limit),
+                    totalInvoices: total
                 }
             });
         } catch (error) {
@@ -115,18 +435,256 @@ class InvoiceController {
         }
     }
 
+    static async approveInvoice(req, res) {
+        try {
+            const { id } = req.params;
+            const { notes } = req.body;
+            const invoice = await Invoice.findOne({ _id: id, workspaceId: req.workspace._id });
+
+            if (!invoice) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+
+            if (!['needs_review', 'rejected'].includes(invoice.status)) {
+                return res.status(409).json({ error: `Cannot approve an invoice with status ${invoice.status}` });
+            }
+
+            invoice.status = 'completed';
+            invoice.set('review.decision', 'approved');
+            invoice.set('review.reviewedBy', InvoiceController.getActor(req));
+            invoice.set('review.reviewedAt', new Date());
+            invoice.set('review.notes', notes);
+            await invoice.save();
+
+            res.json({ message: 'Invoice approved', invoice: invoice.toObject() });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async rejectInvoice(req, res) {
+        try {
+            const { id } = req.params;
+            const { notes } = req.body;
+            const invoice = await Invoice.findOne({ _id: id, workspaceId: req.workspace._id });
+
+            if (!invoice) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+
+            if (!['needs_review', 'completed'].includes(invoice.status)) {
+                return res.status(409).json({ error: `Cannot reject an invoice with status ${invoice.status}` });
+            }
+
+            invoice.status = 'rejected';
+            invoice.set('review.decision', 'rejected');
+            invoice.set('review.reviewedBy', InvoiceController.getActor(req));
+            invoice.set('review.reviewedAt', new Date());
+            invoice.set('review.notes', notes);
+            await invoice.save();
+
+            res.json({ message: 'Invoice rejected', invoice: invoice.toObject() });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async getInvoiceValidation(req, res) {
+        try {
+            const { id } = req.params;
+            const invoice = await Invoice.findOne({ _id: id, workspaceId: req.workspace._id }).select('fileName platform validation');
+
+            if (!invoice) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+
+            res.json({
+                invoiceId: invoice._id,
+                fileName: invoice.fileName,
+                validation: invoice.validation || null
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Re-run the arithmetic checks (e.g. for invoices imported before they existed)
+    static async revalidateInvoices(req, res) {
+        try {
+            const { platform, onlyMissing } = req.body;
+
+            const filter = { workspaceId: req.workspace._id, status: { $in: ['completed', 'needs_review'] } };
+            if (platform && platform !== 'all') filter.platform = platform;
+            if (onlyMissing) filter['validation.checkedAt'] = { $exists: false };
+
+            let checked = 0;
+            let inconsistent = 0;
+
+            const cursor = Invoice.find(filter).select('platform extractedData').cursor();
+            for await (const invoice of cursor) {
+                const validation = runValidation(invoice.extractedData, invoice.platform);
+                await Invoice.updateOne({ _id: invoice._id }, { $set: { validation } });
+                checked++;
+                if (!validation.passed) inconsistent++;
+            }
+
+            res.json({
+                message: `Validated ${checked} invoices`,
+                checked,
+                inconsistent
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async reprocessInvoice(req, res) {
+        try {
+            const { id } = req.params;
+            const { source = 'auto' } = req.body;
+
+            if (!TEXT_SOURCES.includes(source)) {
+                return res.status(400).json({ error: `Invalid source. Valid options: ${TEXT_SOURCES.join(', ')}` });
+            }
+
+            const result = await reprocessInvoice(id, {
+                workspaceId: req.workspace._id,
+                source,
+                createdBy: InvoiceController.getActor(req)
+            });
+            if (!result) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+
+            res.json({
+                message: `Reprocessed ${result.fileName}: ${result.changes.length} field(s) changed`,
+                ...result
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Set the platform by hand and re-run extraction with that platform's prompt
+    static async overridePlatform(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { id } = req.params;
+            const { platform, source = 'auto', note } = req.body;
+
+            if (!TEXT_SOURCES.includes(source)) {
+                return res.status(400).json({ error: `Invalid source. Valid options: ${TEXT_SOURCES.join(', ')}` });
+            }
+
+            const result = await reprocessInvoice(id, {
+                workspaceId: req.workspace._id,
+                source,
+                platform,
+                createdBy: InvoiceController.getActor(req),
+                note: note || `Platform set to ${platform}`
+            });
+            if (!result) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+
+            res.json({
+                message: `Platform of ${result.fileName} set to ${platform}: ${result.changes.length} field(s) changed`,
+                ...result
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async bulkReprocessInvoices(req, res) {
+        try {
+            const { platform, startDate, endDate, status, source = 'auto', dryRun } = req.body;
+
+            if (!platform && !startDate && !endDate && !status) {
+                return res.status(400).json({ error: 'At least one of platform, startDate, endDate or status is required' });
+            }
+
+            if (!TEXT_SOURCES.includes(source)) {
+                return res.status(400).json({ error: `Invalid source. Valid options: ${TEXT_SOURCES.join(', ')}` });
+            }
+
+            // Build filter
+            const filter = { workspaceId: req.workspace._id, status: { $ne: 'processing' } };
+            if (platform && platform !== 'all') filter.platform = platform;
+            if (status) filter.status = status;
+            if (startDate || endDate) {
+                filter['extractedData.invoiceDate'] = {};
+                if (startDate) filter['extractedData.invoiceDate'].$gte = new Date(startDate);
+                if (endDate) filter['extractedData.invoiceDate'].$lte = new Date(endDate);
+            }
+
+            const invoices = await Invoice.find(filter).select('fileName').sort({ processedAt: 1 });
+
+            if (dryRun) {
+                return res.json({
+                    dryRun: true,
+                    count: invoices.length,
+                    invoices: invoices.map(inv => ({ invoiceId: inv._id, fileName: inv.fileName }))
+                });
+            }
+
+            if (invoices.length === 0) {
+                return res.json({ message: 'No invoices found for the specified criteria', queued: 0 });
+            }
+
+            const jobQueue = req.app.get('jobQueue');
+            const batchId = `reprocess_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const jobs = await jobQueue.enqueue('reprocess_invoice', batchId, invoices.map(inv => ({
+                workspaceId: req.workspace._id,
+                fileName: inv.fileName,
+                invoiceId: inv._id,
+                options: { source, requestedBy: InvoiceController.getActor(req) }
+            })));
+
+            res.status(202).json({
+                message: `Queued ${jobs.length} invoices for reprocessing`,
+                batchId,
+                queued: jobs.length,
+                statusUrl: `${req.protocol}://${req.get('host')}/api/jobs/batch/${batchId}`
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Job queue handler for bulk reprocessing; the diff ends up in job.result
+    static async processReprocessJob(job) {
+        const result = await reprocessInvoice(job.invoiceId, {
+            workspaceId: job.workspaceId,
+            source: job.options?.source || 'auto',
+            createdBy: job.options?.requestedBy
+        });
+
+        if (!result) {
+            const error = new Error('Invoice no longer exists');
+            error.retryable = false;
+            throw error;
+        }
+
+        return { status: 'completed', invoiceId: result.invoiceId, result };
+    }
+
     static async getInvoicesByPlatform(req, res) {
         try {
             const { platform } = req.params;
             const { page = 1, limit = 20 } = req.query;
 
-            const validPlatforms = ['google_ads', 'meta_ads', 'facebook_ads', 'instagram_ads', 'other'];
-            if (!validPlatforms.includes(platform)) {
+            if (!isPlatform(platform)) {
                 return res.status(400).json({ error: 'Invalid platform' });
             }
 
             const skip = (page - 1) * limit;
-            const total = await Invoice.countDocuments({ platform });
+            const filter = { workspaceId: req.workspace._id, platform };
+            const total = await Invoice.countDocuments(filter);
 
             // Stream response
             res.writeHead(200, {
@@ -145,7 +703,7 @@ class InvoiceController {
 
             let first = true;
 
-            const cursor = Invoice.find({ platform })
+            const cursor = Invoice.find(filter)
                 .sort({ processedAt: -1 })
                 .skip(skip)
                 .limit(parseInt(limit))
@@ -157,9 +715,7 @@ class InvoiceController {
                 first = false;
                 
                 const inv = doc.toObject();
-                inv.pdfUrl = inv.filePath
-                    ? `${req.protocol}://${req.get('host')}/uploads/${path.basename(inv.filePath)}`
-                    : null;
+                inv.pdfUrl = PdfController.getPdfUrl(`${req.protocol}://${req.get('host')}`, inv);
                 
                 res.write(JSON.stringify(inv));
             });
@@ -177,74 +733,152 @@ class InvoiceController {
         }
     }
 
-    static async getAnalytics(req, res) {
-        try {
-            const { platform, startDate, endDate } = req.query;
+    // Shared $match for analytics and totals: invoices and credit notes only,
+    // receipts and statements repeat amounts that are already counted.
+    // excludeInconsistent=true drops invoices that failed the arithmetic checks.
+    // workspaceId must be an ObjectId: aggregation $match does not cast.
+    static buildAnalyticsMatch(query, workspaceId) {
+        const { platform, startDate, endDate, excludeInconsistent } = query;
+
+        const matchStage = { workspaceId, documentType: { $nin: ['receipt', 'statement'] } };
+        if (platform && platform !== 'all') matchStage.platform = platform;
+        if (startDate || endDate) {
+            matchStage['extractedData.invoiceDate'] = {};
+            if (startDate) matchStage['extractedData.invoiceDate'].$gte = new Date(startDate);
+            if (endDate) matchStage['extractedData.invoiceDate'].$lte = new Date(endDate);
+        }
+        if (excludeInconsistent === 'true') {
+            matchStage['validation.passed'] = { $ne: false };
+        }
+        return matchStage;
+    }
 
-            const matchStage = {};
-            if (platform && platform !== 'all') matchStage.platform = platform;
-            if (startDate || endDate) {
-                matchStage['extractedData.invoiceDate'] = {};
-                if (startDate) matchStage['extractedData.invoiceDate'].$gte = new Date(startDate);
-                if (endDate) matchStage['extractedData.invoiceDate'].$lte = new Date(endDate);
-            }
+    // Credit notes are stored with positive amounts and subtracted here
+    static netAmount(field) {
+        return { $cond: [{ $eq: ["$documentType", "credit_note"] }, { $multiply: [-1, field] }, field] };
+    }
 
-            const analytics = await Invoice.aggregate([
-                { $match: matchStage },
-                { $unwind: { path: "$extractedData.campaigns", preserveNullAndEmptyArrays: true } },
-                {
-                    $group: {
-                        _id: "$platform",
-                        totalInvoices: { $sum: 1 },
-                        totalAmount: { $sum: "$extractedData.totalAmount" },
-                        subtotal: { $sum: "$extractedData.subtotal" },
-
-                        totalClicks: { $sum: "$extractedData.campaigns.clicks" },
-                        avgCPC: { $avg: "$extractedData.campaigns.cpc" },
-
-                        totalImpressions: { $sum: "$extractedData.campaigns.impressions" },
-                        avgCPM: {
-                            $avg: {
-                                $cond: [
-                                    { $gt: ["$extractedData.campaigns.impressions", 0] },
-                                    {
-                                        $multiply: [
-                                            { $divide: ["$extractedData.campaigns.amount", "$extractedData.campaigns.impressions"] },
-                                            1000
+    // Value for invoices, null (ignored by $sum / $avg) for credit notes
+    static invoiceValue(field) {
+        return { $cond: [{ $eq: ["$documentType", "credit_note"] }, null, field] };
+    }
+
+    static creditValue(field) {
+        return { $cond: [{ $eq: ["$documentType", "credit_note"] }, field, null] };
+    }
+
+    // Per-platform analytics and overall totals, shared with the spend report
+    // One row per platform from the per-document sums and the campaign-line
+    // metrics of computeAnalytics, highest spend first
+    static mergePlatformAnalytics(documents, campaigns) {
+        const metricsByPlatform = new Map(campaigns.map(row => [row._id, row]));
+
+        return documents
+            .map(row => {
+                const { totalClicks = 0, avgCPC = null, totalImpressions = 0, avgCPM = null } = metricsByPlatform.get(row._id) || {};
+                return {
+                    ...row,
+                    totalClicks,
+                    avgCPC,
+                    totalImpressions,
+                    avgCPM,
+                    // Click-through rate needs both clicks and impressions (LinkedIn, Microsoft)
+                    avgCTR: totalImpressions > 0 ? (totalClicks / totalImpressions) * 100 : null
+                };
+            })
+            .sort((a, b) => b.totalAmount - a.totalAmount);
+    }
+
+    static async computeAnalytics(query, workspaceId) {
+        const matchStage = InvoiceController.buildAnalyticsMatch(query, workspaceId);
+
+        // Money is summed per document and delivery metrics per campaign line,
+        // so a document with several campaign lines is counted once
+        const [{ documents, campaigns }] = await Invoice.aggregate([
+            { $match: matchStage },
+            {
+                $facet: {
+                    documents: [
+                        {
+                            $group: {
+                                _id: "$platform",
+                                totalInvoices: { $sum: InvoiceController.invoiceValue(1) },
+                                creditNotes: { $sum: InvoiceController.creditValue(1) },
+                                totalAmount: { $sum: InvoiceController.netAmount("$extractedData.totalAmount") },
+                                subtotal: { $sum: InvoiceController.netAmount("$extractedData.subtotal") },
+                                totalCredits: { $sum: InvoiceController.creditValue("$extractedData.totalAmount") }
+                            }
+                        }
+                    ],
+                    campaigns: [
+                        { $unwind: { path: "$extractedData.campaigns", preserveNullAndEmptyArrays: true } },
+                        {
+                            $group: {
+                                _id: "$platform",
+
+                                // Delivery metrics come from invoices; credit notes only move money
+                                totalClicks: { $sum: InvoiceController.invoiceValue("$extractedData.campaigns.clicks") },
+                                avgCPC: { $avg: InvoiceController.invoiceValue("$extractedData.campaigns.cpc") },
+
+                                totalImpressions: { $sum: InvoiceController.invoiceValue("$extractedData.campaigns.impressions") },
+                                avgCPM: {
+                                    $avg: {
+                                        $cond: [
+                                            { $and: [{ $ne: ["$documentType", "credit_note"] }, { $gt: ["$extractedData.campaigns.impressions", 0] }] },
+                                            {
+                                                $multiply: [
+                                                    { $divide: ["$extractedData.campaigns.amount", "$extractedData.campaigns.impressions"] },
+                                                    1000
+                                                ]
+                                            },
+                                            null
                                         ]
-                                    },
-                                    null
-                                ]
+                                    }
+                                }
                             }
                         }
-                    }
-                },
-                { $sort: { totalAmount: -1 } }
-            ]);
-
-            // Calculate overall totals
-            const overallTotals = await Invoice.aggregate([
-                { $match: matchStage },
-                {
-                    $group: {
-                        _id: null,
-                        totalSpent: { $sum: "$extractedData.totalAmount" },
-                        totalSubtotal: { $sum: "$extractedData.subtotal" },
-                        totalTax: { $sum: "$extractedData.taxAmount" },
-                        totalInvoices: { $sum: 1 }
+                    ]
+                }
+            }
+        ]);
+        const analytics = InvoiceController.mergePlatformAnalytics(documents, campaigns);
+
+        // Calculate overall totals
+        const overallTotals = await Invoice.aggregate([
+            { $match: matchStage },
+            {
+                $group: {
+                    _id: null,
+                    totalSpent: { $sum: InvoiceController.netAmount("$extractedData.totalAmount") },
+                    totalSubtotal: { $sum: InvoiceController.netAmount("$extractedData.subtotal") },
+                    totalTax: { $sum: InvoiceController.netAmount("$extractedData.taxAmount") },
+                    totalCredits: { $sum: InvoiceController.creditValue("$extractedData.totalAmount") },
+                    totalInvoices: { $sum: InvoiceController.invoiceValue(1) },
+                    creditNotes: { $sum: InvoiceController.creditValue(1) },
+                    inconsistentInvoices: {
+                        $sum: { $cond: [{ $eq: ["$validation.passed", false] }, 1, 0] }
                     }
                 }
-            ]);
+            }
+        ]);
+
+        return {
+            analytics,
+            overallTotals: overallTotals[0] || {
+                totalSpent: 0,
+                totalSubtotal: 0,
+                totalTax: 0,
+                totalCredits: 0,
+                totalInvoices: 0,
+                creditNotes: 0,
+                inconsistentInvoices: 0
+            }
+        };
+    }
 
-            res.json({ 
-                analytics,
-                overallTotals: overallTotals[0] || {
-                    totalSpent: 0,
-                    totalSubtotal: 0,
-                    totalTax: 0,
-                    totalInvoices: 0
-                }
-            });
+    static async getAnalytics(req, res) {
+        try {
+            res.json(await InvoiceController.computeAnalytics(req.query, req.workspace._id));
         } catch (error) {
             res.status(500).json({ error: error.message });
         }
@@ -253,19 +887,19 @@ class InvoiceController {
     static async deleteInvoice(req, res) {
         try {
             const { id } = req.params;
-            const invoice = await Invoice.findById(id);
+            const invoice = await Invoice.findOne({ _id: id, workspaceId: req.workspace._id });
 
             if (!invoice) {
                 return res.status(404).json({ error: 'Invoice not found' });
             }
 
-            // Delete the physical file if it exists
-            if (invoice.filePath && fs.existsSync(invoice.filePath)) {
-                fs.unlinkSync(invoice.filePath);
-            }
+            // Delete the physical file unless invoices split from the same PDF still use it
+            await PdfController.deleteFileIfUnused(invoice.filePath, [invoice._id]);
 
             // Delete from database
             await Invoice.findByIdAndDelete(id);
+            await InvoiceRevision.deleteMany({ invoiceId: id });
+            await unlinkCreditNotes([invoice._id]);
 
             res.json({ message: 'Invoice deleted successfully' });
         } catch (error) {
@@ -333,6 +967,7 @@ class InvoiceController {
 
             // Build filter
             const filter = {
+                workspaceId: req.workspace._id,
                 processedAt: {
                     $gte: startDate,
                     $lte: endDate
@@ -341,8 +976,7 @@ class InvoiceController {
 
             // Add platform filter if specified
             if (platform && platform !== 'all') {
-                const validPlatforms = ['google_ads', 'meta_ads', 'facebook_ads', 'instagram_ads', 'other'];
-                if (!validPlatforms.includes(platform)) {
+                if (!isPlatform(platform)) {
                     return res.status(400).json({ error: 'Invalid platform' });
                 }
                 filter.platform = platform;
@@ -444,6 +1078,7 @@ class InvoiceController {
 
             // Build filter
             const filter = {
+                workspaceId: req.workspace._id,
                 processedAt: {
                     $gte: startDate,
                     $lte: endDate
@@ -452,8 +1087,7 @@ class InvoiceController {
 
             // Add platform filter if specified
             if (platform && platform !== 'all') {
-                const validPlatforms = ['google_ads', 'meta_ads', 'facebook_ads', 'instagram_ads', 'other'];
-                if (!validPlatforms.includes(platform)) {
+                if (!isPlatform(platform)) {
                     return res.status(400).json({ error: 'Invalid platform' });
                 }
                 filter.platform = platform;
@@ -478,10 +1112,10 @@ class InvoiceController {
             let deletedFiles = 0;
             let failedFiles = 0;
 
+            const deletedIds = invoicesToDelete.map(inv => inv._id);
             for (const invoice of invoicesToDelete) {
                 try {
-                    if (invoice.filePath && fs.existsSync(invoice.filePath)) {
-                        fs.unlinkSync(invoice.filePath);
+                    if (await PdfController.deleteFileIfUnused(invoice.filePath, deletedIds)) {
                         deletedFiles++;
                     }
                 } catch (error) {
@@ -492,6 +1126,8 @@ class InvoiceController {
 
             // Delete from database
             const deleteResult = await Invoice.deleteMany(filter);
+            await InvoiceRevision.deleteMany({ invoiceId: { $in: deletedIds } });
+            await unlinkCreditNotes(deletedIds);
 
             res.json({
                 message: `Successfully deleted ${deleteResult.deletedCount} invoices`,
@@ -512,41 +1148,43 @@ class InvoiceController {
         }
     }
 
-    static async getOverallTotals(req, res) {
-        try {
-            const { platform, startDate, endDate } = req.query;
-
-            const matchStage = {};
-            if (platform && platform !== 'all') matchStage.platform = platform;
-            if (startDate || endDate) {
-                matchStage['extractedData.invoiceDate'] = {};
-                if (startDate) matchStage['extractedData.invoiceDate'].$gte = new Date(startDate);
-                if (endDate) matchStage['extractedData.invoiceDate'].$lte = new Date(endDate);
-            }
-
-            const totals = await Invoice.aggregate([
-                { $match: matchStage },
-                {
-                    $group: {
-                        _id: null,
-                        totalSpent: { $sum: "$extractedData.totalAmount" },
-                        totalSubtotal: { $sum: "$extractedData.subtotal" },
-                        totalTax: { $sum: "$extractedData.taxAmount" },
-                        totalInvoices: { $sum: 1 },
-                        avgInvoiceAmount: { $avg: "$extractedData.totalAmount" }
+    static async computeOverallTotals(query, workspaceId) {
+        const matchStage = InvoiceController.buildAnalyticsMatch(query, workspaceId);
+
+        const totals = await Invoice.aggregate([
+            { $match: matchStage },
+            {
+                $group: {
+                    _id: null,
+                    totalSpent: { $sum: InvoiceController.netAmount("$extractedData.totalAmount") },
+                    totalSubtotal: { $sum: InvoiceController.netAmount("$extractedData.subtotal") },
+                    totalTax: { $sum: InvoiceController.netAmount("$extractedData.taxAmount") },
+                    totalCredits: { $sum: InvoiceController.creditValue("$extractedData.totalAmount") },
+                    totalInvoices: { $sum: InvoiceController.invoiceValue(1) },
+                    creditNotes: { $sum: InvoiceController.creditValue(1) },
+                    avgInvoiceAmount: { $avg: InvoiceController.invoiceValue("$extractedData.totalAmount") },
+                    inconsistentInvoices: {
+                        $sum: { $cond: [{ $eq: ["$validation.passed", false] }, 1, 0] }
                     }
                 }
-            ]);
+            }
+        ]);
+
+        return totals[0] || {
+            totalSpent: 0,
+            totalSubtotal: 0,
+            totalTax: 0,
+            totalCredits: 0,
+            totalInvoices: 0,
+            creditNotes: 0,
+            avgInvoiceAmount: 0,
+            inconsistentInvoices: 0
+        };
+    }
 
-            res.json({
-                totals: totals[0] || {
-                    totalSpent: 0,
-                    totalSubtotal: 0,
-                    totalTax: 0,
-                    totalInvoices: 0,
-                    avgInvoiceAmount: 0
-                }
-            });
+    static async getOverallTotals(req, res) {
+        try {
+            res.json({ totals: await InvoiceController.computeOverallTotals(req.query, req.workspace._id) });
         } catch (error) {
             res.status(500).json({ error: error.message });
         }
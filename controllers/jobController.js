@@ -0,0 +1,123 @@
+const fs = require('fs');
+const Job = require('../models/Job');
+const PdfController = require('./pdfController');
+const JobQueue = require('../services/jobQueue');
+
+class JobController {
+    static async getJobs(req, res) {
+        try {
+            const { batchId, status, page = 1, limit = 50 } = req.query;
+
+            // Build filter object
+            const filter = { workspaceId: req.workspace._id };
+            if (batchId) filter.batchId = batchId;
+            if (status && status !== 'all') filter.status = status;
+
+            const skip = (page - 1) * limit;
+
+            const [jobs, total] = await Promise.all([
+                Job.find(filter)
+                    .sort({ createdAt: -1 })
+                    .skip(skip)
+                    .limit(parseInt(limit)),
+                Job.countDocuments(filter)
+            ]);
+
+            res.json({
+                jobs,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / limit),
+                    totalJobs: total
+                }
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async getBatch(req, res) {
+        try {
+            const { batchId } = req.params;
+
+            const jobs = await Job.find({ batchId, workspaceId: req.workspace._id }).sort({ createdAt: 1 });
+            if (jobs.length === 0) {
+                return res.status(404).json({ error: 'Upload batch not found' });
+            }
+
+            const summary = await JobQueue.getBatchSummary(batchId);
+            const pending = jobs.filter(job => !JobQueue.TERMINAL_STATUSES.includes(job.status)).length;
+
+            res.json({
+                ...summary,
+                isComplete: pending === 0,
+                jobs
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async getJobById(req, res) {
+        try {
+            const { id } = req.params;
+            const job = await Job.findOne({ _id: id, workspaceId: req.workspace._id });
+
+            if (!job) {
+                return res.status(404).json({ error: 'Job not found' });
+            }
+
+            res.json({ job });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async retryJob(req, res) {
+        try {
+            const { id } = req.params;
+            const failedJob = await Job.findOne({ _id: id, workspaceId: req.workspace._id, status: 'failed' });
+
+            if (!failedJob) {
+                return res.status(400).json({ error: 'Only failed jobs can be retried' });
+            }
+
+            const isUpload = failedJob.type === 'process_pdf';
+
+            if (isUpload && !fs.existsSync(failedJob.filePath)) {
+                return res.status(410).json({ error: 'Source file for this job is no longer available' });
+            }
+
+            // Remove the failed attempt's invoices (every segment of a split
+            // PDF) so the retry isn't flagged as a duplicate
+            if (isUpload) {
+                await PdfController.removeJobInvoices(failedJob);
+            }
+
+            const job = await Job.findOneAndUpdate(
+                { _id: id, status: 'failed' },
+                {
+                    $set: { status: 'queued', attempts: 0, runAt: new Date() },
+                    $unset: { completedAt: 1, lastError: 1, ...(isUpload && { invoiceId: 1 }) }
+                },
+                { new: true }
+            );
+
+            if (!job) {
+                return res.status(409).json({ error: 'Job was modified while retrying' });
+            }
+
+            const jobQueue = req.app.get('jobQueue');
+            if (jobQueue) {
+                jobQueue.finishedBatches.delete(job.batchId);
+                jobQueue.tick();
+            }
+
+            res.json({ message: 'Job requeued', job });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = JobController;
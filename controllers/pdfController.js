@@ -4,19 +4,27 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Readable } = require('stream');
 const unzipper = require('unzipper');
 const Invoice = require('../models/Invoice');
+const InvoiceRevision = require('../models/InvoiceRevision');
+const Job = require('../models/Job');
+const UploadSession = require('../models/UploadSession');
 const PdfProcessor = require('../services/pdfProcessor');
-
-// Configure multer for file uploads
+const JobQueue = require('../services/jobQueue');
+const { isPlatform } = require('../services/platforms');
+const { extractPageRange } = require('../services/invoiceSplitter');
+const { unlinkCreditNotes } = require('../services/creditNotes');
+const { workspaceUploadDir, resolveFilePath, calculateFileHash } = require('../services/workspaces');
+const { userRoom, uploadRoom } = require('../services/socketRooms');
+const { publishUploadEvent } = require('../services/uploadSessions');
+const { acquire: acquireResumableUpload, release: releaseResumableUpload } = require('../services/resumableUploads');
+
+// Configure multer for file uploads; each workspace has its own folder
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '..', 'uploads');
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
+        cb(null, workspaceUploadDir(req.workspace._id));
     },
     filename: (req, file, cb) => {
         const uniqueName = Math.floor(Math.random() * 10000) + '-' + file.originalname;
@@ -47,94 +55,44 @@ const upload = multer({
 class PdfController {
     static uploadMiddleware = upload.array('pdfs', 200);
 
-    // Helper function to resolve file path correctly in production
-    static resolveFilePath(filePath) {
-        if (!filePath) return null;
-        
-        // If it's already an absolute path, check if it exists
-        if (path.isAbsolute(filePath)) {
-            if (fs.existsSync(filePath)) {
-                return filePath;
-            }
-        }
-        
-        // Try to resolve relative to uploads directory
-        const uploadsDir = path.join(__dirname, '..', 'uploads');
-        const fileName = path.basename(filePath);
-        const resolvedPath = path.join(uploadsDir, fileName);
-        
-        if (fs.existsSync(resolvedPath)) {
-            return resolvedPath;
-        }
-        
-        // If still not found, try to find by filename in uploads directory
-        try {
-            const files = fs.readdirSync(uploadsDir);
-            const matchingFile = files.find(file => file.includes(fileName.replace(/\.[^/.]+$/, "")));
-            if (matchingFile) {
-                return path.join(uploadsDir, matchingFile);
-            }
-        } catch (error) {
-            console.error('Error searching for file:', error);
-        }
-        
-        // If the filePath contains a production server path, try to extract just the filename
-        // and look for it in the local uploads directory
-        if (filePath.includes('/var/www/') || filePath.includes('MULTI-PDF-READER-BACKEND')) {
-            const extractedFileName = path.basename(filePath);
-            const localPath = path.join(uploadsDir, extractedFileName);
-            
-            if (fs.existsSync(localPath)) {
-                return localPath;
-            }
-            
-            // Try to find a file that contains the extracted filename (without extension)
-            try {
-                const files = fs.readdirSync(uploadsDir);
-                const baseNameWithoutExt = extractedFileName.replace(/\.[^/.]+$/, "");
-                const matchingFile = files.find(file => {
-                    const fileBaseName = file.replace(/\.[^/.]+$/, "");
-                    return fileBaseName.includes(baseNameWithoutExt) || baseNameWithoutExt.includes(fileBaseName);
-                });
-                
-                if (matchingFile) {
-                    return path.join(uploadsDir, matchingFile);
-                }
-            } catch (error) {
-                console.error('Error searching for file with extracted name:', error);
-            }
-        }
-        
-        return null;
-    }
+    // Delete a stored PDF unless an invoice outside exceptIds still uses it
+    // (invoices split from one bundled PDF share the file). Returns true when
+    // the file was removed.
+    static async deleteFileIfUnused(filePath, exceptIds = []) {
+        if (!filePath || !fs.existsSync(filePath)) return false;
 
-    // Helper function to calculate file hash
-    static async calculateFileHash(filePath) {
-        return new Promise((resolve, reject) => {
-            const hash = crypto.createHash('md5');
-            const stream = fs.createReadStream(filePath);
+        const stillUsed = await Invoice.exists({ filePath, _id: { $nin: exceptIds } });
+        if (stillUsed) return false;
 
-            stream.on('data', (data) => {
-                hash.update(data);
-            });
+        fs.unlinkSync(filePath);
+        return true;
+    }
 
-            stream.on('end', () => {
-                resolve(hash.digest('hex'));
-            });
+    // Link to an invoice's PDF. It goes through the view endpoint, which needs
+    // a credential header and serves a split invoice's own pages only; stored
+    // files are never public.
+    static getPdfUrl(baseUrl, invoice) {
+        if (!invoice.filePath) return null;
+        const workspace = invoice.workspaceId ? `?workspace=${invoice.workspaceId}` : '';
+        return `${baseUrl}/api/pdf/view/${encodeURIComponent(invoice.fileName)}${workspace}`;
+    }
 
-            stream.on('error', (error) => {
-                reject(error);
-            });
-        });
+    // PDF to serve for an invoice: only its own pages when it was split from a
+    // bundled PDF. Returns { buffer } for a page range or { path } for the whole file.
+    static async getInvoicePdf(invoice, resolvedFilePath) {
+        if (invoice.pageRange?.start) {
+            return { buffer: await extractPageRange(resolvedFilePath, invoice.pageRange) };
+        }
+        return { path: resolvedFilePath };
     }
 
-    // Helper function to check for duplicates
-    static async checkForDuplicates(filePath, originalName) {
+    // Helper function to check for duplicates within a workspace
+    static async checkForDuplicates(filePath, originalName, workspaceId) {
         try {
-            const fileHash = await this.calculateFileHash(filePath);
+            const fileHash = await calculateFileHash(filePath);
 
             // Check by file hash first (most accurate)
-            const existingByHash = await Invoice.findOne({ fileHash });
+            const existingByHash = await Invoice.findOne({ workspaceId, fileHash });
             if (existingByHash) {
                 return {
                     isDuplicate: true,
@@ -145,7 +103,7 @@ class PdfController {
             }
 
             // Check by exact filename match (case-sensitive)
-            const existingByExactName = await Invoice.findOne({ fileName: originalName });
+            const existingByExactName = await Invoice.findOne({ workspaceId, fileName: originalName });
             if (existingByExactName) {
                 return {
                     isDuplicate: true,
@@ -158,6 +116,7 @@ class PdfController {
             // Check by filename without extension
             const nameWithoutExt = originalName.replace(/\.[^/.]+$/, "");
             const existingByNameWithoutExt = await Invoice.findOne({
+                workspaceId,
                 fileName: { $regex: new RegExp(`^${nameWithoutExt}\\.[^/.]+$`, 'i') }
             });
             if (existingByNameWithoutExt) {
@@ -171,6 +130,7 @@ class PdfController {
 
             // Check by case-insensitive filename
             const existingByName = await Invoice.findOne({
+                workspaceId,
                 fileName: { $regex: new RegExp(`^${originalName}$`, 'i') }
             });
             if (existingByName) {
@@ -227,88 +187,93 @@ class PdfController {
         }
     }
 
+    static createUploadId() {
+        return `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     static async uploadPdfs(req, res) {
+        const uploadId = PdfController.createUploadId();
+
         try {
             const files = req.files;
             if (!files || files.length === 0) {
                 return res.status(400).json({ error: 'No files uploaded' });
             }
 
-            const results = [];
-            const processor = new PdfProcessor();
-            const batchSize = 15; // Increased for even faster processing
-            const duplicates = [];
-            const processedFiles = [];
-            let allFiles = [];
-            let totalFiles = 0;
-            let processedCount = 0;
-            let isUploadCancelled = false;
-            let isUploadPaused = false;
+            await UploadSession.create({
+                uploadId,
+                workspaceId: req.workspace._id,
+                createdBy: req.user._id,
+                uploadedFiles: files.length
+            });
+        } catch (error) {
+            console.error('Error uploading PDFs:', error);
+            return res.status(500).json({ error: error.message });
+        }
 
-            // Get WebSocket instance
-            const io = req.app.get('io');
-            const uploadId = `upload_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-            // Store upload state globally for pause/resume functionality
-            global.uploadStates = global.uploadStates || {};
-            global.uploadStates[uploadId] = {
-                isPaused: false,
-                isCancelled: false,
-                processedCount: 0,
-                totalFiles: 0
-            };
+        await PdfController.queueUploadedFiles(req, res, uploadId, req.files);
+    }
 
-            // Send initial upload start notification
+    // Extract ZIP archives, queue one job per PDF and answer 202. Shared by
+    // multipart uploads and finished resumable uploads; the upload's session
+    // must exist.
+    static async queueUploadedFiles(req, res, uploadId, files) {
+        try {
+            const errors = [];
+            const allFiles = [];
+
+            // Get WebSocket instance and background job queue. Events go to
+            // the upload's room: the uploader's sockets join it now, other
+            // members of the workspace with a "subscribe" message. Every event
+            // is also stored on the upload's session for replay.
+            const io = req.app.get('io');
+            const jobQueue = req.app.get('jobQueue');
             if (io) {
-                io.emit('upload:start', {
-                    uploadId,
-                    totalFiles: files.length,
-                    message: 'Starting file processing...'
-                });
+                io.in(userRoom(req.user._id)).socketsJoin(uploadRoom(uploadId));
             }
 
+            // Send initial upload start notification
+            await publishUploadEvent(io, uploadId, 'upload:start', {
+                uploadId,
+                totalFiles: files.length,
+                message: 'Starting file processing...'
+            });
+
             // Process ZIP files first to extract PDFs
             for (const file of files) {
-                if (global.uploadStates[uploadId]?.isCancelled) break;
-
                 const fileExtension = path.extname(file.originalname).toLowerCase();
-                const isZipFile = fileExtension === '.zip' || 
-                                file.mimetype === 'application/zip' || 
+                const isZipFile = fileExtension === '.zip' ||
+                                file.mimetype === 'application/zip' ||
                                 file.mimetype === 'application/x-zip-compressed' ||
                                 file.mimetype === 'application/x-zip' ||
                                 (file.mimetype === 'application/octet-stream' && fileExtension === '.zip');
-                
+
                 if (isZipFile) {
                     try {
                         // Send ZIP processing notification
-                        if (io) {
-                            io.emit('upload:progress', {
-                                uploadId,
-                                fileName: file.originalname,
-                                status: 'processing_zip',
-                                message: `Extracting PDFs from ${file.originalname}...`
-                            });
-                        }
+                        await publishUploadEvent(io, uploadId, 'upload:progress', {
+                            uploadId,
+                            fileName: file.originalname,
+                            status: 'processing_zip',
+                            message: `Extracting PDFs from ${file.originalname}...`
+                        });
 
                         const extractedPdfs = await PdfController.extractPdfsFromZip(file.path);
                         allFiles.push(...extractedPdfs.map(pdf => ({
                             path: pdf.path,
                             originalname: pdf.originalName,
                             size: pdf.size,
-                            mimetype: 'application/pdf',
-                            isTemporary: true // Mark as temporary until successful processing
+                            mimetype: 'application/pdf'
                         })));
 
                         // Send ZIP processing completion
-                        if (io) {
-                            io.emit('upload:progress', {
-                                uploadId,
-                                fileName: file.originalname,
-                                status: 'zip_extracted',
-                                message: `Extracted ${extractedPdfs.length} PDFs from ${file.originalname}`,
-                                extractedCount: extractedPdfs.length
-                            });
-                        }
+                        await publishUploadEvent(io, uploadId, 'upload:progress', {
+                            uploadId,
+                            fileName: file.originalname,
+                            status: 'zip_extracted',
+                            message: `Extracted ${extractedPdfs.length} PDFs from ${file.originalname}`,
+                            extractedCount: extractedPdfs.length
+                        });
 
                         // Clean up the original ZIP file
                         if (fs.existsSync(file.path)) {
@@ -316,7 +281,7 @@ class PdfController {
                         }
                     } catch (error) {
                         console.error('Error processing ZIP file:', error);
-                        
+
                         // Clean up the ZIP file if extraction failed
                         if (fs.existsSync(file.path)) {
                             try {
@@ -326,295 +291,323 @@ class PdfController {
                                 console.error(`Error cleaning up ZIP file ${file.path}:`, cleanupError);
                             }
                         }
-                        
-                        results.push({
+
+                        errors.push({
                             fileName: file.originalname,
                             status: 'error',
                             error: `Failed to extract ZIP file: ${error.message}`
                         });
 
-                        // Send ZIP processing error
-                        if (io) {
-                            io.emit('upload:progress', {
-                                uploadId,
-                                fileName: file.originalname,
-                                status: 'error',
-                                message: `Failed to extract ZIP: ${error.message}`
-                            });
-                        }
+                        // Send ZIP processing error; the ZIP is listed among the upload's files
+                        await publishUploadEvent(io, uploadId, 'upload:progress', {
+                            uploadId,
+                            fileName: file.originalname,
+                            status: 'error',
+                            message: `Failed to extract ZIP: ${error.message}`
+                        }, {
+                            file: errors[errors.length - 1]
+                        });
                     }
                 } else {
-                    allFiles.push({
-                        ...file,
-                        isTemporary: true // Mark as temporary until successful processing
-                    });
+                    allFiles.push(file);
                 }
             }
 
-            totalFiles = allFiles.length;
-            global.uploadStates[uploadId].totalFiles = totalFiles;
-
             if (allFiles.length === 0) {
-                return res.status(400).json({ error: 'No PDF files found in uploaded files' });
-            }
-
-            // Send total files count
-            if (io) {
-                io.emit('upload:progress', {
-                    uploadId,
-                    status: 'total_count',
-                    totalFiles,
-                    message: `Found ${totalFiles} PDF files to process`
+                await UploadSession.updateOne({ uploadId }, {
+                    $set: { status: 'failed', error: 'No PDF files found in uploaded files', completedAt: new Date() }
                 });
+                return res.status(400).json({ error: 'No PDF files found in uploaded files', uploadId, errors });
             }
 
-            for (let i = 0; i < allFiles.length && !global.uploadStates[uploadId]?.isCancelled; i += batchSize) {
-                // Check for pause state
-                while (global.uploadStates[uploadId]?.isPaused && !global.uploadStates[uploadId]?.isCancelled) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
-                }
-
-                if (global.uploadStates[uploadId]?.isCancelled) break;
-
-                const batch = allFiles.slice(i, i + batchSize);
-
-                const batchPromises = batch.map(async (file) => {
-                    try {
-                        // Check for pause/cancel before processing each file
-                        if (global.uploadStates[uploadId]?.isCancelled) {
-                            throw new Error('Upload cancelled');
-                        }
-
-                        while (global.uploadStates[uploadId]?.isPaused && !global.uploadStates[uploadId]?.isCancelled) {
-                            await new Promise(resolve => setTimeout(resolve, 100));
-                        }
-
-                        if (global.uploadStates[uploadId]?.isCancelled) {
-                            throw new Error('Upload cancelled');
-                        }
-
-                        // Send file processing start notification
-                        if (io) {
-                            io.emit('upload:progress', {
-                                uploadId,
-                                fileName: file.originalname,
-                                status: 'processing',
-                                message: `Processing ${file.originalname}...`,
-                                progress: Math.round((processedCount / totalFiles) * 100)
-                            });
-                        }
+            // One durable job per PDF; the worker loop picks them up from
+            // MongoDB. The job ids are chosen here so the session lists the
+            // files before the first one is picked up.
+            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            const payloads = allFiles.map(file => ({
+                _id: new mongoose.Types.ObjectId(),
+                workspaceId: req.workspace._id,
+                fileName: file.originalname,
+                filePath: file.path,
+                fileSize: file.size,
+                baseUrl
+            }));
+
+            await UploadSession.updateOne({ uploadId }, {
+                $set: { status: 'processing', totalFiles: payloads.length },
+                $push: { files: { $each: payloads.map(payload => ({ jobId: payload._id, fileName: payload.fileName })) } }
+            });
 
-                        // Check for duplicates
-                        const duplicateCheck = await PdfController.checkForDuplicates(file.path, file.originalname);
+            const jobs = await jobQueue.enqueue('process_pdf', uploadId, payloads);
 
-                        if (duplicateCheck.isDuplicate) {
-                            // Clean up temporary file
-                            if (fs.existsSync(file.path)) {
-                                fs.unlinkSync(file.path);
-                            }
-                            
-                            processedCount++;
-                            global.uploadStates[uploadId].processedCount = processedCount;
-                            
-                            // Send duplicate detection notification
-                            if (io) {
-                                io.emit('upload:progress', {
-                                    uploadId,
-                                    fileName: file.originalname,
-                                    status: 'duplicate',
-                                    message: `Duplicate detected: ${duplicateCheck.reason}`,
-                                    reason: duplicateCheck.reason,
-                                    progress: Math.round((processedCount / totalFiles) * 100)
-                                });
-                            }
+            // Send total files count
+            await publishUploadEvent(io, uploadId, 'upload:progress', {
+                uploadId,
+                status: 'total_count',
+                totalFiles: jobs.length,
+                message: `Queued ${jobs.length} PDF files for processing`
+            });
 
-                            return {
-                                fileName: file.originalname,
-                                status: 'duplicate',
-                                reason: duplicateCheck.reason,
-                                existingFile: duplicateCheck.existingFile
-                            };
-                        }
+            res.status(202).json({
+                uploadId,
+                message: `Queued ${jobs.length} files for processing`,
+                totalFiles: jobs.length,
+                statusUrl: `${baseUrl}/api/jobs/batch/${uploadId}`,
+                uploadUrl: `${baseUrl}/api/pdf/uploads/${uploadId}`,
+                jobs: jobs.map(job => ({
+                    jobId: job._id,
+                    fileName: job.fileName,
+                    status: job.status
+                })),
+                errors
+            });
 
-                        // Process the PDF
-                        const fileHash = await PdfController.calculateFileHash(file.path);
-                        const result = await processor.processPdf(file);
+        } catch (error) {
+            console.error('Error uploading PDFs:', error);
 
-                        // Only move file to uploads folder after successful processing
-                        const uploadsDir = path.join(__dirname, '..', 'uploads');
-                        const finalFileName = `${Math.floor(Math.random() * 10000)}-${file.originalname}`;
-                        const finalPath = path.join(uploadsDir, finalFileName);
+            // Send error notification
+            await publishUploadEvent(req.app.get('io'), uploadId, 'upload:error', {
+                uploadId,
+                message: `Upload failed: ${error.message}`,
+                error: error.message
+            }, {
+                session: { status: 'failed', error: error.message, completedAt: new Date() }
+            });
 
-                        // Ensure uploads directory exists
-                        if (!fs.existsSync(uploadsDir)) {
-                            fs.mkdirSync(uploadsDir, { recursive: true });
-                        }
+            res.status(500).json({ error: error.message });
+        }
+    }
 
-                        // Move file from temporary location to uploads folder
-                        fs.renameSync(file.path, finalPath);
+    // Helper to publish a per-file progress event with the batch completion
+    // percentage and record the file's outcome on the upload session
+    static async emitJobProgress(io, job, payload) {
+        const summary = await JobQueue.getBatchSummary(job.batchId);
+        const done = JobQueue.TERMINAL_STATUSES.reduce((sum, status) => sum + (summary[status] || 0), 0);
+        const progress = summary.totalFiles ? Math.round((done / summary.totalFiles) * 100) : 0;
+        const { result } = payload;
+
+        await publishUploadEvent(io, job.batchId, 'upload:progress', {
+            uploadId: job.batchId,
+            jobId: job._id,
+            fileName: job.fileName,
+            attempt: job.attempts,
+            progress,
+            ...payload
+        }, {
+            session: { summary, progress },
+            jobId: job._id,
+            file: {
+                status: payload.status,
+                message: payload.message,
+                error: payload.error || null,
+                attempts: job.attempts,
+                ...(payload.reason && { reason: payload.reason }),
+                ...(payload.existingInvoiceId && { existingInvoiceId: payload.existingInvoiceId }),
+                ...(result && {
+                    invoiceIds: result.segments ? result.segments.map(segment => segment.invoiceId) : [result.invoiceId],
+                    pdfUrl: result.pdfUrl
+                })
+            }
+        });
+    }
 
-                        await Invoice.updateOne(
-                            { fileName: file.originalname },
-                            {
-                                $set: {
-                                    filePath: finalPath,
-                                    fileHash: fileHash
-                                }
-                            }
-                        );
+    // Job queue handler: process a single queued PDF
+    static async processUploadJob(job, io) {
+        const file = {
+            path: job.filePath,
+            originalname: job.fileName,
+            size: job.fileSize,
+            mimetype: 'application/pdf'
+        };
+
+        if (!fs.existsSync(file.path)) {
+            const error = new Error('Uploaded file is no longer available on disk');
+            error.retryable = false;
+            throw error;
+        }
 
-                        processedFiles.push({
-                            fileName: file.originalname,
-                            filePath: finalPath,
-                            fileHash: fileHash
-                        });
+        // Send file processing start notification
+        await PdfController.emitJobProgress(io, job, {
+            status: 'processing',
+            message: `Processing ${file.originalname}...`
+        });
 
-                        processedCount++;
-                        global.uploadStates[uploadId].processedCount = processedCount;
-
-                        // Send successful processing notification
-                        if (io) {
-                            io.emit('upload:progress', {
-                                uploadId,
-                                fileName: file.originalname,
-                                status: 'completed',
-                                message: `Successfully processed ${file.originalname}`,
-                                progress: Math.round((processedCount / totalFiles) * 100),
-                                result: {
-                                    ...result,
-                                    pdfUrl: `${req.protocol}://${req.get('host')}/uploads/${finalFileName}`
-                                }
-                            });
-                        }
+        // Check for duplicates
+        const duplicateCheck = await PdfController.checkForDuplicates(file.path, file.originalname, job.workspaceId);
 
-                        return {
-                            ...result,
-                            pdfUrl: `${req.protocol}://${req.get('host')}/uploads/${finalFileName}`
-                        };
-                    } catch (error) {
-                        // Clean up the temporary file if it exists
-                        if (fs.existsSync(file.path)) {
-                            try {
-                                fs.unlinkSync(file.path);
-                                console.log(`Cleaned up failed file: ${file.path}`);
-                            } catch (cleanupError) {
-                                console.error(`Error cleaning up file ${file.path}:`, cleanupError);
-                            }
-                        }
-                        
-                        processedCount++;
-                        global.uploadStates[uploadId].processedCount = processedCount;
-
-                        // Send error notification
-                        if (io) {
-                            io.emit('upload:progress', {
-                                uploadId,
-                                fileName: file.originalname,
-                                status: 'error',
-                                message: `Failed to process ${file.originalname}: ${error.message}`,
-                                error: error.message,
-                                progress: Math.round((processedCount / totalFiles) * 100)
-                            });
-                        }
+        if (duplicateCheck.isDuplicate) {
+            // Clean up temporary file
+            if (fs.existsSync(file.path)) {
+                fs.unlinkSync(file.path);
+            }
 
-                        throw error;
-                    }
-                });
+            const result = {
+                fileName: file.originalname,
+                status: 'duplicate',
+                reason: duplicateCheck.reason,
+                existingInvoiceId: duplicateCheck.existingFile?._id
+            };
 
-                const batchResults = await Promise.allSettled(batchPromises);
+            // Send duplicate detection notification
+            await PdfController.emitJobProgress(io, job, {
+                status: 'duplicate',
+                message: `Duplicate detected: ${duplicateCheck.reason}`,
+                reason: duplicateCheck.reason,
+                existingInvoiceId: duplicateCheck.existingFile?._id
+            });
 
-                // Process batch results
-                batchResults.forEach(r => {
-                    if (r.status === "fulfilled") {
-                        if (r.value.status === 'duplicate') {
-                            duplicates.push(r.value);
-                        } else if (r.value?.extractedData) {
-                            let data = r.value.extractedData;
+            return { status: 'duplicate', result };
+        }
 
-                            // Post-process extracted data
-                            if (!data.subtotal && data.totalAmount && data.taxAmount) {
-                                data.subtotal = parseFloat((data.totalAmount - data.taxAmount).toFixed(2));
-                            }
+        // Process the PDF
+        const fileHash = await calculateFileHash(file.path);
+        const processor = new PdfProcessor();
+        const result = await processor.processPdf(file, { workspaceId: job.workspaceId, jobId: job._id });
+
+        // Only move file to the workspace's uploads folder after successful processing
+        const uploadsDir = workspaceUploadDir(job.workspaceId);
+        const finalFileName = `${Math.floor(Math.random() * 10000)}-${file.originalname}`;
+        const finalPath = path.join(uploadsDir, finalFileName);
+
+        // Move file from temporary location to uploads folder
+        fs.renameSync(file.path, finalPath);
+
+        // Invoices split from one PDF all point at the same file
+        const invoiceIds = result.segments
+            ? result.segments.map(segment => segment.invoiceId)
+            : [result.invoiceId];
+        await Invoice.updateMany(
+            { _id: { $in: invoiceIds } },
+            {
+                $set: {
+                    filePath: finalPath,
+                    fileHash: fileHash
+                }
+            }
+        );
+
+        const pdfUrlFor = (entry) => PdfController.getPdfUrl(job.baseUrl, { ...entry, filePath: finalPath, workspaceId: job.workspaceId });
+        const jobResult = {
+            ...result,
+            pdfUrl: pdfUrlFor(result),
+            ...(result.segments && {
+                segments: result.segments.map(segment => ({ ...segment, pdfUrl: pdfUrlFor(segment) }))
+            })
+        };
+
+        // Send successful processing notification
+        await PdfController.emitJobProgress(io, job, {
+            status: 'completed',
+            message: `Successfully processed ${file.originalname}`,
+            result: jobResult
+        });
 
-                            if (!data.totalAmount && data.subtotal && data.taxAmount) {
-                                data.totalAmount = parseFloat((data.subtotal + data.taxAmount).toFixed(2));
-                            }
+        return { status: 'completed', invoiceId: result.invoiceId, result: jobResult };
+    }
 
-                            if ((!data.subtotal || data.subtotal === 0) && Array.isArray(data.campaigns) && data.campaigns.length > 0) {
-                                data.subtotal = data.campaigns.reduce((sum, c) => sum + (c.amount || 0), 0);
-                            }
+    // Job queue failure hook: tidy up after a failed attempt
+    static async handleJobFailure(job, error, willRetry, io) {
+        if (willRetry) {
+            // Drop the invoices of the failed attempt (every segment of a split
+            // PDF) so the retry isn't flagged as a duplicate
+            await PdfController.removeJobInvoices(job);
+
+            await PdfController.emitJobProgress(io, job, {
+                status: 'retrying',
+                message: `Retrying ${job.fileName} after error: ${error.message}`,
+                error: error.message
+            });
+            return;
+        }
 
-                            r.value.extractedData = data;
-                        }
-                    }
-                });
+        // Send error notification (the temporary file is kept so the job can be retried)
+        await PdfController.emitJobProgress(io, job, {
+            status: 'error',
+            message: `Failed to process ${job.fileName}: ${error.message}`,
+            error: error.message
+        });
+    }
 
-                results.push(...batchResults);
+    // Delete the invoices an upload job created, with their revisions and
+    // credit note links. The job's file is left for the next attempt. Jobs
+    // from before invoices were tagged with their job only know job.invoiceId.
+    static async removeJobInvoices(job) {
+        const filter = job.invoiceId
+            ? { $or: [{ jobId: job._id }, { _id: job.invoiceId }] }
+            : { jobId: job._id };
+        const invoices = await Invoice.find(filter).select('_id');
+        const invoiceIds = invoices.map(invoice => invoice._id);
+        if (invoiceIds.length === 0) return 0;
+
+        await Invoice.deleteMany({ _id: { $in: invoiceIds } });
+        await InvoiceRevision.deleteMany({ invoiceId: { $in: invoiceIds } });
+        await unlinkCreditNotes(invoiceIds);
+        return invoiceIds.length;
+    }
 
-                // Add minimal delay between batches to prevent overwhelming the system
-                if (i + batchSize < allFiles.length && !global.uploadStates[uploadId]?.isCancelled) {
-                    await new Promise(resolve => setTimeout(resolve, 100)); // Further reduced delay
-                }
+    // Job queue hook: every job of an upload reached a terminal state
+    static async handleBatchComplete(batchId, summary, io) {
+        const successful = summary.completed || 0;
+        const failed = summary.failed || 0;
+        const duplicates = summary.duplicate || 0;
+
+        await publishUploadEvent(io, batchId, 'upload:complete', {
+            uploadId: batchId,
+            successful,
+            failed,
+            duplicates,
+            cancelled: summary.cancelled || 0,
+            totalFiles: summary.totalFiles,
+            message: `Upload completed: ${successful} successful, ${failed} failed, ${duplicates} duplicates`
+        }, {
+            session: {
+                status: summary.cancelled ? 'cancelled' : 'completed',
+                summary,
+                progress: 100,
+                completedAt: new Date()
             }
+        });
+    }
 
-            const successful = results.filter(r => r.status === 'fulfilled' && r.value.status !== 'duplicate').length;
-            const failed = results.filter(r => r.status === 'rejected').length;
-            const duplicateCount = duplicates.length;
-
-            // Clean up upload state
-            delete global.uploadStates[uploadId];
+    // Upload session of the workspace with its per-file outcomes and the
+    // current job counts; the events themselves are replayed over the socket
+    static async getUpload(req, res) {
+        try {
+            const { uploadId } = req.params;
+            const session = await UploadSession.findOne({ uploadId, workspaceId: req.workspace._id })
+                .select('-events -transfer.path')
+                .lean();
 
-            // Send final completion notification
-            if (io) {
-                io.emit('upload:complete', {
-                    uploadId,
-                    successful,
-                    failed,
-                    duplicates: duplicateCount,
-                    totalFiles,
-                    message: `Upload completed: ${successful} successful, ${failed} failed, ${duplicateCount} duplicates`
-                });
+            if (!session) {
+                return res.status(404).json({ error: 'Upload not found' });
             }
 
             res.json({
-                uploadId,
-                message: `Processed ${totalFiles} files`,
-                successful,
-                failed,
-                duplicates: duplicateCount,
-                duplicateFiles: duplicates,
-                results: results.map(r =>
-                    r.status === 'fulfilled'
-                        ? r.value
-                        : { error: r.reason.message }
-                )
+                upload: {
+                    ...session,
+                    summary: session.totalFiles ? await JobQueue.getBatchSummary(uploadId) : session.summary
+                }
             });
-
         } catch (error) {
-            console.error('Error uploading PDFs:', error);
-            
-            // Clean up upload state on error
-            if (global.uploadStates && global.uploadStates[uploadId]) {
-                delete global.uploadStates[uploadId];
-            }
-            
-            // Send error notification
-            const io = req.app.get('io');
-            if (io) {
-                io.emit('upload:error', {
-                    message: `Upload failed: ${error.message}`,
-                    error: error.message
-                });
-            }
-            
             res.status(500).json({ error: error.message });
         }
     }
 
+    // Sets the status of some of an upload session's files (cancel, pause, resume)
+    static async setUploadFileStatus(uploadId, jobIds, status) {
+        if (jobIds.length === 0) return;
+
+        await UploadSession.updateOne(
+            { uploadId },
+            { $set: { 'files.$[file].status': status, 'files.$[file].updatedAt': new Date() } },
+            { arrayFilters: [{ 'file.jobId': { $in: jobIds } }] }
+        );
+    }
+
     static async getProcessingStatus(req, res) {
         try {
             const { fileName } = req.params;
-            const invoice = await Invoice.findOne({ fileName });
+            const invoice = await Invoice.findOne({ fileName, workspaceId: req.workspace._id });
 
             if (!invoice) {
                 return res.status(404).json({ error: 'Invoice not found' });
@@ -625,9 +618,7 @@ class PdfController {
                 status: invoice.status,
                 platform: invoice.platform,
                 extractedData: invoice.extractedData,
-                pdfUrl: invoice.filePath
-                    ? `${req.protocol}://${req.get('host')}/uploads/${path.basename(invoice.filePath)}`
-                    : null,
+                pdfUrl: PdfController.getPdfUrl(`${req.protocol}://${req.get('host')}`, invoice),
                 errorMessage: invoice.errorMessage
             });
         } catch (error) {
@@ -641,19 +632,27 @@ class PdfController {
             const { fileName } = req.params;
             
             // Find the invoice by fileName (this is the original filename without prefix)
-            const invoice = await Invoice.findOne({ fileName });
+            const invoice = await Invoice.findOne({ fileName, workspaceId: req.workspace._id });
             
             if (!invoice || !invoice.filePath) {
                 return res.status(404).json({ error: 'PDF file not found' });
             }
 
             const filePath = invoice.filePath;
-            const resolvedFilePath = PdfController.resolveFilePath(filePath);
+            const resolvedFilePath = resolveFilePath(filePath);
 
             if (!resolvedFilePath) {
                 return res.status(404).json({ error: 'PDF file not found on server' });
             }
 
+            // Split invoices download only their own pages
+            const pdf = await PdfController.getInvoicePdf(invoice, resolvedFilePath);
+            if (pdf.buffer) {
+                res.attachment(invoice.fileName);
+                res.type('application/pdf');
+                return res.send(pdf.buffer);
+            }
+
             // Download the file using the actual filePath from database
             res.download(resolvedFilePath, invoice.fileName);
         } catch (error) {
@@ -668,14 +667,14 @@ class PdfController {
             const { fileName } = req.params;
             
             // Find the invoice by fileName (this is the original filename without prefix)
-            const invoice = await Invoice.findOne({ fileName });
+            const invoice = await Invoice.findOne({ fileName, workspaceId: req.workspace._id });
             
             if (!invoice) {
                 return res.status(404).json({ error: 'Invoice not found' });
             }
 
             const filePath = invoice.filePath;
-            const resolvedFilePath = PdfController.resolveFilePath(filePath);
+            const resolvedFilePath = resolveFilePath(filePath);
             let fileStats = null;
 
             if (resolvedFilePath && fs.existsSync(resolvedFilePath)) {
@@ -687,9 +686,7 @@ class PdfController {
                 filePath: invoice.filePath,
                 fileHash: invoice.fileHash,
                 fileSize: fileStats ? fileStats.size : null,
-                pdfUrl: invoice.filePath
-                    ? `${req.protocol}://${req.get('host')}/uploads/${path.basename(invoice.filePath)}`
-                    : null,
+                pdfUrl: PdfController.getPdfUrl(`${req.protocol}://${req.get('host')}`, invoice),
                 status: invoice.status,
                 platform: invoice.platform,
                 processedAt: invoice.processedAt
@@ -708,7 +705,7 @@ class PdfController {
             console.log(`View PDF request for fileName: ${fileName}`);
             
             // Find the invoice by fileName (this is the original filename without prefix)
-            const invoice = await Invoice.findOne({ fileName });
+            const invoice = await Invoice.findOne({ fileName, workspaceId: req.workspace._id });
             
             if (!invoice) {
                 console.log(`Invoice not found for fileName: ${fileName}`);
@@ -733,7 +730,7 @@ class PdfController {
                 });
             }
 
-            const resolvedFilePath = PdfController.resolveFilePath(filePath);
+            const resolvedFilePath = resolveFilePath(filePath);
 
             console.log(`Original filePath: ${filePath}`);
             console.log(`Resolved filePath: ${resolvedFilePath}`);
@@ -748,9 +745,12 @@ class PdfController {
                 return res.status(404).json({ error: 'PDF file does not exist on server' });
             }
 
-            // Get file stats
-            const stats = fs.statSync(resolvedFilePath);
-            const fileSize = stats.size;
+            // Invoices split from a bundled PDF only show their own pages
+            const pdf = await PdfController.getInvoicePdf(invoice, resolvedFilePath);
+            const fileSize = pdf.buffer ? pdf.buffer.length : fs.statSync(resolvedFilePath).size;
+            const openPdf = (start, end) => pdf.buffer
+                ? Readable.from([pdf.buffer.subarray(start, end + 1)])
+                : fs.createReadStream(resolvedFilePath, { start, end });
             const range = req.headers.range;
 
             console.log(`Serving PDF: ${resolvedFilePath}, size: ${fileSize} bytes`);
@@ -761,7 +761,7 @@ class PdfController {
                 const start = parseInt(parts[0], 10);
                 const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
                 const chunksize = (end - start) + 1;
-                const file = fs.createReadStream(resolvedFilePath, { start, end });
+                const file = openPdf(start, end);
                 
                 res.writeHead(206, {
                     'Content-Range': `bytes ${start}-${end}/${fileSize}`,
@@ -786,7 +786,7 @@ class PdfController {
                 res.setHeader('Access-Control-Allow-Headers', 'Range, Accept-Ranges, Content-Range');
 
                 // Stream the PDF file
-                const fileStream = fs.createReadStream(resolvedFilePath);
+                const fileStream = openPdf(0, fileSize - 1);
                 fileStream.on('error', (error) => {
                     console.error('Error streaming PDF file:', error);
                     if (!res.headersSent) {
@@ -809,29 +809,26 @@ class PdfController {
             const { platform } = req.params;
             const { page = 1, limit = 50 } = req.query;
 
-            const validPlatforms = ['google_ads', 'meta_ads', 'facebook_ads', 'instagram_ads', 'other'];
-            if (!validPlatforms.includes(platform)) {
+            if (!isPlatform(platform)) {
                 return res.status(400).json({ error: 'Invalid platform' });
             }
 
             const skip = (page - 1) * limit;
 
             const [invoices, total] = await Promise.all([
-                Invoice.find({ platform })
+                Invoice.find({ workspaceId: req.workspace._id, platform })
                     .sort({ processedAt: -1 })
                     .skip(skip)
                     .limit(parseInt(limit))
-                    .select('fileName filePath platform extractedData'),
-                Invoice.countDocuments({ platform })
+                    .select('workspaceId fileName filePath platform extractedData'),
+                Invoice.countDocuments({ workspaceId: req.workspace._id, platform })
             ]);
 
             res.json({
                 platform,
                 invoices: invoices.map(inv => ({
                     ...inv.toObject(),
-                    pdfUrl: inv.filePath
-                        ? `${req.protocol}://${req.get('host')}/uploads/${path.basename(inv.filePath)}`
-                        : null
+                    pdfUrl: PdfController.getPdfUrl(`${req.protocol}://${req.get('host')}`, inv)
                 })),
                 pagination: {
                     currentPage: parseInt(page),
@@ -850,14 +847,13 @@ class PdfController {
             const { platform } = req.params;
             const { format = 'zip' } = req.query;
 
-            const validPlatforms = ['google_ads', 'meta_ads', 'facebook_ads', 'instagram_ads', 'other'];
-            if (!validPlatforms.includes(platform)) {
+            if (!isPlatform(platform)) {
                 return res.status(400).json({ error: 'Invalid platform' });
             }
 
             // Get all PDFs for the platform
-            const invoices = await Invoice.find({ platform })
-                .select('fileName filePath')
+            const invoices = await Invoice.find({ workspaceId: req.workspace._id, platform })
+                .select('fileName filePath pageRange')
                 .sort({ processedAt: -1 });
 
             if (invoices.length === 0) {
@@ -865,7 +861,7 @@ class PdfController {
             }
 
             // Check if all files exist
-            const existingFiles = invoices.filter(inv => inv.filePath && PdfController.resolveFilePath(inv.filePath));
+            const existingFiles = invoices.filter(inv => inv.filePath && resolveFilePath(inv.filePath));
 
             if (existingFiles.length === 0) {
                 return res.status(404).json({ error: 'No PDF files found on server' });
@@ -904,21 +900,26 @@ class PdfController {
                 archive.pipe(res);
 
                 // Add each PDF to the archive
-                existingFiles.forEach(invoice => {
+                for (const invoice of existingFiles) {
                     try {
                         const fileName = invoice.fileName;
                         const filePath = invoice.filePath;
-                        const resolvedFilePath = PdfController.resolveFilePath(filePath);
+                        const resolvedFilePath = resolveFilePath(filePath);
                         
                         if (resolvedFilePath && fs.existsSync(resolvedFilePath)) {
-                            archive.file(resolvedFilePath, { name: fileName });
+                            const pdf = await PdfController.getInvoicePdf(invoice, resolvedFilePath);
+                            if (pdf.buffer) {
+                                archive.append(pdf.buffer, { name: fileName });
+                            } else {
+                                archive.file(resolvedFilePath, { name: fileName });
+                            }
                         } else {
                             console.warn(`File not found: ${filePath}`);
                         }
                     } catch (err) {
                         console.error(`Error adding file to archive: ${invoice.fileName}`, err);
                     }
-                });
+                }
 
                 // Finalize the archive
                 await archive.finalize();
@@ -948,7 +949,7 @@ class PdfController {
             const { fileName } = req.params;
             
             // Find the invoice by fileName
-            const invoice = await Invoice.findOne({ fileName });
+            const invoice = await Invoice.findOne({ fileName, workspaceId: req.workspace._id });
             
             if (!invoice) {
                 return res.status(404).json({ error: 'PDF file not found' });
@@ -956,11 +957,12 @@ class PdfController {
 
             const filePath = invoice.filePath;
 
-            // Delete file from filesystem if it exists
+            // Delete file from filesystem if no other invoice uses it
             if (filePath && fs.existsSync(filePath)) {
                 try {
-                    fs.unlinkSync(filePath);
-                    console.log(`Deleted file from filesystem: ${filePath}`);
+                    if (await PdfController.deleteFileIfUnused(filePath, [invoice._id])) {
+                        console.log(`Deleted file from filesystem: ${filePath}`);
+                    }
                 } catch (fsError) {
                     console.error('Error deleting file from filesystem:', fsError);
                     // Continue with database deletion even if file deletion fails
@@ -968,7 +970,9 @@ class PdfController {
             }
 
             // Delete from database
-            await Invoice.deleteOne({ fileName });
+            await Invoice.deleteOne({ _id: invoice._id });
+            await InvoiceRevision.deleteMany({ invoiceId: invoice._id });
+            await unlinkCreditNotes([invoice._id]);
 
             res.json({
                 message: `Successfully deleted ${fileName}`,
@@ -996,7 +1000,7 @@ class PdfController {
             for (const fileName of fileNames) {
                 try {
                     // Find the invoice
-                    const invoice = await Invoice.findOne({ fileName });
+                    const invoice = await Invoice.findOne({ fileName, workspaceId: req.workspace._id });
                     
                     if (!invoice) {
                         failedFiles.push({ fileName, reason: 'File not found in database' });
@@ -1005,11 +1009,12 @@ class PdfController {
 
                     const filePath = invoice.filePath;
 
-                    // Delete file from filesystem if it exists
+                    // Delete file from filesystem if no other invoice uses it
                     if (filePath && fs.existsSync(filePath)) {
                         try {
-                            fs.unlinkSync(filePath);
-                            console.log(`Deleted file from filesystem: ${filePath}`);
+                            if (await PdfController.deleteFileIfUnused(filePath, [invoice._id])) {
+                                console.log(`Deleted file from filesystem: ${filePath}`);
+                            }
                         } catch (fsError) {
                             console.error(`Error deleting file from filesystem: ${filePath}`, fsError);
                             // Continue with database deletion
@@ -1017,7 +1022,9 @@ class PdfController {
                     }
 
                     // Delete from database
-                    await Invoice.deleteOne({ fileName });
+                    await Invoice.deleteOne({ _id: invoice._id });
+                    await InvoiceRevision.deleteMany({ invoiceId: invoice._id });
+                    await unlinkCreditNotes([invoice._id]);
                     
                     deletedFiles.push(fileName);
                     results.push({ fileName, status: 'deleted' });
@@ -1049,17 +1056,17 @@ class PdfController {
             const { fileName } = req.params;
             
             // Find the invoice by fileName
-            const invoice = await Invoice.findOne({ fileName });
+            const invoice = await Invoice.findOne({ fileName, workspaceId: req.workspace._id });
             
             if (!invoice) {
                 return res.status(404).json({ error: 'Invoice not found' });
             }
 
             const filePath = invoice.filePath;
-            const resolvedFilePath = PdfController.resolveFilePath(filePath);
-            const uploadsDir = path.join(__dirname, '..', 'uploads');
+            const resolvedFilePath = resolveFilePath(filePath);
+            const uploadsDir = workspaceUploadDir(req.workspace._id);
             
-            // Get list of files in uploads directory
+            // Get list of files in the workspace's uploads directory
             let uploadsFiles = [];
             try {
                 uploadsFiles = fs.readdirSync(uploadsDir);
@@ -1089,24 +1096,63 @@ class PdfController {
     static async cancelUpload(req, res) {
         try {
             const { uploadId } = req.params;
-            
-            // Get WebSocket instance
+
+            // Get WebSocket instance and background job queue
             const io = req.app.get('io');
-            
-            if (global.uploadStates && global.uploadStates[uploadId]) {
-                global.uploadStates[uploadId].isCancelled = true;
-                
-                if (io) {
-                    io.emit('upload:cancelled', {
-                        uploadId,
-                        message: 'Upload cancelled by user'
-                    });
+            const jobQueue = req.app.get('jobQueue');
+
+            // A resumable upload still receiving chunks has no jobs yet
+            const receiving = await UploadSession.findOne({ uploadId, workspaceId: req.workspace._id, status: 'receiving' })
+                .select('transfer');
+            if (receiving) {
+                if (!acquireResumableUpload(uploadId)) {
+                    return res.status(409).json({ error: 'A chunk of this upload is being written; try again' });
                 }
+                try {
+                    await UploadSession.updateOne({ _id: receiving._id }, { $set: { status: 'cancelled', completedAt: new Date() } });
+                    await fs.promises.rm(receiving.transfer.path, { force: true });
+                } finally {
+                    releaseResumableUpload(uploadId);
+                }
+                return res.json({ message: 'Upload cancelled', uploadId, cancelledJobs: 0 });
+            }
+
+            // Jobs already being processed are allowed to finish
+            const filter = { batchId: uploadId, workspaceId: req.workspace._id, status: { $in: ['queued', 'paused'] } };
+            const pendingJobs = await Job.find(filter).select('filePath');
+            const update = await Job.updateMany(filter, {
+                $set: { status: 'cancelled', completedAt: new Date() }
+            });
+
+            // Remove the temporary files of cancelled jobs
+            pendingJobs.forEach(job => {
+                if (job.filePath && fs.existsSync(job.filePath)) {
+                    try {
+                        fs.unlinkSync(job.filePath);
+                    } catch (cleanupError) {
+                        console.error(`Error cleaning up file ${job.filePath}:`, cleanupError);
+                    }
+                }
+            });
+
+            await PdfController.setUploadFileStatus(uploadId, pendingJobs.map(job => job._id), 'cancelled');
+
+            if (update.modifiedCount > 0) {
+                await publishUploadEvent(io, uploadId, 'upload:cancelled', {
+                    uploadId,
+                    cancelledJobs: update.modifiedCount,
+                    message: 'Upload cancelled by user'
+                });
+            }
+
+            if (jobQueue) {
+                await jobQueue.checkBatch(uploadId);
             }
 
             res.json({
                 message: 'Upload cancellation requested',
-                uploadId
+                uploadId,
+                cancelledJobs: update.modifiedCount
             });
         } catch (error) {
             console.error('Cancel upload error:', error);
@@ -1118,24 +1164,30 @@ class PdfController {
     static async pauseUpload(req, res) {
         try {
             const { uploadId } = req.params;
-            
+
             // Get WebSocket instance
             const io = req.app.get('io');
-            
-            if (global.uploadStates && global.uploadStates[uploadId]) {
-                global.uploadStates[uploadId].isPaused = true;
-                
-                if (io) {
-                    io.emit('upload:paused', {
-                        uploadId,
-                        message: 'Upload paused by user'
-                    });
-                }
+
+            const filter = { batchId: uploadId, workspaceId: req.workspace._id, status: 'queued' };
+            const queuedJobs = await Job.find(filter).select('_id');
+            const update = await Job.updateMany(filter, { $set: { status: 'paused' } });
+
+            await PdfController.setUploadFileStatus(uploadId, queuedJobs.map(job => job._id), 'paused');
+
+            if (update.modifiedCount > 0) {
+                await publishUploadEvent(io, uploadId, 'upload:paused', {
+                    uploadId,
+                    pausedJobs: update.modifiedCount,
+                    message: 'Upload paused by user'
+                }, {
+                    session: { status: 'paused' }
+                });
             }
 
             res.json({
                 message: 'Upload pause requested',
-                uploadId
+                uploadId,
+                pausedJobs: update.modifiedCount
             });
         } catch (error) {
             console.error('Pause upload error:', error);
@@ -1147,24 +1199,36 @@ class PdfController {
     static async resumeUpload(req, res) {
         try {
             const { uploadId } = req.params;
-            
-            // Get WebSocket instance
+
+            // Get WebSocket instance and background job queue
             const io = req.app.get('io');
-            
-            if (global.uploadStates && global.uploadStates[uploadId]) {
-                global.uploadStates[uploadId].isPaused = false;
-                
-                if (io) {
-                    io.emit('upload:resumed', {
-                        uploadId,
-                        message: 'Upload resumed by user'
-                    });
-                }
+            const jobQueue = req.app.get('jobQueue');
+
+            const filter = { batchId: uploadId, workspaceId: req.workspace._id, status: 'paused' };
+            const pausedJobs = await Job.find(filter).select('_id');
+
+            // The files are marked queued before a worker can pick them up
+            await PdfController.setUploadFileStatus(uploadId, pausedJobs.map(job => job._id), 'queued');
+            const update = await Job.updateMany(filter, { $set: { status: 'queued', runAt: new Date() } });
+
+            if (jobQueue) {
+                jobQueue.tick();
+            }
+
+            if (update.modifiedCount > 0) {
+                await publishUploadEvent(io, uploadId, 'upload:resumed', {
+                    uploadId,
+                    resumedJobs: update.modifiedCount,
+                    message: 'Upload resumed by user'
+                }, {
+                    session: { status: 'processing' }
+                });
             }
 
             res.json({
                 message: 'Upload resume requested',
-                uploadId
+                uploadId,
+                resumedJobs: update.modifiedCount
             });
         } catch (error) {
             console.error('Resume upload error:', error);
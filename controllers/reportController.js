@@ -0,0 +1,91 @@
+const { validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const InvoiceController = require('./invoiceController');
+const PdfController = require('./pdfController');
+const { renderSpendReport } = require('../services/spendReport');
+
+const DEFAULT_TOP_CAMPAIGNS = 10;
+
+class ReportController {
+    // Campaign lines summed by platform and name, biggest spend first
+    static async computeTopCampaigns(query, workspaceId, limit = DEFAULT_TOP_CAMPAIGNS) {
+        const matchStage = InvoiceController.buildAnalyticsMatch(query, workspaceId);
+
+        return Invoice.aggregate([
+            { $match: matchStage },
+            { $unwind: "$extractedData.campaigns" },
+            {
+                $group: {
+                    _id: { platform: "$platform", campaignName: "$extractedData.campaigns.campaignName" },
+                    amount: { $sum: InvoiceController.netAmount("$extractedData.campaigns.amount") },
+                    clicks: { $sum: InvoiceController.invoiceValue("$extractedData.campaigns.clicks") },
+                    impressions: { $sum: InvoiceController.invoiceValue("$extractedData.campaigns.impressions") }
+                }
+            },
+            { $sort: { amount: -1 } },
+            { $limit: limit },
+            {
+                $project: {
+                    _id: 0,
+                    platform: "$_id.platform",
+                    campaignName: "$_id.campaignName",
+                    amount: 1,
+                    clicks: 1,
+                    impressions: 1
+                }
+            }
+        ]);
+    }
+
+    // PDF summary for a date range and platform: the numbers of
+    // /api/invoices/totals and /api/invoices/analytics/summary, top campaigns
+    // and the invoices they were computed from
+    static async getSpendReport(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { platform, startDate, endDate, topCampaigns = DEFAULT_TOP_CAMPAIGNS } = req.query;
+            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            const workspaceId = req.workspace._id;
+
+            const [totals, { analytics }, campaigns, invoices] = await Promise.all([
+                InvoiceController.computeOverallTotals(req.query, workspaceId),
+                InvoiceController.computeAnalytics(req.query, workspaceId),
+                ReportController.computeTopCampaigns(req.query, workspaceId, parseInt(topCampaigns)),
+                Invoice.find(InvoiceController.buildAnalyticsMatch(req.query, workspaceId))
+                    .select('workspaceId fileName filePath pageRange platform documentType extractedData.invoiceNumber '
+                        + 'extractedData.invoiceDate extractedData.totalAmount extractedData.currency')
+                    .sort({ 'extractedData.invoiceDate': 1, fileName: 1 })
+                    .lean()
+            ]);
+
+            const pdf = await renderSpendReport({
+                startDate,
+                endDate,
+                platform,
+                totals,
+                analytics,
+                topCampaigns: campaigns,
+                invoices: invoices.map(invoice => ({
+                    fileName: invoice.fileName,
+                    platform: invoice.platform,
+                    documentType: invoice.documentType,
+                    ...invoice.extractedData,
+                    pdfUrl: PdfController.getPdfUrl(baseUrl, invoice)
+                }))
+            });
+
+            const range = [startDate, endDate].map(date => (date ? date.slice(0, 10) : 'all')).join('_');
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename="spend-report-${range}.pdf"`);
+            res.send(Buffer.from(pdf));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = ReportController;
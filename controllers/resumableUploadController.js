@@ -0,0 +1,266 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { validationResult } = require('express-validator');
+const UploadSession = require('../models/UploadSession');
+const PdfController = require('./pdfController');
+const {
+    MAX_CHUNK_BYTES,
+    partFilePath,
+    sha256,
+    expiresAt,
+    mimeTypeFor,
+    writeChunk,
+    acquire,
+    release
+} = require('../services/resumableUploads');
+const { calculateFileHash } = require('../services/workspaces');
+
+const rawChunk = express.raw({ type: () => true, limit: MAX_CHUNK_BYTES });
+
+class ResumableUploadController {
+    // Middleware: the chunk as a Buffer in req.body
+    static chunkBody(req, res, next) {
+        rawChunk(req, res, (error) => {
+            if (!error) return next();
+            const message = error.type === 'entity.too.large'
+                ? `A chunk may be at most ${MAX_CHUNK_BYTES} bytes`
+                : error.message;
+            res.status(error.status || 400).json({ error: message });
+        });
+    }
+
+    // Resumable upload of the workspace, with its transfer
+    static async findTransfer(req) {
+        const session = await UploadSession.findOne({ uploadId: req.params.uploadId, workspaceId: req.workspace._id })
+            .select('uploadId status transfer');
+        return session?.transfer ? session : null;
+    }
+
+    static transferStatus(session) {
+        return {
+            uploadId: session.uploadId,
+            status: session.status,
+            offset: session.transfer.receivedBytes,
+            size: session.transfer.size,
+            expiresAt: session.transfer.expiresAt
+        };
+    }
+
+    static async createUpload(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { fileName, size } = req.body;
+            const uploadId = PdfController.createUploadId();
+            const filePath = partFilePath(req.workspace._id, uploadId);
+            await fs.promises.writeFile(filePath, '');
+
+            const session = await UploadSession.create({
+                uploadId,
+                workspaceId: req.workspace._id,
+                createdBy: req.user._id,
+                status: 'receiving',
+                uploadedFiles: 1,
+                transfer: {
+                    fileName: path.basename(fileName),
+                    size,
+                    sha256: req.body.sha256.toLowerCase(),
+                    path: filePath,
+                    expiresAt: expiresAt()
+                }
+            });
+
+            const uploadUrl = `${req.protocol}://${req.get('host')}/api/pdf/uploads/${uploadId}`;
+            res.status(201).json({
+                ...ResumableUploadController.transferStatus(session),
+                maxChunkSize: MAX_CHUNK_BYTES,
+                chunkUrl: `${uploadUrl}/chunks`,
+                completeUrl: `${uploadUrl}/complete`,
+                uploadUrl
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Where the next chunk starts, after a dropped connection
+    static async getOffset(req, res) {
+        try {
+            const session = await ResumableUploadController.findTransfer(req);
+            if (!session) {
+                return res.status(404).json({ error: 'Upload not found' });
+            }
+
+            res.json(ResumableUploadController.transferStatus(session));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // PUT ?offset=<bytes received so far> with the raw chunk and its
+    // X-Chunk-SHA256. Errors about the offset carry the offset to continue at.
+    static async putChunk(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { uploadId } = req.params;
+            const { offset } = req.query;
+            const session = await ResumableUploadController.findTransfer(req);
+            if (!session) {
+                return res.status(404).json({ error: 'Upload not found' });
+            }
+
+            const { transfer } = session;
+            if (session.status !== 'receiving') {
+                return res.status(409).json({ error: `Upload is ${session.status}` });
+            }
+            if (transfer.expiresAt <= new Date()) {
+                return res.status(410).json({ error: 'Upload session expired; start a new upload' });
+            }
+            if (offset !== transfer.receivedBytes) {
+                return res.status(409).json({ error: `Expected a chunk at offset ${transfer.receivedBytes}`, offset: transfer.receivedBytes });
+            }
+
+            const chunk = req.body;
+            if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+                return res.status(400).json({ error: 'Chunk is empty', offset });
+            }
+            if (offset + chunk.length > transfer.size) {
+                return res.status(400).json({ error: `Chunk goes past the declared size of ${transfer.size} bytes`, offset });
+            }
+            if (sha256(chunk) !== req.get('X-Chunk-SHA256').toLowerCase()) {
+                return res.status(400).json({ error: 'Chunk does not match its SHA-256 checksum; send it again', offset });
+            }
+
+            if (!acquire(uploadId)) {
+                return res.status(409).json({ error: 'Another chunk of this upload is being written', offset });
+            }
+
+            try {
+                await writeChunk(transfer.path, offset, chunk);
+                const updated = await UploadSession.findOneAndUpdate(
+                    { _id: session._id, status: 'receiving', 'transfer.receivedBytes': offset },
+                    {
+                        $set: { 'transfer.receivedBytes': offset + chunk.length, 'transfer.expiresAt': expiresAt() },
+                        $inc: { 'transfer.chunks': 1 }
+                    },
+                    { new: true }
+                );
+                if (!updated) {
+                    return res.status(409).json({ error: 'Upload changed while the chunk was written; query the offset' });
+                }
+
+                res.json({
+                    ...ResumableUploadController.transferStatus(updated),
+                    complete: updated.transfer.receivedBytes === updated.transfer.size
+                });
+            } finally {
+                release(uploadId);
+            }
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Checks the whole file against the SHA-256 given when the upload was
+    // created and hands it to the same ZIP/PDF processing as multipart
+    // uploads (202 with the queued jobs). A mismatch fails the upload.
+    static async completeUpload(req, res) {
+        const { uploadId } = req.params;
+        let file;
+
+        try {
+            const session = await ResumableUploadController.findTransfer(req);
+            if (!session) {
+                return res.status(404).json({ error: 'Upload not found' });
+            }
+
+            const { transfer } = session;
+            if (session.status !== 'receiving') {
+                return res.status(409).json({ error: `Upload is ${session.status}` });
+            }
+            if (transfer.expiresAt <= new Date()) {
+                return res.status(410).json({ error: 'Upload session expired; start a new upload' });
+            }
+            if (transfer.receivedBytes !== transfer.size) {
+                return res.status(409).json({
+                    error: `Received ${transfer.receivedBytes} of ${transfer.size} bytes`,
+                    offset: transfer.receivedBytes
+                });
+            }
+
+            if (!acquire(uploadId)) {
+                return res.status(409).json({ error: 'A chunk of this upload is still being written' });
+            }
+
+            try {
+                const checksum = await calculateFileHash(transfer.path, 'sha256');
+                if (checksum !== transfer.sha256) {
+                    const error = 'The file does not match its SHA-256 checksum';
+                    await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'failed', error, completedAt: new Date() } });
+                    await fs.promises.rm(transfer.path, { force: true });
+                    return res.status(400).json({ error: `${error}; start a new upload`, uploadId });
+                }
+
+                // Named like multipart uploads from here on
+                const finalPath = path.join(path.dirname(transfer.path), `${Math.floor(Math.random() * 10000)}-${transfer.fileName}`);
+                await fs.promises.rename(transfer.path, finalPath);
+                await UploadSession.updateOne({ _id: session._id }, {
+                    $set: { status: 'extracting' },
+                    $unset: { 'transfer.path': 1, 'transfer.expiresAt': 1 }
+                });
+
+                file = {
+                    path: finalPath,
+                    originalname: transfer.fileName,
+                    size: transfer.size,
+                    mimetype: mimeTypeFor(transfer.fileName)
+                };
+            } finally {
+                release(uploadId);
+            }
+        } catch (error) {
+            return res.status(500).json({ error: error.message });
+        }
+
+        await PdfController.queueUploadedFiles(req, res, uploadId, [file]);
+    }
+
+    // Removes resumable uploads that stopped receiving chunks, with their
+    // partial files. Runs at startup and every hour; an upload that cannot be
+    // removed is logged and tried again on the next run.
+    static async removeExpiredUploads() {
+        const expired = await UploadSession.find({ status: 'receiving', 'transfer.expiresAt': { $lte: new Date() } })
+            .select('uploadId transfer');
+
+        let removed = 0;
+        for (const session of expired) {
+            if (!acquire(session.uploadId)) continue;
+            try {
+                await fs.promises.rm(session.transfer.path, { force: true });
+                await UploadSession.updateOne(
+                    { _id: session._id, status: 'receiving' },
+                    { $set: { status: 'failed', error: 'Upload session expired', completedAt: new Date() } }
+                );
+                removed++;
+            } catch (error) {
+                console.error(`Failed to remove expired upload ${session.uploadId}:`, error.message);
+            } finally {
+                release(session.uploadId);
+            }
+        }
+
+        if (removed > 0) {
+            console.log(`Removed ${removed} expired resumable uploads`);
+        }
+    }
+}
+
+module.exports = ResumableUploadController;
@@ -0,0 +1,139 @@
+const Invoice = require('../models/Invoice');
+const InvoiceRevision = require('../models/InvoiceRevision');
+const { validationResult } = require('express-validator');
+const { ensureBaselineRevision, rollbackToRevision } = require('../services/invoiceRevisions');
+const { diffExtractedData } = require('../services/extractionDiff');
+const InvoiceController = require('./invoiceController');
+
+class RevisionController {
+    static async getRevisions(req, res) {
+        try {
+            const { id } = req.params;
+            const invoice = await Invoice.findOne({ _id: id, workspaceId: req.workspace._id }).select('fileName extractedData platform status extraction fieldProvenance');
+
+            if (!invoice) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+
+            // Invoices processed before history existed still get a version 1
+            await ensureBaselineRevision(invoice);
+
+            const revisions = await InvoiceRevision.find({ invoiceId: id })
+                .sort({ version: -1 })
+                .select('-extractedData -extraction -fieldProvenance');
+
+            res.json({
+                invoiceId: id,
+                fileName: invoice.fileName,
+                currentVersion: revisions.length > 0 ? revisions[0].version : null,
+                revisions
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async getRevision(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { id, version } = req.params;
+            if (!(await Invoice.exists({ _id: id, workspaceId: req.workspace._id }))) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+
+            const revision = await InvoiceRevision.findOne({ invoiceId: id, version: parseInt(version) });
+
+            if (!revision) {
+                return res.status(404).json({ error: 'Revision not found' });
+            }
+
+            res.json(revision);
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async diffRevisions(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { id } = req.params;
+            const from = parseInt(req.query.from);
+            if (!(await Invoice.exists({ _id: id, workspaceId: req.workspace._id }))) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+
+            // Compare against the latest version unless "to" is given
+            const toRevision = req.query.to !== undefined
+                ? await InvoiceRevision.findOne({ invoiceId: id, version: parseInt(req.query.to) })
+                : await InvoiceRevision.findOne({ invoiceId: id }).sort({ version: -1 });
+            const fromRevision = await InvoiceRevision.findOne({ invoiceId: id, version: from });
+
+            if (!fromRevision || !toRevision) {
+                return res.status(404).json({ error: 'Revision not found' });
+            }
+
+            const changes = diffExtractedData(fromRevision.extractedData, toRevision.extractedData);
+            if (fromRevision.platform !== toRevision.platform) {
+                changes.unshift({ field: 'platform', before: fromRevision.platform, after: toRevision.platform });
+            }
+
+            res.json({
+                invoiceId: id,
+                from: fromRevision.version,
+                to: toRevision.version,
+                changes
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async rollbackRevision(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { id, version } = req.params;
+            const invoice = await Invoice.findOne({ _id: id, workspaceId: req.workspace._id });
+
+            if (!invoice) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+
+            if (invoice.status === 'processing') {
+                return res.status(409).json({ error: 'Cannot roll back an invoice that is still being processed' });
+            }
+
+            await ensureBaselineRevision(invoice);
+            const revision = await rollbackToRevision(invoice, parseInt(version), {
+                createdBy: InvoiceController.getActor(req),
+                note: req.body?.note
+            });
+
+            if (!revision) {
+                return res.status(404).json({ error: 'Revision not found' });
+            }
+
+            res.json({
+                message: `Rolled back ${invoice.fileName} to version ${version}`,
+                version: revision.version,
+                status: invoice.status,
+                invoice: invoice.toObject()
+            });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = RevisionController;
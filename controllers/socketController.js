@@ -0,0 +1,100 @@
+const UploadSession = require('../models/UploadSession');
+const AuthController = require('./authController');
+const WorkspaceController = require('./workspaceController');
+const JobQueue = require('../services/jobQueue');
+const { canAccessWorkspace } = require('../services/workspaces');
+const { userRoom, workspaceRoom, uploadRoom } = require('../services/socketRooms');
+const { eventsAfter } = require('../services/uploadSessions');
+
+class SocketController {
+    // io.use middleware: sockets sign in like API requests, with
+    // io(url, { auth: { token } }) holding a token or API key
+    static async authenticate(socket, next) {
+        try {
+            const user = await AuthController.resolveUser(socket.handshake.auth?.token);
+            if (!user) return next(new Error('Authentication required'));
+            socket.data.user = user;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async handleConnection(socket) {
+        const { user } = socket.data;
+        console.log('Client connected:', socket.id);
+
+        socket.on('subscribe', (message, ack) => SocketController.subscribe(socket, message, ack));
+        socket.on('unsubscribe', (message, ack) => SocketController.unsubscribe(socket, message, ack));
+        socket.on('disconnect', () => {
+            console.log('Client disconnected:', socket.id);
+        });
+
+        socket.join(userRoom(user._id));
+        try {
+            const workspaces = await WorkspaceController.findAccessibleWorkspaces(user);
+            socket.join(workspaces.map(workspace => workspaceRoom(workspace._id)));
+        } catch (error) {
+            console.error('Failed to join workspace rooms:', error.message);
+        }
+    }
+
+    // { uploadId, afterSeq }: join the room of an upload in one of the user's
+    // workspaces, e.g. after reconnecting. With afterSeq, the stored events
+    // with a higher seq are sent to this socket again, in order, before the
+    // ack. The ack gets { uploadId, status, summary, lastSeq, replayed,
+    // truncated } or { error }; truncated means some of the requested events
+    // are no longer stored (GET /api/pdf/uploads/:uploadId has the results).
+    static async subscribe(socket, message, ack) {
+        const reply = typeof ack === 'function' ? ack : () => {};
+
+        try {
+            const uploadId = typeof message?.uploadId === 'string' ? message.uploadId : null;
+            if (!uploadId) {
+                return reply({ error: 'uploadId is required' });
+            }
+
+            const afterSeq = message.afterSeq == null ? null : Number(message.afterSeq);
+            if (afterSeq !== null && !(Number.isInteger(afterSeq) && afterSeq >= 0)) {
+                return reply({ error: 'afterSeq must be a non-negative integer' });
+            }
+
+            const session = await UploadSession.findOne({ uploadId }).select('workspaceId');
+            // Uploads of other workspaces are reported as missing
+            if (!session || !canAccessWorkspace(socket.data.user, session.workspaceId)) {
+                return reply({ error: 'Upload not found' });
+            }
+
+            // Joined before reading the stored events so none fall in between;
+            // an event may then arrive twice, with the same seq
+            socket.join(uploadRoom(uploadId));
+
+            const { status, lastSeq, events } = await UploadSession.findOne({ uploadId }).select('status lastSeq events').lean();
+            let replay = { events: [], truncated: false };
+            if (afterSeq !== null) {
+                replay = eventsAfter({ lastSeq, events }, afterSeq);
+                replay.events.forEach(({ event, payload }) => socket.emit(event, payload));
+            }
+
+            reply({
+                uploadId,
+                status,
+                summary: await JobQueue.getBatchSummary(uploadId),
+                lastSeq,
+                replayed: replay.events.length,
+                truncated: replay.truncated
+            });
+        } catch (error) {
+            reply({ error: error.message });
+        }
+    }
+
+    static unsubscribe(socket, message, ack) {
+        if (typeof message?.uploadId === 'string') {
+            socket.leave(uploadRoom(message.uploadId));
+        }
+        if (typeof ack === 'function') ack({ uploadId: message?.uploadId });
+    }
+}
+
+module.exports = SocketController;
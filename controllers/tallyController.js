@@ -0,0 +1,123 @@
+const { validationResult } = require('express-validator');
+const Invoice = require('../models/Invoice');
+const TallyLedgerMapping = require('../models/TallyLedgerMapping');
+const InvoiceController = require('./invoiceController');
+const {
+    TALLY_STATUSES,
+    TALLY_DOCUMENT_TYPES,
+    resolveMapping,
+    buildVouchers,
+    summarizeVouchers,
+    vouchersToXml
+} = require('../services/tallyExport');
+
+// Fields a voucher is built from
+const VOUCHER_FIELDS = 'fileName platform documentType status validation.passed '
+    + 'extractedData.invoiceNumber extractedData.originalInvoiceNumber extractedData.invoiceDate '
+    + 'extractedData.accountId extractedData.billingPeriod extractedData.currency extractedData.subtotal '
+    + 'extractedData.taxAmount extractedData.totalAmount extractedData.gst';
+
+class TallyController {
+    static async loadMapping(workspaceId) {
+        return resolveMapping(await TallyLedgerMapping.findOne({ workspaceId }));
+    }
+
+    // Ledger names in effect (stored names over the defaults)
+    static async getMapping(req, res) {
+        try {
+            res.json({ mapping: await TallyController.loadMapping(req.workspace._id) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Partial update; an empty string resets a name to its default
+    static async updateMapping(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const update = { updatedBy: InvoiceController.getActor(req) };
+            ['companyName', 'purchaseVoucherType', 'debitNoteVoucherType', 'defaultExpenseLedger', 'roundOffLedger']
+                .filter(field => req.body[field] !== undefined)
+                .forEach(field => { update[field] = req.body[field]; });
+            ['partyLedgers', 'expenseLedgers', 'gstLedgers'].forEach(group => {
+                Object.entries(req.body[group] || {}).forEach(([key, name]) => {
+                    update[`${group}.${key}`] = name;
+                });
+            });
+
+            const stored = await TallyLedgerMapping.findOneAndUpdate(
+                { workspaceId: req.workspace._id },
+                { $set: update },
+                { new: true, upsert: true, runValidators: true }
+            );
+
+            res.json({ message: 'Ledger mapping updated', mapping: resolveMapping(stored) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Purchase vouchers for the selected invoices: given ids, or every
+    // completed invoice and credit note matching the filters. With dryRun the
+    // vouchers are returned as JSON for checking instead of the XML file.
+    static async exportVouchers(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { invoiceIds, platform, startDate, endDate, dryRun = false } = req.body;
+
+            let filter;
+            if (invoiceIds && invoiceIds.length > 0) {
+                filter = { _id: { $in: invoiceIds }, workspaceId: req.workspace._id };
+            } else {
+                ({ filter } = InvoiceController.buildInvoiceFilter({ platform, startDate, endDate }, req.workspace._id));
+                filter.status = { $in: TALLY_STATUSES };
+                filter.documentType = { $in: TALLY_DOCUMENT_TYPES };
+            }
+
+            const [documents, mapping] = await Promise.all([
+                Invoice.find(filter).select(VOUCHER_FIELDS).sort({ 'extractedData.invoiceDate': 1 }).lean(),
+                TallyController.loadMapping(req.workspace._id)
+            ]);
+
+            if (invoiceIds && invoiceIds.length > 0) {
+                const found = new Set(documents.map(document => String(document._id)));
+                const missing = invoiceIds.filter(id => !found.has(String(id)));
+                if (missing.length > 0) {
+                    return res.status(404).json({ error: 'Invoices not found', invoiceIds: missing });
+                }
+            }
+
+            const { vouchers, skipped } = buildVouchers(documents, mapping);
+
+            if (dryRun) {
+                return res.json({
+                    summary: { ...summarizeVouchers(vouchers), skipped: skipped.length },
+                    mapping,
+                    vouchers,
+                    skipped
+                });
+            }
+
+            if (vouchers.length === 0) {
+                return res.status(409).json({ error: 'None of the invoices can be exported as vouchers', skipped });
+            }
+
+            res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+            res.setHeader('X-Vouchers-Skipped', String(skipped.length));
+            res.attachment(`tally-vouchers-${new Date().toISOString().slice(0, 10)}.xml`);
+            res.send(vouchersToXml(vouchers, mapping));
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = TallyController;
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const Invoice = require('../models/Invoice');
+const Job = require('../models/Job');
+const BankTransaction = require('../models/BankTransaction');
+const TallyLedgerMapping = require('../models/TallyLedgerMapping');
+const AuthController = require('./authController');
+const { DEFAULT_WORKSPACE_SLUG, slugify, canAccessWorkspace } = require('../services/workspaces');
+
+// Collections whose documents belong to a workspace
+const SCOPED_MODELS = [Invoice, Job, BankTransaction, TallyLedgerMapping];
+
+class WorkspaceController {
+    // Active workspaces a signed-in user can use
+    static async findAccessibleWorkspaces(user) {
+        const filter = { active: true };
+        if (user.apiKeyWorkspaceId) filter._id = user.apiKeyWorkspaceId;
+        else if (user.workspaces) filter._id = { $in: user.workspaces };
+        return Workspace.find(filter).sort({ name: 1 }).lean();
+    }
+
+    // Middleware (after authenticate): sets req.workspace from the X-Workspace
+    // header (id or slug), or ?workspace= on GET requests. Without one, the
+    // user's only workspace is used.
+    static async resolveWorkspace(req, res, next) {
+        try {
+            const selector = req.get('X-Workspace')
+                || (['GET', 'HEAD'].includes(req.method) && typeof req.query.workspace === 'string' ? req.query.workspace : null);
+
+            let workspace;
+            if (selector) {
+                workspace = await Workspace.findOne({
+                    active: true,
+                    ...(mongoose.isValidObjectId(selector) ? { _id: selector } : { slug: selector.toLowerCase() })
+                }).lean();
+                // Workspaces the user cannot use are reported as missing
+                if (!workspace || !canAccessWorkspace(req.user, workspace._id)) {
+                    return res.status(404).json({ error: 'Workspace not found' });
+                }
+            } else {
+                const workspaces = await WorkspaceController.findAccessibleWorkspaces(req.user);
+                if (workspaces.length === 0) {
+                    return res.status(403).json({ error: 'You are not a member of any workspace' });
+                }
+                if (workspaces.length > 1) {
+                    return res.status(400).json({
+                        error: 'Select a workspace with the X-Workspace header',
+                        workspaces: workspaces.map(({ _id, name, slug }) => ({ _id, name, slug }))
+                    });
+                }
+                workspace = workspaces[0];
+            }
+
+            req.workspace = { _id: workspace._id, name: workspace.name, slug: workspace.slug };
+            next();
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Puts data stored before workspaces existed into a "Default" workspace
+    // whose members are the existing users, and rebuilds the unique indexes
+    // that now include the workspace
+    static async ensureDefaultWorkspace() {
+        const unscoped = { workspaceId: null };
+        const hasUnscoped = (await Promise.all(SCOPED_MODELS.map(Model => Model.exists(unscoped)))).some(Boolean);
+        if (!hasUnscoped && await Workspace.exists({})) return;
+
+        let workspace = await Workspace.findOne({ slug: DEFAULT_WORKSPACE_SLUG });
+        if (!workspace) {
+            workspace = await Workspace.create({ name: 'Default', slug: DEFAULT_WORKSPACE_SLUG, createdBy: 'bootstrap' });
+            await User.updateMany({ 'workspaces.0': { $exists: false } }, { $set: { workspaces: [workspace._id] } });
+            console.log('Default workspace created');
+        }
+
+        const results = await Promise.all(SCOPED_MODELS.map(Model => Model.updateMany(unscoped, { $set: { workspaceId: workspace._id } })));
+        const moved = results.reduce((sum, result) => sum + result.modifiedCount, 0);
+        if (moved > 0) {
+            console.log(`Moved ${moved} documents into the default workspace`);
+        }
+
+        await Promise.all([BankTransaction.syncIndexes(), TallyLedgerMapping.syncIndexes()]);
+    }
+
+    static async getWorkspaces(req, res) {
+        try {
+            // Admins (not limited by membership or by their API key) also see inactive workspaces
+            const workspaces = req.user.workspaces || req.user.apiKeyWorkspaceId
+                ? await WorkspaceController.findAccessibleWorkspaces(req.user)
+                : await Workspace.find().sort({ name: 1 }).lean();
+            res.json({ workspaces });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async createWorkspace(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { name } = req.body;
+            const slug = req.body.slug || slugify(name);
+            if (!slug) {
+                return res.status(400).json({ error: 'A slug is required when the name has no letters or digits' });
+            }
+
+            if (await Workspace.exists({ slug })) {
+                return res.status(409).json({ error: `A workspace with slug ${slug} already exists` });
+            }
+
+            const workspace = await Workspace.create({ name, slug, createdBy: req.user.email });
+            res.status(201).json({ message: 'Workspace created', workspace });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // Name or active flag; the slug stays fixed so X-Workspace values keep working
+    static async updateWorkspace(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const { name, active } = req.body;
+            const update = {};
+            if (name !== undefined) update.name = name;
+            if (active !== undefined) update.active = active;
+
+            const workspace = await Workspace.findByIdAndUpdate(req.params.id, { $set: update }, { new: true });
+            if (!workspace) {
+                return res.status(404).json({ error: 'Workspace not found' });
+            }
+
+            res.json({ message: 'Workspace updated', workspace });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async getMembers(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            if (!(await Workspace.exists({ _id: req.params.id }))) {
+                return res.status(404).json({ error: 'Workspace not found' });
+            }
+
+            const users = await User.find({ workspaces: req.params.id }).sort({ email: 1 });
+            res.json({ members: users.map(AuthController.publicUser) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async addMember(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            if (!(await Workspace.exists({ _id: req.params.id }))) {
+                return res.status(404).json({ error: 'Workspace not found' });
+            }
+
+            const user = await User.findByIdAndUpdate(
+                req.params.userId,
+                { $addToSet: { workspaces: req.params.id } },
+                { new: true }
+            );
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            res.json({ message: 'Member added', user: AuthController.publicUser(user) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    static async removeMember(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ error: 'Validation error', details: errors.array() });
+            }
+
+            const user = await User.findByIdAndUpdate(
+                req.params.userId,
+                { $pull: { workspaces: req.params.id } },
+                { new: true }
+            );
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            res.json({ message: 'Member removed', user: AuthController.publicUser(user) });
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = WorkspaceController;
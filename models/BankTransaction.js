@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One line of an imported bank statement
+const bankTransactionSchema = new mongoose.Schema({
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace' },
+    importId: { type: String, required: true }, // returned by the import request
+    sourceFileName: { type: String },
+    rowNumber: { type: Number },
+    date: { type: Date, required: true },
+    narration: { type: String },
+    reference: { type: String },
+    amount: { type: Number, required: true }, // always positive, see direction
+    direction: { type: String, enum: ['debit', 'credit'], required: true },
+    platforms: [{ type: String }], // platforms whose narration pattern matched
+    hash: { type: String, required: true }, // identity for duplicate detection across imports
+    status: {
+        type: String,
+        enum: ['unmatched', 'matched', 'ignored'],
+        default: 'unmatched'
+    },
+    match: {
+        invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+        receiptId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' }, // receipt that recorded the payment
+        transactionId: { type: String }, // payment transaction id on the receipt
+        method: { type: String, enum: ['transaction_id', 'amount_date', 'manual'] },
+        matchedBy: { type: String }, // user for manual matches, "system" otherwise
+        matchedAt: { type: Date },
+        note: { type: String }
+    },
+    // Set when a reviewer takes a debit off the review list; match stays empty
+    ignoredBy: { type: String },
+    ignoredAt: { type: Date },
+    ignoreNote: { type: String }
+}, { timestamps: true });
+
+// The same statement line may belong to several clients' accounts
+bankTransactionSchema.index({ workspaceId: 1, hash: 1 }, { unique: true });
+bankTransactionSchema.index({ status: 1, direction: 1, date: 1 });
+bankTransactionSchema.index({ importId: 1 });
+bankTransactionSchema.index({ 'match.invoiceId': 1 });
+
+module.exports = mongoose.model('BankTransaction', bankTransactionSchema);
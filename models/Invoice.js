@@ -1,37 +1,114 @@
 const mongoose = require('mongoose');
+const { PLATFORM_IDS } = require('../services/platforms');
+const { DOCUMENT_TYPES, DEFAULT_DOCUMENT_TYPE } = require('../services/documentTypes');
  
 const campaignSchema = new mongoose.Schema({
     campaignName: { type: String },
     amount: { type: Number },        // spend without GST
-    clicks: { type: Number },        // Google only
-    cpc: { type: Number },           // Google only
-    impressions: { type: Number }    // Meta only
+    clicks: { type: Number },        // campaign metrics depend on the platform
+    cpc: { type: Number },           // (campaignMetrics in services/platforms)
+    impressions: { type: Number }
 }, { _id: false });
 
 const paymentSchema = new mongoose.Schema({
     date: { type: Date },
     transactionId: { type: String },
     modeOfPayment: { type: String },
-    amount: { type: Number }
+    amount: { type: Number },
+    invoiceNumber: { type: String }  // invoice the payment settles, when the receipt names it
+}, { _id: false });
+
+const fieldProvenanceSchema = new mongoose.Schema({
+    field: { type: String, required: true }, // path in extractedData, e.g. "campaigns.0.amount"
+    origin: { type: String, enum: ['llm', 'regex', 'derived', 'manual'] },
+    confidence: { type: Number, min: 0, max: 1 },
+    span: {                                  // where the value was read from in rawText
+        start: Number,
+        end: Number,
+        text: String
+    }
+}, { _id: false });
+
+const correctionSchema = new mongoose.Schema({
+    field: { type: String, required: true }, // path in extractedData
+    previousValue: { type: mongoose.Schema.Types.Mixed },
+    newValue: { type: mongoose.Schema.Types.Mixed },
+    changedBy: { type: String },
+    changedAt: { type: Date, default: Date.now },
+    note: { type: String }
+}, { _id: false });
+
+const validationResultSchema = new mongoose.Schema({
+    rule: { type: String, required: true },
+    passed: { type: Boolean },
+    expected: { type: Number },
+    actual: { type: Number },
+    discrepancy: { type: Number },  // actual - expected
+    field: { type: String },        // set for per-campaign rules
+    message: { type: String }
 }, { _id: false });
 
 const invoiceSchema = new mongoose.Schema({
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace' }, // client the invoice belongs to
     fileName: { type: String, required: true },
     filePath: { type: String }, 
     fileHash: { type: String }, // For duplicate detection
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' }, // upload job that created it
+    // Set when the uploaded PDF bundled several invoices: each one shares the
+    // source file (filePath / fileHash) and covers its own pages
+    sourceFileName: { type: String },
+    pageRange: {
+        start: Number,        // 1-based, inclusive
+        end: Number
+    },
     platform: {
         type: String,
-        enum: ['google_ads', 'meta_ads', 'facebook_ads', 'instagram_ads', 'other'],
+        enum: PLATFORM_IDS, // see services/platforms
         required: true
     },
+    // How the platform was chosen: scored from text signals or set by a user
+    platformDetection: {
+        method: { type: String, enum: ['scored', 'manual'] },
+        confidence: Number,   // best platform's share of the signal weight
+        conflict: Boolean,    // signals pointed at more than one platform
+        scores: { type: mongoose.Schema.Types.Mixed }, // { google_ads: 10, meta_ads: 4 }
+        signals: [{
+            _id: false,
+            platform: String,
+            type: { type: String },
+            match: String,
+            weight: Number
+        }],
+        overriddenBy: String,
+        overriddenAt: Date
+    },
+    // Credit notes count against spend; receipts and statements are not spend
+    documentType: {
+        type: String,
+        enum: DOCUMENT_TYPES, // see services/documentTypes
+        default: DEFAULT_DOCUMENT_TYPE
+    },
+    linkedInvoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' }, // invoice a credit note credits
     extractedData: {
         invoiceNumber: String,
+        originalInvoiceNumber: String, // credit notes: number of the credited invoice
         invoiceDate: Date,
         accountId: String,
         accountName: String,
         location: String,
         subtotal: Number,     // without GST
         taxAmount: Number,    // GST
+        gst: {                // GST split and registrations (services/gst)
+            supplierGstin: String,
+            supplierState: String,  // derived from the GSTIN
+            recipientGstin: String,
+            recipientState: String, // derived from the GSTIN
+            placeOfSupply: String,
+            igst: Number,
+            cgst: Number,
+            sgst: Number,           // includes UTGST
+            cess: Number
+        },
         totalAmount: Number,  // with GST
         currency: String,
         billingPeriod: {
@@ -41,22 +118,52 @@ const invoiceSchema = new mongoose.Schema({
         campaigns: [campaignSchema],
         payments: [paymentSchema]
     },
+    extraction: {
+        method: { type: String, enum: ['llm', 'repaired', 'retried', 'regex'] }, // which path produced extractedData
+        provider: String,
+        model: String,
+        promptId: String,     // hash of the system prompt
+        attempts: Number,
+        errors: [String]      // parse/validation errors seen along the way
+    },
+    fieldProvenance: [fieldProvenanceSchema],
+    validation: {             // arithmetic consistency checks
+        passed: Boolean,
+        checkedAt: Date,
+        results: [validationResultSchema]
+    },
     rawText: String,
     processedAt: { type: Date, default: Date.now },
     status: {
         type: String,
-        enum: ['processing', 'completed', 'failed'],
+        enum: ['processing', 'completed', 'needs_review', 'rejected', 'failed'],
         default: 'processing'
     },
+    review: {
+        reasons: [String],    // why the invoice was sent to review
+        decision: { type: String, enum: ['approved', 'rejected'] },
+        reviewedBy: String,
+        reviewedAt: Date,
+        notes: String
+    },
+    corrections: [correctionSchema], // audit trail of manual edits
+    lastRevision: { type: Number }, // version of the latest InvoiceRevision, set by recordRevision
     errorMessage: String
 }, { timestamps: true });
 
 // Indexes for efficient querying
+invoiceSchema.index({ workspaceId: 1, processedAt: -1 });
 invoiceSchema.index({ platform: 1 });
 invoiceSchema.index({ 'extractedData.invoiceDate': 1 });
 invoiceSchema.index({ 'extractedData.campaigns.campaignName': 1 });
 invoiceSchema.index({ processedAt: 1 });
+invoiceSchema.index({ status: 1, processedAt: 1 }); // For the review queue
+invoiceSchema.index({ 'validation.passed': 1 });
 invoiceSchema.index({ fileHash: 1 }); // For duplicate detection
 invoiceSchema.index({ fileName: 1 }); // For filename lookups
+invoiceSchema.index({ filePath: 1 }); // For files shared by split invoices
+invoiceSchema.index({ jobId: 1 }); // For clearing a failed job's invoices before a retry
+invoiceSchema.index({ documentType: 1, 'extractedData.originalInvoiceNumber': 1 }); // For credit note linking
+invoiceSchema.index({ linkedInvoiceId: 1 });
 
 module.exports = mongoose.model('Invoice', invoiceSchema);
\ No newline at end of file
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Snapshot of an invoice's extracted data at one point in time
+const invoiceRevisionSchema = new mongoose.Schema({
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', required: true },
+    version: { type: Number, required: true },
+    source: {
+        type: String,
+        enum: ['upload', 'reprocess', 'manual_edit', 'rollback'],
+        required: true
+    },
+    provider: { type: String },     // extraction provider that produced the data
+    model: { type: String },        // model identifier (null for regex)
+    promptId: { type: String },     // hash of the system prompt used
+    createdBy: { type: String },    // user for manual edits / rollbacks, "system" otherwise
+    note: { type: String },
+    basedOnVersion: { type: Number }, // version restored by a rollback
+    platform: { type: String },
+    platformDetection: { type: mongoose.Schema.Types.Mixed },
+    documentType: { type: String },
+    status: { type: String },
+    extractedData: { type: mongoose.Schema.Types.Mixed },
+    extraction: { type: mongoose.Schema.Types.Mixed },
+    fieldProvenance: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: true });
+
+invoiceRevisionSchema.index({ invoiceId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('InvoiceRevision', invoiceRevisionSchema);
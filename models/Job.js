@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace' }, // workspace of the upload or invoice
+    batchId: { type: String, required: true }, // uploadId returned to the client
+    type: { type: String, enum: ['process_pdf', 'reprocess_invoice'], default: 'process_pdf' },
+    fileName: { type: String, required: true }, // original file name
+    filePath: { type: String }, // temporary location until processed (process_pdf)
+    fileSize: { type: Number },
+    baseUrl: { type: String }, // used to build pdfUrl once the request is gone
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'paused', 'completed', 'failed', 'duplicate', 'cancelled'],
+        default: 'queued'
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    runAt: { type: Date, default: Date.now }, // next time the job may be picked up
+    lockedAt: { type: Date },
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+    lastError: { type: String },
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' }, // created or reprocessed invoice
+    options: { type: mongoose.Schema.Types.Mixed }, // type-specific settings
+    result: { type: mongoose.Schema.Types.Mixed }
+}, { timestamps: true });
+
+// Indexes for the worker loop and status queries
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ batchId: 1, status: 1 });
+jobSchema.index({ createdAt: -1 });
+jobSchema.index({ workspaceId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Job', jobSchema);
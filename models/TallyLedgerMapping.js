@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Ledger names for the Tally voucher export (services/tallyExport). One
+// document per workspace; names left empty fall back to the defaults there.
+const tallyLedgerMappingSchema = new mongoose.Schema({
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+    companyName: { type: String },          // Tally company to import into; the open one when empty
+    purchaseVoucherType: { type: String },
+    debitNoteVoucherType: { type: String }, // used for credit notes received
+    partyLedgers: { type: Map, of: String },   // platform -> supplier ledger
+    expenseLedgers: { type: Map, of: String }, // platform -> expense ledger
+    defaultExpenseLedger: { type: String },
+    gstLedgers: {
+        igst: { type: String },
+        cgst: { type: String },
+        sgst: { type: String },
+        cess: { type: String }
+    },
+    roundOffLedger: { type: String },
+    updatedBy: { type: String }
+}, { timestamps: true });
+
+tallyLedgerMappingSchema.index({ workspaceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('TallyLedgerMapping', tallyLedgerMappingSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Outcome of one uploaded file: a queued PDF (jobId set) or a ZIP that could
+// not be extracted
+const uploadFileSchema = new mongoose.Schema({
+    jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+    fileName: { type: String, required: true },
+    status: { type: String, default: 'queued' }, // last upload:progress status of the file
+    message: { type: String },
+    error: { type: String },
+    reason: { type: String },                    // why it was flagged as a duplicate
+    existingInvoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+    invoiceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' }], // several when the PDF was split
+    pdfUrl: { type: String },
+    attempts: { type: Number },
+    updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Socket event as it was emitted, kept for replay after a reconnect
+const uploadEventSchema = new mongoose.Schema({
+    seq: { type: Number, required: true },
+    event: { type: String, required: true }, // upload:start, upload:progress, ...
+    payload: { type: mongoose.Schema.Types.Mixed },
+    at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A file sent in chunks (resumable upload) until it is complete
+const transferSchema = new mongoose.Schema({
+    fileName: { type: String, required: true }, // original name, .pdf or .zip
+    size: { type: Number, required: true },     // declared size in bytes
+    sha256: { type: String, required: true },   // declared checksum of the whole file
+    receivedBytes: { type: Number, default: 0 }, // offset of the next chunk
+    chunks: { type: Number, default: 0 },
+    path: { type: String },                      // partial file on disk
+    expiresAt: { type: Date }                    // moved forward by every chunk
+}, { _id: false });
+
+// State of one upload (POST /api/pdf/upload, or a resumable upload once it
+// is finalized), so a client that reloads can pick up its progress and results
+const uploadSessionSchema = new mongoose.Schema({
+    uploadId: { type: String, required: true },
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    status: {
+        type: String,
+        enum: ['receiving', 'extracting', 'processing', 'paused', 'completed', 'cancelled', 'failed'],
+        default: 'extracting'
+    },
+    transfer: { type: transferSchema }, // resumable uploads only
+    uploadedFiles: { type: Number },  // files in the request, ZIPs counted once
+    totalFiles: { type: Number },     // PDFs queued for processing
+    progress: { type: Number, default: 0 }, // percent of queued PDFs finished
+    summary: { type: mongoose.Schema.Types.Mixed }, // job counts by status
+    files: [uploadFileSchema],
+    error: { type: String },
+    lastSeq: { type: Number, default: 0 }, // seq of the latest event
+    events: [uploadEventSchema],           // the latest events, oldest first
+    completedAt: { type: Date }
+}, { timestamps: true });
+
+uploadSessionSchema.index({ uploadId: 1 }, { unique: true });
+uploadSessionSchema.index({ workspaceId: 1, createdAt: -1 });
+uploadSessionSchema.index({ status: 1, 'transfer.expiresAt': 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
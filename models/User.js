@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../services/auth');
+
+// Long-lived key for scripts; the key itself is only shown when it is created
+const apiKeySchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    prefix: { type: String },                 // first characters, to recognise the key
+    keyHash: { type: String, required: true }, // SHA-256 of the key
+    role: { type: String, enum: ROLES },      // capped at the owner's role
+    workspaceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace' }, // limits the key to one workspace
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date },
+    expiresAt: { type: Date },
+    revokedAt: { type: Date }
+});
+
+const userSchema = new mongoose.Schema({
+    email: { type: String, required: true, lowercase: true, trim: true },
+    name: { type: String },
+    role: { type: String, enum: ROLES, default: 'viewer' },
+    passwordHash: { type: String, required: true }, // services/auth hashPassword
+    active: { type: Boolean, default: true },
+    // Part of every signed token; bumped to revoke the tokens issued so far
+    tokenVersion: { type: Number, default: 0 },
+    lastLoginAt: { type: Date },
+    apiKeys: [apiKeySchema],
+    // Workspaces the user can see; admins can see every workspace
+    workspaces: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Workspace' }],
+    createdBy: { type: String }
+}, { timestamps: true });
+
+userSchema.index({ email: 1 }, { unique: true });
+userSchema.index({ 'apiKeys.keyHash': 1 });
+
+module.exports = mongoose.model('User', userSchema);
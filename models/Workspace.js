@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A client account: invoices, uploads, jobs, bank statements and the Tally
+// mapping all belong to one workspace, and users only see the workspaces they
+// are members of (User.workspaces)
+const workspaceSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    slug: { type: String, required: true, lowercase: true, trim: true }, // selects the workspace in X-Workspace
+    active: { type: Boolean, default: true },
+    createdBy: { type: String }
+}, { timestamps: true });
+
+workspaceSchema.index({ slug: 1 }, { unique: true });
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
@@ -0,0 +1,64 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param } = require('express-validator');
+const AuthController = require('../controllers/authController');
+const { ROLES, MIN_PASSWORD_LENGTH } = require('../services/auth');
+
+const router = express.Router();
+const { authenticate, requireRole } = AuthController;
+
+// Slows down password guessing
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 20,
+    message: { error: 'Too many login attempts, try again later' }
+});
+
+const password = (field) => body(field)
+    .isString()
+    .isLength({ min: MIN_PASSWORD_LENGTH })
+    .withMessage(`${field} must be at least ${MIN_PASSWORD_LENGTH} characters`);
+
+// Sign in with email and password; returns a signed token
+router.post('/login', loginLimiter, [
+    body('email').isEmail(),
+    body('password').isString().notEmpty()
+], AuthController.login);
+
+// Current user
+router.get('/me', authenticate, AuthController.getMe);
+router.post('/password', authenticate, [
+    body('currentPassword').isString().notEmpty(),
+    password('newPassword')
+], AuthController.changePassword);
+
+// API keys of the current user
+router.post('/api-keys', authenticate, [
+    body('name').isString().trim().notEmpty(),
+    body('role').optional().isIn(ROLES),
+    body('expiresAt').optional().isISO8601().toDate(),
+    body('workspaceId').optional().isMongoId()
+], AuthController.createApiKey);
+router.delete('/api-keys/:keyId', authenticate, [
+    param('keyId').isMongoId()
+], AuthController.revokeApiKey);
+
+// User management
+router.get('/users', authenticate, requireRole('admin'), AuthController.getUsers);
+router.post('/users', authenticate, requireRole('admin'), [
+    body('email').isEmail(),
+    body('name').optional().isString().trim(),
+    password('password'),
+    body('role').optional().isIn(ROLES),
+    body('workspaces').optional().isArray(),
+    body('workspaces.*').isMongoId()
+], AuthController.createUser);
+router.patch('/users/:id', authenticate, requireRole('admin'), [
+    param('id').isMongoId(),
+    body('name').optional().isString().trim(),
+    body('role').optional().isIn(ROLES),
+    body('active').optional().isBoolean().toBoolean(),
+    password('password').optional()
+], AuthController.updateUser);
+
+module.exports = router;
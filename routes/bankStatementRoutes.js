@@ -0,0 +1,59 @@
+const express = require('express');
+const { query, body, param } = require('express-validator');
+const BankStatementController = require('../controllers/bankStatementController');
+const AuthController = require('../controllers/authController');
+const WorkspaceController = require('../controllers/workspaceController');
+const { PLATFORM_IDS } = require('../services/platforms');
+const { DATE_FORMATS } = require('../services/bankStatements');
+
+const router = express.Router();
+const { authenticate, requireRole } = AuthController;
+
+// Every route needs a signed-in user; importing needs uploader, matching reviewer
+router.use(authenticate);
+router.use(WorkspaceController.resolveWorkspace); // X-Workspace
+
+// Import a bank statement CSV and auto-match its debits
+router.post('/import', requireRole('uploader'), BankStatementController.uploadMiddleware, [
+    body('mapping').optional().isString(),
+    body('dateFormat').optional().isIn(DATE_FORMATS)
+], BankStatementController.importStatement);
+
+// Imported transactions
+router.get('/transactions', [
+    query('importId').optional().isString(),
+    query('status').optional().isIn(['unmatched', 'matched', 'ignored', 'all']),
+    query('direction').optional().isIn(['debit', 'credit']),
+    query('platform').optional().isIn([...PLATFORM_IDS, 'all']),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+], BankStatementController.getTransactions);
+
+// Re-run auto-matching for unmatched debits
+router.post('/match', requireRole('reviewer'), [
+    body('importId').optional().isString()
+], BankStatementController.runMatching);
+
+// Unmatched debits and unmatched invoices
+router.get('/review', [
+    query('scope').optional().isIn(['platforms', 'all']),
+    query('platform').optional().isIn([...PLATFORM_IDS, 'all']),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601()
+], BankStatementController.getReview);
+
+// Manual matching
+router.post('/transactions/:id/match', requireRole('reviewer'), [
+    param('id').isMongoId(),
+    body('invoiceId').isMongoId().withMessage('invoiceId must be an invoice or receipt id'),
+    body('note').optional().isString()
+], BankStatementController.matchTransaction);
+router.delete('/transactions/:id/match', requireRole('reviewer'), [
+    param('id').isMongoId()
+], BankStatementController.unmatchTransaction);
+router.post('/transactions/:id/ignore', requireRole('reviewer'), [
+    param('id').isMongoId(),
+    body('note').optional().isString()
+], BankStatementController.ignoreTransaction);
+
+module.exports = router;
@@ -1,9 +1,21 @@
 
 const express = require('express');
-const { query } = require('express-validator');
+const { query, body, param } = require('express-validator');
 const InvoiceController = require('../controllers/invoiceController');
+const RevisionController = require('../controllers/revisionController');
+const AuthController = require('../controllers/authController');
+const WorkspaceController = require('../controllers/workspaceController');
+const { PLATFORM_IDS } = require('../services/platforms');
+const { PAYMENT_STATUSES } = require('../services/reconciliation');
 
 const router = express.Router();
+const { authenticate, requireRole } = AuthController;
+
+// Every route needs a signed-in user; reading needs no more than viewer.
+// Corrections and review decisions need reviewer, deleting and bulk
+// reprocessing admin.
+router.use(authenticate);
+router.use(WorkspaceController.resolveWorkspace); // X-Workspace
 
 // Get analytics 
 router.get('/', InvoiceController.getAllInvoices);
@@ -11,9 +23,10 @@ router.get('/', InvoiceController.getAllInvoices);
 
 // Get all invoices with filtering
 router.get('/analytics/summary', [
-    query('platform').optional().isIn(['google_ads', 'meta_ads', 'facebook_ads', 'instagram_ads', 'other', 'all']),
+    query('platform').optional().isIn([...PLATFORM_IDS, 'all']),
     query('startDate').optional().isISO8601(),
-    query('endDate').optional().isISO8601()
+    query('endDate').optional().isISO8601(),
+    query('excludeInconsistent').optional().isBoolean()
 ], InvoiceController.getAnalytics);
 
 
@@ -27,15 +40,94 @@ router.get('/totals', InvoiceController.getOverallTotals);
 router.get('/platform/:platform', InvoiceController.getInvoicesByPlatform);
 
 // Bulk delete invoices by time period
-router.delete('/bulk-delete', InvoiceController.bulkDeleteInvoices);
+router.delete('/bulk-delete', requireRole('admin'), InvoiceController.bulkDeleteInvoices);
 
 // Preview bulk delete (get count without deleting)
-router.post('/bulk-delete/preview', InvoiceController.previewBulkDelete);
+router.post('/bulk-delete/preview', requireRole('admin'), InvoiceController.previewBulkDelete);
+
+// Re-run arithmetic consistency checks (must come before /:id route)
+router.post('/validation/run', requireRole('reviewer'), InvoiceController.revalidateInvoices);
+
+// Reprocess invoices matching a filter in the background (must come before /:id route)
+router.post('/reprocess', requireRole('admin'), [
+    body('platform').optional().isString(),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601(),
+    body('status').optional().isIn(['completed', 'needs_review', 'rejected', 'failed'])
+], InvoiceController.bulkReprocessInvoices);
+
+// Invoices waiting for human review (must come before /:id route)
+router.get('/review-queue', InvoiceController.getReviewQueue);
+
+// Outstanding balances and unmatched payments (must come before /:id route)
+router.get('/reconciliation', [
+    query('platform').optional().isIn([...PLATFORM_IDS, 'all']),
+    query('accountId').optional().isString(),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('paymentStatus').optional().isIn(PAYMENT_STATUSES)
+], InvoiceController.getReconciliation);
+
+// Export invoices and campaign lines (must come before /:id route)
+router.get('/export', [
+    query('format').optional().isIn(['csv', 'xlsx']),
+    query('sheet').optional().isIn(['invoices', 'campaigns']),
+    query('platform').optional().isIn([...PLATFORM_IDS, 'all']),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('campaignName').optional().isString(),
+    query('sortOrder').optional().isIn(['asc', 'desc'])
+], InvoiceController.exportInvoices);
+
+// Input tax credit register for a tax period (must come before /:id route)
+router.get('/itc-report', [
+    query('period').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('period must be a month, YYYY-MM'),
+    query('format').optional().isIn(['json', 'csv']),
+    query('platform').optional().isIn([...PLATFORM_IDS, 'all']),
+    query('excludeInconsistent').optional().isBoolean()
+], InvoiceController.getItcReport);
 
 // Get invoice by ID
 router.get('/:id', InvoiceController.getInvoiceById);
 
+// Re-run extraction for one invoice
+router.post('/:id/reprocess', requireRole('reviewer'), InvoiceController.reprocessInvoice);
+
+// Override the detected platform and re-run extraction
+router.post('/:id/platform', requireRole('reviewer'), [
+    body('platform').isIn(PLATFORM_IDS).withMessage(`platform must be one of: ${PLATFORM_IDS.join(', ')}`),
+    body('source').optional().isString(),
+    body('note').optional().isString()
+], InvoiceController.overridePlatform);
+
+// Get arithmetic consistency results
+router.get('/:id/validation', InvoiceController.getInvoiceValidation);
+
+// Extraction history
+router.get('/:id/revisions', RevisionController.getRevisions);
+router.get('/:id/revisions/diff', [
+    query('from').isInt({ min: 1 }),
+    query('to').optional().isInt({ min: 1 })
+], RevisionController.diffRevisions);
+router.get('/:id/revisions/:version', [
+    param('version').isInt({ min: 1 })
+], RevisionController.getRevision);
+router.post('/:id/revisions/:version/rollback', requireRole('reviewer'), [
+    param('version').isInt({ min: 1 }),
+    body('note').optional().isString()
+], RevisionController.rollbackRevision);
+
+// Correct extracted fields
+router.patch('/:id', requireRole('reviewer'), [
+    body('changes').isObject().withMessage('changes must be an object of field paths to values'),
+    body('note').optional().isString()
+], InvoiceController.updateInvoice);
+
+// Approve / reject a reviewed invoice
+router.post('/:id/approve', requireRole('reviewer'), InvoiceController.approveInvoice);
+router.post('/:id/reject', requireRole('reviewer'), InvoiceController.rejectInvoice);
+
 // Delete invoice
-router.delete('/:id', InvoiceController.deleteInvoice);
+router.delete('/:id', requireRole('admin'), InvoiceController.deleteInvoice);
 
 module.exports = router;
\ No newline at end of file
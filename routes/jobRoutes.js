@@ -0,0 +1,25 @@
+const express = require('express');
+const JobController = require('../controllers/jobController');
+const AuthController = require('../controllers/authController');
+const WorkspaceController = require('../controllers/workspaceController');
+
+const router = express.Router();
+const { authenticate, requireRole } = AuthController;
+
+// Every route needs a signed-in user; retrying needs uploader
+router.use(authenticate);
+router.use(WorkspaceController.resolveWorkspace); // X-Workspace
+
+// List jobs (filter by batchId / status)
+router.get('/', JobController.getJobs);
+
+// Get all jobs and status counts for an upload batch
+router.get('/batch/:batchId', JobController.getBatch);
+
+// Get job by ID
+router.get('/:id', JobController.getJobById);
+
+// Requeue a failed job
+router.post('/:id/retry', requireRole('uploader'), JobController.retryJob);
+
+module.exports = router;
@@ -1,11 +1,45 @@
 
 const express = require('express');
+const path = require('path');
+const { body, query, header } = require('express-validator');
 const PdfController = require('../controllers/pdfController');
+const ResumableUploadController = require('../controllers/resumableUploadController');
+const AuthController = require('../controllers/authController');
+const WorkspaceController = require('../controllers/workspaceController');
 
 const router = express.Router();
+const { authenticate, requireRole } = AuthController;
+const { MAX_FILE_BYTES, ALLOWED_EXTENSIONS, SHA256_PATTERN } = require('../services/resumableUploads');
+
+// Every route needs a signed-in user; reading needs no more than viewer
+router.use(authenticate);
+router.use(WorkspaceController.resolveWorkspace); // X-Workspace
 
 // Upload PDFs
-router.post('/upload', PdfController.uploadMiddleware, PdfController.uploadPdfs);
+router.post('/upload', requireRole('uploader'), PdfController.uploadMiddleware, PdfController.uploadPdfs);
+
+// Resumable upload of one large PDF or ZIP: create, send chunks, finalize
+router.post('/uploads', requireRole('uploader'), [
+    body('fileName').isString().trim().notEmpty()
+        .custom(fileName => ALLOWED_EXTENSIONS.includes(path.extname(fileName).toLowerCase()))
+        .withMessage('Only PDF and ZIP files are allowed'),
+    body('size').isInt({ min: 1, max: MAX_FILE_BYTES }).toInt()
+        .withMessage(`size must be between 1 and ${MAX_FILE_BYTES} bytes`),
+    body('sha256').isString().matches(SHA256_PATTERN).withMessage('sha256 must be a hex SHA-256 digest')
+], ResumableUploadController.createUpload);
+
+// Bytes received so far, where the next chunk starts
+router.get('/uploads/:uploadId/offset', ResumableUploadController.getOffset);
+
+router.put('/uploads/:uploadId/chunks', requireRole('uploader'), [
+    query('offset').isInt({ min: 0 }).toInt(),
+    header('X-Chunk-SHA256').isString().matches(SHA256_PATTERN).withMessage('X-Chunk-SHA256 must be a hex SHA-256 digest')
+], ResumableUploadController.chunkBody, ResumableUploadController.putChunk);
+
+router.post('/uploads/:uploadId/complete', requireRole('uploader'), ResumableUploadController.completeUpload);
+
+// Upload progress and per-file results (uploadId from the upload response)
+router.get('/uploads/:uploadId', PdfController.getUpload);
 
 // Get processing status
 router.get('/status/:fileName', PdfController.getProcessingStatus);
@@ -26,21 +60,21 @@ router.get('/platform/:platform', PdfController.getPdfsByPlatform);
 router.get('/view/:fileName', PdfController.viewPdf);
 
 // Delete PDF file
-router.delete('/delete/:fileName', PdfController.deletePdf);
+router.delete('/delete/:fileName', requireRole('admin'), PdfController.deletePdf);
 
 // Bulk delete PDFs
-router.delete('/bulk-delete', PdfController.bulkDeletePdfs);
+router.delete('/bulk-delete', requireRole('admin'), PdfController.bulkDeletePdfs);
 
 // Cancel ongoing upload
-router.post('/cancel-upload/:uploadId', PdfController.cancelUpload);
+router.post('/cancel-upload/:uploadId', requireRole('uploader'), PdfController.cancelUpload);
 
 // Pause ongoing upload
-router.post('/pause-upload/:uploadId', PdfController.pauseUpload);
+router.post('/pause-upload/:uploadId', requireRole('uploader'), PdfController.pauseUpload);
 
 // Resume paused upload
-router.post('/resume-upload/:uploadId', PdfController.resumeUpload);
+router.post('/resume-upload/:uploadId', requireRole('uploader'), PdfController.resumeUpload);
 
 // Debug endpoint for file path issues
-router.get('/debug/:fileName', PdfController.debugFilePath);
+router.get('/debug/:fileName', requireRole('admin'), PdfController.debugFilePath);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const { query } = require('express-validator');
+const ReportController = require('../controllers/reportController');
+const AuthController = require('../controllers/authController');
+const WorkspaceController = require('../controllers/workspaceController');
+const { PLATFORM_IDS } = require('../services/platforms');
+
+const router = express.Router();
+const { authenticate } = AuthController;
+
+// Every route needs a signed-in user
+router.use(authenticate);
+router.use(WorkspaceController.resolveWorkspace); // X-Workspace
+
+// Spend summary PDF for a date range and platform
+router.get('/spend.pdf', [
+    query('platform').optional().isIn([...PLATFORM_IDS, 'all']),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('excludeInconsistent').optional().isBoolean(),
+    query('topCampaigns').optional().isInt({ min: 1, max: 50 })
+], ReportController.getSpendReport);
+
+module.exports = router;
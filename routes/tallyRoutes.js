@@ -0,0 +1,55 @@
+const express = require('express');
+const { body } = require('express-validator');
+const TallyController = require('../controllers/tallyController');
+const AuthController = require('../controllers/authController');
+const WorkspaceController = require('../controllers/workspaceController');
+const { PLATFORM_IDS } = require('../services/platforms');
+
+const router = express.Router();
+const { authenticate, requireRole } = AuthController;
+
+// Every route needs a signed-in user; changing the ledger mapping needs admin
+router.use(authenticate);
+router.use(WorkspaceController.resolveWorkspace); // X-Workspace
+
+const MAX_INVOICE_IDS = 1000;
+
+// { platform: ledger name } objects
+const platformLedgers = (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('must be an object of platform ids to ledger names');
+    }
+    Object.entries(value).forEach(([platform, name]) => {
+        if (!PLATFORM_IDS.includes(platform)) throw new Error(`unknown platform "${platform}"`);
+        if (typeof name !== 'string') throw new Error(`ledger name for ${platform} must be a string`);
+    });
+    return true;
+};
+
+// Ledger names used in the vouchers
+router.get('/mapping', TallyController.getMapping);
+router.put('/mapping', requireRole('admin'), [
+    body(['companyName', 'purchaseVoucherType', 'debitNoteVoucherType', 'defaultExpenseLedger', 'roundOffLedger'])
+        .optional().isString().trim(),
+    body('partyLedgers').optional().custom(platformLedgers),
+    body('expenseLedgers').optional().custom(platformLedgers),
+    body('gstLedgers').optional().isObject(),
+    body(['gstLedgers.igst', 'gstLedgers.cgst', 'gstLedgers.sgst', 'gstLedgers.cess']).optional().isString().trim(),
+    body('gstLedgers').optional().custom(value => {
+        const unknown = Object.keys(value).filter(key => !['igst', 'cgst', 'sgst', 'cess'].includes(key));
+        if (unknown.length > 0) throw new Error(`unknown GST ledgers: ${unknown.join(', ')}`);
+        return true;
+    })
+], TallyController.updateMapping);
+
+// Purchase vouchers as Tally XML, or as JSON with dryRun
+router.post('/vouchers', [
+    body('invoiceIds').optional().isArray({ max: MAX_INVOICE_IDS }).withMessage(`invoiceIds must be an array of at most ${MAX_INVOICE_IDS} ids`),
+    body('invoiceIds.*').isMongoId(),
+    body('platform').optional().isIn([...PLATFORM_IDS, 'all']),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional().isISO8601(),
+    body('dryRun').optional().isBoolean().toBoolean()
+], TallyController.exportVouchers);
+
+module.exports = router;
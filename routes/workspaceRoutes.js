@@ -0,0 +1,39 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const WorkspaceController = require('../controllers/workspaceController');
+const AuthController = require('../controllers/authController');
+const { SLUG_PATTERN } = require('../services/workspaces');
+
+const router = express.Router();
+const { authenticate, requireRole } = AuthController;
+
+// Every route needs a signed-in user; managing workspaces needs admin
+router.use(authenticate);
+
+// Workspaces the caller can use (admins: all of them)
+router.get('/', WorkspaceController.getWorkspaces);
+
+router.post('/', requireRole('admin'), [
+    body('name').isString().trim().notEmpty(),
+    body('slug').optional().isString().trim().toLowerCase().matches(SLUG_PATTERN)
+        .withMessage('slug may only contain lowercase letters, digits and single hyphens')
+], WorkspaceController.createWorkspace);
+
+router.patch('/:id', requireRole('admin'), [
+    param('id').isMongoId(),
+    body('name').optional().isString().trim().notEmpty(),
+    body('active').optional().isBoolean().toBoolean()
+], WorkspaceController.updateWorkspace);
+
+// Members
+router.get('/:id/members', requireRole('admin'), [param('id').isMongoId()], WorkspaceController.getMembers);
+router.put('/:id/members/:userId', requireRole('admin'), [
+    param('id').isMongoId(),
+    param('userId').isMongoId()
+], WorkspaceController.addMember);
+router.delete('/:id/members/:userId', requireRole('admin'), [
+    param('id').isMongoId(),
+    param('userId').isMongoId()
+], WorkspaceController.removeMember);
+
+module.exports = router;
@@ -3,13 +3,25 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
-const path = require('path');
 const http = require('http');
 const socketIo = require('socket.io');
 
 const connectDB = require('./config/db');
+const authRoutes = require('./routes/authRoutes');
 const pdfRoutes = require('./routes/pdfRoutes');
 const invoiceRoutes = require('./routes/invoiceRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const bankStatementRoutes = require('./routes/bankStatementRoutes');
+const tallyRoutes = require('./routes/tallyRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
+const PdfController = require('./controllers/pdfController');
+const InvoiceController = require('./controllers/invoiceController');
+const AuthController = require('./controllers/authController');
+const WorkspaceController = require('./controllers/workspaceController');
+const SocketController = require('./controllers/socketController');
+const ResumableUploadController = require('./controllers/resumableUploadController');
+const JobQueue = require('./services/jobQueue');
 
 const app = express();
 const server = http.createServer(app);
@@ -20,18 +32,29 @@ const io = socketIo(server, {
     }
 });
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-    console.log('Client connected:', socket.id);
-    
-    socket.on('disconnect', () => {
-        console.log('Client disconnected:', socket.id);
-    });
-});
+// WebSocket connection handling: sockets authenticate on connect and join
+// rooms per user, workspace and upload (controllers/socketController)
+io.use(SocketController.authenticate);
+io.on('connection', SocketController.handleConnection);
 
 // Make io available globally
 app.set('io', io);
 
+// Background queue for uploaded PDFs and invoice reprocessing
+const jobQueue = new JobQueue({
+    handlers: {
+        process_pdf: {
+            run: (job) => PdfController.processUploadJob(job, io),
+            onFailure: (job, error, willRetry) => PdfController.handleJobFailure(job, error, willRetry, io),
+            onBatchComplete: (batchId, summary) => PdfController.handleBatchComplete(batchId, summary, io)
+        },
+        reprocess_invoice: {
+            run: (job) => InvoiceController.processReprocessJob(job)
+        }
+    }
+});
+app.set('jobQueue', jobQueue);
+
 const PORT = process.env.PORT || 3000;
 
 // Trust proxy - needed for rate limiting behind reverse proxy
@@ -59,8 +82,8 @@ app.use(helmet({
 app.use(cors({
   origin: ['*', 'http://localhost:3000', 'http://localhost:3001', 'http://127.0.0.1:3000', 'http://127.0.0.1:3001', 'https://dosadsexpence.in', 'https://daily.dosadsexpence.in'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Range'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Range', 'X-API-Key', 'X-Workspace', 'X-Chunk-SHA256'],
   exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length']
 }));
 
@@ -75,24 +98,32 @@ app.use(limiter);
 app.use(express.json({ limit: '200mb' }));
 app.use(express.urlencoded({ extended: true, limit: '200mb' }));
 
-// Serve uploaded PDFs statically with proper headers
-app.use('/uploads', express.static(path.join(__dirname, 'uploads'), {
-  setHeaders: (res, path) => {
-    if (path.endsWith('.pdf')) {
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', 'inline');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Range, Accept-Ranges, Content-Range');
-    }
-  }
-}));
+// Uploaded PDFs are not served statically: they belong to a workspace and
+// are only available through the authenticated /api/pdf/view and
+// /api/pdf/download endpoints
 
 // Serve static files
 app.use(express.static('public'));
 
-// Database connection
-connectDB();
+// Resumable uploads that stopped receiving chunks are removed every hour. A
+// failed run (e.g. MongoDB unavailable) is logged, never left unhandled.
+const removeExpiredUploads = () => ResumableUploadController.removeExpiredUploads()
+  .catch(error => console.error('Failed to remove expired uploads:', error.message));
+
+// Database connection, then create the first admin and the default workspace
+// if needed and start the job worker (requeues interrupted jobs)
+connectDB()
+  .then(() => AuthController.ensureBootstrapAdmin())
+  .then(() => WorkspaceController.ensureDefaultWorkspace())
+  .then(() => jobQueue.start())
+  .then(() => {
+    removeExpiredUploads();
+    setInterval(removeExpiredUploads, 60 * 60 * 1000);
+  })
+  .catch(error => {
+    console.error('Server startup failed:', error);
+    process.exit(1);
+  });
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -104,8 +135,14 @@ app.get('/health', (req, res) => {
 });
 
 // Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/workspaces', workspaceRoutes);
 app.use('/api/pdf', pdfRoutes);
 app.use('/api/invoices', invoiceRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/bank-statements', bankStatementRoutes);
+app.use('/api/tally', tallyRoutes);
+app.use('/api/reports', reportRoutes);
 
 // 404 handler for undefined routes
 app.use('*', (req, res) => {
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Passwords, signed tokens and API keys, on node's crypto only.
+//
+// Tokens are HS256 JWTs signed with AUTH_TOKEN_SECRET. They carry the user id
+// and the user's tokenVersion; bumping the version (password change,
+// deactivation) revokes every token issued before. API keys are random strings
+// shown once and stored as SHA-256 hashes.
+
+// Ordered: each role can do everything the roles before it can
+const ROLES = ['viewer', 'uploader', 'reviewer', 'admin'];
+
+const TOKEN_TTL_HOURS = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS || '12');
+const API_KEY_PREFIX = 'pdfr_';
+const MIN_PASSWORD_LENGTH = 8;
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+let tokenSecret = process.env.AUTH_TOKEN_SECRET;
+if (!tokenSecret) {
+    // Tokens then stop working when the server restarts
+    console.warn('AUTH_TOKEN_SECRET is not set; using a random secret for this process');
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+function hasRole(role, required) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// The lower of two roles (an API key never grants more than its owner has)
+function lowerRole(a, b) {
+    return ROLES[Math.min(ROLES.indexOf(a), ROLES.indexOf(b))];
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, SCRYPT.keyLength, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+    return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const sign = (data) => crypto.createHmac('sha256', tokenSecret).update(data).digest();
+
+// Returns { token, expiresAt }
+function signToken(user, { ttlHours = TOKEN_TTL_HOURS, now = Date.now() } = {}) {
+    const issuedAt = Math.floor(now / 1000);
+    const expiresAt = issuedAt + Math.round(ttlHours * 3600);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({ sub: String(user._id), ver: user.tokenVersion || 0, iat: issuedAt, exp: expiresAt }));
+    const signature = sign(`${header}.${payload}`).toString('base64url');
+
+    return { token: `${header}.${payload}.${signature}`, expiresAt: new Date(expiresAt * 1000) };
+}
+
+// Payload of a valid, unexpired token, or null
+function verifyToken(token, { now = Date.now() } = {}) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = sign(`${header}.${payload}`);
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    try {
+        if (JSON.parse(Buffer.from(header, 'base64url').toString()).alg !== 'HS256') return null;
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        if (!claims.sub || !(claims.exp * 1000 > now)) return null;
+        return claims;
+    } catch {
+        return null;
+    }
+}
+
+// Returns { key, prefix, keyHash }; only the hash is stored
+function generateApiKey() {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 6), keyHash: hashApiKey(key) };
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function isApiKey(value) {
+    return String(value || '').startsWith(API_KEY_PREFIX);
+}
+
+module.exports = {
+    ROLES,
+    TOKEN_TTL_HOURS,
+    MIN_PASSWORD_LENGTH,
+    hasRole,
+    lowerRole,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    generateApiKey,
+    hashApiKey,
+    isApiKey
+};
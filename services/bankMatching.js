@@ -0,0 +1,190 @@
+const BankTransaction = require('../models/BankTransaction');
+const { ARITHMETIC_TOLERANCE } = require('./validationEngine');
+const { reconcilePayments } = require('./reconciliation');
+
+// Matches bank debits to ad payments. A debit whose narration or reference
+// carries the transaction id of a receipt payment is that payment. Otherwise
+// it is matched by amount to a receipt payment or to an invoice's open
+// balance dated within BANK_MATCH_WINDOW_DAYS, the closest date winning.
+
+const MATCH_WINDOW_DAYS = parseInt(process.env.BANK_MATCH_WINDOW_DAYS || '45');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transaction ids shorter than this would match inside unrelated narrations
+const MIN_TRANSACTION_ID_LENGTH = 6;
+
+const receiptKey = (receiptId, transactionId) => `${receiptId}:${transactionId || ''}`;
+const daysApart = (a, b) => Math.abs(new Date(a) - new Date(b)) / DAY_MS;
+
+// Receipt payments and open invoice balances a debit can be matched to
+function paymentCandidates({ invoices = [], unmatchedPayments = [] }) {
+    const payments = [
+        ...invoices.flatMap(row => row.payments.map(payment => ({ ...payment, invoiceId: row.invoiceId }))),
+        ...unmatchedPayments.map(payment => ({ ...payment, invoiceId: null }))
+    ].map(payment => ({
+        kind: 'payment',
+        key: receiptKey(payment.receiptId, payment.transactionId),
+        invoiceId: payment.invoiceId,
+        receiptId: payment.receiptId,
+        transactionId: payment.transactionId,
+        platform: payment.platform,
+        amount: payment.amount,
+        date: payment.date
+    }));
+
+    const balances = invoices
+        .filter(row => row.balance > ARITHMETIC_TOLERANCE)
+        .map(row => ({
+            kind: 'invoice',
+            key: String(row.invoiceId),
+            invoiceId: row.invoiceId,
+            receiptId: null,
+            transactionId: null,
+            platform: row.platform,
+            amount: row.balance,
+            date: row.invoiceDate
+        }));
+
+    return [...payments, ...balances];
+}
+
+// Pure matching of debits (plain BankTransaction objects) against the output
+// of reconcile(). `matched` are transactions matched earlier; the payments and
+// invoices they hold are not offered again (a receipt matched by hand, without
+// a transaction id, not at all). Returns [{ transaction, match }].
+function matchTransactions({ transactions = [], reconciliation = {}, matched = [], windowDays = MATCH_WINDOW_DAYS }) {
+    const used = new Set(matched.map(tx => tx.match?.receiptId
+        ? receiptKey(tx.match.receiptId, tx.match.transactionId)
+        : String(tx.match?.invoiceId)));
+    const usedReceipts = new Set(matched
+        .filter(tx => tx.match?.receiptId && !tx.match.transactionId)
+        .map(tx => String(tx.match.receiptId)));
+
+    const candidates = paymentCandidates(reconciliation);
+    const available = (candidate) => !used.has(candidate.key)
+        && !(candidate.receiptId && usedReceipts.has(String(candidate.receiptId)));
+
+    const results = [];
+    const take = (transaction, candidate, method) => {
+        used.add(candidate.key);
+        results.push({
+            transaction,
+            match: {
+                invoiceId: candidate.invoiceId,
+                receiptId: candidate.receiptId,
+                transactionId: candidate.transactionId,
+                method
+            }
+        });
+    };
+
+    const debits = transactions
+        .filter(tx => tx.direction === 'debit')
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    const pending = debits.filter(tx => {
+        const haystack = `${tx.narration || ''} ${tx.reference || ''}`.toUpperCase();
+        const candidate = candidates.find(c => available(c)
+            && c.kind === 'payment'
+            && c.transactionId
+            && c.transactionId.length >= MIN_TRANSACTION_ID_LENGTH
+            && haystack.includes(c.transactionId.toUpperCase()));
+        if (candidate) take(tx, candidate, 'transaction_id');
+        return !candidate;
+    });
+
+    pending.forEach(tx => {
+        const candidate = candidates
+            .filter(c => available(c)
+                && c.date
+                && (!tx.platforms || tx.platforms.length === 0 || tx.platforms.includes(c.platform))
+                && Math.abs(c.amount - tx.amount) <= ARITHMETIC_TOLERANCE
+                && daysApart(c.date, tx.date) <= windowDays)
+            // Receipt payments before invoice balances on equal distance: a
+            // receipt records the actual payment
+            .sort((a, b) => daysApart(a.date, tx.date) - daysApart(b.date, tx.date)
+                || (a.kind === 'payment' ? -1 : 0) - (b.kind === 'payment' ? -1 : 0))[0];
+        if (candidate) take(tx, candidate, 'amount_date');
+    });
+
+    return results;
+}
+
+// Match a workspace's unmatched debits (optionally of one import) and save the matches
+async function matchBankTransactions({ workspaceId, importId } = {}) {
+    const filter = { workspaceId, status: 'unmatched', direction: 'debit' };
+    if (importId) filter.importId = importId;
+
+    const [transactions, matched, reconciliation] = await Promise.all([
+        BankTransaction.find(filter).lean(),
+        BankTransaction.find({ workspaceId, status: 'matched' }).select('match').lean(),
+        reconcilePayments({ workspaceId })
+    ]);
+
+    const results = matchTransactions({ transactions, reconciliation, matched });
+    const matchedAt = new Date();
+
+    if (results.length > 0) {
+        await BankTransaction.bulkWrite(results.map(({ transaction, match }) => ({
+            updateOne: {
+                filter: { _id: transaction._id, status: 'unmatched' },
+                update: { $set: { status: 'matched', match: { ...match, matchedBy: 'system', matchedAt } } }
+            }
+        })));
+    }
+
+    return {
+        checked: transactions.length,
+        matched: results.length,
+        byTransactionId: results.filter(result => result.match.method === 'transaction_id').length,
+        byAmountAndDate: results.filter(result => result.match.method === 'amount_date').length
+    };
+}
+
+// Debits nobody has explained and invoices no debit has been matched to.
+// scope 'platforms' (default) lists only debits whose narration names an ad
+// platform; 'all' lists every unmatched debit.
+async function buildBankReview({ workspaceId, scope = 'platforms', platform, startDate, endDate } = {}) {
+    const debitFilter = { workspaceId, status: 'unmatched', direction: 'debit' };
+    if (platform) debitFilter.platforms = platform;
+    else if (scope !== 'all') debitFilter['platforms.0'] = { $exists: true };
+    if (startDate || endDate) {
+        debitFilter.date = {};
+        if (startDate) debitFilter.date.$gte = new Date(startDate);
+        if (endDate) debitFilter.date.$lte = new Date(endDate);
+    }
+
+    const [unmatchedDebits, matchedInvoiceIds, { invoices }] = await Promise.all([
+        BankTransaction.find(debitFilter).sort({ date: 1 }).lean(),
+        BankTransaction.distinct('match.invoiceId', { workspaceId, status: 'matched' }),
+        reconcilePayments({ workspaceId, platform })
+    ]);
+
+    const matchedIds = new Set(matchedInvoiceIds.filter(Boolean).map(String));
+    const inRange = (date) => (!startDate || (date && new Date(date) >= new Date(startDate)))
+        && (!endDate || (date && new Date(date) <= new Date(endDate)));
+
+    const unmatchedInvoices = invoices.filter(row => !matchedIds.has(String(row.invoiceId))
+        && row.amountDue > ARITHMETIC_TOLERANCE
+        && inRange(row.invoiceDate));
+
+    const sum = (values) => parseFloat(values.reduce((total, value) => total + value, 0).toFixed(2));
+
+    return {
+        summary: {
+            unmatchedDebits: unmatchedDebits.length,
+            unmatchedDebitAmount: sum(unmatchedDebits.map(tx => tx.amount)),
+            unmatchedInvoices: unmatchedInvoices.length,
+            unmatchedInvoiceAmount: sum(unmatchedInvoices.map(row => row.amountDue))
+        },
+        unmatchedDebits,
+        unmatchedInvoices
+    };
+}
+
+module.exports = {
+    MATCH_WINDOW_DAYS,
+    matchTransactions,
+    matchBankTransactions,
+    buildBankReview
+};
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const platforms = require('./platforms');
+
+// Bank statement CSV import: parse the file, map its columns to
+// date / narration / amount / reference and normalise every row to
+// { date, narration, reference, amount, direction } with a positive amount.
+
+const FIELDS = ['date', 'narration', 'amount', 'debit', 'credit', 'direction', 'reference'];
+const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+// Header names tried for each field when the mapping does not name a column
+const DEFAULT_COLUMNS = {
+    date: ['date', 'txn date', 'transaction date', 'value date', 'value dt', 'posting date', 'tran date'],
+    narration: ['narration', 'description', 'particulars', 'remarks', 'details', 'transaction details'],
+    amount: ['amount', 'transaction amount', 'amount (inr)'],
+    debit: ['debit', 'debit amount', 'withdrawal', 'withdrawals', 'withdrawal amt', 'withdrawal amt.', 'withdrawal amount', 'dr'],
+    credit: ['credit', 'credit amount', 'deposit', 'deposits', 'deposit amt', 'deposit amt.', 'deposit amount', 'cr'],
+    direction: ['dr/cr', 'cr/dr', 'type', 'transaction type'],
+    reference: ['reference', 'reference no', 'ref no', 'ref no.', 'chq./ref.no.', 'ref no./cheque no.', 'cheque no', 'utr', 'utr no', 'transaction id']
+};
+
+// Bank CSVs often start with account details; the header is searched in the first rows
+const HEADER_SEARCH_ROWS = 30;
+
+// RFC 4180 CSV: quoted fields, "" escapes, CRLF or LF line ends
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+const normaliseHeader = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Column index of every field: explicit mapping first, then the default names
+function resolveColumns(header, mapping = {}) {
+    const headers = header.map(normaliseHeader);
+    const columns = {};
+
+    FIELDS.forEach(field => {
+        const names = mapping[field] ? [mapping[field]] : DEFAULT_COLUMNS[field];
+        const index = headers.findIndex(name => names.some(candidate => normaliseHeader(candidate) === name));
+        if (index !== -1) columns[field] = index;
+    });
+
+    return columns;
+}
+
+function missingColumns(columns) {
+    const missing = ['date', 'narration'].filter(field => columns[field] === undefined);
+    if (columns.amount === undefined && columns.debit === undefined) missing.push('amount or debit');
+    return missing;
+}
+
+function parseDate(value, format = 'DD/MM/YYYY') {
+    const text = String(value || '').trim();
+
+    const numeric = text.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})$/);
+    if (numeric) {
+        const [, a, b, c] = numeric;
+        const [day, month, year] = format === 'YYYY-MM-DD' ? [c, b, a]
+            : format === 'MM/DD/YYYY' ? [b, a, c]
+                : [a, b, c];
+        const fullYear = year.length === 2 ? 2000 + parseInt(year) : parseInt(year);
+        const date = new Date(Date.UTC(fullYear, parseInt(month) - 1, parseInt(day)));
+        return date.getUTCDate() === parseInt(day) && date.getUTCMonth() === parseInt(month) - 1 ? date : null;
+    }
+
+    // "10 Jan 2024", "10-Jan-2024", "Jan 10, 2024"
+    const parsed = Date.parse(`${text.replace(/-/g, ' ')} UTC`);
+    return isNaN(parsed) ? null : new Date(parsed);
+}
+
+// "1,234.50", "₹1,234.50", "(1,234.50)", "1,234.50 Dr" -> signed number
+function parseAmount(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /\bdr\.?$/i.test(text);
+    const number = parseFloat(text.replace(/[^\d.]/g, ''));
+    if (isNaN(number)) return null;
+    return negative ? -number : number;
+}
+
+function rowDirection(cells, columns) {
+    if (columns.debit !== undefined || columns.credit !== undefined) {
+        const debit = columns.debit !== undefined ? parseAmount(cells[columns.debit]) : null;
+        const credit = columns.credit !== undefined ? parseAmount(cells[columns.credit]) : null;
+        if (debit) return { amount: Math.abs(debit), direction: 'debit' };
+        if (credit) return { amount: Math.abs(credit), direction: 'credit' };
+        return null;
+    }
+
+    const amount = parseAmount(cells[columns.amount]);
+    if (!amount) return null;
+
+    const marker = columns.direction !== undefined ? normaliseHeader(cells[columns.direction]) : '';
+    if (/^(dr|debit|d)\.?$/.test(marker)) return { amount: Math.abs(amount), direction: 'debit' };
+    if (/^(cr|credit|c)\.?$/.test(marker)) return { amount: Math.abs(amount), direction: 'credit' };
+    return { amount: Math.abs(amount), direction: amount < 0 ? 'debit' : 'credit' };
+}
+
+// Returns { transactions, errors, columns } or throws when no header row
+// with the required columns is found. rowNumber counts non-empty lines from 1.
+function parseStatement(csvText, { mapping = {}, dateFormat = 'DD/MM/YYYY' } = {}) {
+    if (!DATE_FORMATS.includes(dateFormat)) {
+        throw new Error(`Invalid dateFormat "${dateFormat}". Valid options: ${DATE_FORMATS.join(', ')}`);
+    }
+    const unknown = Object.keys(mapping).filter(field => !FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown mapping field(s): ${unknown.join(', ')}. Valid fields: ${FIELDS.join(', ')}`);
+    }
+
+    const rows = parseCsv(String(csvText || '').replace(/^\uFEFF/, ''));
+
+    let headerIndex = -1;
+    let columns = null;
+    for (let i = 0; i < Math.min(rows.length, HEADER_SEARCH_ROWS); i++) {
+        const candidate = resolveColumns(rows[i], mapping);
+        if (missingColumns(candidate).length === 0) {
+            headerIndex = i;
+            columns = candidate;
+            break;
+        }
+    }
+
+    if (headerIndex === -1) {
+        const best = rows.length > 0 ? missingColumns(resolveColumns(rows[0], mapping)) : ['date', 'narration', 'amount or debit'];
+        throw new Error(`No header row with the required columns found (missing: ${best.join(', ')})`);
+    }
+
+    const transactions = [];
+    const errors = [];
+    rows.slice(headerIndex + 1).forEach((cells, offset) => {
+        const rowNumber = headerIndex + offset + 2;
+        const date = parseDate(cells[columns.date], dateFormat);
+        const money = rowDirection(cells, columns);
+
+        // Footer lines ("Closing balance", totals) have neither a date nor an amount
+        if (!date && !money) return;
+        if (!date) {
+            errors.push({ row: rowNumber, message: `Invalid date "${cells[columns.date]}"` });
+            return;
+        }
+        if (!money) {
+            errors.push({ row: rowNumber, message: 'No amount' });
+            return;
+        }
+
+        transactions.push({
+            rowNumber,
+            date,
+            narration: (cells[columns.narration] || '').trim(),
+            reference: columns.reference !== undefined ? (cells[columns.reference] || '').trim() || null : null,
+            ...money
+        });
+    });
+
+    return { transactions, errors, columns };
+}
+
+// Platforms whose bank narration pattern matches (Meta, Facebook and
+// Instagram share one, so a debit may have several candidates)
+function narrationPlatforms(narration) {
+    return platforms.PLATFORMS
+        .filter(platform => platform.bankNarrations.some(pattern => pattern.test(narration || '')))
+        .map(platform => platform.id);
+}
+
+// Identity of a statement line for duplicate detection across imports.
+// occurrence tells identical lines in one file apart (two equal payments on a day).
+function transactionHash({ date, amount, direction, narration, reference }, occurrence = 0) {
+    return crypto.createHash('sha1')
+        .update([date.toISOString().slice(0, 10), amount.toFixed(2), direction, narration, reference || '', occurrence].join('|'))
+        .digest('hex');
+}
+
+module.exports = {
+    FIELDS,
+    DATE_FORMATS,
+    parseCsv,
+    parseDate,
+    parseAmount,
+    parseStatement,
+    narrationPlatforms,
+    transactionHash
+};
@@ -0,0 +1,54 @@
+const Invoice = require('../models/Invoice');
+
+// Links between credit notes and the invoices they credit. Either document can
+// arrive first, so both sides look for the other when they are processed.
+
+// Link a credit note to its original invoice, or link credit notes that were
+// waiting for this invoice, within the document's workspace. Returns the
+// number of links set.
+async function linkCreditNotes(document) {
+    const data = document.extractedData || {};
+
+    if (document.documentType === 'credit_note') {
+        const original = data.originalInvoiceNumber
+            ? await Invoice.findOne({
+                _id: { $ne: document._id },
+                workspaceId: document.workspaceId,
+                platform: document.platform,
+                documentType: { $in: ['invoice', null] },
+                'extractedData.invoiceNumber': data.originalInvoiceNumber
+            }).select('_id')
+            : null;
+
+        const linkedInvoiceId = original ? original._id : null;
+        if (String(document.linkedInvoiceId || '') !== String(linkedInvoiceId || '')) {
+            document.linkedInvoiceId = linkedInvoiceId;
+            await document.save();
+        }
+        return original ? 1 : 0;
+    }
+
+    if (document.documentType !== 'invoice' || !data.invoiceNumber) return 0;
+
+    const result = await Invoice.updateMany({
+        workspaceId: document.workspaceId,
+        documentType: 'credit_note',
+        platform: document.platform,
+        'extractedData.originalInvoiceNumber': data.invoiceNumber,
+        linkedInvoiceId: null
+    }, { $set: { linkedInvoiceId: document._id } });
+    return result.modifiedCount;
+}
+
+// Credit notes pointing at deleted invoices go back to unlinked
+async function unlinkCreditNotes(invoiceIds) {
+    return Invoice.updateMany(
+        { linkedInvoiceId: { $in: invoiceIds } },
+        { $set: { linkedInvoiceId: null } }
+    );
+}
+
+module.exports = {
+    linkCreditNotes,
+    unlinkCreditNotes
+};
@@ -0,0 +1,29 @@
+// CSV output for report exports (RFC 4180, CRLF line ends)
+
+// Text starting with one of these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ key, header, format? }]; format(value, row) turns a value into a cell
+function toCsvRow(columns, row) {
+    return columns
+        .map(({ key, format }) => escapeCsv(format ? format(row[key], row) : row[key]))
+        .join(',') + '\r\n';
+}
+
+function toCsv(columns, rows) {
+    return [columns.map(column => escapeCsv(column.header)).join(',') + '\r\n',
+        ...rows.map(row => toCsvRow(columns, row))].join('');
+}
+
+module.exports = {
+    escapeCsv,
+    toCsvRow,
+    toCsv
+};
@@ -0,0 +1,49 @@
+const { extractPattern } = require('./textPatterns');
+
+// What kind of billing document a PDF is. Only invoices and credit notes count
+// as spend (credit notes negatively); receipts and statements describe
+// payments of invoices that are already counted.
+
+const DOCUMENT_TYPES = ['invoice', 'credit_note', 'receipt', 'statement'];
+const DEFAULT_DOCUMENT_TYPE = 'invoice';
+
+// Titles are looked for near the top and the first one found wins: invoices
+// mention "credit", "receipt" or "statement" further down (invalid-activity
+// lines, payment terms) and credit notes mention the invoice they credit
+const TITLE_LINES = 20;
+const TITLES = [
+    { type: 'invoice', pattern: /\b(?:tax\s+)?invoice\b/i },
+    { type: 'credit_note', pattern: /\bcredit\s+(?:note|memo)\b|\binvalid\s+activity\s+(?:credit|adjustment)\b/i },
+    { type: 'receipt', pattern: /\b(?:payment\s+)?receipt\b/i },
+    { type: 'statement', pattern: /\b(?:statement\s+of\s+account|account\s+statement|billing\s+statement)\b/i }
+];
+
+// "Original invoice number: 5123456789", "Against invoice no. 5123456789", ...
+const ORIGINAL_INVOICE_NUMBER = /(?:original|against|reference[ds]?|ref\.?|credited)\s+(?:tax\s+)?invoice\s*(?:number|no\.?|#)?\s*[:.]?\s*([A-Z0-9][A-Z0-9/-]{3,})/i;
+const CREDIT_NOTE_NUMBER = /credit\s+(?:note|memo)\s*(?:number|no\.?|#)\s*[:.]?\s*([A-Z0-9][A-Z0-9/-]{3,})/i;
+
+function classifyDocumentType(text) {
+    const top = (text || '').trim().split('\n').slice(0, TITLE_LINES).join('\n');
+    const first = TITLES
+        .map(({ type, pattern }) => ({ type, index: top.search(pattern) }))
+        .filter(({ index }) => index >= 0)
+        .sort((a, b) => a.index - b.index)[0];
+    return first ? first.type : DEFAULT_DOCUMENT_TYPE;
+}
+
+// Number of the invoice a credit note credits
+function extractOriginalInvoiceNumber(text) {
+    return extractPattern(text || '', ORIGINAL_INVOICE_NUMBER);
+}
+
+function extractCreditNoteNumber(text) {
+    return extractPattern(text || '', CREDIT_NOTE_NUMBER);
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    DEFAULT_DOCUMENT_TYPE,
+    classifyDocumentType,
+    extractOriginalInvoiceNumber,
+    extractCreditNoteNumber
+};
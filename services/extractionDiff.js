@@ -0,0 +1,54 @@
+// Field-by-field comparison of two extractedData objects
+
+function normalize(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value.toHexString === 'function') return value.toHexString();
+    return value;
+}
+
+// Flatten nested data into { "billingPeriod.startDate": ..., "campaigns.0.amount": ... }
+function flatten(value, prefix = '', out = {}) {
+    const plain = value && typeof value.toObject === 'function' ? value.toObject() : value;
+
+    if (Array.isArray(plain)) {
+        plain.forEach((item, index) => flatten(item, prefix ? `${prefix}.${index}` : String(index), out));
+    } else if (plain && typeof plain === 'object' && !(plain instanceof Date) && typeof plain.toHexString !== 'function') {
+        Object.entries(plain).forEach(([key, item]) => {
+            if (key === '_id') return;
+            flatten(item, prefix ? `${prefix}.${key}` : key, out);
+        });
+    } else if (prefix) {
+        out[prefix] = normalize(plain);
+    }
+
+    return out;
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Returns [{ field, before, after }] for every field whose value differs
+function diffExtractedData(before, after) {
+    const left = flatten(before || {});
+    const right = flatten(after || {});
+    const fields = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+
+    return fields
+        .filter(field => {
+            const a = left[field];
+            const b = right[field];
+            if (isEmpty(a) && isEmpty(b)) return false;
+            return a !== b;
+        })
+        .map(field => ({
+            field,
+            before: isEmpty(left[field]) ? null : left[field],
+            after: isEmpty(right[field]) ? null : right[field]
+        }));
+}
+
+module.exports = {
+    flatten,
+    diffExtractedData
+};
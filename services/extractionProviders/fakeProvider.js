@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures', 'llm');
+
+// Deterministic stand-in for a chat model. Answers come from JSON fixtures:
+//
+//   { "name": "...", "match": ["google_ads", "Invoice number"], "response": { ... } }
+//
+// The first fixture whose `match` strings all appear in the prompt wins.
+// `response` is serialized to JSON; use `content` to return raw text instead.
+// `responses` gives one answer per call (the last one repeats), which is how
+// malformed-then-corrected outputs are simulated.
+class FakeProvider {
+    constructor({ fixturesDir = DEFAULT_FIXTURES_DIR, fixtures } = {}) {
+        this.name = 'fake';
+        this.model = 'fixtures';
+        this.supportsLlm = true;
+        this.fixtures = fixtures || FakeProvider.loadFixtures(fixturesDir);
+        this.calls = [];
+    }
+
+    static loadFixtures(fixturesDir) {
+        if (!fs.existsSync(fixturesDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(fixturesDir)
+            .filter(file => path.extname(file).toLowerCase() === '.json')
+            .sort()
+            .map(file => {
+                const fixture = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+                return { name: path.basename(file, '.json'), ...fixture };
+            });
+    }
+
+    async invoke(messages) {
+        const prompt = messages.map(m => m.content).join('\n').toLowerCase();
+        const fixture = this.fixtures.find(f => {
+            const needles = Array.isArray(f.match) ? f.match : [f.match];
+            return needles.every(needle => needle && prompt.includes(String(needle).toLowerCase()));
+        });
+
+        this.calls.push({ fixture: fixture ? fixture.name : null, messages });
+
+        if (!fixture) {
+            return '{}';
+        }
+
+        let answer = fixture;
+        if (Array.isArray(fixture.responses) && fixture.responses.length > 0) {
+            const callIndex = this.calls.filter(call => call.fixture === fixture.name).length - 1;
+            const next = fixture.responses[Math.min(callIndex, fixture.responses.length - 1)];
+            answer = typeof next === 'string' ? { content: next } : { response: next };
+        }
+
+        return answer.content !== undefined ? answer.content : JSON.stringify(answer.response || {});
+    }
+}
+
+module.exports = FakeProvider;
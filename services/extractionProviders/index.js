@@ -0,0 +1,47 @@
+const OpenAiProvider = require('./openAiProvider');
+const RegexProvider = require('./regexProvider');
+const FakeProvider = require('./fakeProvider');
+require('dotenv').config();
+
+const PROVIDERS = ['openai', 'local', 'regex', 'fake'];
+
+// Build the extraction provider selected by EXTRACTION_PROVIDER.
+// Without explicit configuration OpenAI is used when OPENAI_API_KEY is set,
+// otherwise extraction falls back to regex so the server can boot offline.
+function createExtractionProvider(name = process.env.EXTRACTION_PROVIDER) {
+    const providerName = (name || (process.env.OPENAI_API_KEY ? 'openai' : 'regex')).toLowerCase();
+
+    switch (providerName) {
+        case 'openai':
+            return new OpenAiProvider({
+                apiKey: process.env.OPENAI_API_KEY,
+                model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+            });
+        case 'local':
+            if (!process.env.LLM_BASE_URL) {
+                throw new Error('LLM_BASE_URL environment variable is required for the local extraction provider');
+            }
+            return new OpenAiProvider({
+                name: 'local',
+                apiKey: process.env.LLM_API_KEY || 'not-needed',
+                model: process.env.LLM_MODEL || 'llama3.1',
+                baseURL: process.env.LLM_BASE_URL
+            });
+        case 'regex':
+            return new RegexProvider();
+        case 'fake':
+            return new FakeProvider({
+                fixturesDir: process.env.FAKE_LLM_FIXTURES_DIR || undefined
+            });
+        default:
+            throw new Error(`Unknown extraction provider "${providerName}". Valid options: ${PROVIDERS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    createExtractionProvider,
+    OpenAiProvider,
+    RegexProvider,
+    FakeProvider,
+    PROVIDERS
+};
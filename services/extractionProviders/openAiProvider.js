@@ -0,0 +1,30 @@
+const { ChatOpenAI } = require('@langchain/openai');
+
+// Chat model provider for OpenAI and any OpenAI-compatible endpoint
+// (vLLM, Ollama, LM Studio, ...) when a baseURL is given.
+class OpenAiProvider {
+    constructor({ name = 'openai', apiKey, model = 'gpt-4o-mini', baseURL, temperature = 0.1, maxTokens = 2000 } = {}) {
+        if (!apiKey) {
+            throw new Error(`An API key is required for the ${name} extraction provider`);
+        }
+
+        this.name = name;
+        this.model = model;
+        this.supportsLlm = true;
+
+        this.llm = new ChatOpenAI({
+            apiKey,
+            model,
+            temperature,
+            maxTokens,
+            configuration: baseURL ? { baseURL } : undefined
+        });
+    }
+
+    async invoke(messages) {
+        const response = await this.llm.invoke(messages);
+        return response.content || response.text || '';
+    }
+}
+
+module.exports = OpenAiProvider;
@@ -0,0 +1,15 @@
+// Provider that never calls a model: PdfProcessor uses the platform's regex
+// extraction (basicExtraction) directly when supportsLlm is false.
+class RegexProvider {
+    constructor() {
+        this.name = 'regex';
+        this.model = null;
+        this.supportsLlm = false;
+    }
+
+    async invoke() {
+        throw new Error('The regex extraction provider does not support LLM calls');
+    }
+}
+
+module.exports = RegexProvider;
@@ -0,0 +1,188 @@
+const { z } = require('zod');
+
+// Building blocks for the JSON schemas the LLM must return. Each platform in
+// services/platforms declares its schema from these; the JSON shapes shown in
+// the system prompts are rendered from the schemas (see describeSchema).
+
+const text = (placeholder = 'string') => z.preprocess(
+    v => (typeof v === 'number' ? String(v) : v),
+    z.string().nullish()
+).describe(placeholder);
+
+const isoDate = () => z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Dates must be YYYY-MM-DD')
+    .nullish()
+    .describe('YYYY-MM-DD');
+
+const amount = () => z.number().nullish().describe('number');
+
+const billingPeriod = z.object({
+    startDate: isoDate(),
+    endDate: isoDate()
+}).nullish();
+
+const baseFields = {
+    invoiceNumber: text(),
+    invoiceDate: isoDate()
+};
+
+// GST split and registrations of Indian invoices (UTGST is reported as sgst)
+const gst = z.object({
+    supplierGstin: text(),
+    recipientGstin: text(),
+    placeOfSupply: text(),
+    igst: amount(),
+    cgst: amount(),
+    sgst: amount(),
+    cess: amount()
+}).nullish();
+
+const totalsFields = {
+    billingPeriod,
+    subtotal: amount(),
+    taxAmount: amount(),
+    gst,
+    totalAmount: amount(),
+    currency: text('INR')
+};
+
+const campaignList = (fields) => z.array(z.object({
+    campaignName: text(),
+    ...fields,
+    amount: amount()
+})).nullish();
+
+// Payments listed on a receipt; invoiceNumber is the invoice a payment settles
+const paymentList = () => z.array(z.object({
+    date: isoDate(),
+    transactionId: text(),
+    modeOfPayment: text(),
+    amount: amount(),
+    invoiceNumber: text()
+})).nullish();
+
+// Used by platforms that do not declare their own schema
+const defaultSchema = z.object({
+    ...baseFields,
+    accountId: text(),
+    ...totalsFields,
+    campaigns: campaignList({})
+});
+
+// Render a schema as the example JSON used in prompts, e.g. { "subtotal": number }
+function describeSchema(schema) {
+    const unwrap = (node) => {
+        let current = node;
+        while (current && current._def) {
+            const { typeName } = current._def;
+            if (typeName === 'ZodEffects') current = current._def.schema;
+            else if (typeName === 'ZodNullable' || typeName === 'ZodOptional') current = current._def.innerType;
+            else break;
+        }
+        return current;
+    };
+
+    const toExample = (node) => {
+        const description = node.description;
+        const inner = unwrap(node);
+        const typeName = inner._def.typeName;
+
+        if (typeName === 'ZodObject') {
+            return Object.fromEntries(
+                Object.entries(inner.shape).map(([key, value]) => [key, toExample(value)])
+            );
+        }
+        if (typeName === 'ZodArray') {
+            return [toExample(inner._def.type)];
+        }
+        if (typeName === 'ZodNumber') {
+            return '__number__';
+        }
+        return description || inner.description || 'string';
+    };
+
+    return JSON.stringify(toExample(schema), null, 2).replace(/"__number__"/g, 'number');
+}
+
+// Drop commas right before } or ], leaving string values as they are
+function removeTrailingCommas(json) {
+    const closing = /\s*[}\]]/y;
+    let result = '';
+    let inString = false;
+
+    for (let i = 0; i < json.length; i++) {
+        const char = json[i];
+        if (inString) {
+            if (char === '\\') {
+                result += char + (json[i + 1] || '');
+                i++;
+                continue;
+            }
+            if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === ',') {
+            closing.lastIndex = i + 1;
+            if (closing.test(json)) continue;
+        }
+        result += char;
+    }
+    return result;
+}
+
+// Turn raw model output into an object, repairing the usual formatting slips:
+// ```json fences, prose before/after the JSON and trailing commas.
+function parseModelOutput(content) {
+    const raw = typeof content === 'string' ? content : JSON.stringify(content);
+
+    try {
+        return { data: JSON.parse(raw), repaired: false };
+    } catch {
+        // fall through to repair
+    }
+
+    let candidate = raw.trim();
+
+    const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+        candidate = fenced[1].trim();
+    }
+
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('No JSON object found in model output');
+    }
+    candidate = candidate.slice(start, end + 1);
+    candidate = removeTrailingCommas(candidate);
+
+    return { data: JSON.parse(candidate), repaired: true };
+}
+
+// Validate parsed output; returns { success, data, errors: ["path: message"] }
+function validateExtraction(data, schema) {
+    const result = schema.safeParse(data);
+    if (result.success) {
+        return { success: true, data: result.data, errors: [] };
+    }
+
+    return {
+        success: false,
+        data: null,
+        errors: result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+    };
+}
+
+module.exports = {
+    text,
+    isoDate,
+    amount,
+    baseFields,
+    totalsFields,
+    campaignList,
+    paymentList,
+    defaultSchema,
+    describeSchema,
+    parseModelOutput,
+    validateExtraction
+};
@@ -0,0 +1,176 @@
+// Per-field provenance for extractedData: where each value came from
+// (llm / regex / derived / manual), how much we trust it, and the span of
+// rawText it was read from.
+
+const ORIGINS = ['llm', 'regex', 'derived', 'manual'];
+
+// Starting confidence for each extraction path before span lookup
+const BASE_CONFIDENCE = {
+    llm: 0.9,
+    repaired: 0.85,
+    retried: 0.8,
+    regex: 0.8,
+    derived: 0.7,
+    manual: 1
+};
+
+// Penalty when the value cannot be found anywhere in the PDF text
+const UNLOCATED_PENALTY = 0.3;
+
+// Fields that are computed rather than read when they don't appear in the text
+const DERIVABLE_FIELDS = [/^currency$/, /^campaigns\.\d+\.cpc$/];
+
+const SCALAR_FIELDS = [
+    'invoiceNumber', 'originalInvoiceNumber', 'invoiceDate', 'accountId', 'accountName', 'location',
+    'subtotal', 'taxAmount', 'totalAmount', 'currency',
+    'gst.supplierGstin', 'gst.recipientGstin', 'gst.placeOfSupply', 'gst.igst', 'gst.cgst', 'gst.sgst', 'gst.cess',
+    'billingPeriod.startDate', 'billingPeriod.endDate'
+];
+
+const CAMPAIGN_FIELDS = ['campaignName', 'amount', 'clicks', 'cpc', 'impressions'];
+
+const PAYMENT_FIELDS = ['date', 'transactionId', 'modeOfPayment', 'amount', 'invoiceNumber'];
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getPath(obj, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function groupWestern(intPart) {
+    return intPart.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+function groupIndian(intPart) {
+    if (intPart.length <= 3) return intPart;
+    const lastThree = intPart.slice(-3);
+    const rest = intPart.slice(0, -3).replace(/\B(?=(\d{2})+(?!\d))/g, ',');
+    return `${rest},${lastThree}`;
+}
+
+// Textual forms a number may take in an invoice (1234.5 -> 1,234.50 etc.)
+function numberPatterns(value) {
+    const negative = value < 0;
+    const abs = Math.abs(value);
+    const forms = new Set();
+
+    const [intPart, decPart] = abs.toFixed(2).split('.');
+    [intPart, groupWestern(intPart), groupIndian(intPart)].forEach(i => {
+        forms.add(`${i}.${decPart}`);
+        if (Number.isInteger(abs)) forms.add(i);
+    });
+    if (!Number.isInteger(abs * 100)) {
+        forms.add(String(abs));
+    }
+
+    return [...forms]
+        .sort((a, b) => b.length - a.length)
+        .map(form => `(?<![\\d.,])${negative ? '-?' : ''}${escapeRegex(form)}(?!\\d)`);
+}
+
+// Textual forms a date may take (2024-01-31, 31 Jan 2024, Jan 31, 2024, 31/01/2024 ...)
+function datePatterns(date) {
+    const d = date.getUTCDate();
+    const m = date.getUTCMonth();
+    const y = date.getUTCFullYear();
+    const dd = String(d).padStart(2, '0');
+    const mm = String(m + 1).padStart(2, '0');
+    const long = MONTHS[m];
+    const short = long.slice(0, 3);
+
+    return [
+        `${y}-${mm}-${dd}`,
+        `0?${d}\\s+(?:${long}|${short}),?\\s+${y}`,
+        `(?:${long}|${short})\\s+0?${d},?\\s+${y}`,
+        `0?${d}[/.-]0?${m + 1}[/.-]${y}`
+    ];
+}
+
+function stringPatterns(value) {
+    const tokens = String(value).trim().split(/\s+/).filter(Boolean).map(escapeRegex);
+    return tokens.length ? [tokens.join('\\s+')] : [];
+}
+
+// Find where a value appears in the raw text; returns { start, end, text } or null
+function locateSpan(rawText, value) {
+    if (!rawText || value === null || value === undefined || value === '') return null;
+
+    let patterns;
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        patterns = datePatterns(value);
+    } else if (typeof value === 'number') {
+        if (!isFinite(value)) return null;
+        patterns = numberPatterns(value);
+    } else {
+        patterns = stringPatterns(value);
+    }
+
+    for (const pattern of patterns) {
+        const match = new RegExp(pattern, 'i').exec(rawText);
+        if (match) {
+            return { start: match.index, end: match.index + match[0].length, text: match[0] };
+        }
+    }
+    return null;
+}
+
+function scoreField(origin, method, span) {
+    const base = origin === 'llm'
+        ? (BASE_CONFIDENCE[method] || BASE_CONFIDENCE.llm)
+        : BASE_CONFIDENCE[origin];
+
+    // Derived values are computed, so not finding them in the text is expected
+    if (origin === 'manual' || origin === 'derived' || span) return base;
+    return parseFloat(Math.max(base - UNLOCATED_PENALTY, 0.1).toFixed(2));
+}
+
+// Build provenance entries for every non-empty field of extractedData.
+// method is extraction.method; derivedFields lists paths computed after extraction.
+function buildFieldProvenance(extractedData, rawText, { method = 'regex', derivedFields = [] } = {}) {
+    if (!extractedData) return [];
+
+    const extractionOrigin = method === 'regex' ? 'regex' : 'llm';
+    const paths = [...SCALAR_FIELDS];
+    (extractedData.campaigns || []).forEach((campaign, index) => {
+        CAMPAIGN_FIELDS.forEach(field => paths.push(`campaigns.${index}.${field}`));
+    });
+    (extractedData.payments || []).forEach((payment, index) => {
+        PAYMENT_FIELDS.forEach(field => paths.push(`payments.${index}.${field}`));
+    });
+
+    const provenance = [];
+    paths.forEach(field => {
+        const value = getPath(extractedData, field);
+        if (value === null || value === undefined || value === '') return;
+
+        const span = locateSpan(rawText, value);
+        let origin = extractionOrigin;
+        if (derivedFields.includes(field) || (!span && DERIVABLE_FIELDS.some(re => re.test(field)))) {
+            origin = 'derived';
+        }
+
+        provenance.push({
+            field,
+            origin,
+            confidence: scoreField(origin, method, span),
+            span: span || undefined
+        });
+    });
+
+    return provenance;
+}
+
+module.exports = {
+    ORIGINS,
+    BASE_CONFIDENCE,
+    getPath,
+    locateSpan,
+    buildFieldProvenance,
+    scoreField
+};
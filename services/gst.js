@@ -0,0 +1,214 @@
+const { extractPattern, extractMonetaryValue } = require('./textPatterns');
+
+// Indian GST: the IGST / CGST / SGST split, GSTINs and the place of supply.
+// A supply within one state is taxed as CGST + SGST (UTGST in union
+// territories, stored as sgst); a supply across states as IGST.
+
+// GST state codes (first two digits of a GSTIN)
+const STATES = {
+    '01': 'Jammu and Kashmir',
+    '02': 'Himachal Pradesh',
+    '03': 'Punjab',
+    '04': 'Chandigarh',
+    '05': 'Uttarakhand',
+    '06': 'Haryana',
+    '07': 'Delhi',
+    '08': 'Rajasthan',
+    '09': 'Uttar Pradesh',
+    '10': 'Bihar',
+    '11': 'Sikkim',
+    '12': 'Arunachal Pradesh',
+    '13': 'Nagaland',
+    '14': 'Manipur',
+    '15': 'Mizoram',
+    '16': 'Tripura',
+    '17': 'Meghalaya',
+    '18': 'Assam',
+    '19': 'West Bengal',
+    '20': 'Jharkhand',
+    '21': 'Odisha',
+    '22': 'Chhattisgarh',
+    '23': 'Madhya Pradesh',
+    '24': 'Gujarat',
+    '25': 'Daman and Diu',
+    '26': 'Dadra and Nagar Haveli and Daman and Diu',
+    '27': 'Maharashtra',
+    '28': 'Andhra Pradesh (before reorganisation)',
+    '29': 'Karnataka',
+    '30': 'Goa',
+    '31': 'Lakshadweep',
+    '32': 'Kerala',
+    '33': 'Tamil Nadu',
+    '34': 'Puducherry',
+    '35': 'Andaman and Nicobar Islands',
+    '36': 'Telangana',
+    '37': 'Andhra Pradesh',
+    '38': 'Ladakh',
+    '97': 'Other Territory',
+    '99': 'Centre Jurisdiction'
+};
+
+// Other spellings seen in place-of-supply lines
+const STATE_ALIASES = {
+    orissa: '21',
+    pondicherry: '34',
+    'new delhi': '07',
+    'nct of delhi': '07',
+    'jammu & kashmir': '01',
+    'andaman & nicobar islands': '35'
+};
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const GSTIN_FORMAT = /^\d{2}[A-Z0-9]{10}[1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_IN_TEXT = /\b\d{2}[A-Z0-9]{10}[1-9A-Z]Z[0-9A-Z]\b/g;
+
+const GST_FIELDS = ['supplierGstin', 'recipientGstin', 'placeOfSupply', 'igst', 'cgst', 'sgst', 'cess'];
+
+// Fifteenth character of a GSTIN: base-36 Luhn over the first fourteen
+function gstinCheckDigit(first14) {
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const product = GSTIN_CHARSET.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(product / 36) + (product % 36);
+    }
+    return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+}
+
+// Returns { valid, stateCode, state, reason }
+function validateGstin(value) {
+    const gstin = String(value || '').trim().toUpperCase();
+
+    if (!GSTIN_FORMAT.test(gstin)) {
+        return { valid: false, stateCode: null, state: null, reason: `"${value}" is not in GSTIN format` };
+    }
+    const stateCode = gstin.slice(0, 2);
+    if (!STATES[stateCode]) {
+        return { valid: false, stateCode, state: null, reason: `${gstin} has unknown state code ${stateCode}` };
+    }
+    const checkDigit = gstinCheckDigit(gstin.slice(0, 14));
+    if (gstin[14] !== checkDigit) {
+        return { valid: false, stateCode, state: STATES[stateCode], reason: `${gstin} has check digit ${gstin[14]}, expected ${checkDigit}` };
+    }
+    return { valid: true, stateCode, state: STATES[stateCode], reason: null };
+}
+
+function stateFromGstin(gstin) {
+    const { valid, state } = validateGstin(gstin);
+    return valid ? state : null;
+}
+
+// State code of a place of supply: "Karnataka (29)", "29-Karnataka", "Karnataka"
+function placeOfSupplyStateCode(placeOfSupply) {
+    const text = String(placeOfSupply || '').trim();
+    if (!text) return null;
+
+    const code = (text.match(/\b\d{2}\b/g) || []).find(candidate => STATES[candidate]);
+    if (code) return code;
+
+    const name = text.toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ');
+    const aliases = Object.entries(STATE_ALIASES).map(([alias, aliasCode]) => [alias.replace(/&/g, 'and'), aliasCode]);
+    const byName = [...Object.entries(STATES).map(([stateCode, state]) => [state.toLowerCase(), stateCode]), ...aliases]
+        .sort((a, b) => b[0].length - a[0].length)
+        .find(([state]) => new RegExp(`\\b${state.replace(/[()]/g, '\\$&')}\\b`).test(name));
+    return byName ? byName[1] : null;
+}
+
+// Amount at the end of the first line carrying the label
+const taxLine = (text, label) => extractMonetaryValue(text,
+    new RegExp(String.raw`^[^\n]*\b(?:${label})\b[^\n]*?[ \t](?:INR|₹)?\s*([\d,]+\.\d{2})[ \t]*$`, 'im'));
+
+const RECIPIENT_LABEL = /recipient|customer|buyer|bill(?:ed)?\s+to|client|receiver|your\s+gstin/i;
+const SUPPLIER_LABEL = /supplier|seller|vendor|issuer|our\s+gstin/i;
+
+// GSTINs labelled by the nearest "Bill to" / "Supplier" style heading above
+// them (same line or up to four lines up); unlabelled ones go to the supplier
+// first since the issuer's GSTIN is printed in the letterhead
+function extractGstins(text) {
+    const lines = text.split('\n');
+    const result = { supplierGstin: null, recipientGstin: null };
+    const unlabelled = [];
+
+    lines.forEach((line, index) => {
+        (line.toUpperCase().match(GSTIN_IN_TEXT) || []).forEach(gstin => {
+            const before = [line.slice(0, line.toUpperCase().indexOf(gstin)), ...lines.slice(Math.max(0, index - 4), index).reverse()];
+            const label = before
+                .map(context => (RECIPIENT_LABEL.test(context) ? 'recipientGstin' : SUPPLIER_LABEL.test(context) ? 'supplierGstin' : null))
+                .find(Boolean);
+            if (label && !result[label]) result[label] = gstin;
+            else if (!label) unlabelled.push(gstin);
+        });
+    });
+
+    unlabelled
+        .filter(gstin => gstin !== result.supplierGstin && gstin !== result.recipientGstin)
+        .forEach(gstin => {
+            if (!result.supplierGstin) result.supplierGstin = gstin;
+            else if (!result.recipientGstin) result.recipientGstin = gstin;
+        });
+
+    return result;
+}
+
+// Regex extraction of the GST breakdown from invoice text
+function extractGst(text) {
+    const source = text || '';
+    return {
+        ...extractGstins(source),
+        placeOfSupply: extractPattern(source, /Place\s+of\s+supply\s*[:-]?[ \t]*([^\n]+)/i),
+        igst: taxLine(source, String.raw`IGST|Integrated\s+(?:GST|Tax)`),
+        cgst: taxLine(source, String.raw`CGST|Central\s+(?:GST|Tax)`),
+        sgst: taxLine(source, String.raw`SGST|UTGST|State\s+(?:GST|Tax)|Union\s+Territory\s+(?:GST|Tax)`),
+        cess: taxLine(source, String.raw`(?:GST\s+)?Compensation\s+Cess|Cess`)
+    };
+}
+
+// States derived from the GSTINs (null when a GSTIN is missing or invalid)
+function deriveGstStates(gst) {
+    return {
+        supplierState: stateFromGstin(gst?.supplierGstin),
+        recipientState: stateFromGstin(gst?.recipientGstin)
+    };
+}
+
+// Whether the tax type fits the supply. The place of supply falls back to the
+// recipient's state. Returns null when it cannot be judged: no valid supplier
+// GSTIN (imports are always IGST), unknown place of supply or no tax.
+function checkPlaceOfSupply(gst) {
+    if (!gst) return null;
+
+    const supplier = validateGstin(gst.supplierGstin);
+    if (!gst.supplierGstin || !supplier.valid) return null;
+
+    const recipient = validateGstin(gst.recipientGstin);
+    const placeCode = placeOfSupplyStateCode(gst.placeOfSupply) || (recipient.valid ? recipient.stateCode : null);
+    if (!placeCode) return null;
+
+    const hasIgst = gst.igst > 0;
+    const hasSplit = gst.cgst > 0 || gst.sgst > 0;
+    if (!hasIgst && !hasSplit) return null;
+
+    const intraState = supplier.stateCode === placeCode;
+    const supply = intraState
+        ? `supplier and place of supply are both in ${STATES[placeCode]}`
+        : `supplier in ${supplier.state}, place of supply ${STATES[placeCode]}`;
+
+    if (intraState && hasIgst) {
+        return { supplyType: 'intra_state', passed: false, detail: `IGST charged but ${supply}; expected CGST + SGST` };
+    }
+    if (!intraState && hasSplit) {
+        return { supplyType: 'inter_state', passed: false, detail: `CGST/SGST charged but ${supply}; expected IGST` };
+    }
+    return { supplyType: intraState ? 'intra_state' : 'inter_state', passed: true, detail: supply };
+}
+
+module.exports = {
+    STATES,
+    GST_FIELDS,
+    gstinCheckDigit,
+    validateGstin,
+    stateFromGstin,
+    placeOfSupplyStateCode,
+    extractGst,
+    deriveGstStates,
+    checkPlaceOfSupply
+};
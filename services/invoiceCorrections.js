@@ -0,0 +1,227 @@
+const { getPath, locateSpan, scoreField } = require('./fieldProvenance');
+const { platformsWithMetric } = require('./platforms');
+const { deriveGstStates } = require('./gst');
+
+// Field-level manual corrections to extractedData, with type validation,
+// provenance updates and an audit trail on the invoice.
+
+const FIELD_TYPES = {
+    invoiceNumber: 'string',
+    originalInvoiceNumber: 'string', // credit notes
+    invoiceDate: 'date',
+    accountId: 'string',
+    accountName: 'string',
+    location: 'string',
+    subtotal: 'number',
+    taxAmount: 'number',
+    'gst.supplierGstin': 'string',
+    'gst.recipientGstin': 'string',
+    'gst.placeOfSupply': 'string',
+    'gst.igst': 'number',
+    'gst.cgst': 'number',
+    'gst.sgst': 'number',
+    'gst.cess': 'number',
+    totalAmount: 'number',
+    currency: 'string',
+    'billingPeriod.startDate': 'date',
+    'billingPeriod.endDate': 'date',
+    campaigns: 'campaigns',
+    payments: 'payments'     // receipts
+};
+
+const CAMPAIGN_FIELD_TYPES = {
+    campaignName: 'string',
+    amount: 'number',
+    clicks: 'number',
+    cpc: 'number',
+    impressions: 'number'
+};
+
+const PAYMENT_FIELD_TYPES = {
+    date: 'date',
+    transactionId: 'string',
+    modeOfPayment: 'string',
+    amount: 'number',
+    invoiceNumber: 'string'
+};
+
+// Array fields, replaced whole or edited row by row ("campaigns.0.amount")
+const ROW_FIELD_TYPES = {
+    campaigns: CAMPAIGN_FIELD_TYPES,
+    payments: PAYMENT_FIELD_TYPES
+};
+const ROW_FIELD = /^(campaigns|payments)\.(\d+)\.(\w+)$/;
+
+function resolveFieldType(field) {
+    if (FIELD_TYPES[field]) return FIELD_TYPES[field];
+
+    const match = field.match(ROW_FIELD);
+    if (match && ROW_FIELD_TYPES[match[1]][match[3]]) return ROW_FIELD_TYPES[match[1]][match[3]];
+
+    return null;
+}
+
+// Coerce a submitted value to the field's type; returns { value } or { error }
+function coerceValue(type, value) {
+    if (value === null) return { value: null };
+
+    switch (type) {
+        case 'string':
+            if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be a string' };
+            return { value: String(value).trim() };
+        case 'number': {
+            const num = typeof value === 'string' ? parseFloat(value.replace(/,/g, '')) : value;
+            if (typeof num !== 'number' || !isFinite(num)) return { error: 'must be a number' };
+            if (num < 0) return { error: 'must not be negative' };
+            return { value: num };
+        }
+        case 'date': {
+            if (typeof value !== 'string' || isNaN(Date.parse(value))) return { error: 'must be an ISO 8601 date' };
+            return { value: new Date(value) };
+        }
+        case 'campaigns':
+        case 'payments': {
+            const fieldTypes = ROW_FIELD_TYPES[type];
+            if (!Array.isArray(value)) return { error: `must be an array of ${type}` };
+            const rows = [];
+            for (let i = 0; i < value.length; i++) {
+                const row = value[i];
+                if (!row || typeof row !== 'object') return { error: `${type}[${i}] must be an object` };
+
+                const coercedRow = {};
+                for (const [key, raw] of Object.entries(row)) {
+                    if (!fieldTypes[key]) return { error: `${type}[${i}].${key} is not a ${type.slice(0, -1)} field` };
+                    const coerced = coerceValue(fieldTypes[key], raw);
+                    if (coerced.error) return { error: `${type}[${i}].${key} ${coerced.error}` };
+                    coercedRow[key] = coerced.value;
+                }
+                rows.push(coercedRow);
+            }
+            return { value: rows };
+        }
+        default:
+            return { error: 'is not a supported field' };
+    }
+}
+
+// Validate every change first; returns [{ field, value }] or throws with details
+function validateCorrections(invoice, changes) {
+    const errors = [];
+    const validated = [];
+
+    Object.entries(changes || {}).forEach(([field, raw]) => {
+        const type = resolveFieldType(field);
+        if (!type) {
+            errors.push({ field, message: 'is not an editable field' });
+            return;
+        }
+
+        const row = field.match(ROW_FIELD);
+        if (row && parseInt(row[2]) >= (invoice.extractedData?.[row[1]] || []).length && changes[row[1]] === undefined) {
+            errors.push({ field, message: `${row[1].slice(0, -1)} row ${row[2]} does not exist` });
+            return;
+        }
+
+        const coerced = coerceValue(type, raw);
+        if (coerced.error) {
+            errors.push({ field, message: coerced.error });
+            return;
+        }
+        validated.push({ field, value: coerced.value });
+    });
+
+    if (validated.length === 0 && errors.length === 0) {
+        errors.push({ field: null, message: 'No changes provided' });
+    }
+
+    return { errors, validated };
+}
+
+// Apply validated changes to the invoice document (not saved).
+// Returns the list of { field, previousValue, newValue } that changed.
+function applyCorrections(invoice, validated, { changedBy, note } = {}) {
+    const applied = [];
+    const changedAt = new Date();
+
+    // Whole-array replacement goes first so row-level edits apply on top of it
+    const ordered = [...validated].sort((a, b) => (ROW_FIELD_TYPES[a.field] ? -1 : ROW_FIELD_TYPES[b.field] ? 1 : 0));
+
+    ordered.forEach(({ field, value }) => {
+        const previousValue = getPath(invoice.extractedData?.toObject ? invoice.extractedData.toObject() : invoice.extractedData, field);
+        invoice.set(`extractedData.${field}`, value);
+        applied.push({ field, previousValue: previousValue === undefined ? null : previousValue, newValue: value });
+    });
+
+    // Keep CPC consistent when its inputs were corrected
+    if (platformsWithMetric('cpc').includes(invoice.platform)) {
+        const touched = new Set();
+        applied.forEach(({ field }) => {
+            const match = field.match(/^campaigns\.(\d+)\.(amount|clicks)$/);
+            if (match) touched.add(parseInt(match[1]));
+        });
+        touched.forEach(index => {
+            if (validated.some(v => v.field === `campaigns.${index}.cpc`)) return;
+            const campaign = invoice.extractedData.campaigns[index];
+            invoice.set(`extractedData.campaigns.${index}.cpc`, (campaign.clicks && campaign.amount)
+                ? parseFloat((campaign.amount / campaign.clicks).toFixed(2))
+                : null);
+        });
+    }
+
+    // States are derived from the GSTINs
+    if (applied.some(({ field }) => /^gst\.(supplier|recipient)Gstin$/.test(field))) {
+        const states = deriveGstStates(invoice.extractedData.gst);
+        invoice.set('extractedData.gst.supplierState', states.supplierState);
+        invoice.set('extractedData.gst.recipientState', states.recipientState);
+    }
+
+    updateProvenance(invoice, applied);
+
+    applied.forEach(({ field, previousValue, newValue }) => {
+        invoice.corrections.push({ field, previousValue, newValue, changedBy, changedAt, note });
+    });
+
+    return applied;
+}
+
+function updateProvenance(invoice, applied) {
+    const fields = applied.map(a => a.field);
+    const replacedRows = fields.filter(field => ROW_FIELD_TYPES[field]);
+
+    let provenance = (invoice.fieldProvenance || [])
+        .map(entry => (entry.toObject ? entry.toObject() : entry))
+        .filter(entry => !fields.includes(entry.field) && !replacedRows.some(field => entry.field.startsWith(`${field}.`)));
+
+    const manualFields = [];
+    applied.forEach(({ field, newValue }) => {
+        if (!ROW_FIELD_TYPES[field]) {
+            manualFields.push([field, newValue]);
+            return;
+        }
+        (newValue || []).forEach((row, index) => {
+            Object.entries(row).forEach(([key, value]) => manualFields.push([`${field}.${index}.${key}`, value]));
+        });
+    });
+
+    manualFields
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .forEach(([field, value]) => {
+            const span = locateSpan(invoice.rawText, value);
+            provenance.push({
+                field,
+                origin: 'manual',
+                confidence: scoreField('manual', null, span),
+                span: span || undefined
+            });
+        });
+
+    invoice.fieldProvenance = provenance;
+}
+
+module.exports = {
+    FIELD_TYPES,
+    CAMPAIGN_FIELD_TYPES,
+    PAYMENT_FIELD_TYPES,
+    validateCorrections,
+    applyCorrections
+};
@@ -0,0 +1,113 @@
+// Row layouts of the invoice export: one row per invoice and one row per
+// campaign line. Values stay typed (numbers, dates) for XLSX; the CSV
+// columns format them.
+
+const isoDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+const isoTimestamp = (value) => (value ? new Date(value).toISOString() : '');
+
+const INVOICE_COLUMNS = [
+    { key: 'invoiceId', header: 'Invoice ID' },
+    { key: 'fileName', header: 'File name' },
+    { key: 'platform', header: 'Platform' },
+    { key: 'documentType', header: 'Document type' },
+    { key: 'status', header: 'Status' },
+    { key: 'invoiceNumber', header: 'Invoice number' },
+    { key: 'originalInvoiceNumber', header: 'Original invoice number' },
+    { key: 'invoiceDate', header: 'Invoice date', format: isoDate },
+    { key: 'accountId', header: 'Account ID' },
+    { key: 'accountName', header: 'Account name' },
+    { key: 'billingPeriodStart', header: 'Billing period start', format: isoDate },
+    { key: 'billingPeriodEnd', header: 'Billing period end', format: isoDate },
+    { key: 'currency', header: 'Currency' },
+    { key: 'subtotal', header: 'Subtotal' },
+    { key: 'taxAmount', header: 'Tax' },
+    { key: 'igst', header: 'IGST' },
+    { key: 'cgst', header: 'CGST' },
+    { key: 'sgst', header: 'SGST' },
+    { key: 'totalAmount', header: 'Total' },
+    { key: 'supplierGstin', header: 'Supplier GSTIN' },
+    { key: 'recipientGstin', header: 'Recipient GSTIN' },
+    { key: 'campaignCount', header: 'Campaigns' },
+    { key: 'validationPassed', header: 'Validation passed' },
+    { key: 'processedAt', header: 'Processed at', format: isoTimestamp },
+    { key: 'pdfUrl', header: 'PDF URL' }
+];
+
+const CAMPAIGN_COLUMNS = [
+    { key: 'invoiceId', header: 'Invoice ID' },
+    { key: 'platform', header: 'Platform' },
+    { key: 'documentType', header: 'Document type' },
+    { key: 'invoiceNumber', header: 'Invoice number' },
+    { key: 'invoiceDate', header: 'Invoice date', format: isoDate },
+    { key: 'accountId', header: 'Account ID' },
+    { key: 'line', header: 'Line' },
+    { key: 'campaignName', header: 'Campaign name' },
+    { key: 'amount', header: 'Amount' },
+    { key: 'clicks', header: 'Clicks' },
+    { key: 'impressions', header: 'Impressions' },
+    { key: 'cpc', header: 'CPC' },
+    { key: 'currency', header: 'Currency' }
+];
+
+const value = (v) => (v === undefined ? null : v);
+
+// invoice: plain Invoice object
+function invoiceRow(invoice, pdfUrl = null) {
+    const data = invoice.extractedData || {};
+    return {
+        invoiceId: String(invoice._id),
+        fileName: invoice.fileName,
+        platform: invoice.platform,
+        documentType: invoice.documentType || 'invoice',
+        status: invoice.status,
+        invoiceNumber: value(data.invoiceNumber),
+        originalInvoiceNumber: value(data.originalInvoiceNumber),
+        invoiceDate: value(data.invoiceDate),
+        accountId: value(data.accountId),
+        accountName: value(data.accountName),
+        billingPeriodStart: value(data.billingPeriod?.startDate),
+        billingPeriodEnd: value(data.billingPeriod?.endDate),
+        currency: value(data.currency),
+        subtotal: value(data.subtotal),
+        taxAmount: value(data.taxAmount),
+        igst: value(data.gst?.igst),
+        cgst: value(data.gst?.cgst),
+        sgst: value(data.gst?.sgst),
+        totalAmount: value(data.totalAmount),
+        supplierGstin: value(data.gst?.supplierGstin),
+        recipientGstin: value(data.gst?.recipientGstin),
+        campaignCount: (data.campaigns || []).length,
+        validationPassed: value(invoice.validation?.passed),
+        processedAt: value(invoice.processedAt),
+        pdfUrl
+    };
+}
+
+// Campaign lines of an invoice; campaignPattern (RegExp) keeps only matching names
+function campaignRows(invoice, campaignPattern = null) {
+    const data = invoice.extractedData || {};
+    return (data.campaigns || [])
+        .map((campaign, index) => ({
+            invoiceId: String(invoice._id),
+            platform: invoice.platform,
+            documentType: invoice.documentType || 'invoice',
+            invoiceNumber: value(data.invoiceNumber),
+            invoiceDate: value(data.invoiceDate),
+            accountId: value(data.accountId),
+            line: index + 1,
+            campaignName: value(campaign.campaignName),
+            amount: value(campaign.amount),
+            clicks: value(campaign.clicks),
+            impressions: value(campaign.impressions),
+            cpc: value(campaign.cpc),
+            currency: value(data.currency)
+        }))
+        .filter(row => !campaignPattern || campaignPattern.test(row.campaignName || ''));
+}
+
+module.exports = {
+    INVOICE_COLUMNS,
+    CAMPAIGN_COLUMNS,
+    invoiceRow,
+    campaignRows
+};
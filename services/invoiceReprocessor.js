@@ -0,0 +1,97 @@
+const Invoice = require('../models/Invoice');
+const PdfProcessor = require('./pdfProcessor');
+const { recordRevision, ensureBaselineRevision } = require('./invoiceRevisions');
+const { diffExtractedData } = require('./extractionDiff');
+const { linkCreditNotes } = require('./creditNotes');
+const { resolveFilePath } = require('./workspaces');
+
+const TEXT_SOURCES = ['auto', 'file', 'rawText'];
+
+// Re-run extraction for an existing invoice from its stored PDF or rawText.
+// The previous extraction stays available as an InvoiceRevision.
+// `platform` forces the platform (manual override); without it a platform a
+// user set earlier is kept and detection only runs for scored invoices.
+// Returns null when the invoice does not exist in `workspaceId`.
+async function reprocessInvoice(invoiceId, { workspaceId, source = 'auto', processor = new PdfProcessor(), createdBy, platform, note } = {}) {
+    if (!TEXT_SOURCES.includes(source)) {
+        throw new Error(`Invalid source "${source}". Valid options: ${TEXT_SOURCES.join(', ')}`);
+    }
+
+    const invoice = await Invoice.findOne({ _id: invoiceId, workspaceId });
+    if (!invoice) return null;
+
+    if (invoice.status === 'processing') {
+        throw new Error('Invoice is still being processed');
+    }
+
+    // Prefer the stored PDF so parser improvements apply too
+    let text = null;
+    let textSource = null;
+    const resolvedFilePath = source !== 'rawText' ? resolveFilePath(invoice.filePath) : null;
+
+    if (resolvedFilePath) {
+        // Invoices split from a bundled PDF only read their own pages
+        text = await processor.extractText(resolvedFilePath, invoice.pageRange);
+        textSource = 'file';
+    } else if (source !== 'file' && invoice.rawText) {
+        text = invoice.rawText;
+        textSource = 'rawText';
+    }
+
+    if (!text) {
+        throw new Error(source === 'file'
+            ? 'Stored PDF file not found for this invoice'
+            : 'Neither the stored PDF nor rawText is available for this invoice');
+    }
+
+    await ensureBaselineRevision(invoice);
+    const before = invoice.extractedData ? invoice.extractedData.toObject() : {};
+    const previousPlatform = invoice.platform;
+    const previousDocumentType = invoice.documentType;
+
+    const keepManualPlatform = !platform && invoice.platformDetection?.method === 'manual';
+    const override = platform
+        ? { platform, overriddenBy: createdBy }
+        : keepManualPlatform
+            ? {
+                platform: invoice.platform,
+                overriddenBy: invoice.platformDetection.overriddenBy,
+                overriddenAt: invoice.platformDetection.overriddenAt
+            }
+            : {};
+
+    invoice.rawText = text;
+    invoice.processedAt = new Date();
+    await processor.applyExtraction(invoice, text, override);
+    await invoice.save();
+
+    const revision = await recordRevision(invoice, 'reprocess', { createdBy, note });
+    await linkCreditNotes(invoice);
+
+    const changes = diffExtractedData(before, invoice.extractedData);
+    if (previousDocumentType !== invoice.documentType) {
+        changes.unshift({ field: 'documentType', before: previousDocumentType, after: invoice.documentType });
+    }
+    if (previousPlatform !== invoice.platform) {
+        changes.unshift({ field: 'platform', before: previousPlatform, after: invoice.platform });
+    }
+
+    return {
+        invoiceId: invoice._id,
+        fileName: invoice.fileName,
+        textSource,
+        version: revision.version,
+        status: invoice.status,
+        platform: invoice.platform,
+        platformDetection: invoice.platformDetection,
+        documentType: invoice.documentType,
+        linkedInvoiceId: invoice.linkedInvoiceId,
+        extractionMethod: invoice.extraction?.method,
+        changes
+    };
+}
+
+module.exports = {
+    TEXT_SOURCES,
+    reprocessInvoice
+};
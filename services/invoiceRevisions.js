@@ -0,0 +1,107 @@
+const Invoice = require('../models/Invoice');
+const InvoiceRevision = require('../models/InvoiceRevision');
+const { runValidation } = require('./validationEngine');
+const { getReviewReasons } = require('./reviewPolicy');
+const { linkCreditNotes } = require('./creditNotes');
+
+function toPlain(value) {
+    if (value && typeof value.toObject === 'function') return value.toObject();
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Claim the invoice's next revision version. The counter on the invoice is
+// incremented atomically so concurrent revisions never get the same version.
+async function nextVersion(invoiceId) {
+    const increment = () => Invoice.findOneAndUpdate(
+        { _id: invoiceId, lastRevision: { $exists: true } },
+        { $inc: { lastRevision: 1 } },
+        { new: true, projection: { lastRevision: 1 } }
+    );
+
+    const counter = await increment();
+    if (counter) return counter.lastRevision;
+
+    // The first revision, or an invoice from before the counter, starts it
+    // after the latest stored revision
+    const latest = await InvoiceRevision.findOne({ invoiceId })
+        .sort({ version: -1 })
+        .select('version');
+    const seeded = await Invoice.findOneAndUpdate(
+        { _id: invoiceId, lastRevision: { $exists: false } },
+        { $set: { lastRevision: latest ? latest.version + 1 : 1 } },
+        { new: true, projection: { lastRevision: 1 } }
+    );
+    if (seeded) return seeded.lastRevision;
+
+    // Another revision seeded it first
+    const retried = await increment();
+    if (!retried) throw new Error('Invoice not found');
+    return retried.lastRevision;
+}
+
+// Store the invoice's current extraction as the next version
+async function recordRevision(invoice, source, { createdBy = 'system', note, basedOnVersion } = {}) {
+    return InvoiceRevision.create({
+        invoiceId: invoice._id,
+        version: await nextVersion(invoice._id),
+        source,
+        provider: invoice.extraction?.provider,
+        model: invoice.extraction?.model,
+        promptId: invoice.extraction?.promptId,
+        createdBy,
+        note,
+        basedOnVersion,
+        platform: invoice.platform,
+        platformDetection: toPlain(invoice.platformDetection),
+        documentType: invoice.documentType,
+        status: invoice.status,
+        extractedData: toPlain(invoice.extractedData),
+        extraction: toPlain(invoice.extraction),
+        fieldProvenance: toPlain(invoice.fieldProvenance)
+    });
+}
+
+// Invoices imported before revisions existed get their current data as version 1
+async function ensureBaselineRevision(invoice) {
+    const exists = await InvoiceRevision.exists({ invoiceId: invoice._id });
+    if (exists || !invoice.extractedData) return null;
+    return recordRevision(invoice, 'upload');
+}
+
+// Restore the extraction stored in an earlier revision and record the rollback
+// as a new version, so history only ever grows. Returns null when the version
+// does not exist.
+async function rollbackToRevision(invoice, version, { createdBy, note } = {}) {
+    const target = await InvoiceRevision.findOne({ invoiceId: invoice._id, version });
+    if (!target) return null;
+
+    invoice.platform = target.platform || invoice.platform;
+    if (target.platformDetection) invoice.platformDetection = target.platformDetection;
+    if (target.documentType) invoice.documentType = target.documentType;
+    invoice.extractedData = target.extractedData;
+    invoice.extraction = target.extraction;
+    invoice.fieldProvenance = target.fieldProvenance || [];
+
+    // Validation rules may have changed since the revision was taken
+    invoice.validation = runValidation(invoice.extractedData, invoice.platform);
+    const reviewReasons = getReviewReasons(invoice.extractedData, invoice.fieldProvenance, invoice.validation, invoice.platformDetection, invoice.documentType);
+    invoice.set('review.reasons', reviewReasons);
+    if (invoice.status !== 'rejected') {
+        invoice.status = reviewReasons.length > 0 ? 'needs_review' : 'completed';
+    }
+
+    await invoice.save();
+    await linkCreditNotes(invoice);
+
+    return recordRevision(invoice, 'rollback', {
+        createdBy,
+        note: note || `Rolled back to version ${version}`,
+        basedOnVersion: version
+    });
+}
+
+module.exports = {
+    recordRevision,
+    ensureBaselineRevision,
+    rollbackToRevision
+};
@@ -0,0 +1,86 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+
+// Splitting of PDFs that bundle several invoices. Boundaries are found page by
+// page: a page whose header shows an invoice number different from the current
+// invoice's starts a new segment. Pages without a number (continuations, cover
+// pages) stay with the invoice before them.
+
+// Only the top of a page is searched for the "Tax Invoice" / "Credit Note" header
+const HEADER_LINES = 15;
+const INVOICE_HEADER = /\b(?:(?:tax\s+)?invoice|credit\s+(?:note|memo))\b/i;
+// The document's own number, not the "original invoice number" a credit note refers to
+const INVOICE_NUMBER = /(?<!(?:original|against|reference[ds]?|ref\.?|credited)\s+(?:tax\s+)?)(?:invoice|document|credit\s+(?:note|memo))\s*(?:number|no\.?|#)\s*[:.]?\s*([A-Z0-9][A-Z0-9/-]{3,})/i;
+
+// Invoice number printed under an invoice header on this page, if any
+function getPageInvoiceNumber(pageText) {
+    const top = (pageText || '').split('\n').slice(0, HEADER_LINES).join('\n');
+    if (!INVOICE_HEADER.test(top)) return null;
+
+    const match = pageText.match(INVOICE_NUMBER);
+    return match ? match[1].toUpperCase() : null;
+}
+
+// Join page texts the way pdf-parse does for a whole document
+function joinPages(pages) {
+    return pages.map(page => `\n\n${page}`).join('');
+}
+
+// Returns [{ pageRange: { start, end }, invoiceNumber, text }], pages 1-based
+function splitInvoicePages(pages) {
+    const segments = [];
+    let current = null;
+
+    pages.forEach((pageText, index) => {
+        const pageNumber = index + 1;
+        const invoiceNumber = getPageInvoiceNumber(pageText);
+
+        if (!current || (invoiceNumber && current.invoiceNumber && invoiceNumber !== current.invoiceNumber)) {
+            current = { pageRange: { start: pageNumber, end: pageNumber }, invoiceNumber, pages: [pageText] };
+            segments.push(current);
+            return;
+        }
+
+        current.pageRange.end = pageNumber;
+        current.pages.push(pageText);
+        if (!current.invoiceNumber) current.invoiceNumber = invoiceNumber;
+    });
+
+    return segments.map(({ pages: segmentPages, ...segment }) => ({
+        ...segment,
+        text: joinPages(segmentPages)
+    }));
+}
+
+// "bundle.pdf" + pages 3-4 -> "bundle_p3-4.pdf"
+function segmentFileName(originalName, { start, end }) {
+    const ext = path.extname(originalName) || '.pdf';
+    const base = originalName.slice(0, originalName.length - path.extname(originalName).length);
+    return `${base}_p${start === end ? start : `${start}-${end}`}${ext}`;
+}
+
+// New PDF containing only the given pages of the source file
+async function extractPageRange(filePath, { start, end }) {
+    const source = await PDFDocument.load(await fs.readFile(filePath));
+    const pageCount = source.getPageCount();
+    if (start < 1 || end > pageCount || start > end) {
+        throw new Error(`Page range ${start}-${end} is outside the document (${pageCount} pages)`);
+    }
+
+    const target = await PDFDocument.create();
+    const indices = Array.from({ length: end - start + 1 }, (_, i) => start - 1 + i);
+    const pages = await target.copyPages(source, indices);
+    pages.forEach(page => target.addPage(page));
+
+    // Without object streams the slice stays readable by older PDF readers
+    return Buffer.from(await target.save({ useObjectStreams: false }));
+}
+
+module.exports = {
+    getPageInvoiceNumber,
+    joinPages,
+    splitInvoicePages,
+    segmentFileName,
+    extractPageRange
+};
@@ -0,0 +1,162 @@
+const platforms = require('./platforms');
+const { STATES, placeOfSupplyStateCode, validateGstin } = require('./gst');
+const { toCsv } = require('./csv');
+
+// Input tax credit register for one tax period, one row per invoice or credit
+// note in the column layout of the GSTR-2B B2B / CDNR tables, so accountants
+// can tick it off against the GSTR-2B downloaded from the GST portal.
+// Credit notes are listed with positive values and subtracted in the summary.
+
+// Documents that can be claimed; failed and rejected ones are left out
+const ITC_STATUSES = ['completed', 'needs_review'];
+
+// Columns totalled in the summary
+const TOTAL_FIELDS = ['invoiceValue', 'taxableValue', 'igst', 'cgst', 'sgst', 'cess'];
+
+const round = (value) => (typeof value === 'number' ? parseFloat(value.toFixed(2)) : null);
+const money = (value) => (typeof value === 'number' ? value.toFixed(2) : '');
+// GST portal date format
+const portalDate = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    return `${String(date.getUTCDate()).padStart(2, '0')}-${String(date.getUTCMonth() + 1).padStart(2, '0')}-${date.getUTCFullYear()}`;
+};
+
+const COLUMNS = [
+    { key: 'supplierGstin', header: 'GSTIN of supplier' },
+    { key: 'supplierName', header: 'Trade/Legal name' },
+    { key: 'documentType', header: 'Document type' },
+    { key: 'invoiceNumber', header: 'Invoice number' },
+    { key: 'invoiceDate', header: 'Invoice date', format: portalDate },
+    { key: 'originalInvoiceNumber', header: 'Original invoice number' },
+    { key: 'invoiceValue', header: 'Invoice value (₹)', format: money },
+    { key: 'placeOfSupply', header: 'Place of supply' },
+    { key: 'reverseCharge', header: 'Supply attract reverse charge' },
+    { key: 'taxableValue', header: 'Taxable value (₹)', format: money },
+    { key: 'igst', header: 'Integrated Tax (₹)', format: money },
+    { key: 'cgst', header: 'Central Tax (₹)', format: money },
+    { key: 'sgst', header: 'State/UT Tax (₹)', format: money },
+    { key: 'cess', header: 'Cess (₹)', format: money },
+    { key: 'platform', header: 'Platform' },
+    { key: 'remarks', header: 'Remarks' }
+];
+
+// "2024-01" -> first and last instant of the month (UTC)
+function periodRange(period) {
+    const [year, month] = period.split('-').map(Number);
+    return {
+        startDate: new Date(Date.UTC(year, month - 1, 1)),
+        endDate: new Date(Date.UTC(year, month, 1) - 1)
+    };
+}
+
+// Supplier name as printed: the issuer signal that identified the platform
+function supplierName(document) {
+    const issuer = (document.platformDetection?.signals || [])
+        .find(signal => signal.type === 'issuer' && signal.platform === document.platform);
+    return issuer ? issuer.match : platforms.getPlatform(document.platform).label;
+}
+
+function placeOfSupply(gst) {
+    const code = placeOfSupplyStateCode(gst.placeOfSupply);
+    if (code) return STATES[code];
+    return gst.placeOfSupply || gst.recipientState || null;
+}
+
+// Why a row may not be found in GSTR-2B or may not be claimable as shown
+function remarks(document, gst) {
+    const notes = [];
+    if (!gst.supplierGstin) {
+        notes.push('No supplier GSTIN (import of services: IGST paid under reverse charge, not in GSTR-2B)');
+    } else if (!validateGstin(gst.supplierGstin).valid) {
+        notes.push('Supplier GSTIN is invalid');
+    }
+    const taxAmount = document.extractedData?.taxAmount;
+    if (typeof taxAmount === 'number' && taxAmount > 0 && ['igst', 'cgst', 'sgst'].every(field => typeof gst[field] !== 'number')) {
+        notes.push('GST split not extracted');
+    }
+    if (document.validation?.passed === false) notes.push('Failed consistency checks');
+    if (document.status === 'needs_review') notes.push('Needs review');
+    return notes.join('; ');
+}
+
+// One register row per document (plain Invoice objects)
+function buildItcRows(documents) {
+    return documents
+        .map(document => {
+            const data = document.extractedData || {};
+            const gst = data.gst || {};
+            const taxableValue = typeof data.subtotal === 'number'
+                ? data.subtotal
+                : (typeof data.totalAmount === 'number' && typeof data.taxAmount === 'number' ? data.totalAmount - data.taxAmount : null);
+            const creditNote = document.documentType === 'credit_note';
+
+            return {
+                invoiceId: document._id,
+                supplierGstin: gst.supplierGstin || null,
+                supplierName: supplierName(document),
+                documentType: creditNote ? 'Credit Note' : 'Invoice',
+                invoiceNumber: data.invoiceNumber || null,
+                invoiceDate: data.invoiceDate || null,
+                originalInvoiceNumber: creditNote ? data.originalInvoiceNumber || null : null,
+                invoiceValue: round(data.totalAmount),
+                placeOfSupply: placeOfSupply(gst),
+                // Without a supplier GSTIN the service is imported and the
+                // recipient pays the tax
+                reverseCharge: gst.supplierGstin ? 'N' : 'Y',
+                taxableValue: round(taxableValue),
+                igst: round(gst.igst),
+                cgst: round(gst.cgst),
+                sgst: round(gst.sgst),
+                cess: round(gst.cess),
+                platform: document.platform,
+                remarks: remarks(document, gst)
+            };
+        })
+        // By supplier, documents without a GSTIN last, then by date
+        .sort((a, b) => (!a.supplierGstin - !b.supplierGstin)
+            || (a.supplierGstin || '').localeCompare(b.supplierGstin || '')
+            || new Date(a.invoiceDate || 0) - new Date(b.invoiceDate || 0));
+}
+
+// Net totals per tax column (credit notes subtracted) and per supplier GSTIN
+function summarizeItcRows(rows) {
+    const net = (row, field) => (row.documentType === 'Credit Note' ? -1 : 1) * (row[field] || 0);
+    const totals = (subset) => Object.fromEntries(TOTAL_FIELDS.map(field => [
+        field,
+        round(subset.reduce((sum, row) => sum + net(row, field), 0))
+    ]));
+
+    const suppliers = new Map();
+    rows.forEach(row => {
+        const key = row.supplierGstin || '';
+        if (!suppliers.has(key)) suppliers.set(key, []);
+        suppliers.get(key).push(row);
+    });
+
+    return {
+        invoices: rows.filter(row => row.documentType === 'Invoice').length,
+        creditNotes: rows.filter(row => row.documentType === 'Credit Note').length,
+        withoutSupplierGstin: rows.filter(row => !row.supplierGstin).length,
+        ...totals(rows),
+        suppliers: [...suppliers.entries()].map(([gstin, subset]) => ({
+            supplierGstin: gstin || null,
+            supplierName: subset[0].supplierName,
+            documents: subset.length,
+            ...totals(subset)
+        }))
+    };
+}
+
+function itcRowsToCsv(rows) {
+    return toCsv(COLUMNS, rows);
+}
+
+module.exports = {
+    ITC_STATUSES,
+    COLUMNS,
+    periodRange,
+    buildItcRows,
+    summarizeItcRows,
+    itcRowsToCsv
+};
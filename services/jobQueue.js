@@ -0,0 +1,192 @@
+const Job = require('../models/Job');
+require('dotenv').config();
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'duplicate', 'cancelled'];
+
+// MongoDB-backed work queue. Jobs survive restarts; the worker loop polls for
+// due jobs and hands them to the handler registered for their type with a
+// bounded concurrency. Handlers look like:
+//
+//   { run(job), onFailure(job, error, willRetry), onBatchComplete(batchId, summary) }
+class JobQueue {
+    constructor({ handlers, concurrency, maxAttempts, pollInterval, backoffBase } = {}) {
+        if (!handlers || Object.values(handlers).some(h => typeof h.run !== 'function')) {
+            throw new Error('JobQueue requires a run function for every job type');
+        }
+
+        this.handlers = handlers;
+        this.concurrency = concurrency || parseInt(process.env.JOB_CONCURRENCY) || 5;
+        this.maxAttempts = maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+        this.pollInterval = pollInterval || parseInt(process.env.JOB_POLL_INTERVAL_MS) || 1000;
+        this.backoffBase = backoffBase || parseInt(process.env.JOB_BACKOFF_MS) || 5000;
+
+        this.active = 0;
+        this.timer = null;
+        this.ticking = false;
+        this.finishedBatches = new Set();
+    }
+
+    // Queue one job per payload; payload fields are stored on the Job document
+    async enqueue(type, batchId, payloads) {
+        if (!this.handlers[type]) {
+            throw new Error(`No handler registered for job type "${type}"`);
+        }
+
+        const docs = payloads.map(payload => ({
+            ...payload,
+            type,
+            batchId,
+            maxAttempts: this.maxAttempts
+        }));
+
+        const jobs = await Job.insertMany(docs);
+        this.tick();
+        return jobs;
+    }
+
+    async start() {
+        // Anything still marked as processing belongs to a worker that died
+        const recovered = await Job.updateMany(
+            { status: 'processing' },
+            { $set: { status: 'queued', runAt: new Date() }, $unset: { lockedAt: 1 } }
+        );
+        if (recovered.modifiedCount > 0) {
+            console.log(`Requeued ${recovered.modifiedCount} interrupted jobs`);
+        }
+
+        this.timer = setInterval(() => this.tick(), this.pollInterval);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            while (this.active < this.concurrency) {
+                const job = await this.claimNext();
+                if (!job) break;
+
+                this.active++;
+                this.run(job)
+                    .catch(error => console.error(`Job ${job._id} error:`, error))
+                    .finally(() => {
+                        this.active--;
+                        this.tick();
+                    });
+            }
+        } catch (error) {
+            console.error('Job queue tick error:', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async claimNext() {
+        const now = new Date();
+        return Job.findOneAndUpdate(
+            { status: 'queued', runAt: { $lte: now }, type: { $in: Object.keys(this.handlers) } },
+            {
+                $set: { status: 'processing', lockedAt: now, startedAt: now },
+                $inc: { attempts: 1 }
+            },
+            { sort: { runAt: 1, createdAt: 1 }, new: true }
+        );
+    }
+
+    async run(job) {
+        const handler = this.handlers[job.type];
+
+        try {
+            const outcome = await handler.run(job);
+
+            await Job.updateOne(
+                { _id: job._id, status: 'processing' },
+                {
+                    $set: {
+                        status: outcome?.status || 'completed',
+                        result: outcome?.result,
+                        ...(outcome?.invoiceId && { invoiceId: outcome.invoiceId }),
+                        completedAt: new Date()
+                    },
+                    $unset: { lockedAt: 1, lastError: 1 }
+                }
+            );
+        } catch (error) {
+            const retryable = error.retryable !== false && job.attempts < job.maxAttempts;
+
+            if (retryable) {
+                const delay = this.backoffBase * Math.pow(2, job.attempts - 1);
+                await Job.updateOne(
+                    { _id: job._id, status: 'processing' },
+                    {
+                        $set: { status: 'queued', runAt: new Date(Date.now() + delay), lastError: error.message },
+                        $unset: { lockedAt: 1 }
+                    }
+                );
+                console.warn(`Job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${delay}ms`);
+            } else {
+                await Job.updateOne(
+                    { _id: job._id, status: 'processing' },
+                    {
+                        $set: {
+                            status: 'failed',
+                            lastError: error.message,
+                            ...(error.invoiceId && { invoiceId: error.invoiceId }),
+                            completedAt: new Date()
+                        },
+                        $unset: { lockedAt: 1 }
+                    }
+                );
+            }
+
+            if (typeof handler.onFailure === 'function') {
+                try {
+                    await handler.onFailure(job, error, retryable);
+                } catch (hookError) {
+                    console.error(`Job ${job._id} failure hook error:`, hookError);
+                }
+            }
+        }
+
+        await this.checkBatch(job.batchId, job.type);
+    }
+
+    async checkBatch(batchId, type = 'process_pdf') {
+        if (this.finishedBatches.has(batchId)) return;
+
+        const pending = await Job.countDocuments({ batchId, status: { $nin: TERMINAL_STATUSES } });
+        if (pending > 0) return;
+
+        this.finishedBatches.add(batchId);
+        const handler = this.handlers[type];
+        if (handler && typeof handler.onBatchComplete === 'function') {
+            await handler.onBatchComplete(batchId, await JobQueue.getBatchSummary(batchId));
+        }
+    }
+
+    static async getBatchSummary(batchId) {
+        const counts = await Job.aggregate([
+            { $match: { batchId } },
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]);
+
+        const summary = { batchId, totalFiles: 0 };
+        counts.forEach(c => {
+            summary[c._id] = c.count;
+            summary.totalFiles += c.count;
+        });
+        return summary;
+    }
+}
+
+JobQueue.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+module.exports = JobQueue;
@@ -1,30 +1,81 @@
 const pdfParse = require('pdf-parse');
 const fs = require('fs').promises;
-const { ChatOpenAI } = require('@langchain/openai');
-const { HumanMessage, SystemMessage } = require('@langchain/core/messages');
+const crypto = require('crypto');
+const { AIMessage, HumanMessage, SystemMessage } = require('@langchain/core/messages');
 const Invoice = require('../models/Invoice');
+const { createExtractionProvider } = require('./extractionProviders');
+const { describeSchema, parseModelOutput, validateExtraction, text: textField, paymentList } = require('./extractionSchemas');
+const platforms = require('./platforms');
+const { buildFieldProvenance } = require('./fieldProvenance');
+const { getReviewReasons } = require('./reviewPolicy');
+const { runValidation } = require('./validationEngine');
+const { recordRevision } = require('./invoiceRevisions');
+const { splitInvoicePages, segmentFileName, joinPages } = require('./invoiceSplitter');
+const { DEFAULT_DOCUMENT_TYPE, classifyDocumentType, extractOriginalInvoiceNumber, extractCreditNoteNumber } = require('./documentTypes');
+const { linkCreditNotes } = require('./creditNotes');
+const { extractReceipt } = require('./receipts');
+const { GST_FIELDS, extractGst, deriveGstStates } = require('./gst');
 require('dotenv').config();
 
-class PdfProcessor {
-    constructor() {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OPENAI_API_KEY environment variable is required');
-        }
+// Fields and prompt rules added to the platform's schema for documents that
+// are not invoices
+const DOCUMENT_EXTRACTION = {
+    credit_note: {
+        fields: () => ({ originalInvoiceNumber: textField() }),
+        rules: [
+            'This document is a credit note: invoiceNumber is the credit note number, originalInvoiceNumber is the number of the invoice being credited',
+            'Return credited amounts as positive numbers'
+        ]
+    },
+    receipt: {
+        fields: () => ({ payments: paymentList() }),
+        rules: [
+            'This document is a payment receipt: invoiceNumber is the receipt number and totalAmount the amount paid',
+            'List every payment in payments with the invoiceNumber it pays when the receipt names one'
+        ]
+    }
+};
+
+// Same text layout as pdf-parse's default page renderer: items on the same
+// line are joined, a change in y position starts a new line
+async function renderPageText(pageData) {
+    const textContent = await pageData.getTextContent({
+        normalizeWhitespace: false,
+        disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+    }
+    return text;
+}
 
-        this.llm = new ChatOpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-            model: 'gpt-4o-mini',
-            temperature: 0.1,
-            maxOutputTokens: 2000
-        });
+class PdfProcessor {
+    constructor({ provider, maxRetries } = {}) {
+        // Extraction provider is chosen by EXTRACTION_PROVIDER unless one is injected
+        this.provider = provider || createExtractionProvider();
+
+        // Number of times the model is re-asked when its output fails validation
+        this.maxRetries = maxRetries !== undefined
+            ? maxRetries
+            : parseInt(process.env.LLM_MAX_RETRIES || '1');
     }
 
-    async processPdf(file) {
+    // Returns the result for the (first) invoice in the file. When the PDF
+    // bundles several invoices, one Invoice is created per page range and
+    // `segments` lists all of them. Invoices are created in `workspaceId` and
+    // tagged with the upload job (`jobId`) that processes the file.
+    async processPdf(file, { workspaceId, jobId } = {}) {
         let invoice = null;
 
         try {
             // Create initial invoice record
             invoice = new Invoice({
+                workspaceId,
+                jobId,
                 fileName: file.originalname,
                 filePath: file.path,
                 platform: 'other',
@@ -33,31 +84,54 @@ class PdfProcessor {
             await invoice.save();
 
             // Read and parse PDF
-            const pdfBuffer = await fs.readFile(file.path);
-            const pdfData = await pdfParse(pdfBuffer);
-            const textContent = pdfData.text;
-
-            // Store raw text
-            invoice.rawText = textContent;
-            await invoice.save();
+            const { text: textContent, pages } = await this.extractPages(file.path);
+            const segments = splitInvoicePages(pages);
 
-            // Detect platform
-            const platform = this.detectPlatform(textContent);
-            invoice.platform = platform;
+            if (segments.length <= 1) {
+                // Store raw text
+                invoice.rawText = textContent;
+                await invoice.save();
 
-            // Extract data using LLM (with regex fallback)
-            const extractedData = await this.extractInvoiceData(textContent, platform);
+                return await this.processInvoiceText(invoice, textContent);
+            }
 
-            // Update invoice
-            invoice.extractedData = extractedData;
-            invoice.status = 'completed';
-            await invoice.save();
+            // The first segment reuses the initial record
+            const results = [];
+            for (const [index, segment] of segments.entries()) {
+                const segmentInvoice = index === 0 ? invoice : new Invoice({ workspaceId, jobId, platform: 'other', status: 'processing' });
+                segmentInvoice.set({
+                    fileName: segmentFileName(file.originalname, segment.pageRange),
+                    filePath: file.path,
+                    sourceFileName: file.originalname,
+                    pageRange: segment.pageRange,
+                    rawText: segment.text
+                });
+                await segmentInvoice.save();
+
+                // One unreadable invoice should not fail the rest of the bundle
+                try {
+                    results.push(await this.processInvoiceText(segmentInvoice, segment.text));
+                } catch (error) {
+                    if (index === 0) throw error;
+                    console.error(`Error processing pages ${segment.pageRange.start}-${segment.pageRange.end} of ${file.originalname}:`, error);
+                    segmentInvoice.status = 'failed';
+                    segmentInvoice.errorMessage = error.message;
+                    await segmentInvoice.save();
+                    results.push({
+                        invoiceId: segmentInvoice._id,
+                        fileName: segmentInvoice.fileName,
+                        pageRange: segment.pageRange,
+                        status: 'failed',
+                        error: error.message
+                    });
+                }
+            }
 
             return {
-                fileName: file.originalname,
-                platform,
-                extractedData,
-                status: 'completed'
+                ...results[0],
+                segments: results.map(({ invoiceId, fileName, pageRange, platform, status, error }) => ({
+                    invoiceId, fileName, pageRange, platform, status, error
+                }))
             };
         } catch (error) {
             console.error(`Error processing ${file.originalname}:`, error);
@@ -65,114 +139,213 @@ class PdfProcessor {
                 invoice.status = 'failed';
                 invoice.errorMessage = error.message;
                 await invoice.save();
+                error.invoiceId = invoice._id;
             }
             throw error;
         }
 
     }
 
-    detectPlatform(text) {
-        const lowercaseText = text.toLowerCase();
+    // Extract, save and snapshot one invoice's text
+    async processInvoiceText(invoice, textContent) {
+        const { extractedData, extraction, reviewReasons } = await this.applyExtraction(invoice, textContent);
+        await invoice.save();
+        await recordRevision(invoice, 'upload');
+        await linkCreditNotes(invoice);
 
-        if (lowercaseText.includes('google ads') || lowercaseText.includes('google invoice')) {
-            return 'google_ads';
-        }
-        if (lowercaseText.includes('meta') && (lowercaseText.includes('ads') || lowercaseText.includes('advertising'))) {
-            return 'meta_ads';
-        }
-        if (lowercaseText.includes('facebook ads')) {
-            return 'facebook_ads';
-        }
-        if (lowercaseText.includes('instagram ads')) {
-            return 'instagram_ads';
+        return {
+            invoiceId: invoice._id,
+            fileName: invoice.fileName,
+            pageRange: invoice.pageRange?.start ? invoice.pageRange : undefined,
+            documentType: invoice.documentType,
+            platform: invoice.platform,
+            platformConfidence: invoice.platformDetection?.confidence,
+            extractedData,
+            extractionMethod: extraction.method,
+            validation: invoice.validation,
+            reviewReasons,
+            status: invoice.status
+        };
+    }
+
+    async extractText(filePath, pageRange = null) {
+        if (pageRange?.start) {
+            const { pages } = await this.extractPages(filePath);
+            return joinPages(pages.slice(pageRange.start - 1, pageRange.end));
         }
-        return 'other';
+
+        const pdfBuffer = await fs.readFile(filePath);
+        const pdfData = await pdfParse(pdfBuffer);
+        return pdfData.text;
+    }
+
+    // Whole-document text plus the text of every page
+    async extractPages(filePath) {
+        const pdfBuffer = await fs.readFile(filePath);
+        const pages = [];
+        const pdfData = await pdfParse(pdfBuffer, {
+            pagerender: async (pageData) => {
+                const text = await renderPageText(pageData);
+                pages[pageData.pageIndex] = text;
+                return text;
+            }
+        });
+        return { text: pdfData.text, pages };
+    }
+
+    // Run detection, extraction and checks on the text and set the results on
+    // the invoice document (the caller saves it). Used for uploads and reprocessing.
+    // A platform set by a user (override) wins over detection; the detection
+    // scores are still stored for reference.
+    async applyExtraction(invoice, textContent, { platform: overridePlatform, overriddenBy, overriddenAt = new Date() } = {}) {
+        const { platform: detected, ...detection } = platforms.classifyPlatform(textContent);
+        const platform = overridePlatform || detected;
+
+        invoice.platformDetection = overridePlatform
+            ? { ...detection, method: 'manual', confidence: 1, conflict: false, overriddenBy, overriddenAt }
+            : { ...detection, method: 'scored' };
+        invoice.platform = platform;
+        invoice.documentType = classifyDocumentType(textContent);
+
+        // Extract data using LLM (with regex fallback)
+        const { extractedData, extraction } = await this.extractInvoiceData(textContent, platform, invoice.documentType);
+
+        // Back-fill totals that can be derived from the other amounts
+        const derivedFields = this.deriveMissingTotals(extractedData);
+
+        // Update invoice
+        invoice.extractedData = extractedData;
+        invoice.extraction = extraction;
+        invoice.fieldProvenance = buildFieldProvenance(extractedData, textContent, {
+            method: extraction.method,
+            derivedFields
+        });
+
+        // Arithmetic consistency checks
+        invoice.validation = runValidation(extractedData, platform);
+
+        // Send doubtful extractions to the review queue
+        const reviewReasons = getReviewReasons(extractedData, invoice.fieldProvenance, invoice.validation, invoice.platformDetection, invoice.documentType);
+        invoice.review = { reasons: reviewReasons };
+        invoice.status = reviewReasons.length > 0 ? 'needs_review' : 'completed';
+        invoice.errorMessage = undefined;
+
+        return { extractedData, extraction, reviewReasons };
+    }
+
+    detectPlatform(text) {
+        return platforms.detectPlatform(text);
     }
 
-    async extractInvoiceData(text, platform) {
-        const systemPrompt = this.getSystemPrompt(platform);
+    // Returns { extractedData, extraction } where extraction records how the
+    // data was produced: llm, repaired (output needed fixing), retried
+    // (model was re-asked with validation errors) or regex (fallback).
+    async extractInvoiceData(text, platform, documentType = DEFAULT_DOCUMENT_TYPE) {
+        const systemPrompt = this.getSystemPrompt(platform, documentType);
+        const extraction = {
+            method: 'regex',
+            provider: this.provider.name,
+            model: this.provider.model,
+            promptId: this.provider.supportsLlm ? this.getPromptId(systemPrompt) : null,
+            attempts: 0,
+            errors: []
+        };
+
+        if (!this.provider.supportsLlm) {
+            return {
+                extractedData: this.validateAndFormatData(this.basicExtraction(text, platform), platform, text, documentType),
+                extraction
+            };
+        }
+
         const messages = [
             new SystemMessage(systemPrompt),
             new HumanMessage(`Extract invoice data from this ${platform} invoice text:\n\n${text}`)
         ];
 
         try {
-            const response = await this.llm.invoke(messages);
-            let extractedData = {};
-            try {
-                extractedData = JSON.parse(response.content || response.text || "{}");
-            } catch {
-                console.warn("LLM returned invalid JSON, using fallback extraction.");
-                extractedData = this.basicExtraction(text, platform);
+            for (let attempt = 1; attempt <= this.maxRetries + 1; attempt++) {
+                extraction.attempts = attempt;
+                const content = await this.provider.invoke(messages);
+
+                let errors;
+                try {
+                    const parsed = parseModelOutput(content);
+                    const validation = validateExtraction(parsed.data, this.getSchema(platform, documentType));
+
+                    if (validation.success) {
+                        extraction.method = attempt > 1 ? 'retried' : (parsed.repaired ? 'repaired' : 'llm');
+                        return {
+                            extractedData: this.validateAndFormatData(validation.data, platform, text, documentType),
+                            extraction
+                        };
+                    }
+                    errors = validation.errors;
+                } catch (parseError) {
+                    errors = [`Invalid JSON: ${parseError.message}`];
+                }
+
+                extraction.errors.push(...errors.map(error => `attempt ${attempt}: ${error}`));
+
+                // Re-ask with the validation errors
+                messages.push(
+                    new AIMessage(typeof content === 'string' ? content : JSON.stringify(content)),
+                    new HumanMessage(
+                        `Your response did not match the required JSON schema:\n` +
+                        errors.map(error => `- ${error}`).join('\n') +
+                        `\n\nReturn ONLY the corrected JSON.`
+                    )
+                );
             }
-            return this.validateAndFormatData(extractedData, platform, text);
+
+            console.warn("LLM output failed schema validation, using fallback extraction.");
         } catch (error) {
             console.error('Error extracting data with LLM:', error);
-            return this.basicExtraction(text, platform);
+            extraction.errors.push(error.message);
         }
+
+        extraction.method = 'regex';
+        return {
+            extractedData: this.validateAndFormatData(this.basicExtraction(text, platform), platform, text, documentType),
+            extraction
+        };
     }
 
-    getSystemPrompt(platform) {
-        if (platform === 'google_ads') {
-            return `
-You are an expert at extracting structured data from Google Ads invoices.
-Return ONLY valid JSON:
+    // Short stable identifier for a prompt so revisions show which prompt produced them
+    getPromptId(prompt) {
+        return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+    }
 
-{
-  "invoiceNumber": "string",
-  "invoiceDate": "YYYY-MM-DD",
-  "accountName": "string",
-  "accountId": "string",
-  "location": "string",
-  "billingPeriod": { "startDate": "YYYY-MM-DD", "endDate": "YYYY-MM-DD" },
-  "subtotal": number,
-  "taxAmount": number,
-  "totalAmount": number,
-  "currency": "INR",
-  "campaigns": [
-    { "campaignName": "string", "clicks": number, "cpc": number, "amount": number }
-  ]
-}
+    // The platform's schema plus the fields of the document type (see DOCUMENT_EXTRACTION)
+    getSchema(platform, documentType = DEFAULT_DOCUMENT_TYPE) {
+        const { schema } = platforms.getPlatform(platform);
+        const extra = DOCUMENT_EXTRACTION[documentType];
+        return extra ? schema.extend(extra.fields()) : schema;
+    }
 
-Rules:
-- Extract accountName & location from "Bill to"
-- Extract accountId from "Account:" line
-- Extract campaigns from "Description ... Clicks ... Amount" lines
-- Dates must be YYYY-MM-DD
-- If missing, set null
-`;
-        }
+    getSystemPrompt(platform, documentType = DEFAULT_DOCUMENT_TYPE) {
+        const definition = platforms.getPlatform(platform);
+        const rules = [
+            ...definition.promptRules,
+            ...(DOCUMENT_EXTRACTION[documentType]?.rules || []),
+            'Split GST into gst.igst, gst.cgst and gst.sgst (UTGST goes in sgst); supplierGstin is the issuer\'s GSTIN, recipientGstin the customer\'s',
+            'Dates must be YYYY-MM-DD',
+            'If missing, set null'
+        ];
 
-        if (platform === 'meta_ads') {
-            return `
-You are an expert at extracting structured data from Meta Ads invoices.
+        return `
+${definition.promptIntro}
 Return ONLY valid JSON:
 
-{
-  "invoiceNumber": "string",
-  "invoiceDate": "YYYY-MM-DD",
-  "accountId": "string",
-  "billingPeriod": { "startDate": "YYYY-MM-DD", "endDate": "YYYY-MM-DD" },
-  "subtotal": number,
-  "taxAmount": number,
-  "totalAmount": number,
-  "currency": "INR",
-  "campaigns": [
-    { "campaignName": "string", "impressions": number, "amount": number }
-  ]
-}
+${describeSchema(this.getSchema(platform, documentType))}
 
 Rules:
-- Campaign impressions are in the invoice text
-- Dates must be YYYY-MM-DD
-- If missing, set null
+${rules.map(rule => `- ${rule}`).join('\n')}
 `;
-        }
-
-        return `Return valid JSON with basic invoice fields.`;
     }
 
-    validateAndFormatData(data, platform, text) {
+    validateAndFormatData(data, platform, text, documentType = DEFAULT_DOCUMENT_TYPE) {
+        const { campaignMetrics, extractCampaigns } = platforms.getPlatform(platform);
         const validated = {};
         validated.invoiceNumber = data.invoiceNumber || null;
         validated.invoiceDate = (data.invoiceDate && !isNaN(Date.parse(data.invoiceDate)))
@@ -194,6 +367,15 @@ Rules:
         validated.taxAmount = this.toNumber(data.taxAmount);
         validated.totalAmount = this.toNumber(data.totalAmount);
         validated.currency = data.currency || "INR";
+        validated.gst = this.formatGst(data.gst, text);
+
+        if (documentType === 'credit_note') {
+            validated.originalInvoiceNumber = data.originalInvoiceNumber || extractOriginalInvoiceNumber(text);
+            // Regex fallbacks read "Invoice number" lines and can pick up the credited invoice
+            if (!validated.invoiceNumber || validated.invoiceNumber === validated.originalInvoiceNumber) {
+                validated.invoiceNumber = extractCreditNoteNumber(text) || validated.invoiceNumber;
+            }
+        }
 
         // Campaigns
         validated.campaigns = [];
@@ -204,92 +386,127 @@ Rules:
                     amount: this.toNumber(c.amount)
                 };
 
-                if (platform === "google_ads") {
-                    campaign.clicks = this.toNumber(c.clicks);
-                    campaign.cpc = (campaign.clicks && campaign.amount)
-                        ? parseFloat((campaign.amount / campaign.clicks).toFixed(2))
-                        : null;
-                }
-
-                if (platform === "meta_ads") {
-                    campaign.impressions = this.toNumber(c.impressions);
+                campaignMetrics
+                    .filter(metric => metric !== 'cpc')
+                    .forEach(metric => { campaign[metric] = this.toNumber(c[metric]); });
+
+                // The CPC printed on the invoice is kept so validation can compare it
+                // with amount / clicks; it is only derived when the invoice has none
+                if (campaignMetrics.includes('cpc')) {
+                    const statedCpc = this.toNumber(c.cpc);
+                    campaign.cpc = statedCpc !== null
+                        ? statedCpc
+                        : (campaign.clicks && campaign.amount)
+                            ? parseFloat((campaign.amount / campaign.clicks).toFixed(2))
+                            : null;
                 }
 
                 validated.campaigns.push(campaign);
             });
         } else {
-            // fallback campaign extraction for google
-            if (platform === "google_ads") {
-                validated.campaigns = this.extractCampaigns(text);
+            // fallback campaign extraction from the invoice text
+            if (extractCampaigns) {
+                validated.campaigns = extractCampaigns(text);
             }
         }
 
-        return validated;
-    }
+        if (documentType === 'receipt') {
+            this.formatReceipt(validated, data, text);
+        }
 
-    basicExtraction(text, platform = "other") {
-        if (platform === "google_ads") {
-            return {
-                invoiceNumber: this.extractPattern(text, /Invoice number[:\s]+(\d{6,})/i),
-                invoiceDate: this.extractPattern(text, /(\d{1,2}\s+\w+\s+20\d{2})/i),
-                accountId: this.extractPattern(text, /Account ID[:\s]+([\d-]+)/i),
-                accountName: this.extractPattern(text, /Account:\s+([^\n]+)/i),
-                location: this.extractPattern(text, /Bill to\s+([\s\S]*?)India/i),
-                subtotal: this.extractMonetaryValue(text, /Subtotal in INR\s+₹?([\d,]+\.\d{2})/i),
-                taxAmount: this.extractMonetaryValue(text, /(Integrated GST.*?|IGST.*?)\s+₹?([\d,]+\.\d{2})/i, 2),
-                totalAmount: this.extractMonetaryValue(text, /Total in INR\s+₹?([\d,]+\.\d{2})/i),
-                currency: "INR",
-                campaigns: this.extractCampaigns(text)
-            };
+        // Credit notes are stored with positive amounts; analytics subtract them
+        if (documentType === 'credit_note') {
+            const positive = (value) => (typeof value === 'number' ? Math.abs(value) : value);
+            ['subtotal', 'taxAmount', 'totalAmount'].forEach(field => { validated[field] = positive(validated[field]); });
+            if (validated.gst) {
+                ['igst', 'cgst', 'sgst', 'cess'].forEach(field => { validated.gst[field] = positive(validated.gst[field]); });
+            }
+            validated.campaigns.forEach(campaign => {
+                campaign.amount = positive(campaign.amount);
+                if ('cpc' in campaign) campaign.cpc = positive(campaign.cpc);
+            });
         }
 
-        return {
-            invoiceNumber: this.extractPattern(text, /invoice\s*(?:number|#)?\s*:?\s*(\w+)/i),
-            totalAmount: this.extractMonetaryValue(text, /total\s*(?:amount|cost)?\s*:?\s*₹?([\d,]+\.?\d*)/i),
-            clicks: this.extractNumericValue(text, /clicks?\s*:?\s*([\d,]+)/i),
-            impressions: this.extractNumericValue(text, /impressions?\s*:?\s*([\d,]+)/i)
+        return validated;
+    }
+
+    // GST breakdown from the model output, completed from the invoice text;
+    // null when the document shows no GST details
+    formatGst(gst, text) {
+        const fromText = extractGst(text);
+        const formatted = {
+            supplierGstin: (gst?.supplierGstin || '').trim().toUpperCase() || fromText.supplierGstin,
+            recipientGstin: (gst?.recipientGstin || '').trim().toUpperCase() || fromText.recipientGstin,
+            placeOfSupply: gst?.placeOfSupply || fromText.placeOfSupply
         };
+        ['igst', 'cgst', 'sgst', 'cess'].forEach(field => {
+            const value = this.toNumber(gst?.[field]);
+            formatted[field] = value !== null ? value : fromText[field];
+        });
+
+        if (GST_FIELDS.every(field => formatted[field] === null || formatted[field] === undefined)) return null;
+        return { ...formatted, ...deriveGstStates(formatted) };
     }
 
-    extractCampaigns(text) {
-        const campaigns = [];
-        const regex = /(.*?)\s+(\d+)\s+Clicks\s+₹?([\d,]+\.\d{2})/gi;
-        let match;
-        while ((match = regex.exec(text)) !== null) {
-            const campaignName = match[1].trim();
-            const clicks = parseInt(match[2]);
-            const amount = parseFloat(match[3].replace(/,/g, ""));
-            campaigns.push({
-                campaignName,
-                clicks,
-                amount,
-                cpc: clicks > 0 ? parseFloat((amount / clicks).toFixed(2)) : null
-            });
+    // Payments of a receipt, from the model output or the receipt's labelled lines
+    formatReceipt(validated, data, text) {
+        const receipt = extractReceipt(text);
+        const payments = Array.isArray(data.payments) && data.payments.length > 0 ? data.payments : receipt.payments;
+
+        validated.payments = payments.map(payment => ({
+            date: (payment.date && !isNaN(Date.parse(payment.date))) ? new Date(payment.date) : null,
+            transactionId: payment.transactionId || null,
+            modeOfPayment: payment.modeOfPayment || null,
+            amount: this.toNumber(payment.amount) !== null ? Math.abs(this.toNumber(payment.amount)) : null,
+            invoiceNumber: payment.invoiceNumber || null
+        }));
+
+        // A labelled receipt number wins: invoice fallbacks read "Invoice number"
+        // lines, which on a receipt name the paid invoice
+        const paysInvoice = validated.payments.some(payment => payment.invoiceNumber === validated.invoiceNumber);
+        validated.invoiceNumber = receipt.receiptNumber || (paysInvoice ? null : validated.invoiceNumber);
+        validated.accountId = validated.accountId || receipt.accountId;
+        validated.invoiceDate = validated.invoiceDate || validated.payments.find(payment => payment.date)?.date || null;
+        if (validated.totalAmount === null && validated.payments.length > 0) {
+            validated.totalAmount = parseFloat(validated.payments.reduce((sum, payment) => sum + (payment.amount || 0), 0).toFixed(2));
         }
-        return campaigns;
     }
 
-    extractPattern(text, regex, group = 1) {
-        const match = text.match(regex);
-        return match ? match[group].trim() : null;
-    }
+    // Fill in subtotal/totalAmount from the other amounts; returns the derived field paths
+    deriveMissingTotals(data) {
+        // A field can be filled by more than one rule below; list it once
+        const derived = new Set();
+        if (!data) return [];
+
+        const gstComponents = ['igst', 'cgst', 'sgst', 'cess']
+            .map(field => data.gst?.[field])
+            .filter(value => typeof value === 'number');
+        if (!data.taxAmount && gstComponents.length > 0) {
+            data.taxAmount = parseFloat(gstComponents.reduce((sum, value) => sum + value, 0).toFixed(2));
+            derived.add('taxAmount');
+        }
 
-    extractMonetaryValue(text, regex, group = 1) {
-        const match = text.match(regex);
-        if (match) {
-            const value = parseFloat(match[group].replace(/,/g, ""));
-            return !isNaN(value) ? value : null;
+        if (!data.subtotal && data.totalAmount && data.taxAmount) {
+            data.subtotal = parseFloat((data.totalAmount - data.taxAmount).toFixed(2));
+            derived.add('subtotal');
         }
-        return null;
-    }
 
-    extractNumericValue(text, regex) {
-        const match = text.match(regex);
-        if (match) {
-            const value = parseInt(match[1].replace(/,/g, ""));
-            return !isNaN(value) ? value : null;
+        if (!data.totalAmount && data.subtotal && data.taxAmount) {
+            data.totalAmount = parseFloat((data.subtotal + data.taxAmount).toFixed(2));
+            derived.add('totalAmount');
         }
-        return null;
+
+        if ((!data.subtotal || data.subtotal === 0) && Array.isArray(data.campaigns) && data.campaigns.length > 0) {
+            data.subtotal = parseFloat(data.campaigns.reduce((sum, c) => sum + (c.amount || 0), 0).toFixed(2));
+            derived.add('subtotal');
+        }
+
+        return [...derived];
+    }
+
+    // Regex fallback declared by the platform (see services/platforms)
+    basicExtraction(text, platform = 'other') {
+        return platforms.getPlatform(platform).basicExtraction(text);
     }
 
     toNumber(val) {
@@ -0,0 +1,9 @@
+module.exports = {
+    id: 'facebook_ads',
+    label: 'Facebook Ads',
+    detectionOrder: 50,
+    signals: [
+        { type: 'keyword', pattern: /facebook ads/i, weight: 3 }
+    ],
+    bankNarrations: [/FACEBK|FACEBOOK|\bMETA\b|INSTAGRAM/i]
+};
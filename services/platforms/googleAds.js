@@ -0,0 +1,72 @@
+const { z } = require('zod');
+const { text, amount, baseFields, totalsFields, campaignList } = require('../extractionSchemas');
+const { extractPattern, extractMonetaryValue } = require('../textPatterns');
+
+// "Campaign name 123 Clicks ₹4,567.89" lines
+function extractCampaigns(invoiceText) {
+    const campaigns = [];
+    const regex = /(.*?)\s+(\d+)\s+Clicks\s+₹?([\d,]+\.\d{2})/gi;
+    let match;
+    while ((match = regex.exec(invoiceText)) !== null) {
+        const campaignName = match[1].trim();
+        const clicks = parseInt(match[2]);
+        const amount = parseFloat(match[3].replace(/,/g, ""));
+        campaigns.push({
+            campaignName,
+            clicks,
+            amount,
+            cpc: clicks > 0 ? parseFloat((amount / clicks).toFixed(2)) : null
+        });
+    }
+    return campaigns;
+}
+
+module.exports = {
+    id: 'google_ads',
+    label: 'Google Ads',
+    detectionOrder: 10,
+    signals: [
+        { type: 'issuer', pattern: /google india private limited/i, weight: 5 },
+        { type: 'issuer', pattern: /google asia pacific pte\.? ltd/i, weight: 5 },
+        { type: 'gstin', pattern: /\b29AACCG0527D1Z8\b/, weight: 6 },
+        { type: 'keyword', pattern: /google ads/i, weight: 3 },
+        { type: 'keyword', pattern: /google invoice/i, weight: 2 },
+        { type: 'keyword', pattern: /\d+\s+clicks\s+₹?[\d,]+\.\d{2}/i, weight: 1 },
+        { type: 'invoice_number', pattern: /invoice number[:\s]+\d{10}\b/i, weight: 1 }
+    ],
+    campaignMetrics: ['clicks', 'cpc'],
+    bankNarrations: [/\bGOOGLE\b|ADWORDS/i],
+
+    schema: z.object({
+        ...baseFields,
+        accountName: text(),
+        accountId: text(),
+        location: text(),
+        ...totalsFields,
+        campaigns: campaignList({ clicks: amount(), cpc: amount() })
+    }),
+
+    promptIntro: 'You are an expert at extracting structured data from Google Ads invoices.',
+    promptRules: [
+        'Extract accountName & location from "Bill to"',
+        'Extract accountId from "Account:" line',
+        'Extract campaigns from "Description ... Clicks ... Amount" lines'
+    ],
+
+    basicExtraction(invoiceText) {
+        return {
+            invoiceNumber: extractPattern(invoiceText, /Invoice number[:\s]+(\d{6,})/i),
+            invoiceDate: extractPattern(invoiceText, /(\d{1,2}\s+\w+\s+20\d{2})/i),
+            accountId: extractPattern(invoiceText, /Account ID[:\s]+([\d-]+)/i),
+            accountName: extractPattern(invoiceText, /Account:\s+([^\n]+)/i),
+            location: extractPattern(invoiceText, /Bill to\s+([\s\S]*?)India/i),
+            subtotal: extractMonetaryValue(invoiceText, /Subtotal in INR\s+₹?([\d,]+\.\d{2})/i),
+            taxAmount: extractMonetaryValue(invoiceText, /(Integrated GST.*?|IGST.*?)\s+₹?([\d,]+\.\d{2})/i, 2),
+            totalAmount: extractMonetaryValue(invoiceText, /\bTotal in INR\s+₹?([\d,]+\.\d{2})/i),
+            currency: "INR",
+            campaigns: extractCampaigns(invoiceText)
+        };
+    },
+
+    extractCampaigns
+};
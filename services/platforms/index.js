@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+// Platform registry. Every other file in this directory defines one platform:
+//
+//   id, label            - stored value (Invoice.platform) and display name
+//   detectionOrder       - tie-break order when two platforms score the same
+//   signals              - [{ type, pattern, weight }] evidence for the platform;
+//                          type is issuer, gstin, invoice_number or keyword and
+//                          the weights of all matching patterns are added up
+//   campaignMetrics      - campaign fields besides name/amount ('cpc' is derived
+//                          from amount / clicks when the invoice has none)
+//   bankNarrations       - patterns for the platform's debits in bank statement
+//                          narrations (several platforms may share one)
+//   schema               - zod schema for the LLM output
+//   promptIntro,
+//   promptRules          - system prompt for the LLM
+//   basicExtraction(text)  - regex fallback returning raw extracted data
+//   extractCampaigns(text) - optional campaign fallback when the LLM found none
+//
+// Adding a platform means adding a file here.
+
+const FALLBACK_PLATFORM = 'other';
+
+// Share of the total signal weight the best platform needs; below it the
+// signals conflict and the invoice goes to review
+const PLATFORM_CONFIDENCE_THRESHOLD = parseFloat(process.env.PLATFORM_CONFIDENCE_THRESHOLD || '0.6');
+
+const SIGNAL_TYPES = ['issuer', 'gstin', 'invoice_number', 'keyword'];
+
+function loadPlatforms(dir = __dirname) {
+    const modules = fs.readdirSync(dir)
+        .filter(file => path.extname(file) === '.js' && file !== 'index.js')
+        .sort()
+        .map(file => require(path.join(dir, file)));
+
+    const fallback = modules.find(platform => platform.id === FALLBACK_PLATFORM);
+    if (!fallback) {
+        throw new Error(`Platform registry requires a "${FALLBACK_PLATFORM}" platform`);
+    }
+
+    const seen = new Set();
+    return modules
+        .map(platform => {
+            if (!platform.id || seen.has(platform.id)) {
+                throw new Error(`Platform definitions need a unique id (got "${platform.id}")`);
+            }
+            seen.add(platform.id);
+
+            (platform.signals || []).forEach(signal => {
+                if (!(signal.pattern instanceof RegExp) || !(signal.weight > 0) || !SIGNAL_TYPES.includes(signal.type)) {
+                    throw new Error(`Invalid detection signal for platform "${platform.id}"`);
+                }
+            });
+            if ((platform.bankNarrations || []).some(pattern => !(pattern instanceof RegExp))) {
+                throw new Error(`Invalid bank narration pattern for platform "${platform.id}"`);
+            }
+
+            return {
+                signals: [],
+                campaignMetrics: [],
+                bankNarrations: [],
+                promptRules: [],
+                extractCampaigns: null,
+                schema: fallback.schema,
+                promptIntro: fallback.promptIntro,
+                basicExtraction: fallback.basicExtraction,
+                ...platform
+            };
+        })
+        .sort((a, b) => (a.detectionOrder ?? Infinity) - (b.detectionOrder ?? Infinity));
+}
+
+const PLATFORMS = loadPlatforms();
+const PLATFORM_IDS = PLATFORMS.map(platform => platform.id);
+
+function isPlatform(id) {
+    return PLATFORM_IDS.includes(id);
+}
+
+// Definition for a platform id; unknown ids get the fallback platform
+function getPlatform(id) {
+    return PLATFORMS.find(platform => platform.id === id)
+        || PLATFORMS.find(platform => platform.id === FALLBACK_PLATFORM);
+}
+
+// Score every platform against the invoice text. Returns
+// { platform, confidence, conflict, scores, signals } where confidence is the
+// best platform's share of all matched weight. Text without any signal is
+// "other" with confidence null.
+function classifyPlatform(text) {
+    const scores = {};
+    const signals = [];
+
+    PLATFORMS.forEach(platform => {
+        platform.signals.forEach(signal => {
+            const match = (text || '').match(signal.pattern);
+            if (!match) return;
+            scores[platform.id] = (scores[platform.id] || 0) + signal.weight;
+            signals.push({ platform: platform.id, type: signal.type, match: match[0].trim(), weight: signal.weight });
+        });
+    });
+
+    // PLATFORMS is in detectionOrder, so ties go to the earlier platform
+    const ranked = PLATFORMS
+        .filter(platform => scores[platform.id] > 0)
+        .sort((a, b) => scores[b.id] - scores[a.id]);
+
+    if (ranked.length === 0) {
+        return { platform: FALLBACK_PLATFORM, confidence: null, conflict: false, scores, signals };
+    }
+
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    const confidence = parseFloat((scores[ranked[0].id] / total).toFixed(2));
+
+    return {
+        platform: ranked[0].id,
+        confidence,
+        conflict: confidence < PLATFORM_CONFIDENCE_THRESHOLD,
+        scores,
+        signals
+    };
+}
+
+function detectPlatform(text) {
+    return classifyPlatform(text).platform;
+}
+
+// Ids of the platforms whose campaign lines carry a metric, e.g. 'cpc'
+function platformsWithMetric(metric) {
+    return PLATFORMS
+        .filter(platform => platform.campaignMetrics.includes(metric))
+        .map(platform => platform.id);
+}
+
+module.exports = {
+    FALLBACK_PLATFORM,
+    PLATFORM_CONFIDENCE_THRESHOLD,
+    PLATFORMS,
+    PLATFORM_IDS,
+    isPlatform,
+    getPlatform,
+    classifyPlatform,
+    detectPlatform,
+    platformsWithMetric
+};
@@ -0,0 +1,9 @@
+module.exports = {
+    id: 'instagram_ads',
+    label: 'Instagram Ads',
+    detectionOrder: 60,
+    signals: [
+        { type: 'keyword', pattern: /instagram ads/i, weight: 3 }
+    ],
+    bankNarrations: [/FACEBK|FACEBOOK|\bMETA\b|INSTAGRAM/i]
+};
@@ -0,0 +1,46 @@
+const { z } = require('zod');
+const { text, amount, baseFields, totalsFields, campaignList } = require('../extractionSchemas');
+const { extractCampaignTable, extractLabelledFields } = require('../textPatterns');
+
+const CAMPAIGN_COLUMNS = ['impressions', 'clicks'];
+
+module.exports = {
+    id: 'linkedin_ads',
+    label: 'LinkedIn Ads',
+    detectionOrder: 20,
+    signals: [
+        { type: 'issuer', pattern: /linkedin (?:singapore pte|ireland unlimited|corporation)/i, weight: 5 },
+        { type: 'keyword', pattern: /linkedin (?:ads|advertising|marketing solutions)/i, weight: 3 },
+        { type: 'keyword', pattern: /campaign manager/i, weight: 2 },
+        { type: 'keyword', pattern: /sponsored (?:content|messaging)/i, weight: 2 },
+        { type: 'keyword', pattern: /campaign\s+impressions\s+clicks\s+amount/i, weight: 1 }
+    ],
+    campaignMetrics: ['impressions', 'clicks', 'cpc'],
+    bankNarrations: [/LINKEDIN/i],
+
+    schema: z.object({
+        ...baseFields,
+        accountName: text(),
+        accountId: text(),
+        ...totalsFields,
+        campaigns: campaignList({ impressions: amount(), clicks: amount() })
+    }),
+
+    promptIntro: 'You are an expert at extracting structured data from LinkedIn Campaign Manager (LinkedIn Ads) invoices.',
+    promptRules: [
+        'Extract accountName from "Account Name" and accountId from "Account ID"',
+        'Extract campaigns from "Campaign ... Impressions ... Clicks ... Amount" lines',
+        'billingPeriod comes from "Billing Period"'
+    ],
+
+    basicExtraction(invoiceText) {
+        return {
+            ...extractLabelledFields(invoiceText),
+            campaigns: extractCampaignTable(invoiceText, CAMPAIGN_COLUMNS)
+        };
+    },
+
+    extractCampaigns(invoiceText) {
+        return extractCampaignTable(invoiceText, CAMPAIGN_COLUMNS);
+    }
+};
@@ -0,0 +1,28 @@
+const { z } = require('zod');
+const { text, amount, baseFields, totalsFields, campaignList } = require('../extractionSchemas');
+
+module.exports = {
+    id: 'meta_ads',
+    label: 'Meta Ads',
+    detectionOrder: 40,
+    signals: [
+        { type: 'issuer', pattern: /meta platforms(?: ireland)?,? (?:limited|ltd|inc)/i, weight: 5 },
+        { type: 'issuer', pattern: /facebook india online services/i, weight: 5 },
+        { type: 'keyword', pattern: /\bmeta ads\b/i, weight: 3 },
+        { type: 'keyword', pattern: /\bmeta\b(?=[\s\S]*\b(?:ads|advertising)\b)/i, weight: 1 }
+    ],
+    campaignMetrics: ['impressions'],
+    bankNarrations: [/FACEBK|FACEBOOK|\bMETA\b|INSTAGRAM/i],
+
+    schema: z.object({
+        ...baseFields,
+        accountId: text(),
+        ...totalsFields,
+        campaigns: campaignList({ impressions: amount() })
+    }),
+
+    promptIntro: 'You are an expert at extracting structured data from Meta Ads invoices.',
+    promptRules: [
+        'Campaign impressions are in the invoice text'
+    ]
+};
@@ -0,0 +1,46 @@
+const { z } = require('zod');
+const { text, amount, baseFields, totalsFields, campaignList } = require('../extractionSchemas');
+const { extractCampaignTable, extractLabelledFields } = require('../textPatterns');
+
+const CAMPAIGN_COLUMNS = ['clicks', 'impressions'];
+
+module.exports = {
+    id: 'microsoft_ads',
+    label: 'Microsoft Advertising',
+    detectionOrder: 30,
+    signals: [
+        { type: 'issuer', pattern: /microsoft (?:corporation \(india\)|ireland operations|online,? inc)/i, weight: 2 },
+        { type: 'keyword', pattern: /microsoft advertising/i, weight: 4 },
+        { type: 'keyword', pattern: /bing ads/i, weight: 4 },
+        { type: 'keyword', pattern: /campaign\s+clicks\s+impressions\s+amount/i, weight: 1 }
+    ],
+    campaignMetrics: ['clicks', 'impressions', 'cpc'],
+    bankNarrations: [/MICROSOFT|MSFT|\bBING\b/i],
+
+    schema: z.object({
+        ...baseFields,
+        accountName: text(),
+        accountId: text(),
+        ...totalsFields,
+        campaigns: campaignList({ clicks: amount(), impressions: amount() })
+    }),
+
+    promptIntro: 'You are an expert at extracting structured data from Microsoft Advertising (Bing Ads) invoices.',
+    promptRules: [
+        'invoiceNumber is the "Document number" (or "Invoice number")',
+        'Extract accountName from "Account name" and accountId from "Account number"',
+        'Extract campaigns from "Campaign ... Clicks ... Impressions ... Amount" lines',
+        'billingPeriod comes from "Billing period"'
+    ],
+
+    basicExtraction(invoiceText) {
+        return {
+            ...extractLabelledFields(invoiceText),
+            campaigns: extractCampaignTable(invoiceText, CAMPAIGN_COLUMNS)
+        };
+    },
+
+    extractCampaigns(invoiceText) {
+        return extractCampaignTable(invoiceText, CAMPAIGN_COLUMNS);
+    }
+};
@@ -0,0 +1,22 @@
+const { defaultSchema } = require('../extractionSchemas');
+const { extractPattern, extractMonetaryValue, extractNumericValue } = require('../textPatterns');
+
+// Fallback for invoices no other platform claims. Platforms that leave out
+// schema, promptIntro or basicExtraction inherit them from here.
+module.exports = {
+    id: 'other',
+    label: 'Other',
+
+    schema: defaultSchema,
+
+    promptIntro: 'Extract the basic invoice fields from this invoice.',
+
+    basicExtraction(invoiceText) {
+        return {
+            invoiceNumber: extractPattern(invoiceText, /invoice\s*(?:number|#)?\s*:?\s*(\w+)/i),
+            totalAmount: extractMonetaryValue(invoiceText, /total\s*(?:amount|cost)?\s*:?\s*₹?([\d,]+\.?\d*)/i),
+            clicks: extractNumericValue(invoiceText, /clicks?\s*:?\s*([\d,]+)/i),
+            impressions: extractNumericValue(invoiceText, /impressions?\s*:?\s*([\d,]+)/i)
+        };
+    }
+};
@@ -0,0 +1,26 @@
+const { extractPattern, extractMonetaryValue } = require('./textPatterns');
+
+// Regex fallback for payment receipts (Meta "Receipt for ...", Google
+// "Payment receipt"). A receipt printed as labelled lines records one payment.
+
+const DATE = String.raw`(\d{1,2}\s+\w+\s+20\d{2}|20\d{2}-\d{2}-\d{2})`;
+
+function extractReceipt(text) {
+    const payment = {
+        date: extractPattern(text, new RegExp(String.raw`(?:payment\s+date|date\s+paid|paid\s+on|invoice\/payment\s+date)[:\s]+${DATE}`, 'i')),
+        transactionId: extractPattern(text, /(?:transaction\s+id|payment\s+reference(?:\s+number)?|UTR)[:\s#]+([A-Z0-9][A-Z0-9-]{3,})/i),
+        modeOfPayment: extractPattern(text, /(?:payment\s+method|mode\s+of\s+payment)[:\s]+([^\n]+)/i),
+        amount: extractMonetaryValue(text, /(?:amount\s+paid|payment\s+amount|\bpaid)[:\s]+(?:INR|₹)?\s*([\d,]+\.\d{2})/i),
+        invoiceNumber: extractPattern(text, /invoice\s*(?:number|no\.?|#)[:\s]+([A-Z0-9][A-Z0-9/-]{3,})/i)
+    };
+
+    return {
+        receiptNumber: extractPattern(text, /(?:receipt|reference)\s*(?:number|no\.?|#)[:\s]+([A-Z0-9][A-Z0-9/-]{3,})/i),
+        accountId: extractPattern(text, /Account ID[:\s]+([A-Z0-9-]+)/i),
+        payments: payment.amount !== null ? [payment] : []
+    };
+}
+
+module.exports = {
+    extractReceipt
+};
@@ -0,0 +1,183 @@
+const Invoice = require('../models/Invoice');
+const { ARITHMETIC_TOLERANCE } = require('./validationEngine');
+
+// Matches payments from receipts to invoices and works out what is still
+// owed. A payment goes to the invoice its receipt names; otherwise to the
+// oldest invoice of the same platform and account whose open balance equals
+// the payment. Everything else is reported as unmatched.
+
+const PAYMENT_STATUSES = ['unpaid', 'partially_paid', 'paid'];
+
+// Documents that can hold or settle a balance
+const RECONCILED_STATUSES = ['completed', 'needs_review'];
+
+const round = (value) => parseFloat(value.toFixed(2));
+const sameAccount = (a, b) => !a || !b || a === b;
+
+function paymentStatus(amountDue, amountPaid) {
+    if (amountPaid >= amountDue - ARITHMETIC_TOLERANCE) return 'paid';
+    return amountPaid > 0 ? 'partially_paid' : 'unpaid';
+}
+
+// Pure matching over plain documents (invoices, credit notes and receipts as
+// stored on Invoice). Returns { invoices, unmatchedPayments } where every
+// invoice row carries amountDue (total less linked credits), amountPaid,
+// balance, paymentStatus and the payments applied to it.
+function reconcile({ invoices = [], creditNotes = [], receipts = [] }) {
+    const credits = new Map();
+    creditNotes.forEach(note => {
+        if (!note.linkedInvoiceId) return;
+        const key = String(note.linkedInvoiceId);
+        credits.set(key, (credits.get(key) || 0) + (note.extractedData?.totalAmount || 0));
+    });
+
+    const rows = invoices
+        .map(invoice => {
+            const data = invoice.extractedData || {};
+            const credited = round(credits.get(String(invoice._id)) || 0);
+            return {
+                invoiceId: invoice._id,
+                fileName: invoice.fileName,
+                platform: invoice.platform,
+                accountId: data.accountId || null,
+                accountName: data.accountName || null,
+                invoiceNumber: data.invoiceNumber || null,
+                invoiceDate: data.invoiceDate || null,
+                totalAmount: data.totalAmount || 0,
+                credits: credited,
+                amountDue: round((data.totalAmount || 0) - credited),
+                amountPaid: 0,
+                payments: []
+            };
+        })
+        .sort((a, b) => new Date(a.invoiceDate || 0) - new Date(b.invoiceDate || 0));
+
+    const byNumber = new Map(rows
+        .filter(row => row.invoiceNumber)
+        .map(row => [`${row.platform}:${row.invoiceNumber}`, row]));
+
+    const payments = receipts
+        .flatMap(receipt => (receipt.extractedData?.payments || []).map(payment => ({
+            receiptId: receipt._id,
+            fileName: receipt.fileName,
+            platform: receipt.platform,
+            accountId: receipt.extractedData.accountId || null,
+            date: payment.date || receipt.extractedData.invoiceDate || null,
+            transactionId: payment.transactionId || null,
+            modeOfPayment: payment.modeOfPayment || null,
+            amount: payment.amount,
+            invoiceNumber: payment.invoiceNumber || null
+        })))
+        .filter(payment => typeof payment.amount === 'number' && payment.amount > 0)
+        .sort((a, b) => new Date(a.date || 0) - new Date(b.date || 0));
+
+    const apply = (row, payment, matchedBy) => {
+        row.amountPaid = round(row.amountPaid + payment.amount);
+        row.payments.push({ ...payment, matchedBy });
+    };
+
+    const unmatchedPayments = [];
+    payments.forEach(payment => {
+        // A receipt naming an invoice we do not have stays unmatched rather
+        // than being guessed onto another invoice
+        if (payment.invoiceNumber) {
+            const row = byNumber.get(`${payment.platform}:${payment.invoiceNumber}`);
+            if (row) apply(row, payment, 'invoice_number');
+            else unmatchedPayments.push(payment);
+            return;
+        }
+
+        const row = rows.find(candidate => candidate.platform === payment.platform
+            && sameAccount(candidate.accountId, payment.accountId)
+            && Math.abs((candidate.amountDue - candidate.amountPaid) - payment.amount) <= ARITHMETIC_TOLERANCE);
+        if (row) apply(row, payment, 'amount');
+        else unmatchedPayments.push(payment);
+    });
+
+    rows.forEach(row => {
+        row.balance = round(row.amountDue - row.amountPaid);
+        row.paymentStatus = paymentStatus(row.amountDue, row.amountPaid);
+    });
+
+    return { invoices: rows, unmatchedPayments };
+}
+
+// Load and reconcile a workspace's documents of a platform (or all platforms).
+// accountId narrows them to one account plus documents without an account,
+// the only ones that can settle with it.
+async function reconcilePayments({ workspaceId, platform, accountId } = {}) {
+    const filter = { workspaceId, status: { $in: RECONCILED_STATUSES } };
+    if (platform) filter.platform = platform;
+    if (accountId) filter['extractedData.accountId'] = { $in: [accountId, null] };
+
+    const documents = await Invoice.find(filter)
+        .select('fileName platform documentType linkedInvoiceId extractedData.invoiceNumber extractedData.invoiceDate extractedData.accountId extractedData.accountName extractedData.totalAmount extractedData.payments')
+        .lean();
+
+    return reconcile({
+        invoices: documents.filter(doc => !doc.documentType || doc.documentType === 'invoice'),
+        creditNotes: documents.filter(doc => doc.documentType === 'credit_note'),
+        receipts: documents.filter(doc => doc.documentType === 'receipt')
+    });
+}
+
+// Outstanding balances per account plus unmatched payments. Dates filter the
+// invoices (and unmatched payments) shown; matching always sees everything so
+// a payment is not reported unmatched because its invoice is out of range.
+async function buildReconciliationReport({ workspaceId, platform, accountId, startDate, endDate, paymentStatus: status } = {}) {
+    const { invoices, unmatchedPayments } = await reconcilePayments({ workspaceId, platform });
+
+    const inRange = (date) => (!startDate || (date && new Date(date) >= new Date(startDate)))
+        && (!endDate || (date && new Date(date) <= new Date(endDate)));
+
+    const rows = invoices.filter(row => inRange(row.invoiceDate)
+        && (!accountId || row.accountId === accountId)
+        && (!status || row.paymentStatus === status));
+
+    const accounts = new Map();
+    rows.forEach(row => {
+        const key = `${row.platform}:${row.accountId || ''}`;
+        if (!accounts.has(key)) {
+            accounts.set(key, {
+                platform: row.platform,
+                accountId: row.accountId,
+                accountName: row.accountName,
+                totalDue: 0,
+                totalPaid: 0,
+                outstanding: 0,
+                invoices: []
+            });
+        }
+        const account = accounts.get(key);
+        account.totalDue = round(account.totalDue + row.amountDue);
+        account.totalPaid = round(account.totalPaid + row.amountPaid);
+        account.outstanding = round(account.outstanding + Math.max(row.balance, 0));
+        account.invoices.push(row);
+    });
+
+    const unmatched = unmatchedPayments.filter(payment => inRange(payment.date)
+        && (!accountId || payment.accountId === accountId));
+
+    return {
+        summary: {
+            invoices: rows.length,
+            paid: rows.filter(row => row.paymentStatus === 'paid').length,
+            partiallyPaid: rows.filter(row => row.paymentStatus === 'partially_paid').length,
+            unpaid: rows.filter(row => row.paymentStatus === 'unpaid').length,
+            totalDue: round(rows.reduce((sum, row) => sum + row.amountDue, 0)),
+            totalPaid: round(rows.reduce((sum, row) => sum + row.amountPaid, 0)),
+            outstanding: round(rows.reduce((sum, row) => sum + Math.max(row.balance, 0), 0)),
+            unmatchedPayments: unmatched.length,
+            unmatchedAmount: round(unmatched.reduce((sum, payment) => sum + payment.amount, 0))
+        },
+        accounts: [...accounts.values()].sort((a, b) => b.outstanding - a.outstanding),
+        unmatchedPayments: unmatched
+    };
+}
+
+module.exports = {
+    PAYMENT_STATUSES,
+    reconcile,
+    reconcilePayments,
+    buildReconciliationReport
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { workspaceUploadDir } = require('./workspaces');
+
+// Resumable uploads send one large PDF or ZIP in chunks: the client creates a
+// session with the file's size and SHA-256, PUTs chunks at the offset the
+// server has received so far (each with its own SHA-256), and finalizes once
+// every byte is there. The partial file lives next to the workspace's other
+// uploads until the whole file checks out.
+
+const MB = 1024 * 1024;
+const MAX_FILE_BYTES = (parseInt(process.env.RESUMABLE_UPLOAD_MAX_MB) || 2048) * MB;
+const MAX_CHUNK_BYTES = (parseInt(process.env.RESUMABLE_CHUNK_MAX_MB) || 8) * MB;
+// A session that receives no chunk for this long is removed
+const SESSION_TTL_MS = (parseInt(process.env.RESUMABLE_UPLOAD_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const ALLOWED_EXTENSIONS = ['.pdf', '.zip'];
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+
+// Uploads with a chunk being written or being finalized (this process)
+const busyUploads = new Set();
+
+function partFilePath(workspaceId, uploadId) {
+    return path.join(workspaceUploadDir(workspaceId), `${uploadId}.part`);
+}
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function expiresAt(from = Date.now()) {
+    return new Date(from + SESSION_TTL_MS);
+}
+
+function mimeTypeFor(fileName) {
+    return path.extname(fileName).toLowerCase() === '.zip' ? 'application/zip' : 'application/pdf';
+}
+
+// Write a chunk at offset and drop anything after it, e.g. the tail of a
+// chunk whose write was interrupted before it was recorded
+async function writeChunk(filePath, offset, chunk) {
+    const handle = await fs.promises.open(filePath, fs.constants.O_WRONLY | fs.constants.O_CREAT);
+    try {
+        await handle.write(chunk, 0, chunk.length, offset);
+        await handle.truncate(offset + chunk.length);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Claim an upload for one chunk or the finalize step; false when it is taken
+function acquire(uploadId) {
+    if (busyUploads.has(uploadId)) return false;
+    busyUploads.add(uploadId);
+    return true;
+}
+
+function release(uploadId) {
+    busyUploads.delete(uploadId);
+}
+
+module.exports = {
+    MAX_FILE_BYTES,
+    MAX_CHUNK_BYTES,
+    SESSION_TTL_MS,
+    ALLOWED_EXTENSIONS,
+    SHA256_PATTERN,
+    partFilePath,
+    sha256,
+    expiresAt,
+    mimeTypeFor,
+    writeChunk,
+    acquire,
+    release
+};
@@ -0,0 +1,64 @@
+require('dotenv').config();
+
+// Decides whether an extracted invoice needs a human to look at it.
+
+// Fields scored below this confidence send the invoice to review
+const CONFIDENCE_THRESHOLD = parseFloat(process.env.CONFIDENCE_REVIEW_THRESHOLD || '0.7');
+
+// Fields that must be present and trustworthy for an invoice to skip review
+const KEY_FIELDS = ['invoiceNumber', 'invoiceDate', 'subtotal', 'taxAmount', 'totalAmount'];
+
+// Receipts and statements carry no tax breakdown; receipts need their payments
+const KEY_FIELDS_BY_DOCUMENT_TYPE = {
+    receipt: ['invoiceDate', 'totalAmount'],
+    statement: []
+};
+
+function isPresent(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+// Returns a list of human-readable reasons; empty when no review is needed.
+// validation is the result of validationEngine.runValidation and
+// platformDetection the invoice's stored platform classification;
+// documentType picks the key fields.
+function getReviewReasons(extractedData, fieldProvenance = [], validation = null, platformDetection = null, documentType = 'invoice') {
+    const reasons = [];
+    const data = extractedData || {};
+
+    if (platformDetection?.method !== 'manual' && platformDetection?.conflict) {
+        const candidates = Object.entries(platformDetection.scores || {})
+            .sort((a, b) => b[1] - a[1])
+            .map(([platform, score]) => `${platform} (${score})`)
+            .join(', ');
+        reasons.push(`Platform detection is uncertain (confidence ${platformDetection.confidence}): ${candidates}`);
+    }
+
+    (KEY_FIELDS_BY_DOCUMENT_TYPE[documentType] || KEY_FIELDS).forEach(field => {
+        if (!isPresent(data[field])) {
+            reasons.push(`${field} is missing`);
+        }
+    });
+
+    if (documentType === 'receipt' && !(data.payments || []).some(payment => isPresent(payment.amount))) {
+        reasons.push('Receipt has no payments');
+    }
+
+    (validation?.results || [])
+        .filter(result => !result.passed)
+        .forEach(result => reasons.push(result.message));
+
+    fieldProvenance
+        .filter(entry => entry.origin !== 'manual' && entry.confidence < CONFIDENCE_THRESHOLD)
+        .forEach(entry => {
+            reasons.push(`${entry.field} confidence ${entry.confidence} is below ${CONFIDENCE_THRESHOLD}`);
+        });
+
+    return reasons;
+}
+
+module.exports = {
+    CONFIDENCE_THRESHOLD,
+    KEY_FIELDS,
+    getReviewReasons
+};
@@ -0,0 +1,22 @@
+// Socket.IO room names. Every socket joins its user's room and the rooms of
+// the workspaces it can use; upload events go to the room of their upload,
+// which the uploader's sockets join when the upload starts and other members
+// join with a "subscribe" message (controllers/socketController).
+
+function userRoom(userId) {
+    return `user:${userId}`;
+}
+
+function workspaceRoom(workspaceId) {
+    return `workspace:${workspaceId}`;
+}
+
+function uploadRoom(uploadId) {
+    return `upload:${uploadId}`;
+}
+
+module.exports = {
+    userRoom,
+    workspaceRoom,
+    uploadRoom
+};
@@ -0,0 +1,256 @@
+const { PDFDocument, PDFString, StandardFonts, rgb } = require('pdf-lib');
+const platforms = require('./platforms');
+
+// Spend report PDF: overall totals, per-platform spend and delivery tables,
+// top campaigns and an appendix of the source invoices with links to their
+// PDFs. Drawn with pdf-lib's standard fonts, so nothing is fetched or
+// installed to render it.
+
+const PAGE_SIZE = [595.28, 841.89]; // A4 portrait
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const ROW_HEIGHT = 14;
+const TEXT = rgb(0.1, 0.1, 0.1);
+const MUTED = rgb(0.45, 0.45, 0.45);
+const RULE = rgb(0.8, 0.8, 0.8);
+const LINK = rgb(0.05, 0.3, 0.7);
+
+const amountFormat = new Intl.NumberFormat('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const countFormat = new Intl.NumberFormat('en-IN', { maximumFractionDigits: 0 });
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+const amount = (value) => (isNumber(value) ? amountFormat.format(value) : '-');
+const count = (value) => (isNumber(value) ? countFormat.format(value) : '-');
+const percent = (value) => (isNumber(value) ? `${value.toFixed(2)}%` : '-');
+const day = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '-');
+const platformLabel = (id) => platforms.getPlatform(id).label;
+
+// Standard fonts only cover WinAnsi; other characters would make pdf-lib throw
+const characterSets = new WeakMap();
+function encodable(font, text) {
+    if (!characterSets.has(font)) characterSets.set(font, new Set(font.getCharacterSet()));
+    const supported = characterSets.get(font);
+    return [...String(text ?? '')]
+        .map(char => (char === '₹' ? 'Rs.' : supported.has(char.codePointAt(0)) ? char : '?'))
+        .join('')
+        .replace(/[\r\n\t]+/g, ' ');
+}
+
+// Text cut to width with an ellipsis
+function fit(font, text, width, size = FONT_SIZE) {
+    let value = encodable(font, text);
+    if (font.widthOfTextAtSize(value, size) <= width) return value;
+    while (value.length > 0 && font.widthOfTextAtSize(`${value}…`, size) > width) value = value.slice(0, -1);
+    return `${value}…`;
+}
+
+// Page cursor: adds pages as content runs past the bottom margin
+function createWriter(pdf, fonts) {
+    const writer = {
+        page: null,
+        y: 0,
+        newPage() {
+            writer.page = pdf.addPage(PAGE_SIZE);
+            writer.y = PAGE_SIZE[1] - MARGIN;
+        },
+        // Start a new page unless `height` still fits on this one
+        ensure(height) {
+            if (!writer.page || writer.y - height < MARGIN + ROW_HEIGHT) writer.newPage();
+        },
+        text(value, { x = MARGIN, size = FONT_SIZE, font = fonts.regular, color = TEXT } = {}) {
+            writer.page.drawText(encodable(font, value), { x, y: writer.y, size, font, color });
+        },
+        line(y = writer.y) {
+            writer.page.drawLine({
+                start: { x: MARGIN, y },
+                end: { x: PAGE_SIZE[0] - MARGIN, y },
+                thickness: 0.5,
+                color: RULE
+            });
+        },
+        link(url, x, width) {
+            const annotation = pdf.context.obj({
+                Type: 'Annot',
+                Subtype: 'Link',
+                Rect: [x, writer.y - 3, x + width, writer.y + FONT_SIZE],
+                Border: [0, 0, 0],
+                A: { Type: 'Action', S: 'URI', URI: PDFString.of(url) }
+            });
+            writer.page.node.addAnnot(pdf.context.register(annotation));
+        }
+    };
+    return writer;
+}
+
+function heading(writer, fonts, title) {
+    writer.ensure(ROW_HEIGHT * 4);
+    writer.y -= ROW_HEIGHT;
+    writer.text(title, { size: 13, font: fonts.bold });
+    writer.y -= ROW_HEIGHT * 1.5;
+}
+
+// columns: [{ header, width, align, value(row), link(row) }]; the header is
+// repeated on every page the table runs onto
+function table(writer, fonts, columns, rows, emptyText = 'None') {
+    const header = () => {
+        let x = MARGIN;
+        columns.forEach(column => {
+            const label = fit(fonts.bold, column.header, column.width - 4);
+            const offset = column.align === 'right' ? column.width - 4 - fonts.bold.widthOfTextAtSize(label, FONT_SIZE) : 0;
+            writer.text(label, { x: x + offset, font: fonts.bold });
+            x += column.width;
+        });
+        writer.line(writer.y - 4);
+        writer.y -= ROW_HEIGHT;
+    };
+
+    writer.ensure(ROW_HEIGHT * 2);
+    header();
+    if (rows.length === 0) {
+        writer.text(emptyText, { color: MUTED });
+        writer.y -= ROW_HEIGHT;
+        return;
+    }
+
+    rows.forEach(row => {
+        if (writer.y < MARGIN + ROW_HEIGHT) {
+            writer.newPage();
+            header();
+        }
+        let x = MARGIN;
+        columns.forEach(column => {
+            const value = fit(fonts.regular, column.value(row), column.width - 4);
+            const textWidth = fonts.regular.widthOfTextAtSize(value, FONT_SIZE);
+            const offset = column.align === 'right' ? column.width - 4 - textWidth : 0;
+            const url = column.link ? column.link(row) : null;
+            writer.text(value, { x: x + offset, color: url ? LINK : TEXT });
+            if (url) writer.link(url, x + offset, textWidth);
+            x += column.width;
+        });
+        writer.y -= ROW_HEIGHT;
+    });
+}
+
+function keyValues(writer, fonts, pairs) {
+    pairs.forEach(([label, value]) => {
+        writer.ensure(ROW_HEIGHT);
+        writer.text(label, { color: MUTED });
+        writer.text(value, { x: MARGIN + 160, font: fonts.bold });
+        writer.y -= ROW_HEIGHT;
+    });
+}
+
+const SPEND_COLUMNS = [
+    { header: 'Platform', width: 135, value: row => row.label },
+    { header: 'Invoices', width: 55, align: 'right', value: row => count(row.totalInvoices) },
+    { header: 'Credit notes', width: 65, align: 'right', value: row => count(row.creditNotes) },
+    { header: 'Taxable value', width: 85, align: 'right', value: row => amount(row.subtotal) },
+    { header: 'Credits', width: 75, align: 'right', value: row => amount(row.totalCredits) },
+    { header: 'Net spend', width: 100, align: 'right', value: row => amount(row.totalAmount) }
+];
+
+const DELIVERY_COLUMNS = [
+    { header: 'Platform', width: 135, value: row => row.label },
+    { header: 'Clicks', width: 75, align: 'right', value: row => count(row.totalClicks) },
+    { header: 'Impressions', width: 90, align: 'right', value: row => count(row.totalImpressions) },
+    { header: 'Avg CPC', width: 70, align: 'right', value: row => amount(row.avgCPC) },
+    { header: 'Avg CPM', width: 70, align: 'right', value: row => amount(row.avgCPM) },
+    { header: 'CTR', width: 75, align: 'right', value: row => percent(row.avgCTR) }
+];
+
+const CAMPAIGN_COLUMNS = [
+    { header: '#', width: 20, align: 'right', value: row => String(row.rank) },
+    { header: 'Campaign', width: 190, value: row => row.campaignName || '(unnamed)' },
+    { header: 'Platform', width: 95, value: row => platformLabel(row.platform) },
+    { header: 'Clicks', width: 60, align: 'right', value: row => count(row.clicks) },
+    { header: 'Impressions', width: 70, align: 'right', value: row => count(row.impressions) },
+    { header: 'Spend', width: 80, align: 'right', value: row => amount(row.amount) }
+];
+
+const INVOICE_COLUMNS = [
+    { header: 'Date', width: 60, value: row => day(row.invoiceDate) },
+    { header: 'Platform', width: 85, value: row => platformLabel(row.platform) },
+    { header: 'Invoice number', width: 90, value: row => `${row.invoiceNumber || '-'}${row.documentType === 'credit_note' ? ' (CN)' : ''}` },
+    { header: 'File', width: 170, value: row => row.fileName, link: row => row.pdfUrl },
+    { header: 'Total', width: 110, align: 'right', value: row => `${row.currency ? `${row.currency} ` : ''}${amount(row.totalAmount)}` }
+];
+
+// report: { startDate, endDate, platform, generatedAt, totals (computeOverallTotals),
+// analytics (computeAnalytics().analytics), topCampaigns, invoices } -> PDF bytes
+async function renderSpendReport(report) {
+    const pdf = await PDFDocument.create();
+    const fonts = {
+        regular: await pdf.embedFont(StandardFonts.Helvetica),
+        bold: await pdf.embedFont(StandardFonts.HelveticaBold)
+    };
+    const writer = createWriter(pdf, fonts);
+    const generatedAt = report.generatedAt || new Date();
+    const period = report.startDate || report.endDate
+        ? `${report.startDate ? day(report.startDate) : 'beginning'} to ${report.endDate ? day(report.endDate) : 'today'}`
+        : 'All dates';
+    const scope = report.platform && report.platform !== 'all' ? platformLabel(report.platform) : 'All platforms';
+
+    pdf.setTitle(`Ad spend report - ${period}`);
+    pdf.setCreator('Multi-PDF Invoice Reader');
+    pdf.setCreationDate(generatedAt);
+
+    writer.newPage();
+    writer.text('Ad spend report', { size: 20, font: fonts.bold });
+    writer.y -= ROW_HEIGHT * 1.6;
+    writer.text(`${period}  |  ${scope}`, { size: 11, color: MUTED });
+    writer.y -= ROW_HEIGHT;
+
+    const totals = report.totals || {};
+    heading(writer, fonts, 'Overall totals');
+    keyValues(writer, fonts, [
+        ['Net spend', amount(totals.totalSpent)],
+        ['Taxable value', amount(totals.totalSubtotal)],
+        ['Tax', amount(totals.totalTax)],
+        ['Credit notes', `${count(totals.creditNotes)} (${amount(totals.totalCredits)})`],
+        ['Invoices', count(totals.totalInvoices)],
+        ['Average invoice', amount(totals.avgInvoiceAmount)],
+        ['Failed consistency checks', count(totals.inconsistentInvoices)]
+    ]);
+
+    const currencies = [...new Set((report.invoices || []).map(invoice => invoice.currency).filter(Boolean))];
+    if (currencies.length > 1) {
+        writer.y -= ROW_HEIGHT / 2;
+        writer.text(`Invoices are in ${currencies.join(', ')}; totals add the amounts as invoiced, without conversion.`, { color: MUTED });
+        writer.y -= ROW_HEIGHT;
+    }
+
+    const analytics = (report.analytics || []).map(row => ({ ...row, label: platformLabel(row._id) }));
+    heading(writer, fonts, 'Spend by platform');
+    table(writer, fonts, SPEND_COLUMNS, analytics);
+
+    heading(writer, fonts, 'Delivery by platform');
+    table(writer, fonts, DELIVERY_COLUMNS, analytics);
+
+    heading(writer, fonts, 'Top campaigns by spend');
+    table(writer, fonts, CAMPAIGN_COLUMNS, (report.topCampaigns || []).map((row, index) => ({ ...row, rank: index + 1 })), 'No campaign lines');
+
+    writer.newPage();
+    writer.y += ROW_HEIGHT; // heading() leaves a blank line for mid-page sections
+    heading(writer, fonts, `Appendix: source invoices (${(report.invoices || []).length})`);
+    table(writer, fonts, INVOICE_COLUMNS, report.invoices || [], 'No invoices');
+
+    const pages = pdf.getPages();
+    const footer = `Generated ${generatedAt.toISOString().replace('T', ' ').slice(0, 16)} UTC`;
+    pages.forEach((page, index) => {
+        page.drawText(footer, { x: MARGIN, y: MARGIN / 2, size: 7, font: fonts.regular, color: MUTED });
+        const number = `Page ${index + 1} of ${pages.length}`;
+        page.drawText(number, {
+            x: PAGE_SIZE[0] - MARGIN - fonts.regular.widthOfTextAtSize(number, 7),
+            y: MARGIN / 2,
+            size: 7,
+            font: fonts.regular,
+            color: MUTED
+        });
+    });
+
+    return pdf.save();
+}
+
+module.exports = {
+    renderSpendReport
+};
@@ -0,0 +1,259 @@
+const platforms = require('./platforms');
+const { ARITHMETIC_TOLERANCE } = require('./validationEngine');
+const { escapeXml } = require('./xml');
+
+// Tally purchase vouchers for ad invoices: the platform's party ledger is
+// credited with the invoice total, the expense ledger debited with the taxable
+// value and the GST ledgers with the tax. Credit notes received become debit
+// notes with the sides swapped. The XML is Tally's "Import Data" envelope.
+
+// Only reviewed documents are booked
+const TALLY_STATUSES = ['completed'];
+const TALLY_DOCUMENT_TYPES = ['invoice', 'credit_note'];
+
+const GST_COMPONENTS = ['igst', 'cgst', 'sgst', 'cess'];
+
+// A difference between the total and its parts up to this much is posted to
+// the round-off ledger; a larger one means the extraction is wrong
+const MAX_ROUND_OFF = 1;
+
+const DEFAULT_MAPPING = {
+    companyName: null,
+    purchaseVoucherType: 'Purchase',
+    debitNoteVoucherType: 'Debit Note',
+    partyLedgers: {},  // defaults to the platform label
+    expenseLedgers: {}, // defaults to defaultExpenseLedger
+    defaultExpenseLedger: 'Advertising Expenses',
+    gstLedgers: {
+        igst: 'Input IGST',
+        cgst: 'Input CGST',
+        sgst: 'Input SGST',
+        cess: 'Input Cess'
+    },
+    roundOffLedger: 'Round Off'
+};
+
+const round = (value) => parseFloat(value.toFixed(2));
+const isAmount = (value) => typeof value === 'number' && isFinite(value);
+const tallyDate = (value) => new Date(value).toISOString().slice(0, 10).replace(/-/g, '');
+const isoDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+// Stored mapping (TallyLedgerMapping document or plain object) over the defaults
+function resolveMapping(stored) {
+    const mapping = stored && typeof stored.toObject === 'function'
+        ? stored.toObject({ flattenMaps: true })
+        : (stored || {});
+    const pick = (value, fallback) => (value && String(value).trim()) || fallback;
+
+    return {
+        companyName: pick(mapping.companyName, DEFAULT_MAPPING.companyName),
+        purchaseVoucherType: pick(mapping.purchaseVoucherType, DEFAULT_MAPPING.purchaseVoucherType),
+        debitNoteVoucherType: pick(mapping.debitNoteVoucherType, DEFAULT_MAPPING.debitNoteVoucherType),
+        partyLedgers: Object.fromEntries(platforms.PLATFORM_IDS.map(id => [
+            id,
+            pick(mapping.partyLedgers?.[id], platforms.getPlatform(id).label)
+        ])),
+        expenseLedgers: Object.fromEntries(platforms.PLATFORM_IDS.map(id => [
+            id,
+            pick(mapping.expenseLedgers?.[id], pick(mapping.defaultExpenseLedger, DEFAULT_MAPPING.defaultExpenseLedger))
+        ])),
+        defaultExpenseLedger: pick(mapping.defaultExpenseLedger, DEFAULT_MAPPING.defaultExpenseLedger),
+        gstLedgers: Object.fromEntries(GST_COMPONENTS.map(component => [
+            component,
+            pick(mapping.gstLedgers?.[component], DEFAULT_MAPPING.gstLedgers[component])
+        ])),
+        roundOffLedger: pick(mapping.roundOffLedger, DEFAULT_MAPPING.roundOffLedger)
+    };
+}
+
+// "Google Ads invoice 5123456789, billing period 2024-01-01 to 2024-01-31, account 123-456-7890"
+function narration(document) {
+    const data = document.extractedData || {};
+    const creditNote = document.documentType === 'credit_note';
+    const parts = [`${platforms.getPlatform(document.platform).label} ${creditNote ? 'credit note' : 'invoice'} ${data.invoiceNumber || '(no number)'}`];
+
+    if (creditNote && data.originalInvoiceNumber) parts.push(`against invoice ${data.originalInvoiceNumber}`);
+    const { startDate, endDate } = data.billingPeriod || {};
+    if (startDate && endDate) parts.push(`billing period ${isoDate(startDate)} to ${isoDate(endDate)}`);
+    else if (startDate || endDate) parts.push(`billing period ${isoDate(startDate || endDate)}`);
+    if (data.accountId) parts.push(`account ${data.accountId}`);
+
+    return parts.join(', ');
+}
+
+// One voucher for a plain Invoice object. Entries are { ledger, side: 'Dr' | 'Cr',
+// amount }. A voucher with errors must not be imported; warnings are for the
+// person checking the dry run.
+function buildVoucher(document, mapping) {
+    const data = document.extractedData || {};
+    const gst = data.gst || {};
+    const creditNote = document.documentType === 'credit_note';
+    const errors = [];
+    const warnings = [];
+
+    if (!data.invoiceDate) errors.push('No invoice date');
+    if (!data.invoiceNumber) warnings.push('No invoice number; the bill is not tracked against the party');
+    if (data.currency && data.currency !== 'INR') {
+        warnings.push(`Amounts are in ${data.currency}; Tally books them in the company's base currency`);
+    }
+    if (document.validation?.passed === false) warnings.push('Failed consistency checks');
+
+    const total = isAmount(data.totalAmount) ? Math.abs(data.totalAmount) : null;
+    const taxes = GST_COMPONENTS
+        .filter(component => isAmount(gst[component]) && gst[component] !== 0)
+        .map(component => ({ component, amount: Math.abs(gst[component]) }));
+    const taxTotal = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+    if (total === null) errors.push('No total amount');
+    if (isAmount(data.taxAmount) && Math.abs(data.taxAmount) > ARITHMETIC_TOLERANCE && taxes.length === 0) {
+        errors.push('GST split not extracted; correct gst.igst or gst.cgst / gst.sgst first');
+    }
+
+    const taxable = isAmount(data.subtotal)
+        ? Math.abs(data.subtotal)
+        : (total !== null ? total - taxTotal : null);
+
+    // Purchases debit expense and tax and credit the party; debit notes the reverse
+    const [costSide, partySide] = creditNote ? ['Cr', 'Dr'] : ['Dr', 'Cr'];
+    const entries = [];
+    if (total !== null) {
+        entries.push({ ledger: mapping.partyLedgers[document.platform], side: partySide, amount: round(total), party: true });
+    }
+    if (taxable !== null && taxable !== 0) {
+        entries.push({ ledger: mapping.expenseLedgers[document.platform], side: costSide, amount: round(taxable) });
+    }
+    taxes.forEach(tax => entries.push({ ledger: mapping.gstLedgers[tax.component], side: costSide, amount: round(tax.amount) }));
+
+    if (total !== null && taxable !== null) {
+        const difference = round(total - taxable - taxTotal);
+        if (Math.abs(difference) > MAX_ROUND_OFF) {
+            errors.push(`Total ${round(total)} is not taxable value ${round(taxable)} + GST ${round(taxTotal)}`);
+        } else if (difference !== 0) {
+            entries.push({
+                ledger: mapping.roundOffLedger,
+                side: difference > 0 ? costSide : partySide,
+                amount: Math.abs(difference)
+            });
+        }
+    }
+
+    return {
+        invoiceId: document._id,
+        fileName: document.fileName,
+        platform: document.platform,
+        documentType: document.documentType || 'invoice',
+        voucherType: creditNote ? mapping.debitNoteVoucherType : mapping.purchaseVoucherType,
+        date: data.invoiceDate || null,
+        reference: data.invoiceNumber || null,
+        partyLedger: mapping.partyLedgers[document.platform],
+        partyGstin: gst.supplierGstin || null,
+        // Credit notes settle the credited invoice's bill
+        bill: data.invoiceNumber
+            ? (creditNote && data.originalInvoiceNumber
+                ? { name: data.originalInvoiceNumber, type: 'Agst Ref' }
+                : { name: data.invoiceNumber, type: 'New Ref' })
+            : null,
+        narration: narration(document),
+        entries,
+        warnings,
+        errors
+    };
+}
+
+// Vouchers for the documents; those that cannot be booked are returned in
+// `skipped` with the reasons
+function buildVouchers(documents, mapping) {
+    const vouchers = [];
+    const skipped = [];
+
+    documents.forEach(document => {
+        const documentType = document.documentType || 'invoice';
+        if (!TALLY_DOCUMENT_TYPES.includes(documentType)) {
+            skipped.push({ invoiceId: document._id, fileName: document.fileName, reasons: [`A ${documentType} is not booked as a voucher`] });
+            return;
+        }
+        if (!TALLY_STATUSES.includes(document.status)) {
+            skipped.push({ invoiceId: document._id, fileName: document.fileName, reasons: [`Status is ${document.status}; only completed invoices are exported`] });
+            return;
+        }
+
+        const voucher = buildVoucher(document, mapping);
+        if (voucher.errors.length > 0) {
+            skipped.push({ invoiceId: document._id, fileName: document.fileName, reasons: voucher.errors, voucher });
+        } else {
+            vouchers.push(voucher);
+        }
+    });
+
+    return { vouchers, skipped };
+}
+
+// Debit and credit totals per ledger, to tie the import back to the books
+function summarizeVouchers(vouchers) {
+    const ledgers = new Map();
+    vouchers.flatMap(voucher => voucher.entries).forEach(entry => {
+        const totals = ledgers.get(entry.ledger) || { ledger: entry.ledger, debit: 0, credit: 0 };
+        totals[entry.side === 'Dr' ? 'debit' : 'credit'] += entry.amount;
+        ledgers.set(entry.ledger, totals);
+    });
+
+    return {
+        vouchers: vouchers.length,
+        ledgers: [...ledgers.values()].map(totals => ({ ...totals, debit: round(totals.debit), credit: round(totals.credit) }))
+    };
+}
+
+const tag = (name, value) => `<${name}>${escapeXml(value)}</${name}>`;
+
+// Tally signs amounts by side: debits are negative and "deemed positive"
+function ledgerEntryXml(entry, voucher) {
+    const debit = entry.side === 'Dr';
+    const amount = (debit ? -entry.amount : entry.amount).toFixed(2);
+    const bill = entry.party && voucher.bill
+        ? `<BILLALLOCATIONS.LIST>${tag('NAME', voucher.bill.name)}${tag('BILLTYPE', voucher.bill.type)}${tag('AMOUNT', amount)}</BILLALLOCATIONS.LIST>`
+        : '';
+
+    return '<ALLLEDGERENTRIES.LIST>'
+        + tag('LEDGERNAME', entry.ledger)
+        + tag('ISDEEMEDPOSITIVE', debit ? 'Yes' : 'No')
+        + tag('ISPARTYLEDGER', entry.party ? 'Yes' : 'No')
+        + tag('AMOUNT', amount)
+        + bill
+        + '</ALLLEDGERENTRIES.LIST>';
+}
+
+function voucherXml(voucher) {
+    const date = tallyDate(voucher.date);
+    return `<TALLYMESSAGE xmlns:UDF="TallyUDF"><VOUCHER VCHTYPE="${escapeXml(voucher.voucherType)}" ACTION="Create">`
+        + tag('DATE', date)
+        + tag('VOUCHERTYPENAME', voucher.voucherType)
+        + (voucher.reference ? tag('REFERENCE', voucher.reference) + tag('REFERENCEDATE', date) : '')
+        + tag('PARTYLEDGERNAME', voucher.partyLedger)
+        + (voucher.partyGstin ? tag('PARTYGSTIN', voucher.partyGstin) : '')
+        + tag('NARRATION', voucher.narration)
+        + voucher.entries.map(entry => ledgerEntryXml(entry, voucher)).join('')
+        + '</VOUCHER></TALLYMESSAGE>';
+}
+
+// Import Data envelope for Gateway of Tally > Import > Vouchers
+function vouchersToXml(vouchers, mapping) {
+    const company = mapping.companyName
+        ? `<STATICVARIABLES>${tag('SVCURRENTCOMPANY', mapping.companyName)}</STATICVARIABLES>`
+        : '';
+    return '<?xml version="1.0" encoding="UTF-8"?>\n<ENVELOPE>'
+        + '<HEADER><TALLYREQUEST>Import Data</TALLYREQUEST></HEADER>'
+        + `<BODY><IMPORTDATA><REQUESTDESC><REPORTNAME>Vouchers</REPORTNAME>${company}</REQUESTDESC>`
+        + `<REQUESTDATA>${vouchers.map(voucherXml).join('')}</REQUESTDATA>`
+        + '</IMPORTDATA></BODY></ENVELOPE>\n';
+}
+
+module.exports = {
+    TALLY_STATUSES,
+    TALLY_DOCUMENT_TYPES,
+    DEFAULT_MAPPING,
+    resolveMapping,
+    buildVoucher,
+    buildVouchers,
+    summarizeVouchers,
+    vouchersToXml
+};
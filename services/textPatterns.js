@@ -0,0 +1,70 @@
+// Regex helpers shared by the platform fallback extractors
+
+function extractPattern(text, regex, group = 1) {
+    const match = text.match(regex);
+    return match ? match[group].trim() : null;
+}
+
+function extractMonetaryValue(text, regex, group = 1) {
+    const match = text.match(regex);
+    if (match) {
+        const value = parseFloat(match[group].replace(/,/g, ""));
+        return !isNaN(value) ? value : null;
+    }
+    return null;
+}
+
+function extractNumericValue(text, regex) {
+    const match = text.match(regex);
+    if (match) {
+        const value = parseInt(match[1].replace(/,/g, ""));
+        return !isNaN(value) ? value : null;
+    }
+    return null;
+}
+
+// Campaign rows of the form "<name> <count> <count> <amount>", where the two
+// counts are clicks / impressions in the order given by columns
+function extractCampaignTable(text, columns) {
+    const campaigns = [];
+    const regex = /^(.+?)[ \t]+([\d,]+)[ \t]+([\d,]+)[ \t]+(?:INR|₹|\$)?[ \t]*([\d,]+\.\d{2})[ \t]*$/gm;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        const campaign = {
+            campaignName: match[1].trim(),
+            amount: parseFloat(match[4].replace(/,/g, ""))
+        };
+        campaign[columns[0]] = parseInt(match[2].replace(/,/g, ""));
+        campaign[columns[1]] = parseInt(match[3].replace(/,/g, ""));
+        campaign.cpc = campaign.clicks > 0 ? parseFloat((campaign.amount / campaign.clicks).toFixed(2)) : null;
+        campaigns.push(campaign);
+    }
+    return campaigns;
+}
+
+// Header fields of invoices printed as "Label: value" lines
+// (LinkedIn, Microsoft Advertising)
+function extractLabelledFields(text) {
+    return {
+        invoiceNumber: extractPattern(text, /(?:Invoice|Document) (?:number|no\.?)[:\s]+([A-Z0-9-]{6,})/i),
+        invoiceDate: extractPattern(text, /(?:Invoice|Document) date[:\s]+(\d{1,2}\s+\w+\s+20\d{2})/i),
+        accountId: extractPattern(text, /Account (?:ID|number)[:\s]+([A-Z0-9-]+)/i),
+        accountName: extractPattern(text, /Account name[:\s]+([^\n]+)/i),
+        billingPeriod: {
+            startDate: extractPattern(text, /Billing period[:\s]+(\d{1,2}\s+\w+\s+20\d{2})/i),
+            endDate: extractPattern(text, /Billing period[:\s]+\d{1,2}\s+\w+\s+20\d{2}\s*[-–]\s*(\d{1,2}\s+\w+\s+20\d{2})/i)
+        },
+        subtotal: extractMonetaryValue(text, /Subtotal[^\n\d]*?([\d,]+\.\d{2})/i),
+        taxAmount: extractMonetaryValue(text, /^(?:IGST|CGST|SGST|GST|Tax)\b[^\n]*?[ \t](?:INR|₹)?\s*([\d,]+\.\d{2})[ \t]*$/im),
+        totalAmount: extractMonetaryValue(text, /\bTotal(?: amount)?(?: due)?[^\n\d]*?([\d,]+\.\d{2})/i),
+        currency: extractPattern(text, /\bTotal[^\n]*?\b(INR|USD|EUR|GBP|SGD|AUD)\b/i) || "INR"
+    };
+}
+
+module.exports = {
+    extractPattern,
+    extractMonetaryValue,
+    extractNumericValue,
+    extractCampaignTable,
+    extractLabelledFields
+};
@@ -0,0 +1,73 @@
+const UploadSession = require('../models/UploadSession');
+const { uploadRoom } = require('./socketRooms');
+
+// Events kept per upload for replay; older ones are dropped and a client that
+// missed them reads the upload's state from GET /api/pdf/uploads/:uploadId
+const MAX_STORED_EVENTS = parseInt(process.env.UPLOAD_EVENT_HISTORY) || 500;
+
+// Store an upload event with the next sequence number, apply the state
+// changes that go with it and emit it to the upload's room as
+// { ...payload, seq }. changes:
+//   session: fields to set on the UploadSession (status, summary, ...)
+//   file:    fields of a file outcome; updates the file of jobId, or adds
+//            the file when there is no jobId
+// The event is still emitted (without seq) when it cannot be stored.
+async function publishUploadEvent(io, uploadId, event, payload, { session, jobId, file } = {}) {
+    let seq;
+
+    try {
+        const counter = await UploadSession.findOneAndUpdate(
+            { uploadId },
+            { $inc: { lastSeq: 1 } },
+            { new: true, projection: { lastSeq: 1 } }
+        );
+
+        if (counter) {
+            seq = counter.lastSeq;
+            const update = {
+                $push: {
+                    events: { $each: [{ seq, event, payload, at: new Date() }], $sort: { seq: 1 }, $slice: -MAX_STORED_EVENTS }
+                }
+            };
+            const set = { ...session };
+            const options = {};
+
+            if (file && jobId) {
+                Object.entries({ ...file, updatedAt: new Date() }).forEach(([field, value]) => {
+                    set[`files.$[file].${field}`] = value;
+                });
+                options.arrayFilters = [{ 'file.jobId': jobId }];
+            } else if (file) {
+                update.$push.files = file;
+            }
+            if (Object.keys(set).length > 0) update.$set = set;
+
+            await UploadSession.updateOne({ uploadId }, update, options);
+        }
+    } catch (error) {
+        console.error(`Failed to store ${event} of ${uploadId}:`, error.message);
+    }
+
+    if (io) {
+        io.to(uploadRoom(uploadId)).emit(event, seq === undefined ? payload : { ...payload, seq });
+    }
+    return seq;
+}
+
+// Stored events of a session with seq > afterSeq, ready to emit again.
+// truncated is true when some of them are no longer stored.
+function eventsAfter(session, afterSeq) {
+    const events = (session.events || []).filter(entry => entry.seq > afterSeq);
+    const oldest = session.events?.length ? session.events[0].seq : session.lastSeq + 1;
+
+    return {
+        events: events.map(({ seq, event, payload }) => ({ event, payload: { ...payload, seq } })),
+        truncated: afterSeq + 1 < oldest
+    };
+}
+
+module.exports = {
+    MAX_STORED_EVENTS,
+    publishUploadEvent,
+    eventsAfter
+};
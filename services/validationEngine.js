@@ -0,0 +1,142 @@
+const { platformsWithMetric } = require('./platforms');
+const { validateGstin, checkPlaceOfSupply } = require('./gst');
+require('dotenv').config();
+
+// Consistency checks run on extractedData after extraction and after every
+// manual correction. Each rule that applies yields a result with the
+// expected/actual values and the discrepancy between them; GST checks that
+// are not arithmetic explain themselves in a detail message instead.
+
+// Allowed difference (in invoice currency) before amounts are considered inconsistent
+const ARITHMETIC_TOLERANCE = parseFloat(process.env.ARITHMETIC_TOLERANCE || '1');
+
+// CPC is printed rounded to 2 decimals, so allow a little more than rounding error
+const CPC_TOLERANCE = parseFloat(process.env.CPC_TOLERANCE || '0.05');
+
+const isNumber = (value) => typeof value === 'number' && isFinite(value);
+const round = (value) => parseFloat(value.toFixed(2));
+
+function compare(rule, expected, actual, tolerance, extra = {}) {
+    const discrepancy = round(actual - expected);
+    return {
+        rule,
+        passed: Math.abs(discrepancy) <= tolerance,
+        expected: round(expected),
+        actual: round(actual),
+        discrepancy,
+        ...extra
+    };
+}
+
+const RULES = [
+    {
+        id: 'subtotal_plus_tax_equals_total',
+        description: 'subtotal + taxAmount equals totalAmount',
+        run(data) {
+            if (![data.subtotal, data.taxAmount, data.totalAmount].every(isNumber)) return [];
+            return [compare(this.id, data.subtotal + data.taxAmount, data.totalAmount, ARITHMETIC_TOLERANCE)];
+        }
+    },
+    {
+        id: 'campaigns_sum_to_subtotal',
+        description: 'campaign amounts add up to the subtotal',
+        run(data) {
+            const campaigns = (data.campaigns || []).filter(c => isNumber(c.amount));
+            if (campaigns.length === 0 || !isNumber(data.subtotal)) return [];
+            const sum = campaigns.reduce((total, c) => total + c.amount, 0);
+            return [compare(this.id, data.subtotal, sum, ARITHMETIC_TOLERANCE)];
+        }
+    },
+    {
+        id: 'payments_sum_to_total',
+        description: 'payment amounts add up to totalAmount',
+        run(data) {
+            const payments = (data.payments || []).filter(p => isNumber(p.amount));
+            if (payments.length === 0 || !isNumber(data.totalAmount)) return [];
+            const sum = payments.reduce((total, p) => total + p.amount, 0);
+            return [compare(this.id, data.totalAmount, sum, ARITHMETIC_TOLERANCE)];
+        }
+    },
+    {
+        id: 'gst_components_sum_to_tax',
+        description: 'IGST + CGST + SGST + cess equals taxAmount',
+        run(data) {
+            const components = ['igst', 'cgst', 'sgst', 'cess'].map(field => data.gst?.[field]).filter(isNumber);
+            if (components.length === 0 || !isNumber(data.taxAmount)) return [];
+            const sum = components.reduce((total, value) => total + value, 0);
+            return [compare(this.id, data.taxAmount, sum, ARITHMETIC_TOLERANCE)];
+        }
+    },
+    {
+        id: 'cgst_equals_sgst',
+        description: 'CGST equals SGST',
+        run(data) {
+            if (![data.gst?.cgst, data.gst?.sgst].every(isNumber)) return [];
+            return [compare(this.id, data.gst.cgst, data.gst.sgst, ARITHMETIC_TOLERANCE)];
+        }
+    },
+    {
+        id: 'gstin_checksum',
+        description: 'GSTIN is valid',
+        run(data) {
+            return ['supplierGstin', 'recipientGstin']
+                .filter(field => data.gst?.[field])
+                .map(field => {
+                    const { valid, reason } = validateGstin(data.gst[field]);
+                    return { rule: this.id, passed: valid, field: `gst.${field}`, detail: reason };
+                });
+        }
+    },
+    {
+        id: 'gst_type_matches_place_of_supply',
+        description: 'IGST for supplies across states, CGST + SGST within a state',
+        run(data) {
+            const check = checkPlaceOfSupply(data.gst);
+            return check ? [{ rule: this.id, passed: check.passed, field: 'gst', detail: check.detail }] : [];
+        }
+    },
+    {
+        id: 'cpc_matches_amount_per_click',
+        description: 'campaign cpc equals amount / clicks',
+        platforms: platformsWithMetric('cpc'),
+        run(data) {
+            const results = [];
+            (data.campaigns || []).forEach((c, index) => {
+                if (![c.amount, c.clicks, c.cpc].every(isNumber) || c.clicks <= 0) return;
+                results.push(compare(this.id, c.amount / c.clicks, c.cpc, CPC_TOLERANCE, {
+                    field: `campaigns.${index}.cpc`
+                }));
+            });
+            return results;
+        }
+    }
+];
+
+// Run every applicable rule; returns { passed, checkedAt, results }
+function runValidation(extractedData, platform) {
+    const data = extractedData && extractedData.toObject ? extractedData.toObject() : (extractedData || {});
+
+    const results = RULES
+        .filter(rule => !rule.platforms || rule.platforms.includes(platform))
+        .flatMap(rule => rule.run(data).map(({ detail, ...result }) => ({
+            ...result,
+            message: result.passed
+                ? rule.description
+                : detail
+                    ? `${rule.description}: ${detail}`
+                    : `${rule.description}: expected ${result.expected}, got ${result.actual} (off by ${result.discrepancy})`
+        })));
+
+    return {
+        passed: results.every(result => result.passed),
+        checkedAt: new Date(),
+        results
+    };
+}
+
+module.exports = {
+    ARITHMETIC_TOLERANCE,
+    CPC_TOLERANCE,
+    RULES,
+    runValidation
+};
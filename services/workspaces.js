@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Workspaces keep clients apart: every invoice, job, bank transaction and
+// Tally mapping carries a workspaceId and uploaded PDFs are stored in
+// uploads/<workspaceId>/.
+
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+const DEFAULT_WORKSPACE_SLUG = 'default';
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// "Acme Foods (India)" -> "acme-foods-india"
+function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+}
+
+// Whether a signed-in user (AuthController.resolveUser) may use a workspace.
+// user.workspaces is null for admins, who can use every workspace; an API key
+// limited to one workspace only opens that one.
+function canAccessWorkspace(user, workspaceId) {
+    const id = String(workspaceId);
+    if (user.apiKeyWorkspaceId && String(user.apiKeyWorkspaceId) !== id) return false;
+    return !user.workspaces || user.workspaces.some(memberOf => String(memberOf) === id);
+}
+
+// Folder for a workspace's uploaded PDFs, created on first use
+function workspaceUploadDir(workspaceId) {
+    const dir = path.join(UPLOADS_DIR, String(workspaceId));
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+    return dir;
+}
+
+// Helper function to resolve file path correctly in production
+function resolveFilePath(filePath) {
+    if (!filePath) return null;
+    
+    // If it's already an absolute path, check if it exists
+    if (path.isAbsolute(filePath)) {
+        if (fs.existsSync(filePath)) {
+            return filePath;
+        }
+    }
+    
+    // Try to resolve relative to uploads directory
+    const uploadsDir = UPLOADS_DIR;
+    const fileName = path.basename(filePath);
+    const resolvedPath = path.join(uploadsDir, fileName);
+    
+    if (fs.existsSync(resolvedPath)) {
+        return resolvedPath;
+    }
+
+    // Files of a workspace live in uploads/<workspaceId>/
+    const workspacePath = path.join(uploadsDir, path.basename(path.dirname(filePath)), fileName);
+    if (fs.existsSync(workspacePath)) {
+        return workspacePath;
+    }
+    
+    // If still not found, try to find by filename in uploads directory
+    try {
+        const files = fs.readdirSync(uploadsDir);
+        const matchingFile = files.find(file => file.includes(fileName.replace(/\.[^/.]+$/, "")));
+        if (matchingFile) {
+            return path.join(uploadsDir, matchingFile);
+        }
+    } catch (error) {
+        console.error('Error searching for file:', error);
+    }
+    
+    // If the filePath contains a production server path, try to extract just the filename
+    // and look for it in the local uploads directory
+    if (filePath.includes('/var/www/') || filePath.includes('MULTI-PDF-READER-BACKEND')) {
+        const extractedFileName = path.basename(filePath);
+        const localPath = path.join(uploadsDir, extractedFileName);
+        
+        if (fs.existsSync(localPath)) {
+            return localPath;
+        }
+        
+        // Try to find a file that contains the extracted filename (without extension)
+        try {
+            const files = fs.readdirSync(uploadsDir);
+            const baseNameWithoutExt = extractedFileName.replace(/\.[^/.]+$/, "");
+            const matchingFile = files.find(file => {
+                const fileBaseName = file.replace(/\.[^/.]+$/, "");
+                return fileBaseName.includes(baseNameWithoutExt) || baseNameWithoutExt.includes(fileBaseName);
+            });
+            
+            if (matchingFile) {
+                return path.join(uploadsDir, matchingFile);
+            }
+        } catch (error) {
+            console.error('Error searching for file with extracted name:', error);
+        }
+    }
+    
+    return null;
+}
+
+// Helper function to calculate file hash
+async function calculateFileHash(filePath, algorithm = 'md5') {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash(algorithm);
+        const stream = fs.createReadStream(filePath);
+
+        stream.on('data', (data) => {
+            hash.update(data);
+        });
+
+        stream.on('end', () => {
+            resolve(hash.digest('hex'));
+        });
+
+        stream.on('error', (error) => {
+            reject(error);
+        });
+    });
+}
+
+module.exports = {
+    UPLOADS_DIR,
+    DEFAULT_WORKSPACE_SLUG,
+    SLUG_PATTERN,
+    slugify,
+    canAccessWorkspace,
+    workspaceUploadDir,
+    resolveFilePath,
+    calculateFileHash
+};
@@ -0,0 +1,120 @@
+const archiver = require('archiver');
+const { Readable } = require('stream');
+const { escapeXml } = require('./xml');
+
+// Minimal streaming XLSX (Office Open XML) writer. Cells are written as inline
+// strings, numbers and dates, so no shared string table has to be kept in
+// memory; each sheet's rows come from an async iterable that is only read
+// when the archive reaches that sheet.
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Excel stores dates as days since 1899-12-30
+const EXCEL_EPOCH_OFFSET = 25569;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Style 1 (see styles.xml) shows a number as yyyy-mm-dd
+const DATE_STYLE = 1;
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function cell(value, ref) {
+    if (value === null || value === undefined || value === '') return '';
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return '';
+        return `<c r="${ref}" s="${DATE_STYLE}"><v>${value.getTime() / DAY_MS + EXCEL_EPOCH_OFFSET}</v></c>`;
+    }
+    if (typeof value === 'number') {
+        return isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : '';
+    }
+    if (typeof value === 'boolean') {
+        return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function rowXml(values, rowNumber) {
+    return `<row r="${rowNumber}">${values.map((value, index) => cell(value, `${columnName(index)}${rowNumber}`)).join('')}</row>`;
+}
+
+// columns: [{ key, header }]; rows: (async) iterable of objects
+async function* sheetXml(columns, rows) {
+    yield `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetViews><sheetView workbookViewId="0">`
+        + '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>';
+    yield rowXml(columns.map(column => column.header), 1);
+
+    let rowNumber = 1;
+    for await (const row of rows) {
+        rowNumber++;
+        yield rowXml(columns.map(column => row[column.key]), rowNumber);
+    }
+
+    yield '</sheetData></worksheet>';
+}
+
+function contentTypesXml(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('');
+    return `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + `${sheets}</Types>`;
+}
+
+const ROOT_RELS = `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>';
+
+const STYLES = `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">`
+    + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>'
+    + '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+    + '</styleSheet>';
+
+function workbookXml(names) {
+    const sheets = names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('');
+    return `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>${sheets}</sheets></workbook>`;
+}
+
+function workbookRelsXml(sheetCount) {
+    const sheets = Array.from({ length: sheetCount }, (_, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('');
+    return `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + `${sheets}<Relationship Id="rId${sheetCount + 1}" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`;
+}
+
+// sheets: [{ name, columns, rows }] -> archiver stream of the .xlsx file.
+// Pipe it somewhere; it is finalized here.
+function createXlsxStream(sheets) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    archive.append(contentTypesXml(sheets.length), { name: '[Content_Types].xml' });
+    archive.append(ROOT_RELS, { name: '_rels/.rels' });
+    archive.append(workbookXml(sheets.map(sheet => sheet.name)), { name: 'xl/workbook.xml' });
+    archive.append(workbookRelsXml(sheets.length), { name: 'xl/_rels/workbook.xml.rels' });
+    archive.append(STYLES, { name: 'xl/styles.xml' });
+    sheets.forEach((sheet, i) => {
+        archive.append(Readable.from(sheetXml(sheet.columns, sheet.rows)), { name: `xl/worksheets/sheet${i + 1}.xml` });
+    });
+    archive.finalize();
+
+    return archive;
+}
+
+module.exports = {
+    columnName,
+    createXlsxStream
+};
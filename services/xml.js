@@ -0,0 +1,16 @@
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+// Text or attribute value safe to place in an XML document
+function escapeXml(value) {
+    return String(value)
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    escapeXml
+};
@@ -2,6 +2,15 @@ const axios = require('axios');
 
 const BASE_URL = 'http://localhost:7000';
 
+// API routes need a credential: an API key (viewer role is enough)
+if (process.env.API_KEY) {
+    axios.defaults.headers.common['X-API-Key'] = process.env.API_KEY;
+}
+// and, for users in several workspaces, the workspace to test against
+if (process.env.WORKSPACE) {
+    axios.defaults.headers.common['X-Workspace'] = process.env.WORKSPACE;
+}
+
 async function testPdfFunctionality() {
     console.log('🧪 Testing PDF Functionality...\n');
 
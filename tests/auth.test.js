@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+// Passwords, tokens, API keys, roles and workspace scoping. Runs offline.
+const assert = require('assert');
+const path = require('path');
+const auth = require('../services/auth');
+const AuthController = require('../controllers/authController');
+const InvoiceController = require('../controllers/invoiceController');
+const SocketController = require('../controllers/socketController');
+const PdfController = require('../controllers/pdfController');
+const workspaces = require('../services/workspaces');
+const socketRooms = require('../services/socketRooms');
+const { test, finish } = require('./helpers');
+
+async function run() {
+    console.log('🧪 Testing authentication...');
+    await test('passwords, signed tokens, API keys and role checks', () => {
+        const stored = auth.hashPassword('correct horse');
+        assert.ok(auth.verifyPassword('correct horse', stored));
+        assert.ok(!auth.verifyPassword('correct horsE', stored));
+        assert.notStrictEqual(auth.hashPassword('correct horse'), stored, 'salted');
+
+        const user = { _id: '64b000000000000000000001', tokenVersion: 3 };
+        const now = Date.UTC(2024, 0, 1);
+        const { token, expiresAt } = auth.signToken(user, { ttlHours: 1, now });
+        assert.deepStrictEqual(expiresAt, new Date(now + 3600 * 1000));
+        assert.strictEqual(auth.verifyToken(token, { now }).sub, user._id);
+        assert.strictEqual(auth.verifyToken(token, { now }).ver, 3);
+        assert.strictEqual(auth.verifyToken(token, { now: now + 3601 * 1000 }), null, 'expired');
+        const [header, payload, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), sub: 'someone-else' })).toString('base64url');
+        assert.strictEqual(auth.verifyToken(`${header}.${forged}.${signature}`, { now }), null, 'tampered');
+
+        const { key, prefix, keyHash } = auth.generateApiKey();
+        assert.ok(auth.isApiKey(key) && key.startsWith(prefix) && !auth.isApiKey(token));
+        assert.strictEqual(auth.hashApiKey(key), keyHash);
+
+        assert.ok(auth.hasRole('admin', 'reviewer') && auth.hasRole('uploader', 'uploader'));
+        assert.ok(!auth.hasRole('reviewer', 'admin') && !auth.hasRole(undefined, 'viewer'));
+        assert.strictEqual(auth.lowerRole('admin', 'uploader'), 'uploader');
+
+        const respond = (role) => {
+            let status = 200;
+            const res = { status(code) { status = code; return { json: () => {} }; } };
+            AuthController.requireRole('reviewer')({ user: role && { role } }, res, () => {});
+            return status;
+        };
+        assert.deepStrictEqual(['viewer', 'reviewer', 'admin', null].map(respond), [403, 200, 200, 403]);
+    });
+    await test('credentials are read from headers and the socket auth, never the query string', async () => {
+        const request = (method, headers, query = {}) => ({ method, query, get: (name) => headers[name] });
+        assert.strictEqual(AuthController.getCredential(request('POST', { Authorization: 'Bearer abc ' })), 'abc');
+        assert.strictEqual(AuthController.getCredential(request('GET', { 'X-API-Key': 'pdfr_key' })), 'pdfr_key');
+        assert.strictEqual(AuthController.getCredential(request('GET', {}, { access_token: 'abc' })), null);
+        assert.strictEqual(AuthController.getCredential(request('HEAD', {}, { access_token: 'abc' })), null);
+
+        const { token } = auth.signToken({ _id: '64b000000000000000000001' });
+        const connect = (handshake) => new Promise(resolve => SocketController.authenticate({ handshake, data: {} }, resolve));
+        const refused = await connect({ auth: {}, query: { access_token: token } });
+        assert.strictEqual(refused && refused.message, 'Authentication required');
+    });
+
+    console.log('\n🧪 Testing workspaces...');
+    await test('workspace access, query scoping and storage paths', () => {
+        const [acme, globex] = ['64b0000000000000000000a1', '64b0000000000000000000b2'];
+        assert.strictEqual(workspaces.slugify('  Acme Foods (India) '), 'acme-foods-india');
+        assert.ok(workspaces.SLUG_PATTERN.test('acme-foods-india') && !workspaces.SLUG_PATTERN.test('Acme--x'));
+
+        const member = { workspaces: [acme] };
+        assert.ok(workspaces.canAccessWorkspace(member, acme) && !workspaces.canAccessWorkspace(member, globex));
+        assert.ok(workspaces.canAccessWorkspace({ workspaces: null }, globex), 'admins see every workspace');
+        assert.ok(!workspaces.canAccessWorkspace({ workspaces: null, apiKeyWorkspaceId: acme }, globex), 'key limited to one');
+        assert.deepStrictEqual(
+            [socketRooms.userRoom('u1'), socketRooms.workspaceRoom(acme), socketRooms.uploadRoom('upload_1')],
+            ['user:u1', `workspace:${acme}`, 'upload:upload_1']
+        );
+
+        assert.strictEqual(InvoiceController.buildAnalyticsMatch({ platform: 'google_ads' }, acme).workspaceId, acme);
+        assert.strictEqual(InvoiceController.buildInvoiceFilter({}, acme).filter.workspaceId, acme);
+
+        const base = 'http://localhost:3000';
+        const stored = path.join(workspaces.UPLOADS_DIR, acme, '12-inv.pdf');
+        assert.strictEqual(PdfController.getPdfUrl(base, { workspaceId: acme, filePath: stored, fileName: 'inv.pdf' }), `${base}/api/pdf/view/inv.pdf?workspace=${acme}`);
+        assert.strictEqual(
+            PdfController.getPdfUrl(base, { workspaceId: acme, filePath: stored, fileName: 'inv (pages 2-3).pdf', pageRange: { start: 2, end: 3 } }),
+            `${base}/api/pdf/view/inv%20(pages%202-3).pdf?workspace=${acme}`
+        );
+        assert.strictEqual(PdfController.getPdfUrl(base, { workspaceId: acme, fileName: 'missing.pdf' }), null);
+    });
+
+    finish('auth');
+}
+
+run();
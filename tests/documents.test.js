@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+
+// Credit notes, payment receipts and reconciliation, bank statement matching
+// and the GST breakdown. Runs offline: models are stubbed where a test needs them.
+const assert = require('assert');
+const PdfProcessor = require('../services/pdfProcessor');
+const { RegexProvider, FakeProvider } = require('../services/extractionProviders');
+const { runValidation } = require('../services/validationEngine');
+const { classifyDocumentType } = require('../services/documentTypes');
+const { reconcile, reconcilePayments } = require('../services/reconciliation');
+const { parseStatement, narrationPlatforms } = require('../services/bankStatements');
+const { matchTransactions } = require('../services/bankMatching');
+const { validateGstin, placeOfSupplyStateCode } = require('../services/gst');
+const { getReviewReasons } = require('../services/reviewPolicy');
+const InvoiceController = require('../controllers/invoiceController');
+const { readSample, test, finish } = require('./helpers');
+
+async function run() {
+    const regexProcessor = new PdfProcessor({ provider: new RegexProvider() });
+
+    console.log('🧪 Testing credit notes...');
+    const creditNote = readSample('google_ads_credit_note');
+    await test('document types are classified from the title', () => {
+        assert.strictEqual(classifyDocumentType(creditNote), 'credit_note');
+        assert.strictEqual(classifyDocumentType(readSample('linkedin_ads')), 'invoice');
+        assert.strictEqual(classifyDocumentType('Payment Receipt\nAmount paid ₹1,180.00'), 'receipt');
+        assert.strictEqual(classifyDocumentType('Statement of Account\nOpening balance 0.00'), 'statement');
+        assert.strictEqual(classifyDocumentType('Tax Invoice\nInvoice number: 5123456789\nInvalid activity credit applied'), 'invoice');
+    });
+    await test('regex extraction keeps the credit note number apart from the original invoice', async () => {
+        const { extractedData } = await regexProcessor.extractInvoiceData(creditNote, 'google_ads', 'credit_note');
+        assert.strictEqual(extractedData.invoiceNumber, '5900012345');
+        assert.strictEqual(extractedData.originalInvoiceNumber, '5123456789');
+        assert.strictEqual(extractedData.totalAmount, 1180);
+        assert.strictEqual(runValidation(extractedData, 'google_ads').passed, true);
+    });
+    await test('LLM credit note amounts are stored as positive numbers', async () => {
+        const provider = new FakeProvider({
+            fixtures: [{
+                name: 'credit_note',
+                match: ['google_ads invoice text'],
+                response: {
+                    invoiceNumber: '5900012345',
+                    originalInvoiceNumber: '5123456789',
+                    invoiceDate: '2024-01-15',
+                    subtotal: -1000,
+                    taxAmount: -180,
+                    totalAmount: -1180,
+                    campaigns: [{ campaignName: 'Brand Search - Invalid clicks', clicks: 40, amount: -1000 }]
+                }
+            }]
+        });
+        const processor = new PdfProcessor({ provider });
+        const { extractedData } = await processor.extractInvoiceData(creditNote, 'google_ads', 'credit_note');
+
+        assert.strictEqual(extractedData.originalInvoiceNumber, '5123456789');
+        assert.deepStrictEqual([extractedData.subtotal, extractedData.taxAmount, extractedData.totalAmount], [1000, 180, 1180]);
+        assert.strictEqual(extractedData.campaigns[0].amount, 1000);
+        assert.strictEqual(extractedData.campaigns[0].cpc, 25);
+        assert.ok(provider.calls[0].messages[0].content.includes('"originalInvoiceNumber": "string"'), 'credit note schema');
+    });
+    await test('invoice prompts are unchanged by credit note support', () => {
+        assert.ok(!regexProcessor.getSystemPrompt('google_ads').includes('originalInvoiceNumber'));
+    });
+    await test('platform analytics count each document once, however many campaign lines it has', async () => {
+        const Invoice = require('../models/Invoice');
+        const aggregate = Invoice.aggregate;
+        let pipeline;
+        Invoice.aggregate = async (stages) => {
+            pipeline = pipeline || stages;
+            return stages[1].$facet
+                ? [{
+                    documents: [
+                        { _id: 'google_ads', totalInvoices: 1, creditNotes: 1, totalAmount: 10620, subtotal: 9000, totalCredits: 1180 },
+                        { _id: 'linkedin_ads', totalInvoices: 1, creditNotes: 0, totalAmount: 23600, subtotal: 20000, totalCredits: 0 }
+                    ],
+                    campaigns: [
+                        { _id: 'google_ads', totalClicks: 400, avgCPC: 25, totalImpressions: 0, avgCPM: null },
+                        { _id: 'linkedin_ads', totalClicks: 50, avgCPC: 400, totalImpressions: 1000, avgCPM: 20000 }
+                    ]
+                }]
+                : [];
+        };
+        try {
+            const { analytics } = await InvoiceController.computeAnalytics({}, '64b0000000000000000000a1');
+            const { documents, campaigns } = pipeline[1].$facet;
+            assert.ok(!documents.some(stage => stage.$unwind), 'money is summed before campaign lines are unwound');
+            assert.ok(campaigns.some(stage => stage.$unwind));
+
+            assert.deepStrictEqual(analytics.map(row => row._id), ['linkedin_ads', 'google_ads']);
+            assert.deepStrictEqual([analytics[1].creditNotes, analytics[1].totalCredits, analytics[1].totalClicks], [1, 1180, 400]);
+            assert.strictEqual(analytics[0].avgCTR, 5);
+            assert.strictEqual(analytics[1].avgCTR, null);
+        } finally {
+            Invoice.aggregate = aggregate;
+        }
+    });
+    await test('an invoice only lists credit notes of its own workspace', async () => {
+        const Invoice = require('../models/Invoice');
+        const originals = { findOne: Invoice.findOne, find: Invoice.find };
+        const invoice = { _id: 'i1', workspaceId: 'w1', documentType: 'credit_note', toObject: () => ({ _id: 'i1' }) };
+        let creditNoteFilter;
+        Invoice.findOne = async () => invoice;
+        Invoice.find = (query) => {
+            creditNoteFilter = query;
+            return { select: () => ({ sort: async () => [] }) };
+        };
+        let body;
+        const res = { json: (value) => { body = value; }, status: () => res };
+        try {
+            await InvoiceController.getInvoiceById({ params: { id: 'i1' }, query: {}, workspace: { _id: 'w1' }, protocol: 'http', get: () => 'localhost' }, res);
+            assert.deepStrictEqual(creditNoteFilter, { workspaceId: 'w1', linkedInvoiceId: 'i1' });
+            assert.deepStrictEqual(body.creditNotes, []);
+        } finally {
+            Invoice.findOne = originals.findOne;
+            Invoice.find = originals.find;
+        }
+    });
+
+    console.log('\n🧪 Testing payment receipts...');
+    await test('Meta receipt payment is extracted', async () => {
+        const text = readSample('meta_ads_receipt');
+        assert.strictEqual(classifyDocumentType(text), 'receipt');
+        const { extractedData } = await regexProcessor.extractInvoiceData(text, 'meta_ads', 'receipt');
+        assert.strictEqual(extractedData.invoiceNumber, 'RCPT-20240110-01');
+        assert.strictEqual(extractedData.accountId, '1234567890123456');
+        assert.strictEqual(extractedData.totalAmount, 11800);
+        assert.strictEqual(extractedData.payments.length, 1);
+        const [payment] = extractedData.payments;
+        assert.strictEqual(payment.amount, 11800);
+        assert.strictEqual(payment.transactionId, '7012345678901234-5678901');
+        assert.strictEqual(payment.modeOfPayment, 'Visa •••• 4242');
+        assert.strictEqual(payment.invoiceNumber, null);
+        assert.strictEqual(payment.date instanceof Date, true, 'payment date');
+        assert.deepStrictEqual(getReviewReasons(extractedData, [], runValidation(extractedData, 'meta_ads'), null, 'receipt'), []);
+    });
+    await test('Google receipt names the paid invoice, not its own number', async () => {
+        const text = readSample('google_ads_receipt');
+        assert.strictEqual(classifyDocumentType(text), 'receipt');
+        const { extractedData } = await regexProcessor.extractInvoiceData(text, 'google_ads', 'receipt');
+        assert.strictEqual(extractedData.invoiceNumber, null);
+        assert.strictEqual(extractedData.payments[0].invoiceNumber, '5123456789');
+        assert.strictEqual(extractedData.payments[0].amount, 5000);
+        assert.strictEqual(extractedData.payments[0].transactionId, 'UTR2024012099887766');
+    });
+    await test('payments are matched by invoice number, then by account and amount', () => {
+        const invoice = (id, number, accountId, total, date) => ({
+            _id: id, platform: 'google_ads', documentType: 'invoice',
+            extractedData: { invoiceNumber: number, accountId, totalAmount: total, invoiceDate: new Date(date) }
+        });
+        const receipt = (id, accountId, payments) => ({
+            _id: id, platform: 'google_ads', documentType: 'receipt', extractedData: { accountId, payments }
+        });
+        const { invoices, unmatchedPayments } = reconcile({
+            invoices: [
+                invoice('a', '5123456789', '123', 11800, '2024-01-01'),
+                invoice('b', '5123456790', '123', 2360, '2024-02-01'),
+                invoice('c', '5123456791', '123', 1000, '2024-03-01')
+            ],
+            creditNotes: [{ _id: 'cn', documentType: 'credit_note', linkedInvoiceId: 'a', extractedData: { totalAmount: 1180 } }],
+            receipts: [
+                receipt('r1', '123', [{ amount: 5000, invoiceNumber: '5123456789', date: new Date('2024-01-20') }]),
+                receipt('r2', '123', [{ amount: 2360, date: new Date('2024-02-10') }]),
+                receipt('r3', '123', [{ amount: 999999, date: new Date('2024-02-11') }]),
+                receipt('r4', '123', [{ amount: 100, invoiceNumber: '9999999999' }])
+            ]
+        });
+        const byId = Object.fromEntries(invoices.map(row => [row.invoiceId, row]));
+        assert.strictEqual(byId.a.amountDue, 10620);
+        assert.strictEqual(byId.a.balance, 5620);
+        assert.strictEqual(byId.a.paymentStatus, 'partially_paid');
+        assert.strictEqual(byId.b.paymentStatus, 'paid');
+        assert.strictEqual(byId.b.payments[0].matchedBy, 'amount');
+        assert.strictEqual(byId.c.paymentStatus, 'unpaid');
+        assert.deepStrictEqual(unmatchedPayments.map(payment => payment.receiptId), ['r4', 'r3']);
+    });
+    await test('one invoice\'s payment status loads only its account', async () => {
+        const Invoice = require('../models/Invoice');
+        const find = Invoice.find;
+        let filter;
+        Invoice.find = (query) => {
+            filter = query;
+            return { select: () => ({ lean: async () => [] }) };
+        };
+        try {
+            await reconcilePayments({ workspaceId: 'w1', platform: 'google_ads', accountId: '123' });
+            assert.deepStrictEqual(filter['extractedData.accountId'], { $in: ['123', null] }, 'the account and documents without one');
+            assert.strictEqual(filter.platform, 'google_ads');
+
+            await reconcilePayments({ workspaceId: 'w1', platform: 'google_ads' });
+            assert.ok(!('extractedData.accountId' in filter));
+        } finally {
+            Invoice.find = find;
+        }
+    });
+
+    console.log('\n🧪 Testing bank statement matching...');
+    await test('bank statement CSV: header after preamble, debit/credit columns, mapping', () => {
+        const csv = [
+            'Account No: 001234567890,,,,,',
+            'Statement from 01/01/2024 to 31/01/2024,,,,,',
+            'Txn Date,Narration,Chq./Ref.No.,Withdrawal Amt.,Deposit Amt.,Closing Balance',
+            '05/01/2024,"POS FACEBK *ADS, DUBLIN",FB123,"1,180.00",,98820.00',
+            '06/01/2024,NEFT-GOOGLE INDIA PVT LTD-UTR2024012099887766,,5000.00,,93820.00',
+            '07/01/2024,SALARY CREDIT,,,"50,000.00",143820.00',
+            '31/02/2024,BROKEN ROW,,10.00,,',
+            'Closing balance,,,,,143820.00'
+        ].join('\r\n');
+        const { transactions, errors } = parseStatement(csv);
+        assert.strictEqual(transactions.length, 3);
+        assert.deepStrictEqual(transactions[0].date, new Date(Date.UTC(2024, 0, 5)));
+        assert.strictEqual(transactions[0].narration, 'POS FACEBK *ADS, DUBLIN');
+        assert.strictEqual(transactions[0].amount, 1180);
+        assert.strictEqual(transactions[0].direction, 'debit');
+        assert.strictEqual(transactions[0].reference, 'FB123');
+        assert.strictEqual(transactions[2].direction, 'credit');
+        assert.deepStrictEqual(errors.map(error => error.row), [7]);
+        assert.deepStrictEqual(narrationPlatforms(transactions[0].narration).sort(), ['facebook_ads', 'instagram_ads', 'meta_ads']);
+        assert.deepStrictEqual(narrationPlatforms(transactions[1].narration), ['google_ads']);
+        assert.deepStrictEqual(narrationPlatforms('SALARY CREDIT'), []);
+
+        const mapped = parseStatement('When,What,Value\n2024-01-05,LINKEDIN ADS,-88500.00\n', {
+            mapping: { date: 'When', narration: 'What', amount: 'Value' },
+            dateFormat: 'YYYY-MM-DD'
+        });
+        assert.strictEqual(mapped.transactions[0].amount, 88500);
+        assert.strictEqual(mapped.transactions[0].direction, 'debit');
+        assert.throws(() => parseStatement('a,b,c\n1,2,3'), /No header row/);
+        assert.throws(() => parseStatement('', { mapping: { payee: 'x' } }), /Unknown mapping field/);
+    });
+    await test('bank debits match by transaction id, then by amount within the date window', () => {
+        const reconciliation = {
+            invoices: [
+                { invoiceId: 'inv1', platform: 'google_ads', invoiceDate: new Date('2024-01-01'), balance: 6800, payments: [
+                    { receiptId: 'r1', platform: 'google_ads', transactionId: 'UTR2024012099887766', amount: 5000, date: new Date('2024-01-20') }
+                ] },
+                { invoiceId: 'inv2', platform: 'linkedin_ads', invoiceDate: new Date('2024-01-10'), balance: 88500, payments: [] },
+                { invoiceId: 'inv3', platform: 'linkedin_ads', invoiceDate: new Date('2023-06-01'), balance: 1000, payments: [] }
+            ],
+            unmatchedPayments: [
+                { receiptId: 'r2', platform: 'meta_ads', transactionId: null, amount: 1180, date: new Date('2024-01-04') }
+            ]
+        };
+        const debit = (id, narration, amount, date, platforms) => ({ _id: id, direction: 'debit', narration, amount, date: new Date(date), platforms });
+        const results = matchTransactions({
+            reconciliation,
+            transactions: [
+                debit('t1', 'NEFT-GOOGLE-UTR2024012099887766', 4999.5, '2024-01-21', ['google_ads']),
+                debit('t2', 'POS FACEBK *ADS', 1180, '2024-01-05', ['meta_ads', 'facebook_ads', 'instagram_ads']),
+                debit('t3', 'LINKEDIN IRELAND', 88500, '2024-01-25', ['linkedin_ads']),
+                debit('t4', 'LINKEDIN IRELAND', 1000, '2024-01-25', ['linkedin_ads']),
+                debit('t5', 'GOOGLE ADS', 1180, '2024-01-05', ['google_ads']),
+                { _id: 't6', direction: 'credit', narration: 'REFUND', amount: 88500, date: new Date('2024-01-25'), platforms: [] }
+            ]
+        });
+        const byTx = Object.fromEntries(results.map(({ transaction, match }) => [transaction._id, match]));
+        assert.deepStrictEqual(Object.keys(byTx).sort(), ['t1', 't2', 't3']);
+        assert.strictEqual(byTx.t1.method, 'transaction_id');
+        assert.strictEqual(byTx.t1.invoiceId, 'inv1');
+        assert.strictEqual(byTx.t1.receiptId, 'r1');
+        assert.strictEqual(byTx.t2.method, 'amount_date');
+        assert.strictEqual(byTx.t2.receiptId, 'r2');
+        assert.strictEqual(byTx.t3.invoiceId, 'inv2');
+
+        const again = matchTransactions({
+            reconciliation,
+            transactions: [debit('t7', 'LINKEDIN IRELAND', 88500, '2024-01-26', ['linkedin_ads'])],
+            matched: [{ match: { invoiceId: 'inv2' } }]
+        });
+        assert.strictEqual(again.length, 0);
+    });
+    await test('an ignored debit records who ignored it and has no match', async () => {
+        const BankTransaction = require('../models/BankTransaction');
+        const BankStatementController = require('../controllers/bankStatementController');
+        const transaction = new BankTransaction({
+            importId: 'imp1', date: new Date('2024-01-31'), narration: 'SALARY JAN', amount: 50000, direction: 'debit', hash: 'h1'
+        });
+        transaction.save = async () => transaction;
+        const findOne = BankTransaction.findOne;
+        BankTransaction.findOne = async () => transaction;
+        let body;
+        const res = { json: (value) => { body = value; }, status: () => res };
+        const req = { params: { id: String(transaction._id) }, body: { note: 'Payroll' }, workspace: { _id: 'w1' }, user: { email: 'reviewer@example.com' } };
+        try {
+            await BankStatementController.ignoreTransaction(req, res);
+            assert.deepStrictEqual([body.transaction.status, body.transaction.ignoredBy, body.transaction.ignoreNote], ['ignored', 'reviewer@example.com', 'Payroll']);
+            assert.ok(body.transaction.ignoredAt instanceof Date);
+            assert.strictEqual(body.transaction.match, undefined);
+
+            await BankStatementController.unmatchTransaction(req, res);
+            assert.strictEqual(body.transaction.status, 'unmatched');
+            assert.ok(!('ignoredBy' in body.transaction) && !('ignoredAt' in body.transaction), 'back on the review list');
+        } finally {
+            BankTransaction.findOne = findOne;
+        }
+    });
+
+    console.log('\n🧪 Testing GST breakdown...');
+    await test('GSTIN check digit and state', () => {
+        assert.deepStrictEqual(validateGstin('27AAACR5055K1Z7'), { valid: true, stateCode: '27', state: 'Maharashtra', reason: null });
+        assert.strictEqual(validateGstin('27AAACR5055K1Z8').valid, false);
+        assert.strictEqual(validateGstin('27AAACR5055K1Z8').reason, '27AAACR5055K1Z8 has check digit 8, expected 7');
+        assert.strictEqual(validateGstin('00AAACR5055K1Z7').valid, false);
+        assert.strictEqual(validateGstin('not a gstin').valid, false);
+        assert.strictEqual(placeOfSupplyStateCode('29-Karnataka'), '29');
+        assert.strictEqual(placeOfSupplyStateCode('Andhra Pradesh'), '37');
+        assert.strictEqual(placeOfSupplyStateCode('Dadra & Nagar Haveli and Daman & Diu'), '26');
+    });
+    const gstInvoice = (taxLines, placeOfSupply) => [
+        'Acme Ad Network Pvt Ltd',
+        'GSTIN: 27AAACR5055K1Z7',
+        'TAX INVOICE',
+        'Invoice Number: AN-2024-0042',
+        'Invoice Date: 10 Jan 2024',
+        'Bill To: Beta Retail Pvt Ltd',
+        'Customer GSTIN: 24AAACC1206D1ZM',
+        `Place of Supply: ${placeOfSupply}`,
+        'Subtotal INR 10,000.00',
+        ...taxLines,
+        'Total INR 11,800.00'
+    ].join('\n');
+    await test('IGST / CGST / SGST, GSTINs and place of supply are extracted', async () => {
+        const text = gstInvoice(['CGST @ 9% INR 900.00', 'SGST @ 9% INR 900.00'], 'Maharashtra (27)');
+        const { extractedData } = await regexProcessor.extractInvoiceData(text, 'other');
+        assert.deepStrictEqual({ ...extractedData.gst }, {
+            supplierGstin: '27AAACR5055K1Z7',
+            recipientGstin: '24AAACC1206D1ZM',
+            placeOfSupply: 'Maharashtra (27)',
+            igst: null,
+            cgst: 900,
+            sgst: 900,
+            cess: null,
+            supplierState: 'Maharashtra',
+            recipientState: 'Gujarat'
+        });
+        const validation = runValidation(extractedData, 'other');
+        assert.strictEqual(validation.passed, true, validation.results.filter(r => !r.passed).map(r => r.message).join('; '));
+        assert.ok(validation.results.some(r => r.rule === 'gst_type_matches_place_of_supply'));
+    });
+    await test('tax type is checked against the place of supply', async () => {
+        const text = gstInvoice(['IGST @ 18% INR 1,800.00'], 'Maharashtra (27)');
+        const { extractedData } = await regexProcessor.extractInvoiceData(text, 'other');
+        assert.strictEqual(extractedData.gst.igst, 1800);
+        const failed = runValidation(extractedData, 'other').results.filter(r => !r.passed);
+        assert.deepStrictEqual(failed.map(r => r.rule), ['gst_type_matches_place_of_supply']);
+        assert.match(failed[0].message, /IGST charged but supplier and place of supply are both in Maharashtra/);
+
+        const interState = await regexProcessor.extractInvoiceData(gstInvoice(['IGST @ 18% INR 1,800.00'], 'Gujarat'), 'other');
+        assert.strictEqual(runValidation(interState.extractedData, 'other').passed, true);
+
+        const badGstin = await regexProcessor.extractInvoiceData(text.replace('24AAACC1206D1ZM', '24AAACC1206D1ZN'), 'other');
+        const gstinResult = runValidation(badGstin.extractedData, 'other').results.find(r => r.field === 'gst.recipientGstin');
+        assert.strictEqual(gstinResult.passed, false);
+        assert.strictEqual(badGstin.extractedData.gst.recipientState, null);
+    });
+    await test('IGST line of the regex fallback feeds gst.igst', async () => {
+        const { extractedData } = await regexProcessor.extractInvoiceData(readSample('linkedin_ads'), 'linkedin_ads');
+        assert.strictEqual(extractedData.gst.igst, 13500);
+        assert.ok(runValidation(extractedData, 'linkedin_ads').results.some(r => r.rule === 'gst_components_sum_to_tax' && r.passed));
+    });
+
+    finish('document');
+}
+
+run();
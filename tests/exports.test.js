@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+// The ITC register, the CSV / XLSX invoice export, Tally vouchers and the
+// spend report PDF. Runs offline.
+const assert = require('assert');
+const unzipper = require('unzipper');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const pdfParse = require('pdf-parse');
+const PdfProcessor = require('../services/pdfProcessor');
+const { RegexProvider } = require('../services/extractionProviders');
+const { periodRange, buildItcRows, summarizeItcRows, itcRowsToCsv } = require('../services/itcReport');
+const { INVOICE_COLUMNS, CAMPAIGN_COLUMNS, invoiceRow, campaignRows } = require('../services/invoiceExport');
+const { toCsv } = require('../services/csv');
+const { createXlsxStream } = require('../services/xlsxWriter');
+const { resolveMapping, buildVouchers, summarizeVouchers, vouchersToXml } = require('../services/tallyExport');
+const { renderSpendReport } = require('../services/spendReport');
+const { readSample, test, finish } = require('./helpers');
+
+async function run() {
+    const regexProcessor = new PdfProcessor({ provider: new RegexProvider() });
+
+    console.log('🧪 Testing ITC register...');
+    await test('ITC register rows, net totals and CSV', () => {
+        assert.deepStrictEqual(periodRange('2024-02'), {
+            startDate: new Date('2024-02-01T00:00:00.000Z'),
+            endDate: new Date('2024-02-29T23:59:59.999Z')
+        });
+        const gst = { supplierGstin: '29AAACI1681G1ZL', placeOfSupply: '27-Maharashtra', igst: 1800 };
+        const rows = buildItcRows([
+            {
+                _id: 'b', platform: 'google_ads', documentType: 'credit_note', status: 'completed',
+                platformDetection: { signals: [{ platform: 'google_ads', type: 'issuer', match: 'Google India Private Limited' }] },
+                extractedData: { invoiceNumber: '5900012345', originalInvoiceNumber: '5123456789', invoiceDate: new Date('2024-01-15'),
+                    subtotal: 1000, taxAmount: 180, totalAmount: 1180, gst: { ...gst, igst: 180 } }
+            },
+            {
+                _id: 'a', platform: 'google_ads', documentType: 'invoice', status: 'needs_review',
+                platformDetection: { signals: [{ platform: 'google_ads', type: 'issuer', match: 'Google India Private Limited' }] },
+                extractedData: { invoiceNumber: '5123456789', invoiceDate: new Date('2024-01-05'), subtotal: 10000, taxAmount: 1800, totalAmount: 11800, gst }
+            },
+            {
+                _id: 'c', platform: 'linkedin_ads', documentType: 'invoice', status: 'completed',
+                extractedData: { invoiceNumber: '=40231187654', invoiceDate: new Date('2024-01-05'), totalAmount: 88500, taxAmount: 13500, gst: { igst: 13500 } }
+            }
+        ]);
+        assert.deepStrictEqual(rows.map(row => row.invoiceId), ['a', 'b', 'c']);
+        assert.strictEqual(rows[0].placeOfSupply, 'Maharashtra');
+        assert.strictEqual(rows[0].remarks, 'Needs review');
+        assert.strictEqual(rows[1].documentType, 'Credit Note');
+        assert.strictEqual(rows[2].supplierName, 'LinkedIn Ads');
+        assert.strictEqual(rows[2].taxableValue, 75000);
+        assert.strictEqual(rows[2].reverseCharge, 'Y');
+
+        const summary = summarizeItcRows(rows);
+        assert.strictEqual(summary.igst, 1800 - 180 + 13500);
+        assert.strictEqual(summary.taxableValue, 10000 - 1000 + 75000);
+        assert.deepStrictEqual(summary.suppliers.map(s => [s.supplierGstin, s.igst]), [['29AAACI1681G1ZL', 1620], [null, 13500]]);
+
+        const csv = itcRowsToCsv(rows).split('\r\n');
+        assert.strictEqual(csv[0].split(',')[0], 'GSTIN of supplier');
+        assert.ok(csv[1].startsWith('29AAACI1681G1ZL,Google India Private Limited,Invoice,5123456789,05-01-2024,,11800.00,Maharashtra,N,10000.00,1800.00,,,,google_ads,Needs review'), csv[1]);
+        assert.ok(csv[3].includes(",'=40231187654,"), 'formula-like cells are escaped');
+    });
+
+    console.log('\n🧪 Testing invoice export...');
+    await test('invoice and campaign rows as CSV and a two-sheet XLSX', async () => {
+        const { extractedData } = await regexProcessor.extractInvoiceData(readSample('linkedin_ads'), 'linkedin_ads');
+        const invoice = { _id: 'inv1', fileName: 'linkedin.pdf', platform: 'linkedin_ads', status: 'completed', extractedData };
+
+        const csv = toCsv(INVOICE_COLUMNS, [invoiceRow(invoice)]).split('\r\n');
+        assert.ok(csv[1].startsWith('inv1,linkedin.pdf,linkedin_ads,invoice,completed,40231187654,,2024-01-05,508912345,'), csv[1]);
+        assert.deepStrictEqual(campaignRows(invoice, /webinar/i).map(row => [row.line, row.campaignName, row.amount]), [[2, 'Lead Gen - Webinar', 30000]]);
+
+        let opened = 0;
+        async function* lines() {
+            opened++;
+            yield* campaignRows(invoice);
+        }
+        const archive = createXlsxStream([
+            { name: 'Invoices', columns: INVOICE_COLUMNS, rows: [invoiceRow(invoice)] },
+            { name: 'Campaigns', columns: CAMPAIGN_COLUMNS, rows: lines() }
+        ]);
+        assert.strictEqual(opened, 0, 'rows are read only when the sheet is written');
+        const chunks = [];
+        for await (const chunk of archive) chunks.push(chunk);
+        const zip = await unzipper.Open.buffer(Buffer.concat(chunks));
+        const entries = Object.fromEntries(await Promise.all(zip.files.map(async file => [file.path, (await file.buffer()).toString()])));
+        assert.match(entries['xl/workbook.xml'], /<sheet name="Invoices" sheetId="1" r:id="rId1"\/><sheet name="Campaigns" sheetId="2" r:id="rId2"\/>/);
+        assert.match(entries['xl/worksheets/sheet1.xml'], /<c r="H2" s="1"><v>45296<\/v><\/c>/);
+        assert.match(entries['xl/worksheets/sheet2.xml'], /<row r="3">.*Lead Gen - Webinar.*<c r="I3"><v>30000<\/v><\/c>/);
+    });
+
+    console.log('\n🧪 Testing Tally vouchers...');
+    await test('purchase and debit note vouchers balance and render as Tally XML', () => {
+        const mapping = resolveMapping({ companyName: 'Acme & Co', partyLedgers: { google_ads: 'Google India Pvt Ltd' }, gstLedgers: { igst: '' } });
+        assert.strictEqual(mapping.partyLedgers.linkedin_ads, 'LinkedIn Ads');
+        assert.strictEqual(mapping.gstLedgers.igst, 'Input IGST', 'empty names fall back to the default');
+
+        const gst = { supplierGstin: '29AAACI1681G1ZL', igst: 1800 };
+        const { vouchers, skipped } = buildVouchers([
+            {
+                _id: 'a', fileName: 'a.pdf', platform: 'google_ads', documentType: 'invoice', status: 'completed',
+                extractedData: { invoiceNumber: '5123456789', invoiceDate: new Date('2024-01-31'), accountId: '123-456-7890', currency: 'INR',
+                    billingPeriod: { startDate: new Date('2024-01-01'), endDate: new Date('2024-01-31') },
+                    subtotal: 10000.4, taxAmount: 1800, totalAmount: 11800, gst }
+            },
+            {
+                _id: 'b', fileName: 'b.pdf', platform: 'google_ads', documentType: 'credit_note', status: 'completed',
+                extractedData: { invoiceNumber: '5900012345', originalInvoiceNumber: '5123456789', invoiceDate: new Date('2024-02-10'),
+                    subtotal: 1000, taxAmount: 180, totalAmount: 1180, gst: { ...gst, igst: 180 } }
+            },
+            { _id: 'c', fileName: 'c.pdf', platform: 'google_ads', documentType: 'invoice', status: 'needs_review', extractedData: {} },
+            {
+                _id: 'd', fileName: 'd.pdf', platform: 'meta_ads', documentType: 'invoice', status: 'completed',
+                extractedData: { invoiceNumber: 'FBADS-1', invoiceDate: new Date('2024-01-31'), taxAmount: 180, totalAmount: 1180 }
+            },
+            { _id: 'e', fileName: 'e.pdf', platform: 'google_ads', documentType: 'receipt', status: 'completed', extractedData: {} }
+        ], mapping);
+
+        assert.deepStrictEqual(skipped.map(s => [s.invoiceId, s.reasons[0].split(';')[0].split(' ')[0]]), [['c', 'Status'], ['d', 'GST'], ['e', 'A']]);
+        const [purchase, debitNote] = vouchers;
+        assert.strictEqual(purchase.narration, 'Google Ads invoice 5123456789, billing period 2024-01-01 to 2024-01-31, account 123-456-7890');
+        assert.deepStrictEqual(purchase.entries.map(e => [e.ledger, e.side, e.amount]), [
+            ['Google India Pvt Ltd', 'Cr', 11800],
+            ['Advertising Expenses', 'Dr', 10000.4],
+            ['Input IGST', 'Dr', 1800],
+            ['Round Off', 'Cr', 0.4]
+        ]);
+        assert.strictEqual(debitNote.voucherType, 'Debit Note');
+        assert.deepStrictEqual(debitNote.bill, { name: '5123456789', type: 'Agst Ref' });
+        assert.deepStrictEqual(debitNote.entries.map(e => e.side), ['Dr', 'Cr', 'Cr']);
+        assert.deepStrictEqual(summarizeVouchers(vouchers).ledgers.find(l => l.ledger === 'Input IGST'), { ledger: 'Input IGST', debit: 1800, credit: 180 });
+
+        const xml = vouchersToXml(vouchers, mapping);
+        assert.ok(xml.includes('<SVCURRENTCOMPANY>Acme &amp; Co</SVCURRENTCOMPANY>'));
+        assert.ok(xml.includes('<VOUCHER VCHTYPE="Purchase" ACTION="Create"><DATE>20240131</DATE>'));
+        assert.ok(xml.includes('<LEDGERNAME>Google India Pvt Ltd</LEDGERNAME><ISDEEMEDPOSITIVE>No</ISDEEMEDPOSITIVE><ISPARTYLEDGER>Yes</ISPARTYLEDGER><AMOUNT>11800.00</AMOUNT>'
+            + '<BILLALLOCATIONS.LIST><NAME>5123456789</NAME><BILLTYPE>New Ref</BILLTYPE><AMOUNT>11800.00</AMOUNT></BILLALLOCATIONS.LIST>'));
+        assert.ok(xml.includes('<LEDGERNAME>Input IGST</LEDGERNAME><ISDEEMEDPOSITIVE>Yes</ISDEEMEDPOSITIVE><ISPARTYLEDGER>No</ISPARTYLEDGER><AMOUNT>-1800.00</AMOUNT>'));
+        // Every voucher balances: the signed amounts add up to zero
+        [...xml.matchAll(/<VOUCHER .*?<\/VOUCHER>/g)].forEach(([voucher]) => {
+            const amounts = [...voucher.matchAll(/<\/ISPARTYLEDGER><AMOUNT>(-?[\d.]+)<\/AMOUNT>/g)].map(m => parseFloat(m[1]));
+            assert.strictEqual(parseFloat(amounts.reduce((sum, amount) => sum + amount, 0).toFixed(2)), 0);
+        });
+    });
+
+    console.log('\n🧪 Testing spend report...');
+    await test('spend report PDF with totals, platform tables, campaigns and linked appendix', async () => {
+        const invoices = Array.from({ length: 60 }, (_, i) => ({
+            fileName: `google-${i}.pdf`, platform: 'google_ads', documentType: i === 0 ? 'credit_note' : 'invoice',
+            invoiceNumber: `51234${i}`, invoiceDate: new Date(Date.UTC(2024, 0, 1 + (i % 31))), totalAmount: 11800, currency: 'INR',
+            pdfUrl: `http://localhost:3000/api/pdf/view/google-${i}.pdf`
+        }));
+        const bytes = await renderSpendReport({
+            startDate: '2024-01-01', endDate: '2024-01-31', platform: 'google_ads',
+            generatedAt: new Date('2024-02-01T10:00:00Z'),
+            totals: { totalSpent: 684400, totalSubtotal: 580000, totalTax: 104400, totalCredits: 11800, totalInvoices: 59, creditNotes: 1, avgInvoiceAmount: 11800, inconsistentInvoices: 0 },
+            analytics: [{ _id: 'google_ads', totalInvoices: 59, creditNotes: 1, totalAmount: 684400, subtotal: 580000, totalCredits: 11800, totalClicks: 1200, totalImpressions: null }],
+            topCampaigns: [{ platform: 'google_ads', campaignName: 'Brand ₹ Search', amount: 250000, clicks: 1200, impressions: 48000 }],
+            invoices
+        });
+
+        const { text, numpages } = await pdfParse(Buffer.from(bytes));
+        assert.strictEqual(numpages, 3, 'the appendix runs onto a second page');
+        assert.ok(text.includes('2024-01-01 to 2024-01-31  |  Google Ads'));
+        assert.ok(text.includes('Net spend6,84,400.00'));
+        assert.ok(text.includes('Brand Rs. Search'), 'characters outside WinAnsi are replaced');
+        assert.ok(text.includes('2024-01-01Google Ads512340 (CN)google-0.pdfINR 11,800.00'));
+        assert.strictEqual(text.match(/DatePlatformInvoice numberFileTotal/g).length, 2, 'table header repeated per page');
+
+        const pdf = await PDFDocument.load(bytes);
+        const links = pdf.getPages().slice(1).flatMap(page => page.node.Annots()?.asArray() || []);
+        assert.strictEqual(links.length, 60);
+        const action = pdf.context.lookup(links[0]).get(PDFName.of('A'));
+        assert.strictEqual(action.get(PDFName.of('URI')).decodeText(), 'http://localhost:3000/api/pdf/view/google-0.pdf');
+    });
+
+    finish('export');
+}
+
+run();
@@ -0,0 +1,42 @@
+// Shared helpers for the offline test files in this folder: a minimal
+// runner (test / finish), model stubbing and the sample invoices in
+// fixtures/invoices.
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLES_DIR = path.join(__dirname, '..', 'fixtures', 'invoices');
+const readSample = (name) => fs.readFileSync(path.join(SAMPLES_DIR, `${name}.txt`), 'utf8');
+
+let failures = 0;
+
+async function test(name, fn) {
+    try {
+        await fn();
+        console.log(`   ✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`   ❌ ${name}\n      ${error.message}`);
+    }
+}
+
+// Replace methods of a model (or any object) for one test; returns a function
+// that puts the originals back
+function stub(target, methods) {
+    const originals = Object.fromEntries(Object.keys(methods).map(name => [name, target[name]]));
+    Object.assign(target, methods);
+    return () => Object.assign(target, originals);
+}
+
+// Report the file's result and exit with it
+function finish(area) {
+    console.log(failures === 0 ? `\n🎉 All ${area} tests passed` : `\n❌ ${failures} test(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+}
+
+module.exports = {
+    SAMPLES_DIR,
+    readSample,
+    test,
+    stub,
+    finish
+};
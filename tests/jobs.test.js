@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+// The MongoDB job queue: claiming, retries with backoff, final failure, batch
+// completion and requeueing a failed job by hand. Runs offline: Job and
+// Invoice are stubbed.
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Job = require('../models/Job');
+const Invoice = require('../models/Invoice');
+const InvoiceRevision = require('../models/InvoiceRevision');
+const JobQueue = require('../services/jobQueue');
+const JobController = require('../controllers/jobController');
+const { test, stub, finish } = require('./helpers');
+
+const BATCH_ID = 'upload_1';
+
+// Queue with one process_pdf handler; hook calls are recorded in calls
+function createQueue(run, calls = []) {
+    return new JobQueue({
+        handlers: {
+            process_pdf: {
+                run,
+                onFailure: async (job, error, willRetry) => calls.push(['onFailure', error.message, willRetry]),
+                onBatchComplete: async (batchId, summary) => calls.push(['onBatchComplete', batchId, summary])
+            }
+        },
+        concurrency: 2,
+        maxAttempts: 3,
+        pollInterval: 60000,
+        backoffBase: 1000
+    });
+}
+
+const queuedJob = (fields = {}) => ({ _id: 'job1', type: 'process_pdf', batchId: BATCH_ID, attempts: 1, maxAttempts: 3, ...fields });
+
+async function run() {
+    console.log('🧪 Testing job queue...');
+    await test('a due job is claimed atomically, run and marked completed', async () => {
+        const updates = [];
+        let claim;
+        let claimed = false;
+        const restore = stub(Job, {
+            findOneAndUpdate: async (filter, update, options) => {
+                claim = claim || { filter, update, options };
+                if (claimed) return null;
+                claimed = true;
+                return queuedJob();
+            },
+            updateOne: async (filter, update) => updates.push({ filter, update }),
+            countDocuments: async () => 1
+        });
+        try {
+            let ran;
+            const done = new Promise(resolve => { ran = resolve; });
+            const queue = createQueue(async (job) => {
+                ran(job);
+                return { status: 'completed', invoiceId: 'inv1', result: { fileName: 'a.pdf' } };
+            });
+            await queue.tick();
+            assert.strictEqual((await done)._id, 'job1');
+            while (queue.active > 0) await new Promise(resolve => setImmediate(resolve));
+
+            assert.strictEqual(claim.filter.status, 'queued');
+            assert.ok(claim.filter.runAt.$lte instanceof Date, 'only jobs that are due');
+            assert.deepStrictEqual(claim.filter.type, { $in: ['process_pdf'] });
+            assert.strictEqual(claim.update.$set.status, 'processing');
+            assert.deepStrictEqual(claim.update.$inc, { attempts: 1 });
+            assert.deepStrictEqual(claim.options.sort, { runAt: 1, createdAt: 1 });
+
+            assert.deepStrictEqual(updates[0].filter, { _id: 'job1', status: 'processing' });
+            assert.strictEqual(updates[0].update.$set.status, 'completed');
+            assert.strictEqual(updates[0].update.$set.invoiceId, 'inv1');
+        } finally {
+            restore();
+        }
+    });
+    await test('a failed attempt is requeued with exponential backoff', async () => {
+        const updates = [];
+        const calls = [];
+        const restore = stub(Job, {
+            updateOne: async (filter, update) => updates.push(update),
+            countDocuments: async () => 1
+        });
+        try {
+            const queue = createQueue(async () => { throw new Error('Model timed out'); }, calls);
+            const before = Date.now();
+            await queue.run(queuedJob({ attempts: 2 }));
+
+            const { $set } = updates[0];
+            assert.strictEqual($set.status, 'queued');
+            assert.strictEqual($set.lastError, 'Model timed out');
+            const delay = $set.runAt.getTime() - before;
+            assert.ok(delay >= 2000 && delay < 3000, `second retry waits backoffBase * 2 (${delay}ms)`);
+            assert.deepStrictEqual(calls, [['onFailure', 'Model timed out', true]]);
+        } finally {
+            restore();
+        }
+    });
+    await test('a job fails for good after maxAttempts or a non-retryable error', async () => {
+        const updates = [];
+        const calls = [];
+        const restore = stub(Job, {
+            updateOne: async (filter, update) => updates.push(update),
+            countDocuments: async () => 1
+        });
+        try {
+            const queue = createQueue(async (job) => {
+                const error = new Error(job.attempts === 3 ? 'Still failing' : 'File is gone');
+                error.invoiceId = 'inv1';
+                if (job.attempts === 1) error.retryable = false;
+                throw error;
+            }, calls);
+            await queue.run(queuedJob({ attempts: 3 }));
+            await queue.run(queuedJob({ attempts: 1 }));
+
+            assert.deepStrictEqual(updates.map(update => [update.$set.status, update.$set.lastError, update.$set.invoiceId]), [
+                ['failed', 'Still failing', 'inv1'],
+                ['failed', 'File is gone', 'inv1']
+            ]);
+            assert.ok(updates.every(update => update.$set.completedAt instanceof Date));
+            assert.deepStrictEqual(calls.map(call => call[2]), [false, false], 'no retry announced');
+        } finally {
+            restore();
+        }
+    });
+    await test('the batch hook runs once, when the last job of an upload is done', async () => {
+        const calls = [];
+        let pending = 1;
+        const restore = stub(Job, {
+            updateOne: async () => {},
+            countDocuments: async (filter) => {
+                assert.deepStrictEqual(filter, { batchId: BATCH_ID, status: { $nin: JobQueue.TERMINAL_STATUSES } });
+                return pending;
+            },
+            aggregate: async () => [{ _id: 'completed', count: 2 }, { _id: 'duplicate', count: 1 }]
+        });
+        try {
+            const queue = createQueue(async () => ({ status: 'completed' }), calls);
+            await queue.run(queuedJob({ _id: 'job1' }));
+            assert.deepStrictEqual(calls, [], 'another job is still queued');
+
+            pending = 0;
+            await queue.run(queuedJob({ _id: 'job2' }));
+            await queue.checkBatch(BATCH_ID); // already reported
+            assert.deepStrictEqual(calls, [
+                ['onBatchComplete', BATCH_ID, { batchId: BATCH_ID, totalFiles: 3, completed: 2, duplicate: 1 }]
+            ]);
+        } finally {
+            restore();
+        }
+    });
+    await test('retrying a failed upload job removes its invoices and requeues it', async () => {
+        const filePath = path.join(os.tmpdir(), `job-retry-${process.pid}.pdf`);
+        fs.writeFileSync(filePath, '%PDF-1.4');
+        const failedJob = queuedJob({ status: 'failed', attempts: 3, filePath, invoiceId: 'inv1' });
+        const calls = [];
+        const restoreJob = stub(Job, {
+            findOne: async (filter) => (filter.status === 'failed' ? failedJob : null),
+            findOneAndUpdate: async (filter, update) => {
+                calls.push(['requeue', update]);
+                return { ...failedJob, status: 'queued', attempts: 0 };
+            }
+        });
+        const restoreInvoice = stub(Invoice, {
+            find: (filter) => ({ select: async () => { calls.push(['find', filter]); return [{ _id: 'inv1' }, { _id: 'inv2' }]; } }),
+            deleteMany: async (filter) => calls.push(['deleteInvoices', filter]),
+            updateMany: async () => {}
+        });
+        const restoreRevision = stub(InvoiceRevision, { deleteMany: async () => {} });
+        try {
+            let ticked = false;
+            const queue = { finishedBatches: new Set([BATCH_ID]), tick: () => { ticked = true; } };
+            let body;
+            const req = { params: { id: 'job1' }, workspace: { _id: 'w1' }, app: { get: () => queue } };
+            const res = { status() { return this; }, json(payload) { body = payload; } };
+            await JobController.retryJob(req, res);
+
+            assert.strictEqual(body.message, 'Job requeued');
+            assert.deepStrictEqual(calls.slice(0, 2), [
+                ['find', { $or: [{ jobId: 'job1' }, { _id: 'inv1' }] }],
+                ['deleteInvoices', { _id: { $in: ['inv1', 'inv2'] } }]
+            ]);
+            const [, requeue] = calls.find(call => call[0] === 'requeue');
+            assert.deepStrictEqual(requeue.$set.attempts, 0);
+            assert.strictEqual(requeue.$unset.invoiceId, 1);
+            assert.ok(ticked && !queue.finishedBatches.has(BATCH_ID), 'the batch can complete again');
+        } finally {
+            restoreJob();
+            restoreInvoice();
+            restoreRevision();
+            fs.rmSync(filePath, { force: true });
+        }
+    });
+
+    finish('job queue');
+}
+
+run();
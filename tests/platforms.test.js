@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+// Platform registry checks and the sample invoices in fixtures/invoices run
+// through detection, regex extraction and a fake LLM.
+// Runs offline: no MongoDB or API key needed.
+const assert = require('assert');
+const PdfProcessor = require('../services/pdfProcessor');
+const { RegexProvider, FakeProvider } = require('../services/extractionProviders');
+const { runValidation } = require('../services/validationEngine');
+const { PLATFORMS, getPlatform, classifyPlatform } = require('../services/platforms');
+const { readSample, test, finish } = require('./helpers');
+
+const EXPECTED = {
+    linkedin_ads: {
+        invoiceNumber: '40231187654',
+        accountId: '508912345',
+        subtotal: 75000,
+        taxAmount: 13500,
+        totalAmount: 88500,
+        campaigns: [
+            { campaignName: 'Brand Awareness Q4', impressions: 120000, clicks: 1500, amount: 45000, cpc: 30 },
+            { campaignName: 'Lead Gen - Webinar', impressions: 80500, clicks: 900, amount: 30000, cpc: 33.33 }
+        ]
+    },
+    microsoft_ads: {
+        invoiceNumber: 'G034567812',
+        accountId: 'F149QKJ7',
+        subtotal: 20000,
+        taxAmount: 3600,
+        totalAmount: 23600,
+        campaigns: [
+            { campaignName: 'Search - Brand', clicks: 2400, impressions: 58000, amount: 12000, cpc: 5 },
+            { campaignName: 'Search - Generic Keywords', clicks: 1600, impressions: 72500, amount: 8000, cpc: 5 }
+        ]
+    }
+};
+
+function assertExtraction(data, expected) {
+    ['invoiceNumber', 'accountId', 'subtotal', 'taxAmount', 'totalAmount'].forEach(field => {
+        assert.strictEqual(data[field], expected[field], `${field}`);
+    });
+    assert.strictEqual(data.campaigns.length, expected.campaigns.length, 'campaign count');
+    expected.campaigns.forEach((campaign, index) => {
+        Object.entries(campaign).forEach(([field, value]) => {
+            assert.strictEqual(data.campaigns[index][field], value, `campaigns.${index}.${field}`);
+        });
+    });
+}
+
+async function run() {
+    const regexProcessor = new PdfProcessor({ provider: new RegexProvider() });
+
+    console.log('🧪 Testing platform detection...');
+    for (const platform of Object.keys(EXPECTED)) {
+        await test(`${platform} sample is detected`, () => {
+            assert.strictEqual(regexProcessor.detectPlatform(readSample(platform)), platform);
+        });
+    }
+    await test('Google Ads invoices are not taken for LinkedIn', () => {
+        const text = 'Google Ads\nInvoice number: 5123456789\nLinkedIn retargeting 120 Clicks ₹1,200.00';
+        assert.strictEqual(regexProcessor.detectPlatform(text), 'google_ads');
+    });
+    await test('a LinkedIn mention alone is not a LinkedIn Ads invoice', () => {
+        assert.strictEqual(regexProcessor.detectPlatform('Invoice\nFollow us on LinkedIn\nTotal 100.00'), 'other');
+    });
+
+    await test('a Google invoice mentioning a Meta campaign stays Google', () => {
+        const text = 'Google India Private Limited\nGoogle Ads\nInvoice number: 5123456789\nMeta ads retargeting 12 Clicks ₹1,200.00';
+        const detection = classifyPlatform(text);
+        assert.strictEqual(detection.platform, 'google_ads');
+        assert.strictEqual(detection.conflict, false);
+        assert.ok(detection.scores.meta_ads > 0, 'meta signal is still recorded');
+    });
+    await test('Facebook Ads can win over Meta', () => {
+        assert.strictEqual(classifyPlatform('Facebook ads invoice\nTotal 100.00').platform, 'facebook_ads');
+    });
+    await test('conflicting signals are flagged', () => {
+        const detection = classifyPlatform('Meta ads\nInstagram ads boost');
+        assert.strictEqual(detection.conflict, true);
+        assert.ok(detection.confidence < 0.6, `confidence ${detection.confidence}`);
+    });
+    await test('text without signals is "other" with no confidence', () => {
+        const detection = classifyPlatform('Invoice\nTotal 100.00');
+        assert.strictEqual(detection.platform, 'other');
+        assert.strictEqual(detection.confidence, null);
+    });
+
+    await test('every registered platform has a schema, prompt and regex fallback', () => {
+        PLATFORMS.forEach(platform => {
+            assert.ok(platform.schema.safeParse({}).success, `${platform.id} schema`);
+            assert.ok(regexProcessor.getSystemPrompt(platform.id).includes('Return ONLY valid JSON'), `${platform.id} prompt`);
+            assert.strictEqual(typeof platform.basicExtraction, 'function', `${platform.id} basicExtraction`);
+        });
+        assert.strictEqual(getPlatform('unknown_platform').id, 'other');
+    });
+
+    console.log('🧪 Testing regex fallback extraction...');
+    for (const [platform, expected] of Object.entries(EXPECTED)) {
+        await test(`${platform} fields and campaigns`, async () => {
+            const { extractedData, extraction } = await regexProcessor.extractInvoiceData(readSample(platform), platform);
+            assert.strictEqual(extraction.method, 'regex');
+            assertExtraction(extractedData, expected);
+            assert.strictEqual(extractedData.invoiceDate instanceof Date, true, 'invoiceDate is a date');
+            assert.strictEqual(extractedData.billingPeriod.endDate instanceof Date, true, 'billingPeriod.endDate is a date');
+        });
+
+        await test(`${platform} totals pass arithmetic validation`, async () => {
+            const { extractedData } = await regexProcessor.extractInvoiceData(readSample(platform), platform);
+            const validation = runValidation(extractedData, platform);
+            assert.strictEqual(validation.passed, true, validation.results.filter(r => !r.passed).map(r => r.message).join('; '));
+            assert.ok(validation.results.some(r => r.rule === 'cpc_matches_amount_per_click'), 'cpc rule applies');
+        });
+    }
+
+    console.log('\n🧪 Testing LLM extraction...');
+    for (const [platform, expected] of Object.entries(EXPECTED)) {
+        await test(`${platform} prompt and schema`, async () => {
+            const provider = new FakeProvider({
+                fixtures: [{
+                    name: platform,
+                    match: [`${platform} invoice text`],
+                    response: {
+                        invoiceNumber: expected.invoiceNumber,
+                        invoiceDate: '2024-01-05',
+                        accountId: expected.accountId,
+                        subtotal: expected.subtotal,
+                        taxAmount: expected.taxAmount,
+                        totalAmount: expected.totalAmount,
+                        currency: 'INR',
+                        campaigns: expected.campaigns.map(({ cpc, ...campaign }) => campaign)
+                    }
+                }]
+            });
+            const processor = new PdfProcessor({ provider });
+            const { extractedData, extraction } = await processor.extractInvoiceData(readSample(platform), platform);
+
+            assert.strictEqual(extraction.method, 'llm');
+            assertExtraction(extractedData, expected);
+
+            const systemPrompt = provider.calls[0].messages[0].content;
+            assert.ok(systemPrompt.includes(platform === 'linkedin_ads' ? 'LinkedIn' : 'Microsoft Advertising'), 'platform prompt');
+            assert.ok(systemPrompt.includes('"impressions": number') && systemPrompt.includes('"clicks": number'), 'schema shape');
+        });
+    }
+
+    await test('a stated CPC that disagrees with amount / clicks fails validation', async () => {
+        const campaign = { campaignName: 'Search - Brand', clicks: 100, amount: 5000 };
+        const provider = new FakeProvider({
+            fixtures: [{
+                name: 'cpc_mismatch',
+                match: ['google_ads invoice text'],
+                response: {
+                    invoiceNumber: '5123456789', invoiceDate: '2024-01-05', subtotal: 10000, taxAmount: 1800, totalAmount: 11800, currency: 'INR',
+                    campaigns: [{ ...campaign, cpc: 40 }, { ...campaign, campaignName: 'Search - Generic', cpc: 50 }, { ...campaign, campaignName: 'Display' }]
+                }
+            }]
+        });
+        const processor = new PdfProcessor({ provider });
+        const { extractedData } = await processor.extractInvoiceData('Google Ads\nTax Invoice', 'google_ads');
+
+        assert.deepStrictEqual(extractedData.campaigns.map(c => c.cpc), [40, 50, 50], 'stated CPC is kept, missing CPC derived');
+        const cpcResults = runValidation(extractedData, 'google_ads').results.filter(r => r.rule === 'cpc_matches_amount_per_click');
+        assert.deepStrictEqual(cpcResults.map(r => [r.field, r.passed]), [['campaigns.0.cpc', false], ['campaigns.1.cpc', true], ['campaigns.2.cpc', true]]);
+    });
+
+    console.log('\n🧪 Testing model output repair and re-asking...');
+    const googleInvoice = {
+        invoiceNumber: '5123456789', invoiceDate: '2024-01-31', accountId: '123-456-7890',
+        subtotal: 10000, taxAmount: 1800, totalAmount: 11800, currency: 'INR',
+        campaigns: [{ campaignName: 'Search - Brand', clicks: 400, amount: 10000 }]
+    };
+    const googleText = 'Google Ads\nTax Invoice\nInvoice number: 5123456789\nTotal in INR 11,800.00';
+    const extractWith = (fixture, maxRetries = 1) => {
+        const provider = new FakeProvider({ fixtures: [{ name: 'google', match: ['google_ads invoice text'], ...fixture }] });
+        const processor = new PdfProcessor({ provider, maxRetries });
+        return processor.extractInvoiceData(googleText, 'google_ads').then(result => ({ ...result, provider }));
+    };
+    await test('JSON in a ```json fence with prose around it is repaired', async () => {
+        const { extractedData, extraction } = await extractWith({
+            content: `Here is the extracted data:\n\`\`\`json\n${JSON.stringify(googleInvoice, null, 2)}\n\`\`\`\nLet me know if you need more.`
+        });
+        assert.strictEqual(extraction.method, 'repaired');
+        assert.strictEqual(extraction.attempts, 1);
+        assert.strictEqual(extractedData.invoiceNumber, '5123456789');
+        assert.strictEqual(extractedData.totalAmount, 11800);
+    });
+    await test('trailing commas are dropped outside strings only', async () => {
+        const { extractedData, extraction } = await extractWith({
+            content: '{"invoiceNumber": "5123456789", "accountName": "Acme, } Foods ,] Ltd", "totalAmount": 11800,'
+                + ' "campaigns": [{"campaignName": "Brand \\"A\\", ]", "clicks": 400, "amount": 10000,},],}'
+        });
+        assert.strictEqual(extraction.method, 'repaired');
+        assert.strictEqual(extractedData.accountName, 'Acme, } Foods ,] Ltd');
+        assert.strictEqual(extractedData.campaigns[0].campaignName, 'Brand "A", ]');
+        assert.strictEqual(extractedData.campaigns[0].clicks, 400);
+    });
+    await test('the model is re-asked with the errors and its second answer is used', async () => {
+        const { extractedData, extraction, provider } = await extractWith({
+            responses: [{ ...googleInvoice, totalAmount: 'eleven thousand', campaigns: 'none' }, googleInvoice]
+        });
+        assert.strictEqual(extraction.method, 'retried');
+        assert.strictEqual(extraction.attempts, 2);
+        assert.ok(extraction.errors.length > 0 && extraction.errors.every(error => error.startsWith('attempt 1: ')), extraction.errors.join('; '));
+        assert.strictEqual(extractedData.totalAmount, 11800);
+
+        const reask = provider.calls[1].messages[provider.calls[1].messages.length - 1].content;
+        assert.ok(reask.includes('did not match the required JSON schema') && reask.includes('campaigns'), reask);
+    });
+    await test('regex extraction takes over once the retry budget is used up', async () => {
+        const { extractedData, extraction, provider } = await extractWith({
+            responses: ['I could not read this invoice.', '{"invoiceNumber": ']
+        });
+        assert.strictEqual(provider.calls.length, 2);
+        assert.strictEqual(extraction.method, 'regex');
+        assert.strictEqual(extraction.attempts, 2);
+        assert.deepStrictEqual(extraction.errors.map(error => error.split(':')[0]), ['attempt 1', 'attempt 2']);
+        assert.ok(extraction.errors[0].includes('Invalid JSON'));
+        assert.ok(extractedData, 'the regex result is returned');
+    });
+
+    finish('platform');
+}
+
+run();
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+// Field confidence and the review queue, corrections, reprocessing and the
+// revision history of extracted invoices. Runs offline: models are stubbed.
+const assert = require('assert');
+const Invoice = require('../models/Invoice');
+const PdfProcessor = require('../services/pdfProcessor');
+const { RegexProvider } = require('../services/extractionProviders');
+const { buildFieldProvenance, locateSpan } = require('../services/fieldProvenance');
+const { CONFIDENCE_THRESHOLD, getReviewReasons } = require('../services/reviewPolicy');
+const { validateCorrections, applyCorrections } = require('../services/invoiceCorrections');
+const { recordRevision, rollbackToRevision } = require('../services/invoiceRevisions');
+const InvoiceRevision = require('../models/InvoiceRevision');
+const { diffExtractedData } = require('../services/extractionDiff');
+const { reprocessInvoice } = require('../services/invoiceReprocessor');
+const { readSample, test, stub, finish } = require('./helpers');
+
+async function run() {
+    const regexProcessor = new PdfProcessor({ provider: new RegexProvider() });
+
+    console.log('🧪 Testing field confidence and review...');
+    await test('a total derived by two rules is listed once', () => {
+        const data = { totalAmount: 1800, taxAmount: 1800, campaigns: [{ amount: 1000 }, { amount: 500 }] };
+        assert.deepStrictEqual(regexProcessor.deriveMissingTotals(data), ['subtotal']);
+        assert.strictEqual(data.subtotal, 1500, 'campaign lines replace a zero subtotal');
+
+        const fromGst = { totalAmount: 11800, gst: { cgst: 900, sgst: 900 } };
+        assert.deepStrictEqual(regexProcessor.deriveMissingTotals(fromGst), ['taxAmount', 'subtotal']);
+        assert.deepStrictEqual([fromGst.taxAmount, fromGst.subtotal], [1800, 10000]);
+    });
+    await test('fields found in the text keep their confidence, the rest are marked down', () => {
+        const text = 'Tax Invoice\nInvoice number: INV-2024-001\nInvoice date: 31 Jan 2024\nBrand Search 2,500.00\nTotal Rs. 1,18,000.00';
+        const data = {
+            invoiceNumber: 'INV-2024-001',
+            invoiceDate: new Date('2024-01-31'),
+            accountId: '123-456-7890',
+            currency: 'INR',
+            subtotal: 100000,
+            totalAmount: 118000,
+            campaigns: [{ campaignName: 'Brand  Search', amount: 2500, cpc: 12.5 }]
+        };
+        const byField = (entries) => Object.fromEntries(entries.map(entry => [entry.field, entry]));
+
+        const llm = byField(buildFieldProvenance(data, text, { method: 'llm', derivedFields: ['subtotal'] }));
+        assert.deepStrictEqual([llm.invoiceNumber.origin, llm.invoiceNumber.confidence, llm.invoiceNumber.span.text], ['llm', 0.9, 'INV-2024-001']);
+        assert.strictEqual(llm.invoiceDate.span.text, '31 Jan 2024');
+        assert.strictEqual(llm.totalAmount.span.text, '1,18,000.00', 'Indian digit grouping');
+        assert.strictEqual(llm['campaigns.0.campaignName'].span.text, 'Brand Search', 'whitespace is flexible');
+        assert.deepStrictEqual([llm.accountId.confidence, llm.accountId.span], [0.6, undefined], 'not in the text');
+        assert.deepStrictEqual([llm.subtotal.origin, llm.subtotal.confidence], ['derived', 0.7]);
+        assert.deepStrictEqual([llm.currency.origin, llm['campaigns.0.cpc'].origin], ['derived', 'derived']);
+        assert.ok(!('location' in llm), 'empty fields get no entry');
+
+        const retried = byField(buildFieldProvenance(data, text, { method: 'retried' }));
+        assert.deepStrictEqual([retried.invoiceNumber.confidence, retried.accountId.confidence], [0.8, 0.5]);
+        const regex = byField(buildFieldProvenance(data, text, { method: 'regex' }));
+        assert.deepStrictEqual([regex.invoiceNumber.origin, regex.invoiceNumber.confidence], ['regex', 0.8]);
+
+        assert.strictEqual(locateSpan(text, 1180), null, 'digits inside a larger number do not count');
+    });
+    await test('low confidence, missing key fields and failed checks send an invoice to review', () => {
+        const complete = { invoiceNumber: 'INV-1', invoiceDate: new Date('2024-01-31'), subtotal: 1000, taxAmount: 180, totalAmount: 1180 };
+        assert.strictEqual(CONFIDENCE_THRESHOLD, 0.7);
+        assert.deepStrictEqual(getReviewReasons(complete, [{ field: 'totalAmount', origin: 'llm', confidence: 0.7 }]), [], 'the threshold itself passes');
+
+        const reasons = getReviewReasons({ ...complete, invoiceNumber: null }, [
+            { field: 'accountId', origin: 'llm', confidence: 0.6 },
+            { field: 'subtotal', origin: 'manual', confidence: 0.5 }
+        ], { results: [{ passed: false, message: 'Subtotal plus tax does not equal total' }, { passed: true, message: 'ok' }] });
+        assert.deepStrictEqual(reasons, [
+            'invoiceNumber is missing',
+            'Subtotal plus tax does not equal total',
+            'accountId confidence 0.6 is below 0.7'
+        ]);
+
+        const conflict = { method: 'scored', conflict: true, confidence: 0.5, scores: { meta_ads: 3, instagram_ads: 4 } };
+        assert.match(getReviewReasons(complete, [], null, conflict)[0], /^Platform detection is uncertain \(confidence 0.5\): instagram_ads \(4\), meta_ads \(3\)$/);
+        assert.deepStrictEqual(getReviewReasons(complete, [], null, { ...conflict, method: 'manual' }), [], 'a manual platform is trusted');
+        assert.deepStrictEqual(getReviewReasons({ invoiceDate: new Date(), totalAmount: 100 }, [], null, null, 'receipt'), ['Receipt has no payments']);
+    });
+
+    console.log('\n🧪 Testing corrections...');
+    const extractedInvoice = () => new Invoice({
+        fileName: 'google.pdf',
+        platform: 'google_ads',
+        status: 'needs_review',
+        rawText: 'Invoice number: 5123456789\nSearch - Brand 400 Clicks 6,000.00\nTotal 11,800.00',
+        extractedData: {
+            invoiceNumber: '5123456789', totalAmount: 11800,
+            campaigns: [{ campaignName: 'Search - Brand', clicks: 400, amount: 6000, cpc: 15 }]
+        },
+        fieldProvenance: [{ field: 'totalAmount', origin: 'llm', confidence: 0.6 }]
+    });
+    await test('invalid corrections are rejected field by field', () => {
+        const { errors, validated } = validateCorrections(extractedInvoice(), {
+            fileName: 'other.pdf',
+            totalAmount: -5,
+            taxAmount: 'a lot',
+            invoiceDate: '31/31/2024',
+            'campaigns.0.budget': 100,
+            campaigns: [{ campaignName: 'Display', spend: 10 }],
+            subtotal: '10,000.50'
+        });
+        assert.deepStrictEqual(errors.map(error => [error.field, error.message]), [
+            ['fileName', 'is not an editable field'],
+            ['totalAmount', 'must not be negative'],
+            ['taxAmount', 'must be a number'],
+            ['invoiceDate', 'must be an ISO 8601 date'],
+            ['campaigns.0.budget', 'is not an editable field'],
+            ['campaigns', 'campaigns[0].spend is not a campaign field']
+        ]);
+        assert.deepStrictEqual(validated, [{ field: 'subtotal', value: 10000.5 }], 'amounts with separators are accepted');
+        assert.deepStrictEqual(validateCorrections(extractedInvoice(), { 'campaigns.3.amount': 100 }).errors,
+            [{ field: 'campaigns.3.amount', message: 'campaign row 3 does not exist' }]);
+        assert.deepStrictEqual(validateCorrections(extractedInvoice(), {}).errors, [{ field: null, message: 'No changes provided' }]);
+    });
+    await test('a correction is applied, audited, marked manual and keeps CPC in step', () => {
+        const invoice = extractedInvoice();
+        const { errors, validated } = validateCorrections(invoice, { totalAmount: '11,900', 'campaigns.0.clicks': 500 });
+        assert.deepStrictEqual(errors, []);
+        const applied = applyCorrections(invoice, validated, { changedBy: 'reviewer@example.com', note: 'Read from the PDF' });
+
+        assert.deepStrictEqual(applied.map(change => [change.field, change.previousValue, change.newValue]),
+            [['totalAmount', 11800, 11900], ['campaigns.0.clicks', 400, 500]]);
+        assert.strictEqual(invoice.extractedData.campaigns[0].cpc, 12, 'CPC follows the corrected clicks');
+        assert.deepStrictEqual(invoice.corrections.map(c => [c.field, c.changedBy, c.note]), [
+            ['totalAmount', 'reviewer@example.com', 'Read from the PDF'],
+            ['campaigns.0.clicks', 'reviewer@example.com', 'Read from the PDF']
+        ]);
+        const total = invoice.fieldProvenance.find(entry => entry.field === 'totalAmount');
+        assert.deepStrictEqual([total.origin, total.confidence], ['manual', 1]);
+        assert.strictEqual(invoice.fieldProvenance.filter(entry => entry.field === 'totalAmount').length, 1, 'the old entry is replaced');
+    });
+
+    console.log('\n🧪 Testing reprocessing...');
+    await test('the extraction diff lists changed nested fields and ignores empty ones', () => {
+        const before = {
+            invoiceNumber: 'G034567812', invoiceDate: new Date('2024-01-08'), accountName: '',
+            billingPeriod: { startDate: new Date('2023-12-01') },
+            campaigns: [{ _id: 'a', campaignName: 'Search - Brand', amount: 12000 }]
+        };
+        const after = {
+            invoiceNumber: 'G034567812', invoiceDate: new Date('2024-01-08'), accountName: null,
+            billingPeriod: { startDate: new Date('2023-12-02') },
+            campaigns: [{ _id: 'b', campaignName: 'Search - Brand', amount: 12500 }, { campaignName: 'Search - Generic Keywords' }]
+        };
+        assert.deepStrictEqual(diffExtractedData(before, after), [
+            { field: 'billingPeriod.startDate', before: '2023-12-01T00:00:00.000Z', after: '2023-12-02T00:00:00.000Z' },
+            { field: 'campaigns.0.amount', before: 12000, after: 12500 },
+            { field: 'campaigns.1.campaignName', before: null, after: 'Search - Generic Keywords' }
+        ]);
+        assert.deepStrictEqual(diffExtractedData(null, {}), []);
+    });
+    await test('reprocessing an invoice reports what the new extraction changed', async () => {
+        const text = readSample('microsoft_ads');
+        const { extractedData } = await regexProcessor.extractInvoiceData(text, 'microsoft_ads');
+        // An earlier extraction that misread the total and missed a campaign amount
+        extractedData.totalAmount = 23000;
+        delete extractedData.campaigns[1].amount;
+        const invoice = new Invoice({
+            fileName: 'microsoft.pdf', platform: 'microsoft_ads', documentType: 'invoice', status: 'needs_review',
+            rawText: text, extractedData, extraction: { method: 'regex' }
+        });
+        invoice.save = async () => invoice;
+        const revisions = [];
+        const restore = [
+            stub(Invoice, {
+                findOne: async () => invoice,
+                findOneAndUpdate: async () => ({ lastRevision: 2 }),
+                updateMany: async () => ({ modifiedCount: 0 })
+            }),
+            stub(InvoiceRevision, {
+                exists: async () => true,
+                create: async (revision) => { revisions.push(revision); return revision; }
+            })
+        ];
+        try {
+            const result = await reprocessInvoice(invoice._id, { source: 'rawText', processor: regexProcessor, createdBy: 'reviewer@example.com' });
+            assert.deepStrictEqual(result.changes, [
+                { field: 'campaigns.1.amount', before: null, after: 8000 },
+                { field: 'totalAmount', before: 23000, after: 23600 }
+            ]);
+            assert.deepStrictEqual([result.textSource, result.version, result.platform], ['rawText', 2, 'microsoft_ads']);
+            assert.deepStrictEqual(revisions.map(revision => [revision.source, revision.createdBy, revision.extractedData.totalAmount]),
+                [['reprocess', 'reviewer@example.com', 23600]]);
+            await assert.rejects(reprocessInvoice(invoice._id, { source: 'cache' }), /Invalid source "cache"/);
+        } finally {
+            restore.forEach(undo => undo());
+        }
+    });
+
+    console.log('\n🧪 Testing invoice revisions...');
+    await test('concurrent revisions of an invoice get distinct versions', async () => {
+        const originals = { findOneAndUpdate: Invoice.findOneAndUpdate, findOne: InvoiceRevision.findOne, create: InvoiceRevision.create };
+        // An invoice from before the counter, with versions 1 and 2 stored
+        const stored = { _id: '64b0000000000000000000d1' };
+        Invoice.findOneAndUpdate = async (filter, update) => {
+            await new Promise(resolve => setImmediate(resolve));
+            if (('lastRevision' in stored) !== filter.lastRevision.$exists) return null;
+            if (update.$inc) stored.lastRevision += update.$inc.lastRevision;
+            if (update.$set) stored.lastRevision = update.$set.lastRevision;
+            return { lastRevision: stored.lastRevision };
+        };
+        InvoiceRevision.findOne = () => ({ sort: () => ({ select: async () => ({ version: 2 }) }) });
+        InvoiceRevision.create = async (revision) => revision;
+        try {
+            const revisions = await Promise.all([1, 2, 3].map(() => recordRevision(stored, 'manual_edit')));
+            assert.deepStrictEqual(revisions.map(revision => revision.version).sort(), [3, 4, 5]);
+            assert.strictEqual(stored.lastRevision, 5);
+            assert.strictEqual((await recordRevision(stored, 'reprocess')).version, 6);
+        } finally {
+            Invoice.findOneAndUpdate = originals.findOneAndUpdate;
+            InvoiceRevision.findOne = originals.findOne;
+            InvoiceRevision.create = originals.create;
+        }
+    });
+    await test('a rollback restores an earlier extraction as a new version', async () => {
+        const invoice = new Invoice({
+            fileName: 'microsoft.pdf', platform: 'microsoft_ads', documentType: 'invoice', status: 'completed',
+            extractedData: { invoiceNumber: 'G034567812', subtotal: 20000, taxAmount: 3600, totalAmount: 23000 },
+            extraction: { method: 'llm', provider: 'openai' }
+        });
+        invoice.save = async () => invoice;
+        // Version 2 holds the earlier regex extraction
+        const stored = {
+            version: 2, platform: 'microsoft_ads', documentType: 'invoice',
+            extractedData: { invoiceNumber: 'G034567812', invoiceDate: new Date('2024-01-08'), subtotal: 20000, taxAmount: 3600, totalAmount: 23600 },
+            extraction: { method: 'regex', provider: 'regex' },
+            fieldProvenance: [{ field: 'totalAmount', origin: 'regex', confidence: 0.8 }]
+        };
+        const revisions = [];
+        const restore = [
+            stub(Invoice, {
+                findOneAndUpdate: async () => ({ lastRevision: 4 }),
+                updateMany: async () => ({ modifiedCount: 0 })
+            }),
+            stub(InvoiceRevision, {
+                findOne: async (filter) => (filter.version === 2 ? stored : null),
+                create: async (revision) => { revisions.push(revision); return revision; }
+            })
+        ];
+        try {
+            assert.strictEqual(await rollbackToRevision(invoice, 7), null, 'an unknown version');
+            const revision = await rollbackToRevision(invoice, 2, { createdBy: 'reviewer@example.com' });
+
+            assert.deepStrictEqual([invoice.extractedData.totalAmount, invoice.extraction.method], [23600, 'regex']);
+            assert.ok(invoice.validation.results.length > 0, 'validation is re-run');
+            assert.deepStrictEqual(invoice.validation.results.filter(result => !result.passed), []);
+            assert.deepStrictEqual([invoice.status, invoice.review.reasons.length], ['completed', 0]);
+            assert.deepStrictEqual(
+                [revision.version, revision.source, revision.basedOnVersion, revision.note, revision.createdBy],
+                [4, 'rollback', 2, 'Rolled back to version 2', 'reviewer@example.com']
+            );
+            assert.strictEqual(revisions.length, 1);
+        } finally {
+            restore.forEach(undo => undo());
+        }
+    });
+
+    finish('review');
+}
+
+run();
@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+
+// Runs every *.test.js file in this folder in its own process and fails when
+// any of them does
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const files = fs.readdirSync(__dirname).filter(file => file.endsWith('.test.js')).sort();
+const failed = files.filter(file => {
+    console.log(`\n▶ ${file}`);
+    const { status } = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit' });
+    return status !== 0;
+});
+
+console.log(failed.length === 0 ? `\n🎉 ${files.length} test files passed` : `\n❌ Failed: ${failed.join(', ')}`);
+process.exit(failed.length === 0 ? 0 : 1);
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+
+// The upload pipeline with the fixture-driven fake model, bundled PDF
+// splitting, upload event replay and resumable uploads. Runs offline: models
+// are stubbed.
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Invoice = require('../models/Invoice');
+const InvoiceRevision = require('../models/InvoiceRevision');
+const PdfController = require('../controllers/pdfController');
+const PdfProcessor = require('../services/pdfProcessor');
+const { FakeProvider } = require('../services/extractionProviders');
+const uploadSessions = require('../services/uploadSessions');
+const resumableUploads = require('../services/resumableUploads');
+const { splitInvoicePages, segmentFileName } = require('../services/invoiceSplitter');
+const { calculateFileHash } = require('../services/workspaces');
+const { test, stub, finish } = require('./helpers');
+
+async function run() {
+    console.log('🧪 Testing the upload pipeline...');
+    await test('an uploaded PDF is extracted by the fake model and saved with its provenance', async () => {
+        const text = [
+            'Google India Private Limited',
+            'Google Ads',
+            'Tax Invoice',
+            'Invoice number: 5123456789',
+            'Invoice date: 31 Jan 2024',
+            'Account ID: 123-456-7890',
+            'Search - Brand 400 Clicks 6,000.00',
+            'Display - Remarketing 800 Clicks 4,000.00',
+            'Subtotal in INR 10,000.00',
+            'IGST (18%) 1,800.00',
+            'Total in INR 11,800.00'
+        ].join('\n');
+
+        const saved = [];
+        const revisions = [];
+        const restoreInvoice = stub(Invoice.prototype, {
+            save: async function () {
+                saved.push(this.toObject());
+                return this;
+            }
+        });
+        const restoreModel = stub(Invoice, {
+            findOneAndUpdate: async () => ({ lastRevision: 1 }),
+            updateMany: async () => ({ modifiedCount: 0 })
+        });
+        const restoreRevision = stub(InvoiceRevision, { create: async (revision) => revisions.push(revision) });
+        try {
+            const provider = new FakeProvider();
+            const processor = new PdfProcessor({ provider, maxRetries: 0 });
+            // The text pdf-parse would return for a one-page invoice
+            processor.extractPages = async () => ({ text, pages: [text] });
+            const result = await processor.processPdf({ path: '/tmp/google.pdf', originalname: 'google.pdf' }, { workspaceId: '64b0000000000000000000a1', jobId: '64b0000000000000000000c1' });
+
+            assert.deepStrictEqual(provider.calls.map(call => call.fixture), ['google_ads']);
+            assert.strictEqual(result.platform, 'google_ads');
+            assert.strictEqual(result.extractionMethod, 'llm');
+
+            const invoice = saved[saved.length - 1];
+            assert.strictEqual(String(invoice.jobId), '64b0000000000000000000c1');
+            assert.strictEqual(invoice.platform, 'google_ads');
+            assert.strictEqual(invoice.documentType, 'invoice');
+            assert.ok(invoice.rawText.includes('Invoice number: 5123456789'));
+            assert.deepStrictEqual(
+                [invoice.extractedData.invoiceNumber, invoice.extractedData.accountId, invoice.extractedData.totalAmount],
+                ['5123456789', '123-456-7890', 11800]
+            );
+            assert.deepStrictEqual(invoice.extractedData.campaigns.map(c => [c.campaignName, c.clicks, c.cpc]),
+                [['Search - Brand', 400, 15], ['Display - Remarketing', 800, 5]]);
+            assert.deepStrictEqual([invoice.extraction.method, invoice.extraction.provider, invoice.extraction.model], ['llm', 'fake', 'fixtures']);
+            assert.strictEqual(invoice.validation.passed, true);
+            const provenance = invoice.fieldProvenance.find(entry => entry.field === 'invoiceNumber');
+            assert.strictEqual(provenance.origin, 'llm');
+            assert.deepStrictEqual([revisions.length, revisions[0].source, revisions[0].version], [1, 'upload', 1]);
+        } finally {
+            restoreInvoice();
+            restoreModel();
+            restoreRevision();
+        }
+    });
+
+    console.log('\n🧪 Testing bundled PDFs...');
+    await test('a PDF is split where the invoice number changes', () => {
+        const segments = splitInvoicePages([
+            'Tax Invoice\nInvoice Number: INV-1001\nGoogle Ads',
+            'Campaign details continued',
+            'Tax Invoice\nInvoice Number: INV-1002\nGoogle Ads',
+            'Credit Note\nCredit Note No: CN-2001\nOriginal Invoice No: INV-1002'
+        ]);
+
+        assert.deepStrictEqual(segments.map(segment => [segment.invoiceNumber, segment.pageRange.start, segment.pageRange.end]),
+            [['INV-1001', 1, 2], ['INV-1002', 3, 3], ['CN-2001', 4, 4]]);
+        assert.ok(segments[0].text.includes('Campaign details continued'), 'continuation pages stay with their invoice');
+        assert.strictEqual(splitInvoicePages(['Tax Invoice\nInvoice Number: INV-1001', 'Page 2']).length, 1);
+    });
+    await test('segments are named after their pages', () => {
+        assert.strictEqual(segmentFileName('bundle.pdf', { start: 3, end: 4 }), 'bundle_p3-4.pdf');
+        assert.strictEqual(segmentFileName('bundle.PDF', { start: 2, end: 2 }), 'bundle_p2.PDF');
+        assert.strictEqual(segmentFileName('bundle', { start: 1, end: 2 }), 'bundle_p1-2.pdf');
+    });
+    await test('a failed job\'s invoices are all removed before it is retried', async () => {
+        const Invoice = require('../models/Invoice');
+        const InvoiceRevision = require('../models/InvoiceRevision');
+        const originals = { find: Invoice.find, deleteMany: Invoice.deleteMany, updateMany: Invoice.updateMany, deleteRevisions: InvoiceRevision.deleteMany };
+        const calls = [];
+        const segmentIds = ['64b0000000000000000000b1', '64b0000000000000000000b2', '64b0000000000000000000b3'];
+        Invoice.find = (filter) => ({ select: async () => { calls.push(['find', filter]); return segmentIds.map(_id => ({ _id })); } });
+        Invoice.deleteMany = async (filter) => calls.push(['deleteInvoices', filter]);
+        Invoice.updateMany = async (filter) => calls.push(['unlinkCreditNotes', filter]);
+        InvoiceRevision.deleteMany = async (filter) => calls.push(['deleteRevisions', filter]);
+        try {
+            const job = { _id: '64b0000000000000000000c1', fileName: 'bundle.pdf' };
+            assert.strictEqual(await PdfController.removeJobInvoices(job), 3);
+            assert.deepStrictEqual(calls, [
+                ['find', { jobId: job._id }],
+                ['deleteInvoices', { _id: { $in: segmentIds } }],
+                ['deleteRevisions', { invoiceId: { $in: segmentIds } }],
+                ['unlinkCreditNotes', { linkedInvoiceId: { $in: segmentIds } }]
+            ]);
+        } finally {
+            Invoice.find = originals.find;
+            Invoice.deleteMany = originals.deleteMany;
+            Invoice.updateMany = originals.updateMany;
+            InvoiceRevision.deleteMany = originals.deleteRevisions;
+        }
+    });
+
+    console.log('\n🧪 Testing upload event replay...');
+    await test('stored upload events are replayed after a sequence number', () => {
+        const session = {
+            lastSeq: 6,
+            events: [4, 5, 6].map(seq => ({ seq, event: 'upload:progress', payload: { uploadId: 'upload_1', status: `s${seq}` } }))
+        };
+
+        const { events, truncated } = uploadSessions.eventsAfter(session, 4);
+        assert.deepStrictEqual(events.map(entry => [entry.event, entry.payload.seq, entry.payload.status]),
+            [['upload:progress', 5, 's5'], ['upload:progress', 6, 's6']]);
+        assert.strictEqual(truncated, false);
+
+        assert.strictEqual(uploadSessions.eventsAfter(session, 3).truncated, false, 'seq 4 is still stored');
+        assert.strictEqual(uploadSessions.eventsAfter(session, 1).truncated, true, 'seq 2 and 3 were dropped');
+        assert.deepStrictEqual(uploadSessions.eventsAfter(session, 6), { events: [], truncated: false });
+        assert.deepStrictEqual(uploadSessions.eventsAfter({ lastSeq: 0, events: [] }, 0), { events: [], truncated: false });
+    });
+
+    console.log('\n🧪 Testing resumable uploads...');
+    await test('chunks are written at their offset and checksummed', async () => {
+        const filePath = path.join(os.tmpdir(), `resumable-${process.pid}.part`);
+        try {
+            await resumableUploads.writeChunk(filePath, 0, Buffer.from('hello '));
+            await resumableUploads.writeChunk(filePath, 6, Buffer.from('world, half written'));
+            // Resent after an interrupted write: the stale tail is dropped
+            await resumableUploads.writeChunk(filePath, 6, Buffer.from('world'));
+            assert.strictEqual(fs.readFileSync(filePath, 'utf8'), 'hello world');
+            assert.strictEqual(resumableUploads.sha256(fs.readFileSync(filePath)), await calculateFileHash(filePath, 'sha256'));
+        } finally {
+            fs.rmSync(filePath, { force: true });
+        }
+
+        assert.ok(resumableUploads.SHA256_PATTERN.test(resumableUploads.sha256(Buffer.from('x'))));
+        assert.deepStrictEqual(['a.ZIP', 'b.pdf'].map(resumableUploads.mimeTypeFor), ['application/zip', 'application/pdf']);
+        assert.ok(resumableUploads.acquire('upload_1') && !resumableUploads.acquire('upload_1'), 'one writer per upload');
+        resumableUploads.release('upload_1');
+        assert.ok(resumableUploads.acquire('upload_1'));
+        resumableUploads.release('upload_1');
+    });
+
+    finish('upload');
+}
+
+run();